@@ -0,0 +1,187 @@
+/**
+ * Offline Bundle Builder
+ *
+ * Serves the app without any CDN: copies the libraries the app loads out of
+ * node_modules into vendor/, downloads the tfjs, HandLandmarker and PoseLandmarker
+ * model weights the npm packages don't ship, and writes vendor/asset-manifest.json. The
+ * manifest lists every file the service worker precaches and, by group, the model
+ * assets each tracking backend checks for before it starts.
+ *
+ * Run with `npm run build` after `npm install`; downloads need a network once.
+ */
+
+import { createHash } from 'crypto';
+import {
+    copyFile, mkdir, readdir, readFile, rm, stat, writeFile
+} from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VENDOR = path.join(ROOT, 'vendor');
+const MODULES = path.join(ROOT, 'node_modules');
+const MODEL_STORAGE = 'https://storage.googleapis.com/mediapipe-models';
+const TFHUB = 'https://tfhub.dev/mediapipe/tfjs-model/handpose_3d';
+
+// Library builds loaded by script tags, the worker's importScripts or import()
+const LIBRARIES = [
+    ['tone/build/Tone.js', 'tone/Tone.js'],
+    ['@tensorflow/tfjs/dist/tf.min.js', 'tfjs/tf.min.js'],
+    [
+        '@tensorflow-models/hand-pose-detection/dist/hand-pose-detection.min.js',
+        'hand-pose-detection/hand-pose-detection.min.js'
+    ],
+    ['@mediapipe/hands/hands.js', 'mediapipe/hands/hands.js'],
+    ['@mediapipe/tasks-vision/vision_bundle.mjs', 'mediapipe/tasks-vision/vision_bundle.mjs']
+];
+
+// Model assets by group: [source in node_modules or download URL, path in vendor/]
+const MODEL_GROUPS = {
+    // Loaded through solutionPath by the MediaPipe runtime of hand-pose-detection
+    'mediapipe-hands': [
+        'hands.binarypb',
+        'hands_solution_packed_assets.data',
+        'hands_solution_packed_assets_loader.js',
+        'hands_solution_simd_wasm_bin.data',
+        'hands_solution_simd_wasm_bin.js',
+        'hands_solution_simd_wasm_bin.wasm',
+        'hands_solution_wasm_bin.js',
+        'hands_solution_wasm_bin.wasm',
+        'hand_landmark_full.tflite',
+        'hand_landmark_lite.tflite'
+    ].map((file) => [`@mediapipe/hands/${file}`, `mediapipe/hands/${file}`]),
+    'mediapipe-tasks': [
+        'vision_wasm_internal.js',
+        'vision_wasm_internal.wasm',
+        'vision_wasm_nosimd_internal.js',
+        'vision_wasm_nosimd_internal.wasm'
+    ].map((file) => [
+        `@mediapipe/tasks-vision/wasm/${file}`,
+        `mediapipe/tasks-vision/wasm/${file}`
+    ]).concat([[
+        `${MODEL_STORAGE}/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
+        'models/hand_landmarker.task'
+    ]]),
+    // Runs on the tasks-vision WebAssembly files of the group above
+    'mediapipe-pose': [[
+        `${MODEL_STORAGE}/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task`,
+        'models/pose_landmarker_lite.task'
+    ]]
+};
+
+// TensorFlow Hub graph models used by the tfjs runtime: a model.json and its weight shards
+const TFHUB_MODELS = [
+    [`${TFHUB}/detector/lite/1`, 'models/handpose_3d/detector/lite'],
+    [`${TFHUB}/landmark/lite/1`, 'models/handpose_3d/landmark/lite']
+];
+
+// The app itself, precached with the vendored files
+const APP_FILES = ['index.html', 'manifest.webmanifest'];
+const APP_DIRECTORIES = ['src/css', 'src/js', 'src/assets'];
+const SKIPPED_DIRECTORIES = ['tests'];
+
+async function ensureDirectory(file) {
+    await mkdir(path.dirname(file), { recursive: true });
+}
+
+async function copyModule(source, target) {
+    const from = path.join(MODULES, source);
+    const to = path.join(VENDOR, target);
+    try {
+        await stat(from);
+    } catch {
+        throw new Error(`${source} is not installed; run npm install first`);
+    }
+    await ensureDirectory(to);
+    await copyFile(from, to);
+}
+
+async function download(url, target) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Download of ${url} failed: ${response.status} ${response.statusText}`);
+    }
+    const data = Buffer.from(await response.arrayBuffer());
+    const to = path.join(VENDOR, target);
+    await ensureDirectory(to);
+    await writeFile(to, data);
+    return data;
+}
+
+// Copy a node_modules file or download a URL
+function fetchAsset([source, target]) {
+    return /^https?:/.test(source) ? download(source, target) : copyModule(source, target);
+}
+
+// Download a TF Hub graph model and its shards, which model.json names relative to itself
+async function downloadGraphModel([url, directory]) {
+    const modelJson = await download(
+        `${url}/model.json?tfjs-format=file`,
+        `${directory}/model.json`
+    );
+    const { weightsManifest } = JSON.parse(modelJson.toString('utf8'));
+    const shards = weightsManifest.flatMap(({ paths }) => paths);
+    await Promise.all(shards.map((shard) => download(
+        `${url}/${shard}?tfjs-format=file`,
+        `${directory}/${shard}`
+    )));
+    return [`${directory}/model.json`, ...shards.map((shard) => `${directory}/${shard}`)];
+}
+
+// Every file under a directory, as paths relative to the repository root
+async function listFiles(directory) {
+    const entries = await readdir(path.join(ROOT, directory), { withFileTypes: true });
+    const nested = await Promise.all(entries.map((entry) => {
+        const relative = `${directory}/${entry.name}`;
+        if (entry.isDirectory()) {
+            return SKIPPED_DIRECTORIES.includes(entry.name) ? [] : listFiles(relative);
+        }
+        return [relative];
+    }));
+    return nested.flat();
+}
+
+// Short hash of every file's content, so the service worker cache changes with the bundle
+async function hashFiles(files) {
+    const hash = createHash('sha256');
+    const contents = await Promise.all(files.map((file) => readFile(path.join(ROOT, file))));
+    files.forEach((file, index) => {
+        hash.update(file);
+        hash.update(contents[index]);
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+async function build() {
+    await rm(VENDOR, { recursive: true, force: true });
+
+    await Promise.all(LIBRARIES.map((library) => copyModule(...library)));
+    await Promise.all(Object.values(MODEL_GROUPS).flat().map(fetchAsset));
+    const tfjsModels = await Promise.all(TFHUB_MODELS.map(downloadGraphModel));
+
+    const groups = { libraries: LIBRARIES.map(([, target]) => target), tfjs: tfjsModels.flat() };
+    Object.entries(MODEL_GROUPS).forEach(([group, assets]) => {
+        groups[group] = assets.map(([, target]) => target);
+    });
+
+    const vendored = Object.values(groups).flat().map((file) => `vendor/${file}`);
+    const appFiles = (await Promise.all(APP_DIRECTORIES.map(listFiles))).flat();
+    const files = [...APP_FILES, ...appFiles, ...vendored];
+
+    const manifest = {
+        format: 'air-guitar-4d-offline',
+        version: await hashFiles(files),
+        groups,
+        // The manifest is read at startup, so it is precached too
+        files: [...files, 'vendor/asset-manifest.json']
+    };
+    const manifestJson = `${JSON.stringify(manifest, null, 4)}\n`;
+    await writeFile(path.join(VENDOR, 'asset-manifest.json'), manifestJson);
+    console.log(`Offline bundle ${manifest.version}: ${manifest.files.length} files, `
+        + `${vendored.length} of them vendored`);
+}
+
+build().catch((error) => {
+    console.error(`Offline build failed: ${error.message}`);
+    process.exitCode = 1;
+});
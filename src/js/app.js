@@ -9,8 +9,24 @@
 import { WebcamHandler } from './modules/webcam.js';
 import { HandTracking } from './modules/hand-tracking.js';
 import { MotionAnalysis } from './modules/motion-analysis.js';
+import { CalibrationWizard } from './modules/calibration-wizard.js';
+import { GuitarPlaneEstimator } from './modules/guitar-plane-estimator.js';
+import { StrumPatternAnalyzer } from './modules/strum-pattern-analyzer.js';
 import { SoundEngine } from './modules/sound-engine.js';
 import { UIFeedback } from './modules/ui-feedback.js';
+import { PerformanceRecorder } from './modules/performance-recorder.js';
+import { PracticeTransport } from './modules/practice-transport.js';
+import { SongChart } from './modules/song-chart.js';
+import { ChordChartImporter } from './modules/chord-chart-importer.js';
+import { PlayAlongSession } from './modules/play-along-session.js';
+import { SessionRecorder } from './modules/session-recorder.js';
+import { SessionReplay } from './modules/session-replay.js';
+import { GestureLibrary } from './modules/gesture-library.js';
+import { Tuning } from './modules/tuning.js';
+import { LatencyMonitor } from './modules/latency-monitor.js';
+import { MidiInput } from './modules/midi-input.js';
+import { MidiOutput } from './modules/midi-output.js';
+import { OfflineAssets } from './modules/offline-assets.js';
 
 class AirGuitarApp {
     constructor() {
@@ -19,13 +35,66 @@ class AirGuitarApp {
             video: document.getElementById('webcam'),
             overlay: document.getElementById('overlay'),
             guitarType: document.getElementById('guitar-type'),
+            playMode: document.getElementById('play-mode'),
+            tuning: document.getElementById('tuning'),
+            capo: document.getElementById('capo'),
             startCameraBtn: document.getElementById('start-camera'),
             enableAudioBtn: document.getElementById('enable-audio'),
             cameraSelect: document.getElementById('camera-select'),
+            recordSessionBtn: document.getElementById('record-session'),
+            replaySessionBtn: document.getElementById('replay-session'),
+            sessionFileInput: document.getElementById('session-file'),
+            // Chord gesture teaching
+            gestureName: document.getElementById('gesture-name'),
+            gestureChord: document.getElementById('gesture-chord'),
+            gestureNotes: document.getElementById('gesture-notes'),
+            teachGestureBtn: document.getElementById('teach-gesture'),
+            gestureList: document.getElementById('gesture-list'),
+            exportGesturesBtn: document.getElementById('export-gestures'),
+            importGesturesBtn: document.getElementById('import-gestures'),
+            gestureFileInput: document.getElementById('gesture-file'),
             cameraStatus: document.getElementById('camera-status'),
             audioStatus: document.getElementById('audio-status'),
-            planeAngleSlider: document.getElementById('plane-angle-slider'),
-            planeAngleValue: document.getElementById('plane-angle-value'),
+            techniqueIndicator: document.getElementById('technique-indicator'),
+            // Latency measurement
+            latencyHud: document.getElementById('latency-hud'),
+            showLatencyHud: document.getElementById('show-latency-hud'),
+            predictiveStrums: document.getElementById('predictive-strums'),
+            exportLatencyBtn: document.getElementById('export-latency'),
+            // Metronome, backing track and quantising
+            toggleTransportBtn: document.getElementById('toggle-transport'),
+            tempoSlider: document.getElementById('tempo-slider'),
+            tempoValue: document.getElementById('tempo-value'),
+            timeSignature: document.getElementById('time-signature'),
+            clickEnabled: document.getElementById('click-enabled'),
+            loadBackingTrackBtn: document.getElementById('load-backing-track'),
+            backingTrackFileInput: document.getElementById('backing-track-file'),
+            backingTrackName: document.getElementById('backing-track-name'),
+            quantizeGrid: document.getElementById('quantize-grid'),
+            strumPatternTarget: document.getElementById('strum-pattern-target'),
+            // Song play-along
+            loadSongBtn: document.getElementById('load-song'),
+            songFileInput: document.getElementById('song-file'),
+            playSongBtn: document.getElementById('play-song'),
+            songInfo: document.getElementById('song-info'),
+            playAlongResults: document.getElementById('play-along-results'),
+            // Performance recording
+            recordPerformanceBtn: document.getElementById('record-performance'),
+            recordingFormat: document.getElementById('recording-format'),
+            exportRecordingBtn: document.getElementById('export-recording'),
+            // MIDI input and output
+            connectMidiBtn: document.getElementById('connect-midi'),
+            midiInputPort: document.getElementById('midi-input-port'),
+            midiTempo: document.getElementById('midi-tempo'),
+            midiOutputPort: document.getElementById('midi-output-port'),
+            midiRouting: document.getElementById('midi-routing'),
+            // Calibration wizard
+            startCalibrationBtn: document.getElementById('start-calibration'),
+            resetCalibrationBtn: document.getElementById('reset-calibration'),
+            calibrationStatus: document.getElementById('calibration-status'),
+            guitarPlaneStatus: document.getElementById('guitar-plane-status'),
+            autoGuitarPlane: document.getElementById('auto-guitar-plane'),
+            lockGuitarPlane: document.getElementById('lock-guitar-plane'),
             // Effects controls
             distortionSlider: document.getElementById('distortion-slider'),
             reverbSlider: document.getElementById('reverb-slider'),
@@ -44,8 +113,29 @@ class AirGuitarApp {
         this.webcamHandler = null;
         this.handTracking = null;
         this.motionAnalysis = null;
+        this.calibrationWizard = null;
+        this.guitarPlaneEstimator = null;
+        this.autoGuitarPlane = false; // Guitar plane follows the player's pose
         this.soundEngine = null;
         this.uiFeedback = null;
+        this.sessionRecorder = null;
+        this.sessionReplay = null;
+        this.performanceRecorder = null;
+        this.practiceTransport = new PracticeTransport();
+        this.songChart = null; // Song loaded for play-along
+        this.playAlong = null; // Scoring of the current or last run through the song
+        this.lastTake = null; // Most recent recorded performance, until exported or replaced
+        this.midiInput = null; // Created once the player connects MIDI
+        this.midiOutput = null;
+        
+        // Motion-to-sound timing of live playing, shown in the HUD every hudInterval ms
+        this.latencyMonitor = new LatencyMonitor();
+        this.hudInterval = 500;
+        this.lastHudUpdate = -Infinity;
+        
+        // Gesture being taught: { name, chord, notes, samples } while its pose is captured
+        this.gestureCapture = null;
+        this.gestureCaptureFrames = 20;
         
         // Animation frame for webcam processing
         this.animationFrameId = null;
@@ -61,15 +151,39 @@ class AirGuitarApp {
             
             // Initialize modules
             this.webcamHandler = new WebcamHandler(this.elements.video);
-            this.handTracking = new HandTracking(this.elements.video, this.elements.overlay);
+            // ?tracking=mediapipe-tasks picks the MediaPipe Tasks backend over tfjs
+            const backend = new URLSearchParams(window.location.search).get('tracking') || 'tfjs';
+            this.handTracking = new HandTracking(this.elements.video, this.elements.overlay, {
+                backend,
+                useWorker: HandTracking.supportsWorkerDetection()
+            });
             
             // Ensure mirroring is always enabled (though it should be by default)
             this.webcamHandler.setMirrored(true);
             this.handTracking.setMirrored(true);
             
             this.motionAnalysis = new MotionAnalysis();
+            this.motionAnalysis.setTempo(this.practiceTransport.bpm);
+            this.calibrationWizard = new CalibrationWizard();
+            this.guitarPlaneEstimator = new GuitarPlaneEstimator();
             this.soundEngine = new SoundEngine();
+            this.soundEngine.setPracticeTransport(this.practiceTransport);
             this.uiFeedback = new UIFeedback(this.elements.overlay);
+            this.uiFeedback.setStrings(this.soundEngine.strings);
+            this.sessionRecorder = new SessionRecorder();
+            this.sessionReplay = new SessionReplay({
+                handTracking: this.handTracking,
+                motionAnalysis: this.motionAnalysis,
+                soundEngine: this.soundEngine
+            });
+            this.performanceRecorder = new PerformanceRecorder({ soundEngine: this.soundEngine });
+            
+            // Restore the player's taught chord gestures
+            this.handTracking.gestureLibrary.load();
+            this.populateGestureChords();
+            this.renderGestureList();
+            this.populateTuningOptions();
+            this.populateStrumPatterns();
             
             // Setup event listeners
             this.setupEventListeners();
@@ -78,18 +192,20 @@ class AirGuitarApp {
             
             // Set up motion analysis callbacks
             this.motionAnalysis.setStrumCallback((strumData) => {
-                this.soundEngine.playStrum(strumData);
+                this.playStrum(strumData);
             });
             
             // Show camera options immediately if possible
             this.initCameraOptions();
             
+            // Precache the app and its models so it installs and runs offline
+            new OfflineAssets().registerServiceWorker();
+            
             // Display welcome message
             this.showWelcomeMessage();
             
-            // Make sure the angle display shows the default value
-            this.elements.planeAngleSlider.value = this.handTracking.guitarPlaneAngle;
-            this.elements.planeAngleValue.textContent = `${this.handTracking.guitarPlaneAngle}°`;
+            // Apply the player's saved calibration, if they have one
+            this.applyCalibration(this.calibrationWizard.loadProfile());
             
             this.initialized = true;
             console.log('Air Guitar 4D initialized successfully!');
@@ -168,9 +284,11 @@ class AirGuitarApp {
                 // Show audio button once camera is started
                 this.elements.enableAudioBtn.style.display = 'block';
                 
-                // Remove camera status message after 3 seconds
+                // Remove camera status message after 3 seconds, unless an error replaced it
                 setTimeout(() => {
-                    this.elements.cameraStatus.textContent = '';
+                    if (this.elements.cameraStatus.textContent === 'Camera started') {
+                        this.elements.cameraStatus.textContent = '';
+                    }
                 }, 3000);
                 
                 console.log('Camera setup successful, initializing hand tracking...');
@@ -184,12 +302,8 @@ class AirGuitarApp {
                     console.log('Hand tracking initialized successfully');
                 } catch (handTrackingError) {
                     console.error('Error setting up hand tracking:', handTrackingError);
-                    this.setCameraStatus('Camera started, but hand tracking failed to initialize');
-                    
-                    // Still clear the error message after 3 seconds
-                    setTimeout(() => {
-                        this.elements.cameraStatus.textContent = '';
-                    }, 3000);
+                    // Left up (e.g. naming a missing model file) until the player acts on it
+                    this.setCameraStatus(`Camera started. ${handTrackingError.message}`);
                 }
                 
                 // Start the video processing
@@ -278,28 +392,78 @@ class AirGuitarApp {
             if (handData) {
                 console.debug('Hand data received:', Object.keys(handData).filter(k => handData[k]));
                 
-                // Check for strumming motion
-                const strummingMotion = this.handTracking.detectStrummingMotion();
+                this.latencyMonitor.recordFrame({
+                    captureTime: this.handTracking.lastFrameTimestamp,
+                    detectedTime: this.handTracking.lastDetectionTimestamp
+                });
                 
-                // Check for chord formation
-                const chordData = this.handTracking.detectChordFormation();
+                // Capture the frame if a session is being recorded
+                if (this.sessionRecorder.isRecording) {
+                    this.sessionRecorder.recordFrame(handData, this.handTracking.lastFrameTimestamp);
+                }
+                
+                // Collect fret-hand samples while a gesture is being taught
+                if (this.gestureCapture && handData.right) {
+                    this.captureGestureSample(handData.right);
+                }
+                
+                // Check for chord formation; a chord played on MIDI input takes its place
+                const chordData = (this.midiInput && this.midiInput.getChord())
+                    || this.handTracking.detectChordFormation();
                 
                 // Get hand orientations
                 const orientations = this.handTracking.getHandOrientations();
                 
-                // Pass data to motion analysis
-                const motionResult = this.motionAnalysis.processHandData(handData, strummingMotion, chordData, orientations);
+                // Strums cross the strings drawn over the strumming area, tilted with the
+                // guitar plane, and lead mode plucks them one at a time
+                const isLeadMode = this.motionAnalysis.playMode === 'lead';
+                this.motionAnalysis.setStringLines(this.uiFeedback.getStringLines());
+                await this.updateGuitarPlane();
+                this.motionAnalysis.setGuitarPlaneAngle(this.handTracking.guitarPlaneAngle);
                 
-                // Update UI feedback
-                this.uiFeedback.updateHandPositionDisplay(handData, strummingMotion, chordData);
+                // Pass data to motion analysis, timed by when the frame was captured;
+                // detected strums are played by the strum callback
+                const motionResult = this.motionAnalysis.processHandData(
+                    handData,
+                    chordData,
+                    orientations,
+                    this.handTracking.lastFrameTimestamp
+                );
                 
-                // If motion analysis detected a strum, play it
+                // Update UI feedback
+                this.uiFeedback.updateHandPositionDisplay(handData, motionResult, chordData);
                 if (motionResult && motionResult.strumDetected) {
-                    this.soundEngine.playStrum(motionResult);
+                    this.handTracking.showStrumDirection(motionResult.strumDirection);
                 }
+                
+                // Keep bending sustaining notes with the fret hand
+                if (motionResult) {
+                    this.soundEngine.applyExpression(motionResult.expression);
+                }
+                
+                // In lead mode, play plucked strings and show which string is under the fingertip
+                if (isLeadMode && motionResult) {
+                    if (motionResult.plucks.length > 0) {
+                        this.soundEngine.playPluck(motionResult);
+                    }
+                    if (motionResult.legato) {
+                        this.soundEngine.playLegato(motionResult);
+                    }
+                    this.drawLeadStrings(motionResult);
+                }
+                
+                if (motionResult) {
+                    this.updateTechniqueIndicator(motionResult.technique);
+                    this.uiFeedback.drawStrumPattern(motionResult.strumPattern);
+                }
+                
+                this.updateCalibration(handData);
+                this.updateLatencyHud();
             } else {
                 console.debug('No hand data received from processFrame');
             }
+            
+            this.updatePlayAlong();
         } catch (error) {
             console.error("Error in frame processing:", error);
             
@@ -307,7 +471,7 @@ class AirGuitarApp {
             if (this.handTracking) {
                 console.debug('Checking hand tracking state:', {
                     isRunning: this.handTracking.isRunning,
-                    detector: !!this.handTracking.detector
+                    backendReady: this.handTracking.backendReady
                 });
             }
         }
@@ -316,6 +480,870 @@ class AirGuitarApp {
         this.animationFrameId = requestAnimationFrame(() => this.processVideoFrame());
     }
     
+    /**
+     * Play a detected live strum, timing it from the hand's motion to the sound
+     * @param {Object} strumData - Motion analysis result with a strum
+     */
+    playStrum(strumData) {
+        // Replayed sessions play their own strums, on the recording's clock
+        if (!this.processingActive) return;
+        
+        const decisionTime = performance.now();
+        const scheduledTime = this.soundEngine.playStrum(strumData);
+        if (scheduledTime === null) return;
+        
+        this.latencyMonitor.recordStrum({
+            captureTime: this.handTracking.lastFrameTimestamp,
+            detectedTime: this.handTracking.lastDetectionTimestamp,
+            decisionTime,
+            scheduledTime,
+            outputLatency: this.soundEngine.getOutputLatency(),
+            motionTime: strumData.strumTime,
+            predicted: strumData.strumPredicted
+        });
+        
+        if (this.playAlong && this.playAlong.isActive()) {
+            this.scorePlayAlongStrum(strumData);
+        }
+    }
+    
+    /**
+     * Load a song chart to play along with, taking its tempo and time signature
+     * Song files are JSON; ChordPro and chords-over-lyrics text charts are imported,
+     * keeping the current tempo unless the chart gives one.
+     * @param {File} file - Song file or text chart chosen by the user
+     */
+    async loadSong(file) {
+        let unknownChords = [];
+        try {
+            const text = await file.text();
+            if (file.name.toLowerCase().endsWith('.json')) {
+                this.songChart = SongChart.parse(text);
+            } else {
+                const imported = ChordChartImporter.import(text, {
+                    title: file.name.replace(/\.[^.]+$/, ''),
+                    bpm: this.practiceTransport.bpm,
+                    beatsPerBar: this.practiceTransport.beatsPerBar
+                });
+                if (imported.chords.length === 0) {
+                    throw new Error(`No chords found in ${file.name}`);
+                }
+                this.songChart = imported.chart;
+                ({ unknownChords } = imported);
+            }
+        } catch (error) {
+            console.error('Error loading song:', error);
+            this.setAudioStatus(`Could not load song: ${error.message}`);
+            return;
+        }
+        
+        const chart = this.songChart;
+        this.setTempo(chart.bpm);
+        this.practiceTransport.setTimeSignature(chart.beatsPerBar, chart.beatUnit);
+        this.elements.timeSignature.value = `${chart.beatsPerBar}/${chart.beatUnit}`;
+        
+        const needsBacking = chart.backingTrack
+            && chart.backingTrack !== this.practiceTransport.backingTrackName;
+        const backing = needsBacking ? ` Load ${chart.backingTrack} as the backing track.` : '';
+        const skipped = unknownChords.length > 0
+            ? ` Skipped unknown chords: ${unknownChords
+                .map(({ symbol, line }) => `${symbol} (line ${line})`)
+                .join(', ')}.`
+            : '';
+        this.elements.songInfo.textContent = `${chart.title} (${chart.bpm} BPM).${backing}`
+            + skipped;
+        this.elements.playSongBtn.disabled = false;
+        this.elements.playAlongResults.hidden = true;
+    }
+    
+    /**
+     * Start the loaded song from the top, or stop it and show the results so far
+     */
+    toggleSong() {
+        if (this.playAlong && this.playAlong.isActive()) {
+            this.finishSong();
+            return;
+        }
+        if (!this.soundEngine.initialized) {
+            this.setAudioStatus('Enable audio to play along');
+            return;
+        }
+        
+        // The song starts with the backing track (or the click standing in for it)
+        this.practiceTransport.stop();
+        const startTime = this.practiceTransport.start();
+        this.playAlong = new PlayAlongSession(this.songChart);
+        this.playAlong.start(this.soundEngine.toPerformanceTime(startTime));
+        
+        this.elements.playSongBtn.textContent = 'Stop Song';
+        this.elements.playAlongResults.hidden = true;
+        this.updateTransportButton();
+    }
+    
+    /**
+     * Score a strum against the song and say how it went
+     * Timing is scored from when the hand crossed the strings, not from when the strum
+     * sounds, which quantising may have snapped onto the beat.
+     * @param {Object} strumData - Motion analysis result with a strum
+     */
+    scorePlayAlongStrum(strumData) {
+        const chord = strumData.technique === 'dead_note'
+            ? null
+            : this.soundEngine.getSoundingChord(strumData.chordType, strumData.fretPosition);
+        const scored = this.playAlong.scoreStrum({
+            time: strumData.strumTime,
+            chord,
+            direction: strumData.strumDirection
+        });
+        if (!scored) return;
+        
+        const { result } = scored;
+        const ms = Math.round(Math.abs(result.timingError) * 1000);
+        let message = `${ms} ms ${result.timingError < 0 ? 'early' : 'late'}`;
+        if (!result.chordCorrect) {
+            message = `${scored.chord} expected, played ${chord || 'muted'}`;
+        } else if (!result.directionCorrect) {
+            message = `Strum ${scored.direction}`;
+        } else if (result.rating === 'perfect') {
+            message = 'Perfect';
+        }
+        this.uiFeedback.showMessage(message, 800);
+    }
+    
+    /**
+     * Draw the chord lane while a song plays, and finish the song at its end
+     */
+    updatePlayAlong() {
+        if (!this.playAlong || !this.playAlong.isActive()) return;
+        
+        const finished = this.playAlong.update();
+        this.uiFeedback.drawChordChart(this.playAlong.getUpcoming());
+        if (finished) {
+            this.finishSong();
+        }
+    }
+    
+    /**
+     * Start the calibration wizard, or cancel it and keep the current profile
+     */
+    toggleCalibration() {
+        if (this.calibrationWizard.isActive()) {
+            this.calibrationWizard.cancel();
+            this.applyCalibration(this.calibrationWizard.loadProfile());
+            return;
+        }
+        if (!this.processingActive) {
+            this.elements.calibrationStatus.textContent = 'Start the camera to calibrate';
+            return;
+        }
+        
+        this.calibrationWizard.start();
+        this.elements.startCalibrationBtn.textContent = 'Cancel Calibration';
+    }
+    
+    /**
+     * Feed a frame to the calibration wizard and draw its current step, saving and
+     * applying the profile when the last step completes
+     * @param {Object} handData - Tracked hands of the frame
+     */
+    updateCalibration(handData) {
+        if (!this.calibrationWizard.isActive()) return;
+        
+        const profile = this.calibrationWizard.update(
+            handData,
+            this.motionAnalysis.getFrameSize(),
+            this.handTracking.lastFrameTimestamp
+        );
+        if (profile) {
+            this.calibrationWizard.saveProfile(profile);
+            this.applyCalibration(profile);
+            this.uiFeedback.showMessage('Calibration saved', 2000);
+            
+            // The neck just marked takes over from the one followed from the pose
+            if (this.autoGuitarPlane) {
+                this.elements.autoGuitarPlane.checked = false;
+                this.setAutoGuitarPlane(false);
+            }
+            return;
+        }
+        
+        const status = this.calibrationWizard.getStatus();
+        this.uiFeedback.drawCalibration(status);
+        this.elements.calibrationStatus.textContent = `Step ${status.number} of ${status.count}: `
+            + `${status.instruction}.`;
+    }
+    
+    /**
+     * Apply a calibration profile to hand tracking and motion analysis
+     * @param {Object|null} profile - From the calibration wizard, or null for the defaults
+     */
+    applyCalibration(profile) {
+        this.motionAnalysis.setCalibration(profile);
+        this.handTracking.setGuitarPlaneAngle(profile ? profile.guitarPlaneAngle : 45);
+        
+        this.elements.startCalibrationBtn.textContent = profile ? 'Recalibrate' : 'Calibrate';
+        this.elements.calibrationStatus.textContent = profile
+            ? `Calibrated: ${profile.guitarPlaneAngle}° guitar plane, `
+                + `${Math.round(profile.strumAmplitude * 100)}% of the frame strum.`
+            : 'Not calibrated: using the default 45° guitar plane.';
+    }
+    
+    /**
+     * Turn guitar plane estimation from the player's pose on or off
+     * Turning it off goes back to the calibrated (or default) guitar plane.
+     * @param {boolean} enabled - Follow the pose
+     */
+    async setAutoGuitarPlane(enabled) {
+        const status = this.elements.guitarPlaneStatus;
+        if (!enabled) {
+            this.autoGuitarPlane = false;
+            this.guitarPlaneEstimator.reset();
+            this.motionAnalysis.setFretAxis(null);
+            this.applyCalibration(this.calibrationWizard.loadProfile());
+            status.hidden = true;
+            return;
+        }
+        
+        status.hidden = false;
+        status.textContent = 'Loading the pose model...';
+        try {
+            await this.guitarPlaneEstimator.setup();
+        } catch (error) {
+            this.elements.autoGuitarPlane.checked = false;
+            status.textContent = error.message;
+            return;
+        }
+        this.autoGuitarPlane = true;
+        status.textContent = 'Hold your guitar so the camera sees your shoulders and arms.';
+    }
+    
+    /**
+     * Follow the guitar plane estimated from the player's pose, while that is turned on
+     * The calibration wizard has the guitar plane to itself while it runs.
+     */
+    async updateGuitarPlane() {
+        if (!this.autoGuitarPlane || this.calibrationWizard.isActive()) return;
+        
+        const estimate = await this.guitarPlaneEstimator.update(
+            this.elements.video,
+            this.handTracking.lastFrameTimestamp,
+            this.handTracking.processingOptions.flipHorizontal
+        );
+        if (!estimate) return;
+        
+        if (estimate.guitarPlaneAngle !== this.handTracking.guitarPlaneAngle) {
+            this.handTracking.setGuitarPlaneAngle(estimate.guitarPlaneAngle);
+        }
+        this.motionAnalysis.setFretAxis(estimate.fretAxis);
+        
+        const message = estimate.locked
+            ? `Guitar plane locked at ${estimate.guitarPlaneAngle}°.`
+            : `Guitar plane from your pose: ${estimate.guitarPlaneAngle}°.`;
+        if (this.elements.guitarPlaneStatus.textContent !== message) {
+            this.elements.guitarPlaneStatus.textContent = message;
+        }
+    }
+    
+    /**
+     * Stop the song and show how each section went
+     */
+    finishSong() {
+        this.playAlong.update();
+        this.playAlong.stop();
+        this.practiceTransport.stop();
+        this.elements.playSongBtn.textContent = 'Play Song';
+        this.updateTransportButton();
+        this.renderPlayAlongResults(this.playAlong.getStats());
+    }
+    
+    /**
+     * Show the accuracy of each section of the song
+     * @param {Object} stats - Results from PlayAlongSession.getStats()
+     */
+    renderPlayAlongResults(stats) {
+        const table = this.elements.playAlongResults;
+        const percent = (count, total) => (
+            total > 0 ? `${Math.round((count / total) * 100)}%` : '–'
+        );
+        const timing = (ms) => (ms === null ? '–' : `${ms > 0 ? '+' : ''}${ms} ms`);
+        
+        table.innerHTML = '';
+        const header = table.createTHead().insertRow();
+        ['Section', 'Accuracy', 'Hit', 'Chord', 'Direction', 'Timing'].forEach((label) => {
+            const cell = document.createElement('th');
+            cell.textContent = label;
+            header.appendChild(cell);
+        });
+        
+        const body = table.createTBody();
+        [...stats.sections, { ...stats.overall, name: 'Overall' }].forEach((section) => {
+            const row = body.insertRow();
+            [
+                section.name,
+                percent(section.correct, section.total),
+                `${section.hit}/${section.total}`,
+                percent(section.chordCorrect, section.hit),
+                percent(section.directionCorrect, section.hit),
+                timing(section.meanTimingError)
+            ].forEach((text) => {
+                row.insertCell().textContent = text;
+            });
+        });
+        table.hidden = false;
+    }
+    
+    /**
+     * Refresh the latency HUD, at most every hudInterval milliseconds
+     */
+    updateLatencyHud() {
+        const hud = this.elements.latencyHud;
+        if (!hud || hud.hidden) return;
+        
+        const now = performance.now();
+        if (now - this.lastHudUpdate < this.hudInterval) return;
+        this.lastHudUpdate = now;
+        
+        hud.textContent = this.latencyMonitor.getHudLines().join('\n');
+    }
+    
+    /**
+     * Save the latency measurements, with the settings they were taken under
+     */
+    exportLatencyReport() {
+        const { detectionClient } = this.handTracking;
+        
+        this.latencyMonitor.download({
+            userAgent: navigator.userAgent,
+            detection: detectionClient ? 'worker' : 'main-thread',
+            detectionStats: detectionClient ? detectionClient.getStats() : null,
+            guitarType: this.soundEngine.guitarType,
+            predictiveStrumming: this.motionAnalysis.predictiveStrumming,
+            lookAhead: this.soundEngine.lookAhead * 1000,
+            outputLatency: this.soundEngine.getOutputLatency()
+        });
+    }
+    
+    /**
+     * Switch between chord strumming and single-note lead playing
+     * @param {string} mode - 'chord' or 'lead'
+     */
+    setPlayMode(mode) {
+        this.motionAnalysis.setPlayMode(mode);
+        if (mode === 'lead') {
+            this.motionAnalysis.setStringLines(this.uiFeedback.getStringLines());
+        }
+        this.setCameraStatus(mode === 'lead'
+            ? 'Lead mode: sweep your index fingertip across a string to pluck it'
+            : 'Chord mode: strum to play the whole chord');
+    }
+    
+    /**
+     * Draw the lead mode strings labelled with the note each one plays at the current fret
+     * @param {Object} motionResult - Motion analysis result for the frame
+     */
+    drawLeadStrings(motionResult) {
+        const stringNotes = this.soundEngine.strings.map((_, index) => (
+            this.soundEngine.getStringNote(index, motionResult.fretPosition)
+        ));
+        this.uiFeedback.drawLeadStrings(motionResult, stringNotes);
+    }
+    
+    /**
+     * Show the playing technique over the video (hidden while playing normally)
+     * @param {string} technique - Technique from motion analysis
+     */
+    updateTechniqueIndicator(technique) {
+        const indicator = this.elements.techniqueIndicator;
+        if (!indicator || indicator.dataset.technique === technique) return;
+        
+        const labels = {
+            palm_mute: 'Palm mute',
+            finger_pick: 'Finger picking',
+            dead_note: 'Dead notes'
+        };
+        
+        indicator.dataset.technique = technique;
+        indicator.textContent = labels[technique] || '';
+        indicator.hidden = !labels[technique];
+    }
+    
+    /**
+     * Start or stop recording the tracked hands to a session file
+     */
+    toggleSessionRecording() {
+        if (this.sessionRecorder.isRecording) {
+            this.sessionRecorder.stop();
+            this.sessionRecorder.download();
+            this.elements.recordSessionBtn.textContent = 'Record Session';
+            this.elements.recordSessionBtn.classList.remove('active');
+            return;
+        }
+        
+        const { width, height } = this.webcamHandler.getDimensions();
+        this.sessionRecorder.start({
+            width: this.elements.overlay.width || width,
+            height: this.elements.overlay.height || height,
+            mirrored: true,
+            guitarPlaneAngle: this.handTracking.guitarPlaneAngle
+        });
+        this.elements.recordSessionBtn.textContent = 'Stop & Save Session';
+        this.elements.recordSessionBtn.classList.add('active');
+    }
+    
+    /**
+     * Start or stop recording what the sound engine plays
+     */
+    async togglePerformanceRecording() {
+        const button = this.elements.recordPerformanceBtn;
+        
+        if (this.performanceRecorder.isRecording) {
+            this.lastTake = await this.performanceRecorder.stop();
+            this.elements.exportRecordingBtn.disabled = false;
+            button.textContent = 'Record Performance';
+            button.classList.remove('active');
+            this.setAudioStatus(`Recorded a ${this.lastTake.duration.toFixed(1)} s take`);
+            return;
+        }
+        
+        try {
+            await this.performanceRecorder.start({
+                compressed: this.elements.recordingFormat.value === 'compressed'
+            });
+        } catch (error) {
+            console.error('Could not start recording:', error);
+            this.setAudioStatus(error.message);
+            return;
+        }
+        button.textContent = 'Stop Recording';
+        button.classList.add('active');
+    }
+    
+    /**
+     * Save the last take in the chosen format
+     */
+    async exportTake() {
+        const take = this.lastTake;
+        if (!take) return;
+        
+        const filename = `air-guitar-take-${Date.now()}`;
+        const format = this.elements.recordingFormat.value;
+        
+        if (format === 'compressed') {
+            if (!take.compressed) {
+                this.setAudioStatus('Choose compressed before recording to export a compressed take');
+                return;
+            }
+            PerformanceRecorder.download(
+                take.compressed.blob,
+                `${filename}.${take.compressed.extension}`
+            );
+            return;
+        }
+        
+        if (format === 'midi') {
+            PerformanceRecorder.download(PerformanceRecorder.getMidi(take), `${filename}.mid`);
+            return;
+        }
+        
+        if (format === 'rendered') {
+            this.elements.exportRecordingBtn.disabled = true;
+            this.setAudioStatus('Rendering take...');
+            try {
+                PerformanceRecorder.download(
+                    await PerformanceRecorder.renderWav(take),
+                    `${filename}.wav`
+                );
+                this.setAudioStatus('');
+            } catch (error) {
+                console.error('Could not render take:', error);
+                this.setAudioStatus(`Could not render take: ${error.message}`);
+            } finally {
+                this.elements.exportRecordingBtn.disabled = false;
+            }
+            return;
+        }
+        
+        PerformanceRecorder.download(PerformanceRecorder.getWav(take), `${filename}.wav`);
+    }
+    
+    /**
+     * Get MIDI access and list the input and output ports
+     */
+    async connectMidi() {
+        if (!this.midiOutput) {
+            this.midiOutput = new MidiOutput();
+        }
+        
+        try {
+            const midiAccess = await this.midiOutput.init();
+            if (!this.midiInput) {
+                this.midiInput = new MidiInput({ midiAccess });
+                this.setupMidiInput();
+            }
+        } catch (error) {
+            console.error('Could not connect MIDI:', error);
+            this.setAudioStatus(`MIDI unavailable: ${error.message}`);
+            return;
+        }
+        
+        this.soundEngine.setMidiOutput(this.midiOutput);
+        this.midiOutput.setPortsCallback((ports) => this.populateMidiPorts(ports));
+        this.populateMidiPorts(this.midiOutput.getPorts());
+        this.elements.connectMidiBtn.classList.add('active');
+    }
+    
+    /**
+     * Let MIDI input drive the controls: presets and controllers move the same
+     * selects and sliders the player uses, so the sound engine and labels follow
+     */
+    setupMidiInput() {
+        const effectSliders = {
+            distortion: this.elements.distortionSlider,
+            reverb: this.elements.reverbSlider,
+            delay: this.elements.delaySlider,
+            volume: this.elements.volumeSlider
+        };
+        const moveSlider = (name, level) => {
+            const slider = effectSliders[name];
+            if (!slider) return;
+            slider.value = Math.round(level * 100);
+            slider.dispatchEvent(new Event('input'));
+        };
+        
+        this.midiInput.setChordCallback((chord) => {
+            this.uiFeedback.showMessage(`MIDI chord: ${chord.name}`, 1000);
+        });
+        this.midiInput.setPresetCallback(({ guitarType, effects }) => {
+            if (this.elements.guitarType.value !== guitarType) {
+                this.elements.guitarType.value = guitarType;
+                this.elements.guitarType.dispatchEvent(new Event('change'));
+            }
+            Object.entries(effects).forEach(([name, level]) => moveSlider(name, level));
+        });
+        this.midiInput.setLevelCallback(moveSlider);
+        this.midiInput.setTempoCallback((bpm) => {
+            this.setTempo(bpm);
+            this.elements.midiTempo.textContent = `${Math.round(bpm)} BPM`;
+        });
+    }
+    
+    /**
+     * Fill the MIDI port dropdowns, keeping the selected ports if they are still there
+     * @param {Array} ports - { id, name } for each output port
+     */
+    populateMidiPorts(ports) {
+        const fill = (select, portList, noneLabel, isConnected) => {
+            const selected = isConnected ? select.value : '';
+            
+            select.innerHTML = '';
+            [{ id: '', name: noneLabel }, ...portList].forEach(({ id, name }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.value = portList.some(({ id }) => id === selected) ? selected : '';
+            select.disabled = portList.length === 0;
+            return select.value === selected;
+        };
+        
+        fill(this.elements.midiOutputPort, ports, 'No MIDI output', this.midiOutput.isConnected());
+        
+        // An input port that was unplugged is let go, handing chords back to the fret hand
+        const inputPorts = this.midiInput.getPorts();
+        const inputKept = fill(
+            this.elements.midiInputPort,
+            inputPorts,
+            'No MIDI input',
+            this.midiInput.port !== null
+        );
+        if (!inputKept) {
+            this.midiInput.selectPort(null);
+        }
+    }
+    
+    /**
+     * Replay a recorded session file through the tracking pipeline in real time
+     * @param {File} file - Session file chosen by the user
+     */
+    async replaySession(file) {
+        // Live frames would overwrite the replayed hands, so pause the camera loop, and
+        // keep the live frame size and guitar plane to go back to after the recording's
+        const wasProcessing = this.processingActive;
+        const liveFrameSize = this.motionAnalysis.frameSize;
+        const liveGuitarPlaneAngle = this.handTracking.guitarPlaneAngle;
+        
+        try {
+            this.stopProcessing();
+            if (!this.motionAnalysis.isActive) {
+                this.motionAnalysis.setup();
+            }
+            
+            this.sessionReplay.load(await file.text());
+            if (this.sessionReplay.header && this.sessionReplay.header.guitarPlaneAngle) {
+                this.handTracking.setGuitarPlaneAngle(this.sessionReplay.header.guitarPlaneAngle);
+            }
+            
+            this.motionAnalysis.setStringLines(this.uiFeedback.getStringLines());
+            
+            this.setCameraStatus(`Replaying ${file.name}...`);
+            await this.sessionReplay.play({
+                onFrame: ({ handData, chordData, motionResult }) => {
+                    this.handTracking.drawHandLandmarks();
+                    this.uiFeedback.updateHandPositionDisplay(handData, motionResult, chordData);
+                    if (motionResult && motionResult.strumDetected) {
+                        this.handTracking.showStrumDirection(motionResult.strumDirection);
+                    }
+                    if (this.motionAnalysis.playMode === 'lead' && motionResult) {
+                        this.drawLeadStrings(motionResult);
+                    }
+                    if (motionResult) {
+                        this.updateTechniqueIndicator(motionResult.technique);
+                        this.uiFeedback.drawStrumPattern(motionResult.strumPattern);
+                    }
+                }
+            });
+            this.setCameraStatus('Replay finished');
+        } catch (error) {
+            console.error('Error replaying session:', error);
+            this.setCameraStatus(`Could not replay session: ${error.message}`);
+        } finally {
+            this.motionAnalysis.frameSize = liveFrameSize;
+            this.motionAnalysis.setGuitarPlaneAngle(liveGuitarPlaneAngle);
+            this.handTracking.setGuitarPlaneAngle(liveGuitarPlaneAngle);
+            
+            if (wasProcessing) {
+                this.startProcessing();
+            }
+        }
+    }
+    
+    /**
+     * Fill the tuning and capo dropdowns
+     */
+    populateTuningOptions() {
+        const { tuning, capo } = this.elements;
+        if (!tuning || !capo) return;
+        
+        Tuning.getPresets().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.text = label;
+            tuning.appendChild(option);
+        });
+        tuning.value = this.soundEngine.tuning.preset;
+        
+        for (let fret = 0; fret <= Tuning.getMaxCapo(); fret++) {
+            const option = document.createElement('option');
+            option.value = fret;
+            option.text = fret === 0 ? 'No capo' : `Fret ${fret}`;
+            capo.appendChild(option);
+        }
+        capo.value = this.soundEngine.tuning.capo;
+    }
+    
+    /**
+     * Redraw the strings for the sound engine's tuning and capo
+     */
+    updateStrings() {
+        this.uiFeedback.setStrings(this.soundEngine.strings);
+        this.motionAnalysis.setStringLines(this.uiFeedback.getStringLines());
+    }
+    
+    /**
+     * Fill the strum coaching dropdown with the patterns motion analysis recognises
+     */
+    populateStrumPatterns() {
+        const select = this.elements.strumPatternTarget;
+        if (!select) return;
+        
+        StrumPatternAnalyzer.getPatterns().forEach(({ id, name, notation }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.text = name === notation ? name : `${name} (${notation})`;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Fill the gesture chord dropdown with the sound engine's chord vocabulary
+     */
+    populateGestureChords() {
+        const select = this.elements.gestureChord;
+        if (!select) return;
+        
+        Object.keys(this.soundEngine.chordDefinitions).forEach((symbol) => {
+            const option = document.createElement('option');
+            option.value = symbol;
+            option.text = symbol;
+            select.appendChild(option);
+        });
+        select.value = Object.keys(this.soundEngine.chordDefinitions)[0];
+    }
+    
+    /**
+     * Show the taught gestures with a button to forget each one
+     */
+    renderGestureList() {
+        const list = this.elements.gestureList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        this.handTracking.gestureLibrary.getGestures().forEach((gesture) => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${gesture.name} → ${gesture.chord || gesture.notes.join(' ')}`;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = '✕';
+            removeBtn.title = `Forget ${gesture.name}`;
+            removeBtn.addEventListener('click', () => {
+                this.handTracking.gestureLibrary.removeGesture(gesture.name);
+                this.handTracking.gestureLibrary.save();
+                this.renderGestureList();
+            });
+            
+            item.appendChild(label);
+            item.appendChild(removeBtn);
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Enter teach mode: the next frames with a fret hand become the gesture's templates
+     */
+    startGestureCapture() {
+        const name = this.elements.gestureName.value.trim();
+        const chord = this.elements.gestureChord.value || null;
+        const notes = chord ? null : GestureLibrary.parseVoicing(this.elements.gestureNotes.value);
+        
+        if (!this.processingActive) {
+            this.setCameraStatus('Start the camera to capture a pose');
+            return;
+        }
+        
+        try {
+            // Validate the name and mapping before asking the player to hold the pose
+            GestureLibrary.createGesture({ name, chord, notes, templates: [] });
+        } catch (error) {
+            this.setCameraStatus(error.message);
+            return;
+        }
+        
+        this.gestureCapture = { name, chord, notes, samples: [] };
+        this.elements.teachGestureBtn.textContent = 'Hold the pose...';
+        this.elements.teachGestureBtn.classList.add('active');
+        this.elements.teachGestureBtn.disabled = true;
+        this.setCameraStatus(`Hold the fret-hand pose for "${name}"`);
+    }
+    
+    /**
+     * Add a fret-hand sample to the gesture being taught, saving it once enough are captured
+     * @param {Object} hand - Fret hand from the current frame
+     */
+    captureGestureSample(hand) {
+        this.gestureCapture.samples.push({
+            hand,
+            guitarPlaneAngle: this.handTracking.guitarPlaneAngle
+        });
+        if (this.gestureCapture.samples.length < this.gestureCaptureFrames) return;
+        
+        const { samples, ...mapping } = this.gestureCapture;
+        this.gestureCapture = null;
+        this.elements.teachGestureBtn.textContent = 'Capture Pose';
+        this.elements.teachGestureBtn.classList.remove('active');
+        this.elements.teachGestureBtn.disabled = false;
+        
+        try {
+            this.handTracking.gestureLibrary.addGesture({ ...mapping, samples });
+            this.handTracking.gestureLibrary.save();
+            this.renderGestureList();
+            this.elements.gestureName.value = '';
+            this.setCameraStatus(`Gesture "${mapping.name}" saved`);
+        } catch (error) {
+            console.error('Error teaching gesture:', error);
+            this.setCameraStatus(`Could not teach gesture: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Load a shared gesture pack, overwriting gestures with the same names
+     * @param {File} file - Gesture pack chosen by the user
+     */
+    async importGesturePack(file) {
+        try {
+            const count = this.handTracking.gestureLibrary.importPack(await file.text());
+            this.handTracking.gestureLibrary.save();
+            this.renderGestureList();
+            this.setCameraStatus(`Imported ${count} gestures from ${file.name}`);
+        } catch (error) {
+            console.error('Error importing gesture pack:', error);
+            this.setCameraStatus(`Could not import gestures: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Start or stop the metronome and backing track
+     */
+    toggleTransport() {
+        if (this.playAlong && this.playAlong.isActive()) {
+            this.finishSong();
+            return;
+        }
+        if (this.practiceTransport.isPlaying()) {
+            this.practiceTransport.stop();
+        } else if (this.soundEngine.initialized) {
+            this.practiceTransport.start();
+        } else {
+            this.setAudioStatus('Enable audio to start the metronome');
+            return;
+        }
+        
+        this.updateTransportButton();
+    }
+    
+    /**
+     * Show on the metronome button whether the transport is playing
+     */
+    updateTransportButton() {
+        const playing = this.practiceTransport.isPlaying();
+        const button = this.elements.toggleTransportBtn;
+        button.textContent = playing ? 'Stop Metronome' : 'Start Metronome';
+        button.classList.toggle('active', playing);
+    }
+    
+    /**
+     * Set the metronome tempo and show it on the tempo slider
+     * @param {number} bpm - Tempo in beats per minute
+     */
+    setTempo(bpm) {
+        this.practiceTransport.setTempo(bpm);
+        this.motionAnalysis.setTempo(this.practiceTransport.bpm);
+        const rounded = Math.round(this.practiceTransport.bpm);
+        this.elements.tempoSlider.value = rounded;
+        this.elements.tempoValue.textContent = `${rounded} BPM`;
+    }
+    
+    /**
+     * Load a backing track chosen by the user
+     * @param {File} file - Audio file
+     */
+    async loadBackingTrack(file) {
+        if (!this.soundEngine.initialized) {
+            this.setAudioStatus('Enable audio to load a backing track');
+            return;
+        }
+        
+        try {
+            await this.practiceTransport.loadBackingTrack(file);
+            this.elements.backingTrackName.textContent = `Backing track: ${file.name}`;
+            this.elements.backingTrackName.hidden = false;
+        } catch (error) {
+            console.error('Error loading backing track:', error);
+            this.setAudioStatus(error.message);
+        }
+    }
+    
     /**
      * Set up event listeners for all interactive elements
      */
@@ -338,29 +1366,203 @@ class AirGuitarApp {
             }
         });
         
+        // Session recording toggle
+        if (this.elements.recordSessionBtn) {
+            this.elements.recordSessionBtn.addEventListener('click', () => {
+                this.toggleSessionRecording();
+            });
+        }
+        
+        // Session replay: pick a recorded file, then feed it through the pipeline
+        if (this.elements.replaySessionBtn && this.elements.sessionFileInput) {
+            this.elements.replaySessionBtn.addEventListener('click', () => {
+                this.elements.sessionFileInput.click();
+            });
+            this.elements.sessionFileInput.addEventListener('change', (event) => {
+                const [file] = event.target.files;
+                if (file) {
+                    this.replaySession(file);
+                }
+                event.target.value = '';
+            });
+        }
+        
+        // Latency HUD, predictive strums and the exportable report
+        if (this.elements.showLatencyHud) {
+            this.elements.showLatencyHud.addEventListener('change', (event) => {
+                this.elements.latencyHud.hidden = !event.target.checked;
+                this.lastHudUpdate = -Infinity;
+                this.updateLatencyHud();
+            });
+            this.elements.predictiveStrums.addEventListener('change', (event) => {
+                this.motionAnalysis.setPredictiveStrumming(event.target.checked);
+            });
+            this.elements.exportLatencyBtn.addEventListener('click', () => {
+                this.exportLatencyReport();
+            });
+        }
+        
+        // Metronome, backing track and strum quantising
+        if (this.elements.toggleTransportBtn) {
+            this.elements.toggleTransportBtn.addEventListener('click', () => {
+                this.toggleTransport();
+            });
+            this.elements.tempoSlider.addEventListener('input', (event) => {
+                this.setTempo(parseInt(event.target.value, 10));
+            });
+            this.elements.timeSignature.addEventListener('change', (event) => {
+                const [beatsPerBar, beatUnit] = event.target.value.split('/').map(Number);
+                this.practiceTransport.setTimeSignature(beatsPerBar, beatUnit);
+            });
+            this.elements.clickEnabled.addEventListener('change', (event) => {
+                this.practiceTransport.setClickEnabled(event.target.checked);
+            });
+            this.elements.loadBackingTrackBtn.addEventListener('click', () => {
+                this.elements.backingTrackFileInput.click();
+            });
+            this.elements.backingTrackFileInput.addEventListener('change', (event) => {
+                const [file] = event.target.files;
+                if (file) {
+                    this.loadBackingTrack(file);
+                }
+                event.target.value = '';
+            });
+            this.elements.quantizeGrid.addEventListener('change', (event) => {
+                this.practiceTransport.setQuantize(event.target.value || null);
+            });
+            this.elements.strumPatternTarget.addEventListener('change', (event) => {
+                this.motionAnalysis.setTargetPattern(event.target.value || null);
+            });
+        }
+        
+        // Song play-along: load a chart, then play it from the top
+        if (this.elements.loadSongBtn) {
+            this.elements.loadSongBtn.addEventListener('click', () => {
+                this.elements.songFileInput.click();
+            });
+            this.elements.songFileInput.addEventListener('change', (event) => {
+                const [file] = event.target.files;
+                if (file) {
+                    this.loadSong(file);
+                }
+                event.target.value = '';
+            });
+            this.elements.playSongBtn.addEventListener('click', () => {
+                this.toggleSong();
+            });
+        }
+        
+        // Performance recording and export
+        if (this.elements.recordPerformanceBtn) {
+            this.elements.recordPerformanceBtn.addEventListener('click', () => {
+                this.togglePerformanceRecording();
+            });
+            this.elements.exportRecordingBtn.addEventListener('click', () => {
+                this.exportTake();
+            });
+        }
+        
+        // MIDI: ask for access, then pick the ports and where notes go
+        if (this.elements.connectMidiBtn) {
+            this.elements.connectMidiBtn.addEventListener('click', () => {
+                this.connectMidi();
+            });
+            this.elements.midiInputPort.addEventListener('change', (event) => {
+                this.midiInput.selectPort(event.target.value || null);
+                this.elements.midiTempo.textContent = '';
+            });
+            this.elements.midiOutputPort.addEventListener('change', (event) => {
+                this.midiOutput.selectPort(event.target.value || null);
+            });
+            this.elements.midiRouting.addEventListener('change', (event) => {
+                this.soundEngine.setMidiRouting(event.target.value);
+            });
+        }
+        
+        // Chord gesture teaching
+        if (this.elements.teachGestureBtn) {
+            this.elements.teachGestureBtn.addEventListener('click', () => {
+                this.startGestureCapture();
+            });
+            
+            // Custom voicings need notes instead of a chord
+            this.elements.gestureChord.addEventListener('change', (event) => {
+                this.elements.gestureNotes.hidden = event.target.value !== '';
+            });
+            
+            this.elements.exportGesturesBtn.addEventListener('click', () => {
+                this.handTracking.gestureLibrary.download();
+            });
+            this.elements.importGesturesBtn.addEventListener('click', () => {
+                this.elements.gestureFileInput.click();
+            });
+            this.elements.gestureFileInput.addEventListener('change', (event) => {
+                const [file] = event.target.files;
+                if (file) {
+                    this.importGesturePack(file);
+                }
+                event.target.value = '';
+            });
+        }
+        
+        // Play mode selection
+        if (this.elements.playMode) {
+            this.elements.playMode.addEventListener('change', (event) => {
+                this.setPlayMode(event.target.value);
+            });
+        }
+        
+        // Tuning and capo selection
+        if (this.elements.tuning && this.elements.capo) {
+            this.elements.tuning.addEventListener('change', (event) => {
+                if (this.soundEngine.setTuning(event.target.value)) {
+                    this.updateStrings();
+                }
+            });
+            this.elements.capo.addEventListener('change', (event) => {
+                this.soundEngine.setCapo(parseInt(event.target.value, 10));
+                this.updateStrings();
+            });
+        }
+        
         // Guitar type selection
-        this.elements.guitarType.addEventListener('change', (event) => {
-            if (this.soundEngine) {
-                this.soundEngine.setGuitarType(event.target.value);
+        this.elements.guitarType.addEventListener('change', async (event) => {
+            if (!this.soundEngine) return;
+            
+            const type = event.target.value;
+            const option = event.target.selectedOptions[0];
+            if (option && option.dataset.instrument) {
+                this.setAudioStatus(`Loading ${option.textContent}...`);
+            }
+            
+            if (await this.soundEngine.setGuitarType(type)) {
+                this.setAudioStatus('');
+            } else {
+                // Instrument couldn't load: stay on the one that was playing
+                this.elements.guitarType.value = this.soundEngine.guitarType;
+                this.setAudioStatus(`${option ? option.textContent : type} is unavailable`);
+                setTimeout(() => {
+                    this.setAudioStatus('');
+                }, 3000);
             }
         });
         
-        // Guitar plane angle slider
-        this.elements.planeAngleSlider.addEventListener('input', (event) => {
-            const angle = parseInt(event.target.value);
-            if (this.handTracking) {
-                this.handTracking.setGuitarPlaneAngle(angle);
-                this.elements.planeAngleValue.textContent = `${angle}°`;
-            }
+        // Calibration wizard: measure the player's hands, neck and strum
+        this.elements.startCalibrationBtn.addEventListener('click', () => {
+            this.toggleCalibration();
+        });
+        this.elements.resetCalibrationBtn.addEventListener('click', () => {
+            this.calibrationWizard.cancel();
+            this.calibrationWizard.clearProfile();
+            this.applyCalibration(null);
         });
         
-        // Additional event for smooth transitions when slider is released
-        this.elements.planeAngleSlider.addEventListener('change', (event) => {
-            const finalAngle = parseInt(event.target.value, 10);
-            if (this.handTracking) {
-                // This will ensure the final angle is properly set and any animations complete
-                this.handTracking.setGuitarPlaneAngle(finalAngle);
-            }
+        // Guitar plane from the player's pose, optionally held where it is
+        this.elements.autoGuitarPlane.addEventListener('change', (e) => {
+            this.setAutoGuitarPlane(e.target.checked);
+        });
+        this.elements.lockGuitarPlane.addEventListener('change', (e) => {
+            this.guitarPlaneEstimator.setLocked(e.target.checked);
         });
         
         // Handle window resize
@@ -0,0 +1,468 @@
+/**
+ * Calibration Wizard Module
+ *
+ * Guides the player through calibrating the air guitar to their body and camera, and
+ * keeps the result as a profile applied on every launch:
+ *   1. Hand size: both hands held up open. Wrist-to-knuckle length, in frame heights,
+ *      scales the pixel thresholds of strum and pluck detection to how big the player
+ *      appears. (Chord shapes are already measured relative to each hand's own size.)
+ *   2. Neck: the fretting hand held still at the nut, then the strumming hand held still
+ *      over the bridge. The line between them gives the guitar plane angle, and its
+ *      length the reach of the neck for fret positions.
+ *   3. Strumming: a few strums at the player's natural size and speed set how far a
+ *      stroke must travel and how fast it must be to strum, and at what speed it plays
+ *      at full intensity.
+ *
+ * The wizard is fed tracked hands frame by frame and works in the mirrored view: the
+ * strumming hand is on the left of the frame and the fretting hand on the right.
+ */
+
+const STORAGE_KEY = 'air-guitar-4d.calibration';
+const PROFILE_VERSION = 1;
+
+const STEPS = [
+    {
+        id: 'hand_size',
+        number: 1,
+        title: 'Hand size',
+        instruction: 'Hold both hands up, open, with your palms to the camera'
+    },
+    {
+        id: 'nut',
+        number: 2,
+        title: 'Neck: the nut',
+        instruction: 'Hold your fretting hand still where the nut of your guitar would be'
+    },
+    {
+        id: 'bridge',
+        number: 2,
+        title: 'Neck: the bridge',
+        instruction: 'Now hold your strumming hand still over the bridge'
+    },
+    {
+        id: 'strum',
+        number: 3,
+        title: 'Strumming',
+        instruction: 'Strum up and down as you normally would'
+    }
+];
+const STEP_COUNT = 3;
+
+const MIN_PLANE_ANGLE = 35; // Degrees, as HandTracking.setGuitarPlaneAngle clamps
+const MAX_PLANE_ANGLE = 90;
+const MIN_STROKES = 6; // Strokes needed to measure strumming
+const MIN_STROKE_SPEED = 0.05; // Frame heights per second; slower movement isn't a stroke
+const MIN_STRUM_SPEED_FLOOR = 0.1;
+
+export class CalibrationWizard {
+    /**
+     * @param {Object} options - Wizard options
+     * @param {Storage|null} options.storage - Where the profile persists (defaults to
+     *                                         localStorage)
+     * @param {number} options.handSizeTime - Milliseconds of both hands in view to measure
+     * @param {number} options.holdTime - Milliseconds a hand must be held still to mark
+     *                                    the nut or bridge
+     * @param {number} options.strumTime - Milliseconds of strumming to record
+     */
+    constructor({
+        storage = typeof localStorage !== 'undefined' ? localStorage : null,
+        handSizeTime = 2000,
+        holdTime = 1500,
+        strumTime = 5000
+    } = {}) {
+        this.storage = storage;
+        this.handSizeTime = handSizeTime;
+        this.holdTime = holdTime;
+        this.strumTime = strumTime;
+
+        this.stepIndex = -1; // Index into STEPS, or -1 when not calibrating
+        this.lastFrameTime = null;
+        this.message = null; // Why a step had to start again, if it did
+        this.resetMeasurements();
+    }
+
+    /**
+     * Clear everything measured so far
+     */
+    resetMeasurements() {
+        this.handSizes = { left: [], right: [] }; // Per-frame sizes in frame heights
+        this.handSizeElapsed = 0; // Milliseconds both hands have been in view
+        this.holdSamples = []; // { time, x, y } of the held wrist (pixels)
+        this.strumSamples = []; // { time, position } of the fingertip along the strum axis
+        this.measured = {};
+    }
+
+    /**
+     * Start calibrating from the first step
+     */
+    start() {
+        this.stepIndex = 0;
+        this.lastFrameTime = null;
+        this.message = null;
+        this.resetMeasurements();
+    }
+
+    /**
+     * Stop calibrating, keeping the profile that was in use
+     */
+    cancel() {
+        this.stepIndex = -1;
+    }
+
+    /**
+     * Check whether calibration is in progress
+     * @returns {boolean} True between start() and the last step or cancel()
+     */
+    isActive() {
+        return this.stepIndex >= 0;
+    }
+
+    /**
+     * Get the current step, for the overlay
+     * @returns {Object|null} { id, number, count, title, instruction, progress (0-1),
+     *                        message }, or null when not calibrating
+     */
+    getStatus() {
+        if (!this.isActive()) return null;
+        return {
+            ...STEPS[this.stepIndex],
+            count: STEP_COUNT,
+            progress: this.getProgress(),
+            message: this.message
+        };
+    }
+
+    /**
+     * Feed a frame of tracked hands to the current step
+     * @param {Object} handData - { left, right } hands in the mirrored view
+     * @param {Object} frameSize - { width, height } of the frame in pixels
+     * @param {number} time - Frame time (ms)
+     * @returns {Object|null} The finished profile once the last step completes, else null
+     */
+    update(handData, frameSize, time) {
+        if (!this.isActive() || !handData) return null;
+
+        const elapsed = this.lastFrameTime === null ? 0 : time - this.lastFrameTime;
+        this.lastFrameTime = time;
+
+        const { id } = STEPS[this.stepIndex];
+        if (id === 'hand_size') {
+            this.measureHandSize(handData, frameSize, elapsed);
+        } else if (id === 'nut' || id === 'bridge') {
+            this.markNeckEnd(id, handData, frameSize, time);
+        } else {
+            this.recordStrum(handData, frameSize, time);
+        }
+
+        if (this.getProgress() < 1) return null;
+        return this.nextStep(frameSize);
+    }
+
+    /**
+     * Measure both hands' size while they are in view
+     * @param {Object} handData - { left, right } hands
+     * @param {Object} frameSize - { width, height } in pixels
+     * @param {number} elapsed - Milliseconds since the previous frame
+     */
+    measureHandSize(handData, frameSize, elapsed) {
+        if (!handData.left || !handData.right) return;
+
+        ['left', 'right'].forEach((side) => {
+            const points = handData[side].keypoints;
+            this.handSizes[side].push(
+                Math.hypot(points[9].x - points[0].x, points[9].y - points[0].y)
+                / frameSize.height
+            );
+        });
+        this.handSizeElapsed += elapsed;
+    }
+
+    /**
+     * Follow the wrist that marks the nut (fretting hand) or bridge (strumming hand),
+     * starting over whenever it moves
+     * @param {string} end - 'nut' or 'bridge'
+     * @param {Object} handData - { left, right } hands
+     * @param {Object} frameSize - { width, height } in pixels
+     * @param {number} time - Frame time (ms)
+     */
+    markNeckEnd(end, handData, frameSize, time) {
+        const hand = end === 'nut' ? handData.right : handData.left;
+        if (!hand) {
+            this.holdSamples = [];
+            return;
+        }
+
+        const wrist = hand.keypoints[0];
+        const tolerance = this.getHoldTolerance() * frameSize.height;
+        const [first] = this.holdSamples;
+        if (first && Math.hypot(wrist.x - first.x, wrist.y - first.y) > tolerance) {
+            this.holdSamples = [];
+        }
+        this.holdSamples.push({ time, x: wrist.x, y: wrist.y });
+    }
+
+    /**
+     * Record the strumming fingertip along the axis across the strings
+     * @param {Object} handData - { left, right } hands
+     * @param {Object} frameSize - { width, height } in pixels
+     * @param {number} time - Frame time (ms)
+     */
+    recordStrum(handData, frameSize, time) {
+        if (!handData.left) return;
+
+        const tip = handData.left.keypoints[8];
+        this.strumSamples.push({
+            time,
+            position: CalibrationWizard.getStrumPosition(
+                tip,
+                this.measured.guitarPlaneAngle,
+                frameSize.height
+            )
+        });
+    }
+
+    /**
+     * Get how far through the current step the player is
+     * @returns {number} 0-1
+     */
+    getProgress() {
+        if (!this.isActive()) return 0;
+
+        const { id } = STEPS[this.stepIndex];
+        if (id === 'hand_size') {
+            return Math.min(1, this.handSizeElapsed / this.handSizeTime);
+        }
+        if (id === 'nut' || id === 'bridge') {
+            if (this.holdSamples.length < 2) return 0;
+            const held = this.holdSamples[this.holdSamples.length - 1].time
+                - this.holdSamples[0].time;
+            return Math.min(1, held / this.holdTime);
+        }
+
+        const recorded = this.strumSamples.length > 1
+            ? this.strumSamples[this.strumSamples.length - 1].time - this.strumSamples[0].time
+            : 0;
+        const strokes = CalibrationWizard.findStrokes(this.strumSamples).length;
+        return Math.min(recorded / this.strumTime, strokes / MIN_STROKES, 1);
+    }
+
+    /**
+     * Take the measurement of the completed step and move on
+     * @param {Object} frameSize - { width, height } in pixels
+     * @returns {Object|null} The profile if that was the last step, else null
+     */
+    nextStep(frameSize) {
+        const { id } = STEPS[this.stepIndex];
+        this.message = null;
+
+        if (id === 'hand_size') {
+            this.measured.handSize = (CalibrationWizard.median(this.handSizes.left)
+                + CalibrationWizard.median(this.handSizes.right)) / 2;
+        } else if (id === 'nut' || id === 'bridge') {
+            const count = this.holdSamples.length;
+            this.measured[id] = {
+                x: this.holdSamples.reduce((sum, { x }) => sum + x, 0) / count / frameSize.width,
+                y: this.holdSamples.reduce((sum, { y }) => sum + y, 0) / count / frameSize.height
+            };
+            this.holdSamples = [];
+            if (id === 'bridge' && !this.measureNeck(frameSize)) {
+                // The ends were marked the wrong way round: mark the nut again
+                this.stepIndex -= 1;
+                return null;
+            }
+        } else {
+            this.measureStrumming();
+        }
+
+        this.stepIndex += 1;
+        if (this.stepIndex < STEPS.length) return null;
+
+        this.stepIndex = -1;
+        return this.createProfile();
+    }
+
+    /**
+     * Work out the guitar plane angle and neck length from the marked nut and bridge
+     * In the mirrored view the neck runs from the bridge on the left up to the nut on the
+     * right; a level neck is 90 degrees and one rising at 45 degrees is 45.
+     * @param {Object} frameSize - { width, height } in pixels
+     * @returns {boolean} False if the nut wasn't to the right of the bridge
+     */
+    measureNeck(frameSize) {
+        const { nut, bridge } = this.measured;
+        const dx = (nut.x - bridge.x) * frameSize.width;
+        const dy = (nut.y - bridge.y) * frameSize.height;
+        if (dx <= 0) {
+            this.message = 'The nut should be on your fretting hand side, away from the bridge';
+            return false;
+        }
+
+        const rise = Math.atan2(-dy, dx) * (180 / Math.PI);
+        this.measured.guitarPlaneAngle = Math.round(
+            Math.max(MIN_PLANE_ANGLE, Math.min(MAX_PLANE_ANGLE, 90 - rise))
+        );
+        this.measured.neckLength = Math.hypot(dx, dy) / frameSize.height;
+        return true;
+    }
+
+    /**
+     * Work out the comfortable stroke length and speed from the recorded strumming
+     * Strums at the player's usual speed play at about 60% intensity, leaving room to dig
+     * in; strums under a quarter of it don't sound.
+     */
+    measureStrumming() {
+        const strokes = CalibrationWizard.findStrokes(this.strumSamples);
+        const speed = CalibrationWizard.median(strokes.map(({ peakSpeed }) => peakSpeed));
+
+        this.measured.strumAmplitude = CalibrationWizard.median(
+            strokes.map(({ length }) => length)
+        );
+        this.measured.minStrumSpeed = Math.max(MIN_STRUM_SPEED_FLOOR, speed * 0.25);
+        this.measured.fullStrumSpeed = Math.max(this.measured.minStrumSpeed * 2, speed * 1.5);
+    }
+
+    /**
+     * Get the profile measured by the completed steps
+     * @returns {Object} { version, handSize, nut, bridge, guitarPlaneAngle, neckLength,
+     *                   strumAmplitude, minStrumSpeed, fullStrumSpeed } with lengths in
+     *                   frame heights, speeds in frame heights per second and the nut
+     *                   and bridge as fractions of the frame
+     */
+    createProfile() {
+        const round = (value) => Math.round(value * 10000) / 10000;
+        const { nut, bridge } = this.measured;
+        return {
+            version: PROFILE_VERSION,
+            handSize: round(this.measured.handSize),
+            nut: { x: round(nut.x), y: round(nut.y) },
+            bridge: { x: round(bridge.x), y: round(bridge.y) },
+            guitarPlaneAngle: this.measured.guitarPlaneAngle,
+            neckLength: round(this.measured.neckLength),
+            strumAmplitude: round(this.measured.strumAmplitude),
+            minStrumSpeed: round(this.measured.minStrumSpeed),
+            fullStrumSpeed: round(this.measured.fullStrumSpeed)
+        };
+    }
+
+    /**
+     * Get how far a wrist may wander while held still, scaled to the hand's size
+     * @returns {number} Frame heights
+     */
+    getHoldTolerance() {
+        return (this.measured.handSize || 0.2) * 0.25;
+    }
+
+    /**
+     * Save a profile to be applied on the next launch
+     * @param {Object} profile - Profile from the wizard
+     * @returns {boolean} True if it was saved
+     */
+    saveProfile(profile) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(profile));
+            return true;
+        } catch (error) {
+            console.error('Failed to save calibration:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Restore the profile saved by saveProfile()
+     * @returns {Object|null} The profile, or null if there is none (or it is unreadable)
+     */
+    loadProfile() {
+        if (!this.storage) return null;
+
+        const saved = this.storage.getItem(STORAGE_KEY);
+        if (!saved) return null;
+
+        try {
+            const profile = JSON.parse(saved);
+            if (!profile || profile.version !== PROFILE_VERSION) {
+                throw new Error(`Unsupported calibration version: ${profile && profile.version}`);
+            }
+            return profile;
+        } catch (error) {
+            console.error('Failed to load calibration:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Forget the saved profile
+     */
+    clearProfile() {
+        if (this.storage) {
+            this.storage.removeItem(STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Split a fingertip track into strokes between changes of direction
+     * @param {Array} samples - { time, position } along the strum axis, in time order
+     * @returns {Array} { length, peakSpeed } of each stroke, in frame heights and frame
+     *                  heights per second
+     */
+    static findStrokes(samples) {
+        const strokes = [];
+        let stroke = null;
+
+        for (let i = 1; i < samples.length; i += 1) {
+            const elapsed = (samples[i].time - samples[i - 1].time) / 1000;
+            const velocity = elapsed > 0
+                ? (samples[i].position - samples[i - 1].position) / elapsed
+                : 0;
+            const direction = Math.sign(velocity);
+
+            if (Math.abs(velocity) >= MIN_STROKE_SPEED) {
+                if (!stroke || direction !== stroke.direction) {
+                    if (stroke) {
+                        strokes.push(stroke);
+                    }
+                    stroke = {
+                        direction, start: samples[i - 1].position, end: 0, peakSpeed: 0
+                    };
+                }
+                stroke.end = samples[i].position;
+                stroke.peakSpeed = Math.max(stroke.peakSpeed, Math.abs(velocity));
+            }
+        }
+        if (stroke) {
+            strokes.push(stroke);
+        }
+
+        return strokes.map(({ start, end, peakSpeed }) => ({
+            length: Math.abs(end - start),
+            peakSpeed
+        }));
+    }
+
+    /**
+     * Project a point onto the axis across the strings, as MotionAnalysis does
+     * @param {Object} point - { x, y } in pixels
+     * @param {number} guitarPlaneAngle - Degrees
+     * @param {number} height - Frame height in pixels
+     * @returns {number} Frame heights
+     */
+    static getStrumPosition(point, guitarPlaneAngle, height) {
+        const tilt = ((90 - guitarPlaneAngle) * Math.PI) / 180;
+        return (point.x * Math.sin(tilt) + point.y * Math.cos(tilt)) / height;
+    }
+
+    /**
+     * Get the median of a list of numbers
+     * @param {number[]} values - Numbers
+     * @returns {number} Median, or 0 for an empty list
+     */
+    static median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1
+            ? sorted[middle]
+            : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
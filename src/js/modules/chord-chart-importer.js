@@ -0,0 +1,285 @@
+/**
+ * Chord Chart Importer Module
+ *
+ * Turns text chord charts into songs to play along with. Two formats are read:
+ *   - ChordPro: directives such as {title: ...}, {tempo: 96}, {time: 3/4} and
+ *     {start_of_chorus}...{end_of_chorus}, with chords inline in the lyrics as [Am]
+ *   - Chords over lyrics, as on Ultimate Guitar: lines of chords above lines of words,
+ *     with section headers like [Verse 1] and the site's [ch]...[/ch] markup
+ *
+ * Text charts don't say when chords fall, so each chord lasts a bar. In lines of chords
+ * split into bars ("| G D | Em |"), the chords of a bar share it evenly, and a trailing
+ * "x2" repeats the line. Chord names are converted to the symbols the sound engine
+ * knows ('A minor' -> 'Am', 'Bbmaj7' stays as is); names that can't be read as chords
+ * are reported with their line and left out.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+import { SongChart } from './song-chart.js';
+
+const DEFAULT_BPM = 100;
+const DEFAULT_STRUM_EVERY = 2; // Beats between the strums charted for each chord
+
+// ChordPro section directives (long and short forms) -> default section name
+const CHORDPRO_SECTIONS = {
+    start_of_verse: 'Verse',
+    sov: 'Verse',
+    start_of_chorus: 'Chorus',
+    soc: 'Chorus',
+    start_of_bridge: 'Bridge',
+    sob: 'Bridge',
+    start_of_tab: 'Tab',
+    sot: 'Tab'
+};
+const CHORDPRO_SECTION_ENDS = [
+    'end_of_verse', 'eov', 'end_of_chorus', 'eoc', 'end_of_bridge', 'eob', 'end_of_tab', 'eot'
+];
+
+// Tokens in chord lines that aren't chords: bar lines, rests and "no chord"
+const NON_CHORD_TOKENS = ['|', '||', '/', '-', '%', 'N.C.', 'NC', 'N.C', 'n.c.'];
+const REPEAT_PATTERN = /^\(?(?:x(\d+)|(\d+)x)\)?$/i;
+
+export class ChordChartImporter {
+    /**
+     * Import a text chord chart
+     * @param {string} text - ChordPro or chords-over-lyrics text
+     * @param {Object} options - Import options
+     * @param {string} options.title - Title if the chart doesn't give one
+     * @param {number} options.bpm - Tempo if the chart doesn't give one
+     * @param {number} options.beatsPerBar - Beats in a bar if the chart doesn't say
+     * @param {number} options.strumEvery - Beats between strums while a chord lasts
+     * @returns {Object} { chart, chords, unknownChords, format }: the song (a SongChart),
+     *                   the timed chord sequence ({ beat, beats, chord, section }), chord
+     *                   names that couldn't be read ({ symbol, line }) and 'chordpro' or
+     *                   'text'
+     */
+    static import(text, {
+        title = 'Imported song',
+        bpm = DEFAULT_BPM,
+        beatsPerBar = 4,
+        strumEvery = DEFAULT_STRUM_EVERY
+    } = {}) {
+        const lines = ChordChartImporter.stripMarkup(text).split(/\r?\n/);
+        const format = ChordChartImporter.isChordPro(lines) ? 'chordpro' : 'text';
+        let song = {
+            title, bpm, beatsPerBar, beatUnit: 4
+        };
+        const unknownChords = [];
+        const sections = [];
+        let section = null;
+
+        const startSection = (name) => {
+            section = { name, bars: [] };
+            sections.push(section);
+        };
+        const addBars = (bars) => {
+            if (bars.length === 0) return;
+            if (!section) {
+                startSection(format === 'chordpro' ? 'Verse' : 'Intro');
+            }
+            section.bars.push(...bars);
+        };
+        const readChord = (symbol, lineNumber) => {
+            const chord = ChordChartImporter.toSymbol(symbol);
+            if (!chord) {
+                unknownChords.push({ symbol, line: lineNumber });
+            }
+            return chord;
+        };
+
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const lineNumber = index + 1;
+            if (!line || line.startsWith('#')) return;
+
+            const directive = line.match(/^\{\s*([\w-]+)\s*(?::\s*(.*?))?\s*\}$/);
+            if (directive) {
+                const name = directive[1].toLowerCase();
+                const value = directive[2] || '';
+                if (CHORDPRO_SECTIONS[name]) {
+                    startSection(value || CHORDPRO_SECTIONS[name]);
+                } else if (CHORDPRO_SECTION_ENDS.includes(name)) {
+                    section = null;
+                } else {
+                    song = ChordChartImporter.applyDirective(song, name, value);
+                }
+                return;
+            }
+
+            // A bracketed name on its own line that isn't a chord heads a section
+            const header = line.match(/^\[([^\]]+)\]:?$/);
+            if (header && !ChordChartImporter.toSymbol(header[1])) {
+                startSection(header[1].trim());
+                return;
+            }
+
+            if (format === 'chordpro') {
+                const inline = [...line.matchAll(/\[([^\]]+)\]/g)].map((match) => match[1]);
+                const chords = inline
+                    .map((symbol) => readChord(symbol.trim(), lineNumber))
+                    .filter(Boolean);
+                addBars(chords.map((chord) => [chord]));
+                return;
+            }
+
+            // Chords over lyrics: only lines of chords count, the words are skipped
+            const tokens = line.split(/\s+/);
+            if (ChordChartImporter.isChordLine(tokens)) {
+                const read = (symbol) => readChord(symbol, lineNumber);
+                addBars(ChordChartImporter.readBars(tokens, read));
+            }
+        });
+
+        // Lay the bars end to end, each chord lasting its share of its bar and strummed
+        // every few beats while it lasts
+        const chords = [];
+        const chartSections = [];
+        let beat = 0;
+        sections.filter(({ bars }) => bars.length > 0).forEach(({ name, bars }) => {
+            const chartSection = { name, chords: [] };
+            chartSections.push(chartSection);
+
+            bars.forEach((bar) => {
+                const beats = song.beatsPerBar / bar.length;
+                const strums = Math.max(1, Math.round(beats / strumEvery));
+                bar.forEach((chord) => {
+                    chords.push({
+                        beat, beats, chord, section: name
+                    });
+                    for (let i = 0; i < strums; i += 1) {
+                        chartSection.chords.push({ beat: beat + (i * beats) / strums, chord });
+                    }
+                    beat += beats;
+                });
+            });
+        });
+
+        return {
+            chart: new SongChart({ ...song, sections: chartSections }),
+            chords,
+            unknownChords,
+            format
+        };
+    }
+
+    /**
+     * Apply a ChordPro metadata directive to the song
+     * Directives other than title, tempo and time (artist, key, comments...) are ignored.
+     * @param {Object} song - Song being imported
+     * @param {string} name - Directive name, lower case
+     * @param {string} value - Directive value
+     * @returns {Object} The song with the directive applied
+     */
+    static applyDirective(song, name, value) {
+        if ((name === 'title' || name === 't') && value) {
+            return { ...song, title: value };
+        }
+        if (name === 'tempo' && parseFloat(value) > 0) {
+            return { ...song, bpm: parseFloat(value) };
+        }
+        const time = name === 'time' && value.match(/^(\d+)\s*\/\s*(\d+)$/);
+        if (time) {
+            return {
+                ...song,
+                beatsPerBar: parseInt(time[1], 10),
+                beatUnit: parseInt(time[2], 10)
+            };
+        }
+        return song;
+    }
+
+    /**
+     * Check whether a line of tokens is a line of chords rather than words
+     * More than half the tokens, leaving out bar lines and repeats, must read as chords:
+     * "A Bad Day" stays lyrics, while "C G7 Xyz" is chords with one unknown.
+     * @param {string[]} tokens - Whitespace-separated tokens of the line
+     * @returns {boolean} True for a line of chords
+     */
+    static isChordLine(tokens) {
+        const candidates = tokens.filter((token) => (
+            !NON_CHORD_TOKENS.includes(token) && !REPEAT_PATTERN.test(token)
+        ));
+        if (candidates.length === 0) return false;
+
+        const symbols = candidates.flatMap((token) => token.split('|').filter(Boolean));
+        const readable = symbols.filter((symbol) => ChordChartImporter.toSymbol(symbol));
+        return readable.length * 2 > symbols.length;
+    }
+
+    /**
+     * Read the bars of a line of chords
+     * @param {string[]} tokens - Whitespace-separated tokens of the line
+     * @param {Function} readChord - Converts a chord name to a symbol, or null
+     * @returns {Array} Bars, each a list of chord symbols
+     */
+    static readBars(tokens, readChord) {
+        const hasBarLines = tokens.some((token) => token.includes('|'));
+        const bars = [];
+        let bar = [];
+        let repeats = 1;
+
+        const endBar = () => {
+            if (bar.length > 0) {
+                bars.push(bar);
+            }
+            bar = [];
+        };
+
+        tokens.flatMap((token) => token.split(/(\|+)/).filter(Boolean)).forEach((token) => {
+            const repeat = token.match(REPEAT_PATTERN);
+            if (repeat) {
+                repeats = parseInt(repeat[1] || repeat[2], 10);
+            } else if (token.startsWith('|')) {
+                endBar();
+            } else if (!NON_CHORD_TOKENS.includes(token)) {
+                const chord = readChord(token);
+                if (chord) {
+                    bar.push(chord);
+                }
+                // Without bar lines, each chord has a bar of its own
+                if (!hasBarLines) {
+                    endBar();
+                }
+            }
+        });
+        endBar();
+
+        return Array.from({ length: repeats }, () => bars).flat();
+    }
+
+    /**
+     * Convert a chord name to the symbol the sound engine plays
+     * @param {string} name - Chord name as written, e.g. 'Amin', 'Bbmaj7', 'D/F#', 'Am(add9)'
+     * @returns {string|null} Library symbol where there is one, otherwise the parsed symbol,
+     *                        or null if the name isn't a chord
+     */
+    static toSymbol(name) {
+        const cleaned = name.trim().replace(/[()]/g, '');
+        const known = ChordLibrary.normalizeSymbol(cleaned);
+        if (known) return known;
+
+        const parsed = ChordLibrary.parseSymbol(cleaned);
+        return parsed ? parsed.symbol : null;
+    }
+
+    /**
+     * Check whether a chart is ChordPro: it has directives or chords inline in words
+     * @param {string[]} lines - Lines of the chart
+     * @returns {boolean} True for ChordPro
+     */
+    static isChordPro(lines) {
+        return lines.some((line) => (
+            /^\s*\{[\w-]+(\s*:.*)?\}\s*$/.test(line)
+            || /\[[A-G][^\]]*\][^\s[]/.test(line)
+        ));
+    }
+
+    /**
+     * Remove Ultimate Guitar markup, keeping what it wraps
+     * @param {string} text - Chart text
+     * @returns {string} Text without [ch], [tab] and their closing tags
+     */
+    static stripMarkup(text) {
+        return text.replace(/\[\/?(?:ch|tab)\]/g, '');
+    }
+}
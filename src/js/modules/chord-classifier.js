@@ -0,0 +1,378 @@
+/**
+ * Chord Classifier Module
+ *
+ * Classifies the fretting hand's 21 landmarks into a canonical chord symbol.
+ * Landmarks are normalized for hand size and rotated into the guitar plane,
+ * then compared against one Gaussian prototype per chord. The built-in
+ * prototypes come from the standard fingering of each chord and can be
+ * retrained from recorded landmark samples.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+
+// Landmark indices used by the feature extractor
+const WRIST = 0;
+const THUMB = [1, 2, 3, 4];
+const FINGERS = [
+    [5, 6, 7, 8], // index
+    [9, 10, 11, 12], // middle
+    [13, 14, 15, 16], // ring
+    [17, 18, 19, 20] // pinky
+];
+
+const FEATURE_NAMES = [
+    'index.curl', 'index.along', 'index.across',
+    'middle.curl', 'middle.along', 'middle.across',
+    'ring.curl', 'ring.along', 'ring.across',
+    'pinky.curl', 'pinky.along', 'pinky.across',
+    'thumb.curl'
+];
+
+// Spread of each feature kind for untrained prototypes, in normalized units
+const DEFAULT_SPREAD = { curl: 0.15, along: 0.14, across: 0.1 };
+
+// Geometry of the built-in prototypes, in hand-size units
+const FRET_WIDTH = 0.28;
+const STRING_SPACING = 0.14;
+const PRESSED_CURL = 0.45;
+const BARRE_CURL = 0.1;
+const RELAXED_CURL = 0.1;
+const RELAXED_ACROSS = -0.6; // Relaxed fingers stay extended, short of the strings
+
+// Fretting of each chord as [finger, string, fret]; finger 0 = index, string 0 = low E.
+// A string of 'barre' means the finger lies flat across all strings.
+const DEFAULT_FINGERINGS = {
+    'E': [[0, 3, 1], [1, 1, 2], [2, 2, 2]],
+    'Em': [[1, 1, 2], [2, 2, 2]],
+    'A': [[0, 2, 2], [1, 3, 2], [2, 4, 2]],
+    'Am': [[0, 4, 1], [1, 2, 2], [2, 3, 2]],
+    'D': [[0, 3, 2], [1, 5, 2], [2, 4, 3]],
+    'Dm': [[0, 5, 1], [1, 3, 2], [2, 4, 3]],
+    'G': [[0, 1, 2], [1, 0, 3], [2, 5, 3]],
+    'Gm': [[0, 'barre', 3], [2, 1, 5], [3, 2, 5]],
+    'C': [[0, 4, 1], [1, 2, 2], [2, 1, 3]],
+    'Cm': [[0, 'barre', 3], [1, 4, 4], [2, 2, 5], [3, 3, 5]],
+    'E7': [[0, 3, 1], [1, 1, 2]],
+    'A7': [[0, 2, 2], [2, 4, 2]],
+    'D7': [[0, 4, 1], [1, 3, 2], [2, 5, 2]],
+    'G7': [[0, 5, 1], [1, 1, 2], [2, 0, 3]],
+    'C7': [[0, 4, 1], [1, 2, 2], [2, 1, 3], [3, 3, 3]],
+    'B7': [[0, 2, 1], [1, 1, 2], [2, 3, 2], [3, 5, 2]],
+    'Esus4': [[1, 1, 2], [2, 2, 2], [3, 3, 2]],
+    'Asus2': [[0, 2, 2], [1, 3, 2]],
+    'Asus4': [[0, 2, 2], [1, 3, 2], [2, 4, 3]],
+    'Dsus2': [[0, 3, 2], [2, 4, 3]],
+    'Dsus4': [[0, 3, 2], [2, 4, 3], [3, 5, 3]]
+};
+
+// Bump when the feature layout changes so stale trained models are rejected
+const MODEL_VERSION = 1;
+
+export class ChordClassifier {
+    /**
+     * @param {Object} options - Classifier options
+     * @param {number} options.minConfidence - Below this probability the chord is 'Unknown'
+     * @param {number} options.maxDistance - Mean squared z-score above which a pose
+     *                                       matches no chord at all
+     */
+    constructor({ minConfidence = 0.35, maxDistance = 9 } = {}) {
+        this.minConfidence = minConfidence;
+        this.maxDistance = maxDistance;
+        this.prototypes = {};
+
+        this.loadDefaults();
+    }
+
+    /**
+     * Replace all prototypes with the built-in fingering-based ones
+     */
+    loadDefaults() {
+        this.prototypes = {};
+
+        Object.entries(DEFAULT_FINGERINGS).forEach(([symbol, fingering]) => {
+            this.prototypes[symbol] = {
+                mean: ChordClassifier.featuresFromFingering(fingering),
+                std: FEATURE_NAMES.map((name) => DEFAULT_SPREAD[name.split('.')[1]]),
+                count: 0
+            };
+        });
+    }
+
+    /**
+     * Get the chord symbols this classifier can recognise
+     * @returns {string[]} Chord symbols
+     */
+    getSymbols() {
+        return Object.keys(this.prototypes);
+    }
+
+    /**
+     * Extract the normalized feature vector for a hand
+     * @param {Object} hand - Hand with 2D `keypoints` and optional metric `keypoints3D`
+     * @param {number} guitarPlaneAngle - Guitar plane angle in degrees (90 = vertical neck)
+     * @returns {number[]|null} Feature vector, or null if the hand is incomplete
+     */
+    extractFeatures(hand, guitarPlaneAngle = 90) {
+        if (!hand || !hand.keypoints || hand.keypoints.length < 21) return null;
+
+        const points = hand.keypoints;
+        const points3D = hand.keypoints3D && hand.keypoints3D.length >= 21
+            ? hand.keypoints3D
+            : null;
+
+        // Hand size: wrist to middle knuckle, so features don't depend on distance to camera
+        const handSize = Math.hypot(
+            points[FINGERS[1][0]].x - points[WRIST].x,
+            points[FINGERS[1][0]].y - points[WRIST].y
+        );
+        if (!handSize) return null;
+
+        // Rotate into the guitar plane: the neck runs along the x axis afterwards
+        const internalAngle = ((guitarPlaneAngle - 90) * Math.PI) / 180;
+        const cos = Math.cos(-internalAngle);
+        const sin = Math.sin(-internalAngle);
+        const origin = points[FINGERS[0][0]];
+        const toGuitarPlane = (point) => {
+            const dx = (point.x - origin.x) / handSize;
+            const dy = (point.y - origin.y) / handSize;
+            return { along: dx * cos - dy * sin, across: dx * sin + dy * cos };
+        };
+
+        const curlSource = points3D || points;
+        const features = [];
+
+        FINGERS.forEach((finger) => {
+            const tip = toGuitarPlane(points[finger[3]]);
+            features.push(
+                ChordClassifier.calculateCurl(finger.map((index) => curlSource[index])),
+                tip.along,
+                tip.across
+            );
+        });
+        features.push(ChordClassifier.calculateCurl(THUMB.map((index) => curlSource[index])));
+
+        return features;
+    }
+
+    /**
+     * Classify a fretting hand
+     * @param {Object} hand - Hand with 2D `keypoints` and optional metric `keypoints3D`
+     * @param {number} guitarPlaneAngle - Guitar plane angle in degrees
+     * @returns {Object} { name, confidence, scores } where scores maps every symbol
+     *                   to its probability; name is 'Unknown' when nothing matches
+     */
+    classify(hand, guitarPlaneAngle = 90) {
+        const features = this.extractFeatures(hand, guitarPlaneAngle);
+        const symbols = this.getSymbols();
+
+        if (!features || symbols.length === 0) {
+            return { name: 'Unknown', confidence: 0, scores: {} };
+        }
+
+        // Diagonal Gaussian log-likelihood per class
+        const distances = symbols.map((symbol) => {
+            const { mean, std } = this.prototypes[symbol];
+            const sum = features.reduce((total, value, i) => {
+                const z = (value - mean[i]) / std[i];
+                return total + z * z;
+            }, 0);
+            return sum / features.length;
+        });
+
+        // Softmax over log-likelihoods (shifted by the best one for numerical stability)
+        const logLikelihoods = symbols.map((symbol, i) => {
+            const logSpread = this.prototypes[symbol].std
+                .reduce((sum, std) => sum + Math.log(std), 0);
+            return -0.5 * distances[i] * features.length - logSpread;
+        });
+        const best = Math.max(...logLikelihoods);
+        const weights = logLikelihoods.map((value) => Math.exp(value - best));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        const scores = {};
+        let bestSymbol = null;
+        let bestScore = -1;
+        let bestDistance = Infinity;
+
+        symbols.forEach((symbol, i) => {
+            scores[symbol] = weights[i] / total;
+            if (scores[symbol] > bestScore) {
+                bestScore = scores[symbol];
+                bestSymbol = symbol;
+                bestDistance = distances[i];
+            }
+        });
+
+        if (bestScore < this.minConfidence || bestDistance > this.maxDistance) {
+            return { name: 'Unknown', confidence: bestScore, scores };
+        }
+
+        return { name: bestSymbol, confidence: bestScore, scores };
+    }
+
+    /**
+     * Fit prototypes to recorded landmark samples
+     * Classes present in the samples are re-estimated; the rest keep their current prototype.
+     * With few samples the estimate is shrunk towards the default spread.
+     * @param {Array} samples - [{ label, hand, guitarPlaneAngle }]
+     * @param {Object} options - Training options
+     * @param {boolean} options.replace - Drop classes that have no samples
+     * @returns {Object} Number of samples used per chord symbol
+     */
+    train(samples, { replace = false } = {}) {
+        const grouped = {};
+
+        samples.forEach(({ label, hand, guitarPlaneAngle }) => {
+            const symbol = ChordLibrary.normalizeSymbol(label) || label;
+            const features = this.extractFeatures(hand, guitarPlaneAngle);
+            if (!features) return;
+
+            if (!grouped[symbol]) grouped[symbol] = [];
+            grouped[symbol].push(features);
+        });
+
+        if (replace) {
+            this.prototypes = {};
+        }
+
+        const shrinkage = 2; // Pseudo-samples of prior spread
+        const counts = {};
+
+        Object.entries(grouped).forEach(([symbol, vectors]) => {
+            const count = vectors.length;
+            const mean = FEATURE_NAMES.map((_, i) => (
+                vectors.reduce((sum, vector) => sum + vector[i], 0) / count
+            ));
+            const std = FEATURE_NAMES.map((name, i) => {
+                const prior = DEFAULT_SPREAD[name.split('.')[1]];
+                const squared = vectors
+                    .reduce((sum, vector) => sum + (vector[i] - mean[i]) ** 2, 0);
+                return Math.sqrt((squared + shrinkage * prior * prior) / (count + shrinkage));
+            });
+
+            this.prototypes[symbol] = { mean, std, count };
+            counts[symbol] = count;
+        });
+
+        console.debug('Chord classifier trained:', counts);
+        return counts;
+    }
+
+    /**
+     * Measure accuracy on labelled samples
+     * @param {Array} samples - [{ label, hand, guitarPlaneAngle }]
+     * @returns {Object} { accuracy, confusion } where confusion[expected][predicted] is a count
+     */
+    evaluate(samples) {
+        const confusion = {};
+        let correct = 0;
+
+        samples.forEach(({ label, hand, guitarPlaneAngle }) => {
+            const expected = ChordClassifier.canonicalLabel(label);
+            const predicted = this.classify(hand, guitarPlaneAngle).name;
+
+            if (!confusion[expected]) confusion[expected] = {};
+            confusion[expected][predicted] = (confusion[expected][predicted] || 0) + 1;
+            if (predicted === expected) correct += 1;
+        });
+
+        return {
+            accuracy: samples.length ? correct / samples.length : 0,
+            confusion
+        };
+    }
+
+    /**
+     * Serialize the prototypes so a tuned model can be saved and loaded later
+     * @returns {Object} Plain model object
+     */
+    toJSON() {
+        return {
+            version: MODEL_VERSION,
+            features: FEATURE_NAMES,
+            minConfidence: this.minConfidence,
+            maxDistance: this.maxDistance,
+            prototypes: this.prototypes
+        };
+    }
+
+    /**
+     * Load prototypes from a model produced by toJSON()
+     * @param {Object} model - Serialized model
+     */
+    fromJSON(model) {
+        if (!model || model.version !== MODEL_VERSION) {
+            throw new Error(`Unsupported chord model version: ${model && model.version}`);
+        }
+
+        this.minConfidence = model.minConfidence ?? this.minConfidence;
+        this.maxDistance = model.maxDistance ?? this.maxDistance;
+        this.prototypes = JSON.parse(JSON.stringify(model.prototypes));
+    }
+
+    /**
+     * Get the name of each entry in a feature vector
+     * @returns {string[]} Feature names in vector order
+     */
+    static getFeatureNames() {
+        return [...FEATURE_NAMES];
+    }
+
+    /**
+     * Map a training label onto the canonical symbol where possible
+     * @param {string} label - Chord label
+     * @returns {string} Canonical symbol, or the label unchanged
+     */
+    static canonicalLabel(label) {
+        return ChordLibrary.normalizeSymbol(label) || label;
+    }
+
+    /**
+     * Measure how bent a chain of joints is
+     * @param {Object[]} joints - Points from knuckle to fingertip
+     * @returns {number} 0 for a straight finger up to 1 for a tightly curled one
+     */
+    static calculateCurl(joints) {
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+
+        let pathLength = 0;
+        for (let i = 1; i < joints.length; i += 1) {
+            pathLength += distance(joints[i - 1], joints[i]);
+        }
+        if (!pathLength) return 0;
+
+        const straightness = distance(joints[0], joints[joints.length - 1]) / pathLength;
+        return Math.min(1, Math.max(0, (1 - straightness) / 0.7));
+    }
+
+    /**
+     * Build the expected feature vector for a chord fingering
+     * @param {Array} fingering - [[finger, string, fret], ...]
+     * @returns {number[]} Feature vector
+     */
+    static featuresFromFingering(fingering) {
+        const features = [];
+        const hasBarre = fingering.some(([, string]) => string === 'barre');
+
+        for (let finger = 0; finger < FINGERS.length; finger += 1) {
+            const placement = fingering.find(([placedFinger]) => placedFinger === finger);
+
+            if (!placement) {
+                // Relaxed finger hovering at its natural spot over the neck
+                features.push(RELAXED_CURL, finger * FRET_WIDTH, RELAXED_ACROSS);
+            } else if (placement[1] === 'barre') {
+                features.push(BARRE_CURL, (placement[2] - 1) * FRET_WIDTH, 0);
+            } else {
+                const [, string, fret] = placement;
+                features.push(
+                    PRESSED_CURL,
+                    (fret - 1) * FRET_WIDTH,
+                    (string - 2.5) * STRING_SPACING
+                );
+            }
+        }
+
+        features.push(hasBarre ? BARRE_CURL : RELAXED_CURL);
+        return features;
+    }
+}
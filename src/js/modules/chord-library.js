@@ -0,0 +1,322 @@
+/**
+ * Chord Library Module
+ *
+ * The canonical chord vocabulary shared by chord detection and the sound engine.
+ * Chord symbols ('C', 'Em', 'G7', 'Dsus4') are the keys used everywhere a chord
+ * is named, so detected chords always resolve to a playable voicing.
+ */
+
+// Voicings for standard tuning, lowest string first
+const CHORD_VOICINGS = {
+    'E': ['E2', 'B2', 'E3', 'G#3', 'B3', 'E4'],
+    'Em': ['E2', 'B2', 'E3', 'G3', 'B3', 'E4'],
+    'A': ['A2', 'E3', 'A3', 'C#4', 'E4', 'A4'],
+    'Am': ['A2', 'E3', 'A3', 'C4', 'E4', 'A4'],
+    'D': ['D3', 'A3', 'D4', 'F#4', 'A4', 'D5'],
+    'Dm': ['D3', 'A3', 'D4', 'F4', 'A4', 'D5'],
+    'G': ['G2', 'B2', 'D3', 'G3', 'B3', 'G4'],
+    'Gm': ['G2', 'Bb2', 'D3', 'G3', 'Bb3', 'G4'],
+    'C': ['C3', 'E3', 'G3', 'C4', 'E4', 'C5'],
+    'Cm': ['C3', 'Eb3', 'G3', 'C4', 'Eb4', 'C5'],
+    // Dominant sevenths
+    'E7': ['E2', 'B2', 'D3', 'G#3', 'B3', 'E4'],
+    'A7': ['A2', 'E3', 'G3', 'C#4', 'E4'],
+    'D7': ['D3', 'A3', 'C4', 'F#4'],
+    'G7': ['G2', 'B2', 'D3', 'G3', 'B3', 'F4'],
+    'C7': ['C3', 'E3', 'Bb3', 'C4', 'E4'],
+    'B7': ['B2', 'D#3', 'A3', 'B3', 'F#4'],
+    // Suspended chords
+    'Esus4': ['E2', 'B2', 'E3', 'A3', 'B3', 'E4'],
+    'Asus2': ['A2', 'E3', 'A3', 'B3', 'E4'],
+    'Asus4': ['A2', 'E3', 'A3', 'D4', 'E4'],
+    'Dsus2': ['D3', 'A3', 'D4', 'E4'],
+    'Dsus4': ['D3', 'A3', 'D4', 'G4']
+};
+
+// Semitones above C for note names, sharps and flats
+const PITCH_CLASSES = {
+    'C': 0,
+    'C#': 1,
+    'Db': 1,
+    'D': 2,
+    'D#': 3,
+    'Eb': 3,
+    'E': 4,
+    'F': 5,
+    'F#': 6,
+    'Gb': 6,
+    'G': 7,
+    'G#': 8,
+    'Ab': 8,
+    'A': 9,
+    'A#': 10,
+    'Bb': 10,
+    'B': 11
+};
+
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Spellings of chord qualities that map onto the canonical suffixes
+const QUALITY_ALIASES = {
+    '': '',
+    'maj': '',
+    'major': '',
+    'M': '',
+    'm': 'm',
+    'min': 'm',
+    'minor': 'm',
+    '-': 'm',
+    '7': '7',
+    'dom7': '7',
+    'dominant7': '7',
+    'sus': 'sus4',
+    'sus2': 'sus2',
+    'sus4': 'sus4'
+};
+
+// Intervals (semitones above the root) of every chord quality the symbol parser knows
+const CHORD_QUALITIES = {
+    '': [0, 4, 7],
+    'm': [0, 3, 7],
+    '5': [0, 7],
+    '6': [0, 4, 7, 9],
+    'm6': [0, 3, 7, 9],
+    '7': [0, 4, 7, 10],
+    'maj7': [0, 4, 7, 11],
+    'm7': [0, 3, 7, 10],
+    'mMaj7': [0, 3, 7, 11],
+    '9': [0, 4, 7, 10, 14],
+    'maj9': [0, 4, 7, 11, 14],
+    'm9': [0, 3, 7, 10, 14],
+    'add9': [0, 4, 7, 14],
+    'madd9': [0, 3, 7, 14],
+    'sus2': [0, 2, 7],
+    'sus4': [0, 5, 7],
+    '7sus4': [0, 5, 7, 10],
+    'dim': [0, 3, 6],
+    'dim7': [0, 3, 6, 9],
+    'm7b5': [0, 3, 6, 10],
+    'aug': [0, 4, 8],
+    'aug7': [0, 4, 8, 10]
+};
+
+// Other spellings of the parser's qualities
+const PARSED_QUALITY_ALIASES = {
+    'maj': '',
+    'major': '',
+    'M': '',
+    'min': 'm',
+    'minor': 'm',
+    '-': 'm',
+    'M7': 'maj7',
+    'Maj7': 'maj7',
+    'Δ': 'maj7',
+    'Δ7': 'maj7',
+    'min7': 'm7',
+    '-7': 'm7',
+    'dom7': '7',
+    'M9': 'maj9',
+    'add2': 'add9',
+    'sus': 'sus4',
+    'o': 'dim',
+    '°': 'dim',
+    'o7': 'dim7',
+    '°7': 'dim7',
+    'ø': 'm7b5',
+    'ø7': 'm7b5',
+    'min7b5': 'm7b5',
+    '-7b5': 'm7b5',
+    '+': 'aug',
+    '+7': 'aug7',
+    '7#5': 'aug7'
+};
+
+export class ChordLibrary {
+    /**
+     * Get all canonical chord symbols
+     * @returns {string[]} Chord symbols in library order
+     */
+    static getSymbols() {
+        return Object.keys(CHORD_VOICINGS);
+    }
+
+    /**
+     * Get a copy of every hand-written voicing keyed by chord symbol
+     * @returns {Object} Map of chord symbol to note names for standard tuning (lowest
+     *                   string first)
+     */
+    static getVoicings() {
+        return Object.fromEntries(
+            Object.entries(CHORD_VOICINGS).map(([symbol, notes]) => [symbol, [...notes]])
+        );
+    }
+
+    /**
+     * Check whether a chord symbol is part of the canonical vocabulary
+     * @param {string} symbol - Chord symbol
+     * @returns {boolean} True if the symbol is known
+     */
+    static has(symbol) {
+        return Object.prototype.hasOwnProperty.call(CHORD_VOICINGS, symbol);
+    }
+
+    /**
+     * Convert a chord name in any common spelling to its canonical symbol
+     * e.g. 'C Major' -> 'C', 'E Minor' -> 'Em', 'Gdom7' -> 'G7', 'Asus' -> 'Asus4'
+     * @param {string} name - Chord name
+     * @returns {string|null} Canonical symbol, or null if the chord is not in the library
+     */
+    static normalizeSymbol(name) {
+        if (typeof name !== 'string') return null;
+
+        const match = name.trim().match(/^([A-Ga-g])([#b]?)\s*(.*)$/);
+        if (!match) return null;
+
+        const root = match[1].toUpperCase() + match[2];
+        const rawQuality = match[3].replace(/\s+/g, '');
+        const quality = QUALITY_ALIASES[rawQuality] !== undefined
+            ? QUALITY_ALIASES[rawQuality]
+            : QUALITY_ALIASES[rawQuality.toLowerCase()];
+
+        if (quality === undefined) return null;
+
+        const symbol = root + quality;
+        return ChordLibrary.has(symbol) ? symbol : null;
+    }
+
+    /**
+     * Convert a note name to its MIDI note number
+     * @param {string} note - Note in scientific pitch notation, e.g. 'E2', 'F#3', 'Bb4'
+     * @returns {number|null} MIDI note number (C4 = 60), or null if the name isn't a note
+     */
+    static noteToMidi(note) {
+        const match = typeof note === 'string' && note.match(/^([A-G][#b]?)(-?\d)$/);
+        if (!match || PITCH_CLASSES[match[1]] === undefined) return null;
+
+        return (parseInt(match[2], 10) + 1) * 12 + PITCH_CLASSES[match[1]];
+    }
+
+    /**
+     * Convert a MIDI note number to a note name, spelled with sharps
+     * @param {number} midi - MIDI note number
+     * @returns {string} Note name, e.g. 'C#4'
+     */
+    static midiToNote(midi) {
+        return `${SHARP_NAMES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+    }
+
+    /**
+     * Transpose notes by a number of semitones
+     * @param {string[]} notes - Note names
+     * @param {number} semitones - Semitones to move by (negative moves down)
+     * @returns {string[]} Transposed note names, spelled with sharps (copies when not moved)
+     */
+    static transpose(notes, semitones) {
+        if (!semitones) return [...notes];
+
+        return notes.map((note) => {
+            const midi = ChordLibrary.noteToMidi(note);
+            return midi === null ? note : ChordLibrary.midiToNote(midi + semitones);
+        });
+    }
+
+    /**
+     * Parse any chord symbol, including ones outside the canonical vocabulary
+     * e.g. 'Cmaj7', 'F#m7b5', 'Bbadd9', 'D/F#'
+     * @param {string} symbol - Chord symbol
+     * @returns {Object|null} { symbol, root, quality, intervals, tones, bass } with the root,
+     *                        tones and slash bass as pitch classes (bass null without a slash),
+     *                        or null if the symbol can't be read
+     */
+    static parseSymbol(symbol) {
+        if (typeof symbol !== 'string') return null;
+
+        const match = symbol.trim().match(/^([A-G][#b]?)([^/]*?)(?:\/([A-G][#b]?))?$/);
+        if (!match) return null;
+
+        const rawQuality = match[2].replace(/\s+/g, '');
+        const quality = CHORD_QUALITIES[rawQuality]
+            ? rawQuality
+            : PARSED_QUALITY_ALIASES[rawQuality];
+        if (quality === undefined) return null;
+
+        const root = PITCH_CLASSES[match[1]];
+        const intervals = [...CHORD_QUALITIES[quality]];
+        const bass = match[3] ? PITCH_CLASSES[match[3]] : null;
+        const tones = intervals.map((interval) => (root + interval) % 12);
+        if (bass !== null && !tones.includes(bass)) {
+            tones.push(bass);
+        }
+
+        return {
+            symbol: match[1] + quality + (match[3] ? `/${match[3]}` : ''),
+            root,
+            quality,
+            intervals,
+            tones,
+            bass
+        };
+    }
+
+    /**
+     * Name the chord formed by some notes, e.g. [48, 52, 55] -> 'C'
+     * The lowest note is taken as the root where it can be, otherwise it becomes a slash
+     * bass. A single note gives its major chord, and a chord only partly played is read
+     * as the smallest chord on the lowest note that contains it.
+     * @param {number[]} midiNotes - MIDI note numbers, in any order
+     * @returns {string|null} Chord symbol spelled with sharps, or null if none fits
+     */
+    static identify(midiNotes) {
+        if (midiNotes.length === 0) return null;
+
+        const pitchClass = (midi) => ((midi % 12) + 12) % 12;
+        const bass = pitchClass(Math.min(...midiNotes));
+        const held = [...new Set(midiNotes.map(pitchClass))];
+        if (held.length === 1) return SHARP_NAMES[bass];
+
+        const qualities = Object.keys(CHORD_QUALITIES);
+        const tonesOf = (root, quality) => new Set(
+            CHORD_QUALITIES[quality].map((interval) => (root + interval) % 12)
+        );
+        const matches = (root, quality) => {
+            const tones = tonesOf(root, quality);
+            return tones.size === held.length && held.every((tone) => tones.has(tone));
+        };
+
+        // Every note played makes up the chord, rooted on the bass if possible
+        const roots = [bass, ...held.filter((tone) => tone !== bass)];
+        const found = roots.reduce((symbol, root) => {
+            if (symbol) return symbol;
+            const quality = qualities.find((candidate) => matches(root, candidate));
+            if (quality === undefined) return null;
+            const slash = root === bass ? '' : `/${SHARP_NAMES[bass]}`;
+            return SHARP_NAMES[root] + quality + slash;
+        }, null);
+        if (found) return found;
+
+        // Otherwise the smallest chord on the bass holding every note played
+        const containing = qualities
+            .filter((quality) => {
+                const tones = tonesOf(bass, quality);
+                return held.every((tone) => tones.has(tone));
+            })
+            .sort((a, b) => CHORD_QUALITIES[a].length - CHORD_QUALITIES[b].length);
+        return containing.length > 0 ? SHARP_NAMES[bass] + containing[0] : null;
+    }
+
+    /**
+     * Transpose a chord symbol, e.g. ('D/F#', 2) -> 'E/G#'
+     * @param {string} symbol - Chord symbol
+     * @param {number} semitones - Semitones to move by
+     * @returns {string|null} Transposed symbol spelled with sharps, or null if unreadable
+     */
+    static transposeSymbol(symbol, semitones) {
+        const chord = ChordLibrary.parseSymbol(symbol);
+        if (!chord) return null;
+        if (!semitones) return chord.symbol;
+
+        const name = (pitchClass) => SHARP_NAMES[(((pitchClass + semitones) % 12) + 12) % 12];
+        const slash = chord.bass === null ? '' : `/${name(chord.bass)}`;
+        return name(chord.root) + chord.quality + slash;
+    }
+}
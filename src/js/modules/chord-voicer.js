@@ -0,0 +1,241 @@
+/**
+ * Chord Voicer Module
+ *
+ * Works out a playable shape for any chord symbol on the active tuning: one fret (or a
+ * mute) per string, within a hand-sized box at the fret region being played. Every
+ * candidate shape is scored on how full and easy it is and, when a chord came before it,
+ * on how little each string has to move to get there.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+
+// Score weights: lower scores win
+const WEIGHTS = {
+    soundingString: -2, // Fuller chords are better
+    frettedNote: 0.5, // Open strings are easier than fretted ones
+    span: 0.5, // Per fret between the lowest and highest fretted note
+    regionDistance: 0.4, // Per fret between the shape and the fret region
+    innerMute: 3, // Muted strings between sounding ones are hard to strum cleanly
+    voiceMovement: 0.3, // Per semitone a string moves from the previous chord
+    muteChange: 1 // Per string that starts or stops sounding since the previous chord
+};
+
+const FINGERS = 4;
+
+export class ChordVoicer {
+    /**
+     * @param {Object} options - Voicing limits
+     * @param {number} options.maxSpan - Most frets between the lowest and highest fretted note
+     * @param {number} options.reach - Frets above the region's first fret the hand can reach
+     * @param {number} options.openRegion - Highest fret region that can still use open strings
+     * @param {number} options.maxFret - Highest fret on the neck
+     * @param {number} options.minStrings - Fewest strings a chord should sound on
+     */
+    constructor({
+        maxSpan = 3,
+        reach = 3,
+        openRegion = 2,
+        maxFret = 17,
+        minStrings = 4
+    } = {}) {
+        this.maxSpan = maxSpan;
+        this.reach = reach;
+        this.openRegion = openRegion;
+        this.maxFret = maxFret;
+        this.minStrings = minStrings;
+    }
+
+    /**
+     * Voice a chord on a set of strings
+     * @param {string} symbol - Chord symbol, e.g. 'Cmaj7', 'D/F#'
+     * @param {string[]} strings - Open note of each string (capo included), lowest first
+     * @param {Object} options - Voicing options
+     * @param {number} options.fretPosition - Fret region the hand is at
+     * @param {Array} options.previous - Previous chord's notes per string (null for muted),
+     *                                   to keep voice movement small
+     * @returns {Object|null} { notes, frets } per string, lowest first, with null for muted
+     *                        strings; null if the symbol can't be read or voiced
+     */
+    voice(symbol, strings, { fretPosition = 0, previous = null } = {}) {
+        const chord = ChordLibrary.parseSymbol(symbol);
+        if (!chord) return null;
+
+        const openMidi = strings.map(ChordLibrary.noteToMidi);
+        const previousMidi = previous
+            ? previous.map((note) => (note ? ChordLibrary.noteToMidi(note) : null))
+            : null;
+
+        // Every tone is needed, except a perfect fifth in chords of four or more tones.
+        // Failing that, stretch a fret further, then settle for any shape with the right bass.
+        const fifth = (chord.root + 7) % 12;
+        const essential = chord.tones.filter((tone) => (
+            chord.tones.length < 4 || tone !== fifth || !chord.intervals.includes(7)
+        ));
+        const minStrings = Math.min(this.minStrings, openMidi.length - 1);
+        const attempts = [
+            { required: essential, minStrings, reach: this.reach },
+            { required: essential, minStrings, reach: this.reach + 1 },
+            { required: [], minStrings: 2, reach: this.reach + 1 }
+        ];
+
+        let frets = null;
+        for (let i = 0; i < attempts.length && !frets; i += 1) {
+            frets = this.search(chord, openMidi, fretPosition, previousMidi, attempts[i]);
+        }
+        if (!frets) return null;
+
+        return {
+            frets,
+            notes: frets.map((fret, i) => (
+                fret === null ? null : ChordLibrary.midiToNote(openMidi[i] + fret)
+            ))
+        };
+    }
+
+    /**
+     * Get the frets each string may play in a fret region
+     * @param {number} fretPosition - Fret region
+     * @param {number} reach - Frets above the region's first fret the hand can reach
+     * @returns {number[]} Candidate frets, open string first when allowed
+     */
+    getRegionFrets(fretPosition, reach = this.reach) {
+        const first = Math.max(1, Math.min(this.maxFret - reach, Math.round(fretPosition)));
+        const frets = fretPosition <= this.openRegion ? [0] : [];
+        for (let fret = first; fret <= first + reach; fret += 1) {
+            frets.push(fret);
+        }
+        return frets;
+    }
+
+    /**
+     * Find the best-scoring shape for a chord
+     * @param {Object} chord - Parsed chord
+     * @param {number[]} openMidi - MIDI note of each open string
+     * @param {number} fretPosition - Fret region
+     * @param {Array|null} previousMidi - Previous chord's MIDI notes per string
+     * @param {Object} limits - { required, minStrings, reach }: pitch classes the shape must
+     *                          contain, fewest strings to sound and frets the hand can reach
+     * @returns {Array|null} Fret per string (null for muted), or null if nothing fits
+     */
+    search(chord, openMidi, fretPosition, previousMidi, { required, minStrings, reach }) {
+        const regionFrets = this.getRegionFrets(fretPosition, reach);
+        const bassTone = chord.bass !== null ? chord.bass : chord.root;
+        const maxSpan = this.maxSpan + reach - this.reach;
+
+        // Each string either mutes or plays a chord tone in the region
+        const options = openMidi.map((midi) => [null, ...regionFrets.filter((fret) => (
+            chord.tones.includes((midi + fret) % 12)
+        ))]);
+
+        let best = null;
+        let bestScore = Infinity;
+        const shape = [];
+
+        const visit = (stringIndex, lowFret, highFret) => {
+            if (stringIndex === openMidi.length) {
+                const score = ChordVoicer.scoreShape(shape, openMidi, {
+                    bassTone,
+                    required,
+                    minStrings,
+                    fretPosition,
+                    previousMidi
+                });
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = [...shape];
+                }
+                return;
+            }
+
+            options[stringIndex].forEach((fret) => {
+                let low = lowFret;
+                let high = highFret;
+                if (fret !== null && fret > 0) {
+                    low = Math.min(low, fret);
+                    high = Math.max(high, fret);
+                    if (high - low > maxSpan) return;
+                }
+                shape.push(fret);
+                visit(stringIndex + 1, low, high);
+                shape.pop();
+            });
+        };
+        visit(0, Infinity, -Infinity);
+
+        return best;
+    }
+
+    /**
+     * Count the fingers a shape needs
+     * The index finger can barre every string at the lowest fretted fret, as long as no
+     * string under the barre is open.
+     * @param {Array} shape - Fret per string (null for muted)
+     * @returns {number} Fingers needed
+     */
+    static countFingers(shape) {
+        const fretted = shape.filter((fret) => fret !== null && fret > 0);
+        if (fretted.length === 0) return 0;
+
+        const low = Math.min(...fretted);
+        const barred = shape
+            .map((fret, i) => (fret === low ? i : -1))
+            .filter((i) => i >= 0);
+        const underBarre = shape.slice(barred[0], barred[barred.length - 1] + 1);
+        const canBarre = barred.length > 1 && underBarre.every((fret) => fret !== 0);
+
+        return canBarre ? fretted.length - barred.length + 1 : fretted.length;
+    }
+
+    /**
+     * Score a complete shape
+     * @param {Array} shape - Fret per string (null for muted)
+     * @param {number[]} openMidi - MIDI note of each open string
+     * @param {Object} context - { bassTone, required, minStrings, fretPosition, previousMidi }
+     * @returns {number} Score (lower is better), Infinity for unplayable shapes
+     */
+    static scoreShape(shape, openMidi, {
+        bassTone,
+        required,
+        minStrings,
+        fretPosition,
+        previousMidi
+    }) {
+        const sounding = shape
+            .map((fret, i) => (fret === null ? null : openMidi[i] + fret));
+        const played = sounding.filter((midi) => midi !== null);
+        if (played.length < minStrings) return Infinity;
+        if (played[0] % 12 !== bassTone) return Infinity;
+
+        const pitchClasses = new Set(played.map((midi) => midi % 12));
+        if (!required.every((tone) => pitchClasses.has(tone))) return Infinity;
+        if (ChordVoicer.countFingers(shape) > FINGERS) return Infinity;
+
+        const fretted = shape.filter((fret) => fret !== null && fret > 0);
+        const first = shape.findIndex((fret) => fret !== null);
+        const last = shape.length - 1 - [...shape].reverse().findIndex((fret) => fret !== null);
+        const innerMutes = shape.slice(first, last + 1).filter((fret) => fret === null).length;
+
+        let score = played.length * WEIGHTS.soundingString
+            + fretted.length * WEIGHTS.frettedNote
+            + innerMutes * WEIGHTS.innerMute;
+
+        if (fretted.length > 0) {
+            const low = Math.min(...fretted);
+            score += (Math.max(...fretted) - low) * WEIGHTS.span;
+            score += Math.abs(low - Math.max(1, fretPosition)) * WEIGHTS.regionDistance;
+        }
+
+        if (previousMidi) {
+            sounding.forEach((midi, i) => {
+                const before = previousMidi[i] === undefined ? null : previousMidi[i];
+                if (midi !== null && before !== null) {
+                    score += Math.abs(midi - before) * WEIGHTS.voiceMovement;
+                } else if ((midi === null) !== (before === null)) {
+                    score += WEIGHTS.muteChange;
+                }
+            });
+        }
+
+        return score;
+    }
+}
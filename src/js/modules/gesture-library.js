@@ -0,0 +1,362 @@
+/**
+ * Gesture Library Module
+ *
+ * Fret-hand poses taught by the player and mapped to chords. In teach mode the
+ * player holds a pose, names it and assigns it a chord symbol or a custom voicing;
+ * poses are then recognised by nearest neighbour against the captured landmark
+ * templates. Gestures persist in localStorage and can be shared as JSON gesture packs.
+ */
+
+import { ChordClassifier } from './chord-classifier.js';
+import { ChordLibrary } from './chord-library.js';
+
+const STORAGE_KEY = 'air-guitar-4d.gestures';
+const PACK_FORMAT = 'air-guitar-4d-gesture-pack';
+const PACK_VERSION = 1;
+
+// Scientific pitch notation as used by the sound engine, e.g. 'E2', 'F#3', 'Bb4'
+const NOTE_PATTERN = /^[A-G][#b]?[0-8]$/;
+
+export class GestureLibrary {
+    /**
+     * @param {Object} options - Library options
+     * @param {ChordClassifier} options.classifier - Feature extractor shared with chord detection
+     * @param {Storage|null} options.storage - Where gestures persist (defaults to localStorage)
+     * @param {number} options.maxDistance - RMS feature distance beyond which no gesture matches
+     */
+    constructor({
+        classifier = new ChordClassifier(),
+        storage = typeof localStorage !== 'undefined' ? localStorage : null,
+        maxDistance = 0.25
+    } = {}) {
+        this.classifier = classifier;
+        this.storage = storage;
+        this.maxDistance = maxDistance;
+        this.gestures = [];
+    }
+
+    /**
+     * Check whether any gestures have been taught
+     * @returns {boolean} True if at least one gesture exists
+     */
+    hasGestures() {
+        return this.gestures.length > 0;
+    }
+
+    /**
+     * Get every gesture without its templates, for display
+     * @returns {Array} [{ name, chord, notes, sampleCount }]
+     */
+    getGestures() {
+        return this.gestures.map((gesture) => ({
+            name: gesture.name,
+            chord: gesture.chord,
+            notes: gesture.notes ? [...gesture.notes] : null,
+            sampleCount: gesture.templates.length
+        }));
+    }
+
+    /**
+     * Teach a gesture from captured fret-hand samples
+     * Teaching a name that already exists replaces that gesture.
+     * @param {Object} gesture - Gesture description
+     * @param {string} gesture.name - Name shown to the player
+     * @param {string} gesture.chord - Chord symbol from the sound engine's vocabulary
+     * @param {string[]} gesture.notes - Custom voicing, lowest string first (instead of chord)
+     * @param {Array} gesture.samples - [{ hand, guitarPlaneAngle }] captured while holding the pose
+     * @returns {Object} The stored gesture
+     */
+    addGesture({
+        name,
+        chord = null,
+        notes = null,
+        samples = []
+    }) {
+        const templates = samples
+            .map((sample) => this.classifier.extractFeatures(sample.hand, sample.guitarPlaneAngle))
+            .filter(Boolean);
+
+        if (templates.length === 0) {
+            throw new Error('No usable fret-hand samples were captured');
+        }
+
+        const gesture = GestureLibrary.createGesture({
+            name,
+            chord,
+            notes,
+            templates
+        });
+        this.removeGesture(gesture.name);
+        this.gestures.push(gesture);
+
+        console.debug(`Gesture "${gesture.name}" taught from ${templates.length} samples`);
+        return gesture;
+    }
+
+    /**
+     * Forget a gesture
+     * @param {string} name - Gesture name
+     * @returns {boolean} True if a gesture was removed
+     */
+    removeGesture(name) {
+        const count = this.gestures.length;
+        this.gestures = this.gestures
+            .filter((gesture) => !GestureLibrary.sameName(gesture.name, name));
+        return this.gestures.length !== count;
+    }
+
+    /**
+     * Forget every gesture
+     */
+    clear() {
+        this.gestures = [];
+    }
+
+    /**
+     * Recognise a fret-hand pose by its nearest captured template
+     * @param {Object} hand - Hand with 2D `keypoints` and optional metric `keypoints3D`
+     * @param {number} guitarPlaneAngle - Guitar plane angle in degrees
+     * @returns {Object} { name, confidence, gesture, notes, distance } where name is the
+     *                   chord symbol (or the gesture name for a custom voicing), or
+     *                   'Unknown' when no template is close enough
+     */
+    classify(hand, guitarPlaneAngle = 90) {
+        const features = this.classifier.extractFeatures(hand, guitarPlaneAngle);
+        const unknown = {
+            name: 'Unknown',
+            confidence: 0,
+            gesture: null,
+            notes: null,
+            distance: Infinity
+        };
+
+        if (!features) return unknown;
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.gestures.forEach((gesture) => {
+            gesture.templates.forEach((template) => {
+                const distance = GestureLibrary.distance(features, template);
+                if (distance < nearestDistance) {
+                    nearest = gesture;
+                    nearestDistance = distance;
+                }
+            });
+        });
+
+        if (!nearest || nearestDistance > this.maxDistance) {
+            return { ...unknown, distance: nearestDistance };
+        }
+
+        return {
+            name: nearest.chord || nearest.name,
+            confidence: 1 - nearestDistance / this.maxDistance,
+            gesture: nearest.name,
+            notes: nearest.notes ? [...nearest.notes] : null,
+            distance: nearestDistance
+        };
+    }
+
+    /**
+     * Persist the gestures to local storage
+     * @returns {boolean} True if the gestures were saved
+     */
+    save() {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.exportPack()));
+            return true;
+        } catch (error) {
+            console.error('Failed to save gestures:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Restore gestures saved by save()
+     * @returns {number} Number of gestures loaded
+     */
+    load() {
+        if (!this.storage) return 0;
+
+        const saved = this.storage.getItem(STORAGE_KEY);
+        if (!saved) return 0;
+
+        try {
+            return this.importPack(JSON.parse(saved), { replace: true });
+        } catch (error) {
+            console.error('Ignoring saved gestures:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Build a gesture pack so a setup can be shared
+     * @param {Object} metadata - Extra fields for the pack (e.g. { author })
+     * @returns {Object} Plain gesture pack
+     */
+    exportPack(metadata = {}) {
+        return {
+            format: PACK_FORMAT,
+            version: PACK_VERSION,
+            ...metadata,
+            features: ChordClassifier.getFeatureNames(),
+            gestures: this.gestures.map((gesture) => ({
+                name: gesture.name,
+                chord: gesture.chord,
+                notes: gesture.notes,
+                templates: gesture.templates.map((template) => (
+                    template.map((value) => Math.round(value * 10000) / 10000)
+                ))
+            }))
+        };
+    }
+
+    /**
+     * Load gestures from a pack produced by exportPack()
+     * Gestures are validated before any are added, so a bad pack changes nothing.
+     * @param {Object|string} pack - Gesture pack or its JSON text
+     * @param {Object} options - Import options
+     * @param {boolean} options.replace - Drop existing gestures first; otherwise gestures
+     *                                    with the same name are overwritten
+     * @returns {number} Number of gestures imported
+     */
+    importPack(pack, { replace = false } = {}) {
+        const data = typeof pack === 'string' ? JSON.parse(pack) : pack;
+
+        if (!data || data.format !== PACK_FORMAT) {
+            throw new Error('Not an Air Guitar 4D gesture pack');
+        }
+        if (data.version !== PACK_VERSION) {
+            throw new Error(`Unsupported gesture pack version: ${data.version}`);
+        }
+
+        const featureNames = ChordClassifier.getFeatureNames();
+        if (JSON.stringify(data.features) !== JSON.stringify(featureNames)) {
+            throw new Error('Gesture pack was made with a different landmark feature layout');
+        }
+
+        const gestures = (data.gestures || []).map((gesture) => {
+            const templates = Array.isArray(gesture.templates) ? gesture.templates : [];
+            const valid = templates.length > 0 && templates.every((template) => (
+                Array.isArray(template)
+                && template.length === featureNames.length
+                && template.every(Number.isFinite)
+            ));
+            if (!valid) {
+                throw new Error(`Gesture "${gesture.name}" has invalid templates`);
+            }
+            return GestureLibrary.createGesture(gesture);
+        });
+
+        if (replace) {
+            this.clear();
+        }
+        gestures.forEach((gesture) => {
+            this.removeGesture(gesture.name);
+            this.gestures.push(gesture);
+        });
+
+        console.debug(`Imported ${gestures.length} gestures`);
+        return gestures.length;
+    }
+
+    /**
+     * Download the gestures as a JSON gesture pack
+     * @param {string} filename - Name of the downloaded file
+     */
+    download(filename = 'air-guitar-gestures.json') {
+        const json = JSON.stringify(this.exportPack({ exportedAt: new Date().toISOString() }));
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Validate a gesture's name and mapping
+     * @param {Object} gesture - { name, chord, notes, templates }
+     * @returns {Object} Normalized gesture
+     */
+    static createGesture({
+        name,
+        chord = null,
+        notes = null,
+        templates
+    }) {
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (!trimmedName) {
+            throw new Error('Gestures need a name');
+        }
+
+        if (notes) {
+            if (notes.length === 0) {
+                throw new Error(`Custom voicing for "${trimmedName}" needs at least one note`);
+            }
+            const invalid = notes.filter((note) => !NOTE_PATTERN.test(note));
+            if (invalid.length > 0) {
+                throw new Error(
+                    `Invalid notes in voicing for "${trimmedName}": ${invalid.join(', ')}`
+                );
+            }
+            return {
+                name: trimmedName,
+                chord: null,
+                notes: [...notes],
+                templates: templates.map((template) => [...template])
+            };
+        }
+
+        const symbol = ChordLibrary.normalizeSymbol(chord);
+        if (!symbol) {
+            throw new Error(`Unknown chord "${chord}" for gesture "${trimmedName}"`);
+        }
+
+        return {
+            name: trimmedName,
+            chord: symbol,
+            notes: null,
+            templates: templates.map((template) => [...template])
+        };
+    }
+
+    /**
+     * Parse a custom voicing typed by the player
+     * @param {string} text - Notes separated by spaces or commas, e.g. 'E2 B2 E3'
+     * @returns {string[]} Note names
+     */
+    static parseVoicing(text) {
+        return (text || '')
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map((note) => note.charAt(0).toUpperCase() + note.slice(1));
+    }
+
+    /**
+     * Root-mean-square distance between two feature vectors
+     * @param {number[]} a - Feature vector
+     * @param {number[]} b - Feature vector
+     * @returns {number} Distance in normalized hand units
+     */
+    static distance(a, b) {
+        const squared = a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+        return Math.sqrt(squared / a.length);
+    }
+
+    /**
+     * Compare gesture names case-insensitively
+     * @param {string} a - Gesture name
+     * @param {string} b - Gesture name
+     * @returns {boolean} True if the names match
+     */
+    static sameName(a, b) {
+        return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+    }
+}
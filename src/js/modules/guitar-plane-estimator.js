@@ -0,0 +1,250 @@
+/**
+ * Guitar Plane Estimator Module
+ *
+ * Infers where the imaginary guitar neck is held from the player's body pose, so the
+ * guitar plane angle and the fret axis follow the player instead of being set by hand.
+ * Poses come from a pose backend with the same init/estimate/dispose interface as the
+ * hand tracking backends, so recorded poses can stand in for the camera.
+ */
+
+import { MediaPipePoseBackend } from './mediapipe-pose-backend.js';
+import { MockPoseBackend } from './mock-pose-backend.js';
+
+// Pose backends by name; any object with init(), estimate() and dispose() works too
+const POSE_BACKENDS = {
+    'mediapipe-pose': () => new MediaPipePoseBackend(),
+    mock: () => new MockPoseBackend()
+};
+
+const MIN_PLANE_ANGLE = 35; // Degrees, as HandTracking.setGuitarPlaneAngle clamps
+const MAX_PLANE_ANGLE = 90;
+
+// Wrist to wrist distance with the fret hand at the nut, in shoulder widths
+const NECK_SHOULDER_RATIO = 1.6;
+
+// Without a visible strumming arm the guitar body is taken to rest this many shoulder
+// widths below the middle of the shoulders
+const BODY_DROP = 1.2;
+
+// Pixel size of a video, canvas or image
+function getFrameSize(frame) {
+    return {
+        width: frame.videoWidth || frame.width,
+        height: frame.videoHeight || frame.height
+    };
+}
+
+export class GuitarPlaneEstimator {
+    /**
+     * @param {Object} options - Estimator options
+     * @param {string|Object} options.backend - Pose backend: 'mediapipe-pose', 'mock' or a
+     *                                          backend object
+     * @param {number} options.minScore - Keypoint score needed to use a shoulder, elbow
+     *                                    or wrist
+     * @param {number} options.smoothingTime - Time constant of the smoothing in milliseconds
+     * @param {number} options.interval - Least time between pose estimates in milliseconds
+     */
+    constructor({
+        backend = 'mediapipe-pose',
+        minScore = 0.5,
+        smoothingTime = 400,
+        interval = 100
+    } = {}) {
+        if (typeof backend === 'string' && !POSE_BACKENDS[backend]) {
+            throw new Error(`Unknown pose backend: ${backend}`);
+        }
+        this.backend = typeof backend === 'string' ? POSE_BACKENDS[backend]() : backend;
+        this.backendReady = false;
+
+        this.minScore = minScore;
+        this.smoothingTime = smoothingTime;
+        this.interval = interval;
+
+        this.locked = false;
+        this.axis = null; // Smoothed { direction, length } of the neck
+        this.lastPoseTime = null; // Time of the last pose that moved the neck
+        this.lastEstimateTime = -Infinity; // Time the backend last ran
+    }
+
+    /**
+     * Load the pose model
+     * @returns {Promise<void>} Resolves once poses can be estimated
+     */
+    async setup() {
+        if (this.backendReady) return;
+
+        try {
+            await this.backend.init();
+        } catch (error) {
+            console.error('Error setting up pose estimation:', error);
+            throw new Error(`Pose estimation setup failed: ${error.message}`);
+        }
+        this.backendReady = true;
+    }
+
+    /**
+     * Estimate the pose in a video frame and fold it into the guitar plane
+     * The backend runs at most once an interval, and not at all while the estimate is
+     * locked.
+     * @param {HTMLVideoElement|HTMLCanvasElement} frame - Frame to estimate the pose in
+     * @param {number} timestamp - Frame time in milliseconds
+     * @param {boolean} flipHorizontal - Estimate as if the frame had been mirrored, as the
+     *                                   view always is
+     * @returns {Promise<Object|null>} The current estimate, as getEstimate()
+     */
+    async update(frame, timestamp = performance.now(), flipHorizontal = true) {
+        const due = timestamp - this.lastEstimateTime >= this.interval;
+        if (!this.backendReady || this.locked || !due) {
+            return this.getEstimate();
+        }
+        this.lastEstimateTime = timestamp;
+
+        const poses = await this.backend.estimate(frame, { flipHorizontal, timestamp });
+        return this.addPose(poses[0] || null, getFrameSize(frame), timestamp);
+    }
+
+    /**
+     * Fold a pose into the smoothed neck
+     * Poses that don't show where the neck is (no pose, hidden arms) leave it as it was.
+     * @param {Object|null} pose - Pose in pose-detection format, mirrored
+     * @param {Object} frameSize - { width, height } in pixels
+     * @param {number} time - Pose time in milliseconds
+     * @returns {Object|null} The current estimate, as getEstimate()
+     */
+    addPose(pose, frameSize, time) {
+        const neck = !this.locked && pose ? this.findNeck(pose, frameSize) : null;
+        if (!neck) return this.getEstimate();
+
+        if (!this.axis) {
+            this.axis = neck;
+        } else {
+            const elapsed = this.lastPoseTime === null ? this.interval : time - this.lastPoseTime;
+            const weight = 1 - Math.exp(-elapsed / this.smoothingTime);
+            const x = this.axis.direction.x + (neck.direction.x - this.axis.direction.x) * weight;
+            const y = this.axis.direction.y + (neck.direction.y - this.axis.direction.y) * weight;
+            const norm = Math.hypot(x, y) || 1;
+            this.axis = {
+                direction: { x: x / norm, y: y / norm },
+                length: this.axis.length + (neck.length - this.axis.length) * weight
+            };
+        }
+        this.lastPoseTime = time;
+
+        return this.getEstimate();
+    }
+
+    /**
+     * Find the guitar neck held in a pose
+     * In the mirrored view the fretting arm is on the right: its wrist holds the neck, which
+     * runs back to the guitar body under the strumming forearm (between its elbow and wrist,
+     * which evens out the strumming) or, with that arm hidden, in front of the torso. The
+     * neck's length scales with the shoulder width.
+     * @param {Object} pose - Pose in pose-detection format, mirrored
+     * @param {Object} frameSize - { width, height } in pixels
+     * @returns {Object|null} { direction, length }: a unit vector in pixels from the body
+     *                        towards the nut and the neck length in frame heights, or null
+     *                        if the pose doesn't show the neck
+     */
+    findNeck(pose, frameSize) {
+        const point = (name) => GuitarPlaneEstimator.getKeypoint(pose, name, this.minScore);
+        const leftShoulder = point('left_shoulder');
+        const rightShoulder = point('right_shoulder');
+        if (!leftShoulder || !rightShoulder) return null;
+
+        // Sides are told apart by position, whichever way the names were mirrored
+        const fretSide = rightShoulder.x > leftShoulder.x ? 'right' : 'left';
+        const strumSide = fretSide === 'right' ? 'left' : 'right';
+        const nut = point(`${fretSide}_wrist`);
+        if (!nut) return null;
+
+        const shoulderWidth = Math.hypot(
+            rightShoulder.x - leftShoulder.x,
+            rightShoulder.y - leftShoulder.y
+        );
+        const strumElbow = point(`${strumSide}_elbow`);
+        const strumWrist = point(`${strumSide}_wrist`);
+        const body = strumElbow && strumWrist
+            ? { x: (strumElbow.x + strumWrist.x) / 2, y: (strumElbow.y + strumWrist.y) / 2 }
+            : {
+                x: (leftShoulder.x + rightShoulder.x) / 2,
+                y: (leftShoulder.y + rightShoulder.y) / 2 + shoulderWidth * BODY_DROP
+            };
+
+        const dx = nut.x - body.x;
+        const dy = nut.y - body.y;
+        const distance = Math.hypot(dx, dy);
+        if (dx <= 0 || shoulderWidth === 0) return null;
+
+        return {
+            direction: { x: dx / distance, y: dy / distance },
+            length: (shoulderWidth * NECK_SHOULDER_RATIO) / frameSize.height
+        };
+    }
+
+    /**
+     * Get the current guitar plane
+     * @returns {Object|null} { guitarPlaneAngle, fretAxis: { direction, length }, locked },
+     *                        or null before the neck has been seen
+     */
+    getEstimate() {
+        if (!this.axis) return null;
+
+        return {
+            guitarPlaneAngle: GuitarPlaneEstimator.toPlaneAngle(this.axis.direction),
+            fretAxis: this.axis,
+            locked: this.locked
+        };
+    }
+
+    /**
+     * Lock the estimate at its current value, or let it follow the pose again
+     * @param {boolean} locked - Keep the current estimate
+     */
+    setLocked(locked) {
+        this.locked = !!locked;
+        // Unlocked, the estimate moves on from the locked value as if it were one pose old
+        this.lastPoseTime = null;
+    }
+
+    /**
+     * Forget the estimate
+     */
+    reset() {
+        this.axis = null;
+        this.lastPoseTime = null;
+        this.lastEstimateTime = -Infinity;
+    }
+
+    /**
+     * Stop estimating and release the pose model
+     */
+    dispose() {
+        this.backend.dispose();
+        this.backendReady = false;
+        this.reset();
+    }
+
+    /**
+     * Get a confidently placed keypoint of a pose
+     * @param {Object} pose - Pose in pose-detection format
+     * @param {string} name - Keypoint name (e.g. 'left_wrist')
+     * @param {number} minScore - Score needed
+     * @returns {Object|null} The keypoint, or null if it is missing or unsure
+     */
+    static getKeypoint(pose, name, minScore) {
+        const keypoint = pose.keypoints.find((candidate) => candidate.name === name);
+        if (!keypoint) return null;
+        return keypoint.score === undefined || keypoint.score >= minScore ? keypoint : null;
+    }
+
+    /**
+     * Convert the neck direction to a guitar plane angle, as the calibration wizard
+     * measures it: a level neck is 90 degrees and one rising at 45 degrees is 45
+     * @param {Object} direction - Unit vector from the body towards the nut, in pixels
+     * @returns {number} Angle in whole degrees
+     */
+    static toPlaneAngle(direction) {
+        const rise = Math.atan2(-direction.y, direction.x) * (180 / Math.PI);
+        return Math.round(Math.max(MIN_PLANE_ANGLE, Math.min(MAX_PLANE_ANGLE, 90 - rise)));
+    }
+}
@@ -0,0 +1,238 @@
+/**
+ * Hand Detection Client Module
+ *
+ * Main-thread side of the hand detection worker. Video frames are captured as
+ * VideoFrames (or ImageBitmaps where VideoFrame is missing) and transferred to the
+ * worker without copying. Only one frame is in flight at a time: frames arriving while
+ * the worker is busy, or sooner than the pacing interval allows, are dropped rather
+ * than queued, so results stay as fresh as the detector can make them.
+ */
+
+const WORKER_URL = 'src/js/modules/hand-detection-worker.js';
+const INIT_TIMEOUT = 30000; // Model download and warm-up can be slow on first load
+const DETECTION_SMOOTHING = 0.2; // Weight of the newest detection time in the average
+
+// Grab the current video frame in a form that can be transferred to a worker
+function captureFrame(source) {
+    if (typeof VideoFrame !== 'undefined') {
+        return Promise.resolve(new VideoFrame(source));
+    }
+    return createImageBitmap(source);
+}
+
+export class HandDetectionClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.workerUrl - URL of the detection worker script
+     * @param {Function} options.createWorker - Creates the worker from its URL
+     * @param {Function} options.captureFrame - Resolves a video element to a transferable frame
+     * @param {number} options.maxFps - Most frames a second to send to the worker
+     */
+    constructor({
+        workerUrl = WORKER_URL,
+        createWorker = (url) => new Worker(url),
+        captureFrame: capture = captureFrame,
+        maxFps = 30
+    } = {}) {
+        this.workerUrl = workerUrl;
+        this.createWorker = createWorker;
+        this.captureFrame = capture;
+        this.minFrameInterval = 1000 / maxFps;
+
+        this.worker = null;
+        this.ready = false;
+        this.pendingInit = null;
+        this.busy = false;
+        this.nextFrameId = 1;
+        this.lastSubmitTime = -Infinity;
+        this.latestResult = null;
+
+        this.stats = {
+            submitted: 0,
+            dropped: 0,
+            completed: 0,
+            averageDetectionTime: 0,
+            averageLatency: 0
+        };
+    }
+
+    /**
+     * Start the worker and load the detector in it
+     * @param {Object} modelConfig - Detector configuration passed to createDetector
+     * @returns {Promise<void>} Resolves once the worker has a working detector
+     */
+    init(modelConfig) {
+        this.worker = this.createWorker(this.workerUrl);
+        this.worker.onmessage = ({ data }) => this.handleMessage(data);
+        this.worker.onerror = (event) => {
+            this.failInit(new Error(event.message || 'Hand detection worker failed to load'));
+        };
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.failInit(new Error('Hand detection worker timed out'));
+            }, INIT_TIMEOUT);
+            this.pendingInit = {
+                resolve: () => {
+                    clearTimeout(timer);
+                    resolve();
+                },
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+            this.worker.postMessage({ type: 'init', modelConfig });
+        });
+    }
+
+    /**
+     * Offer the current video frame for detection
+     * The frame is dropped if the worker is still busy or the pacing interval since the
+     * last frame sent has not passed yet.
+     * @param {HTMLVideoElement} source - Video to capture the frame from
+     * @param {number} timestamp - Capture time in milliseconds (performance.now clock)
+     * @param {boolean} flipHorizontal - Mirror the keypoints, as for the main-thread detector
+     * @returns {boolean} True if the frame was sent to the worker
+     */
+    submit(source, timestamp = performance.now(), flipHorizontal = true) {
+        if (!this.ready) return false;
+        if (this.busy || timestamp - this.lastSubmitTime < this.getFrameInterval()) {
+            this.stats.dropped += 1;
+            return false;
+        }
+
+        const frameId = this.nextFrameId;
+        this.nextFrameId += 1;
+        this.busy = true;
+        this.lastSubmitTime = timestamp;
+        this.stats.submitted += 1;
+
+        Promise.resolve()
+            .then(() => this.captureFrame(source))
+            .then((frame) => {
+                this.worker.postMessage({
+                    type: 'frame',
+                    frameId,
+                    timestamp,
+                    frame,
+                    flipHorizontal
+                }, [frame]);
+            })
+            .catch((error) => {
+                console.warn('Could not capture a frame for hand detection:', error);
+                this.busy = false;
+            });
+
+        return true;
+    }
+
+    /**
+     * Get the pacing interval between frames sent to the worker
+     * Never faster than maxFps, and no faster than the worker has recently managed, so a
+     * slow detector isn't handed a new frame the moment it frees up.
+     * @returns {number} Interval in milliseconds
+     */
+    getFrameInterval() {
+        return Math.max(this.minFrameInterval, this.stats.averageDetectionTime);
+    }
+
+    /**
+     * Take the newest detection result that hasn't been taken yet
+     * @returns {Object|null} { frameId, timestamp, receivedAt, hands, detectionTime }, or
+     *                        null if no new result has arrived since the last call
+     */
+    takeResult() {
+        const result = this.latestResult;
+        this.latestResult = null;
+        return result;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - { type: 'ready' | 'result' | 'error', ... }
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.ready = true;
+                if (this.pendingInit) {
+                    this.pendingInit.resolve();
+                    this.pendingInit = null;
+                }
+                break;
+            case 'result':
+                this.busy = false;
+                this.recordResult(message);
+                break;
+            case 'error':
+                if (this.pendingInit) {
+                    this.failInit(new Error(message.message));
+                } else {
+                    this.busy = false;
+                    console.error('Hand detection worker error:', message.message);
+                }
+                break;
+            default:
+                console.warn('Unknown hand detection worker message:', message.type);
+        }
+    }
+
+    /**
+     * Keep a detection result and update the timing averages
+     * A result nobody took before this one arrived is simply replaced.
+     * @param {Object} result - { frameId, timestamp, hands, detectionTime }
+     */
+    recordResult(result) {
+        const { stats } = this;
+        const latency = performance.now() - result.timestamp;
+        const smoothing = stats.completed === 0 ? 1 : DETECTION_SMOOTHING;
+
+        stats.averageDetectionTime += (result.detectionTime - stats.averageDetectionTime)
+            * smoothing;
+        stats.averageLatency += (latency - stats.averageLatency) * smoothing;
+        stats.completed += 1;
+
+        if (!this.latestResult || result.frameId > this.latestResult.frameId) {
+            this.latestResult = {
+                frameId: result.frameId,
+                timestamp: result.timestamp,
+                receivedAt: performance.now(),
+                hands: result.hands,
+                detectionTime: result.detectionTime
+            };
+        }
+    }
+
+    /**
+     * Reject a pending init and shut the worker down
+     * @param {Error} error - Why the worker could not start
+     */
+    failInit(error) {
+        if (!this.pendingInit) return;
+        const { reject } = this.pendingInit;
+        this.pendingInit = null;
+        this.terminate();
+        reject(error);
+    }
+
+    /**
+     * Get frame counts and timing averages
+     * @returns {Object} { submitted, dropped, completed, averageDetectionTime, averageLatency }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.ready = false;
+        this.busy = false;
+    }
+}
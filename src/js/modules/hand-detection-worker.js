@@ -0,0 +1,83 @@
+/**
+ * Hand Detection Worker
+ *
+ * Runs the hand pose detector off the main thread. Frames arrive as transferred
+ * VideoFrames or ImageBitmaps, are drawn into an OffscreenCanvas and closed straight
+ * away; each result goes back tagged with its frame's id and capture timestamp.
+ * A classic worker, so the TensorFlow.js builds load with importScripts and the
+ * tfjs runtime is used (the MediaPipe runtime needs a document). tf and
+ * handPoseDetection are globals once loaded, as on the main thread.
+ */
+
+// The offline bundle's builds; importScripts resolves these against this script's URL
+const VENDOR = '../../../vendor';
+const LIBRARIES = [
+    `${VENDOR}/tfjs/tf.min.js`,
+    `${VENDOR}/hand-pose-detection/hand-pose-detection.min.js`
+];
+
+let detector = null;
+let canvas = null;
+let context = null;
+
+async function init(modelConfig) {
+    importScripts(...LIBRARIES);
+
+    // WebGL runs on an OffscreenCanvas inside workers; fall back to the CPU without it
+    const webgl = await tf.setBackend('webgl').catch(() => false);
+    if (!webgl) {
+        await tf.setBackend('cpu');
+    }
+    await tf.ready();
+
+    detector = await handPoseDetection.createDetector(
+        handPoseDetection.SupportedModels.MediaPipeHands,
+        { ...modelConfig, runtime: 'tfjs' }
+    );
+}
+
+async function detect({
+    frameId,
+    timestamp,
+    frame,
+    flipHorizontal
+}) {
+    const width = frame.displayWidth || frame.width;
+    const height = frame.displayHeight || frame.height;
+    if (!canvas || canvas.width !== width || canvas.height !== height) {
+        canvas = new OffscreenCanvas(width, height);
+        context = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    context.drawImage(frame, 0, 0, width, height);
+    frame.close();
+
+    const started = performance.now();
+    const hands = await detector.estimateHands(
+        context.getImageData(0, 0, width, height),
+        { flipHorizontal }
+    );
+
+    postMessage({
+        type: 'result',
+        frameId,
+        timestamp,
+        detectionTime: performance.now() - started,
+        hands
+    });
+}
+
+onmessage = async ({ data }) => {
+    try {
+        if (data.type === 'init') {
+            await init(data.modelConfig);
+            postMessage({ type: 'ready' });
+        } else if (data.type === 'frame') {
+            await detect(data);
+        }
+    } catch (error) {
+        if (data.frame) {
+            data.frame.close();
+        }
+        postMessage({ type: 'error', frameId: data.frameId, message: error.message });
+    }
+};
@@ -4,8 +4,19 @@
  * Uses TensorFlow.js/MediaPipe to detect and track hand positions
  */
 
-// We're now loading libraries via script tags, no need for imports
-// The libraries will be available in the global scope
+import { ChordClassifier } from './chord-classifier.js';
+import { GestureLibrary } from './gesture-library.js';
+import { HandDetectionClient } from './hand-detection-client.js';
+import { MediaPipeTasksBackend } from './mediapipe-tasks-backend.js';
+import { MockHandBackend } from './mock-hand-backend.js';
+import { TfjsHandBackend } from './tfjs-hand-backend.js';
+
+// Tracking backends by name; any object with init(), estimate() and dispose() works too
+const TRACKING_BACKENDS = {
+    tfjs: () => new TfjsHandBackend(),
+    'mediapipe-tasks': () => new MediaPipeTasksBackend(),
+    mock: () => new MockHandBackend()
+};
 
 // Hand landmark indices for finger tips and bases
 const FINGER_LANDMARKS = {
@@ -18,30 +29,54 @@ const FINGER_LANDMARKS = {
 };
 
 export class HandTracking {
-    constructor(videoElement, canvasElement) {
+    /**
+     * @param {HTMLVideoElement} videoElement - Camera video
+     * @param {HTMLCanvasElement} canvasElement - Overlay canvas (optional)
+     * @param {Object} options - Tracking options
+     * @param {string|Object} options.backend - Tracking backend: 'tfjs', 'mediapipe-tasks',
+     *                                          'mock' or a backend object
+     * @param {boolean} options.useWorker - Run the tfjs backend's detection in a Web Worker
+     *                                      instead of on the main thread
+     * @param {Object} options.workerOptions - Options for the HandDetectionClient
+     */
+    constructor(videoElement, canvasElement, {
+        backend = 'tfjs',
+        useWorker = false,
+        workerOptions = {}
+    } = {}) {
         this.videoElement = videoElement;
         this.canvasElement = canvasElement;
-        this.ctx = this.canvasElement.getContext('2d');
-        this.detector = null;
+        // Canvas is optional so the pipeline can run headless (e.g. session replay)
+        this.ctx = this.canvasElement ? this.canvasElement.getContext('2d') : null;
+        
+        // The model library is only known to the backend
+        if (typeof backend === 'string' && !TRACKING_BACKENDS[backend]) {
+            throw new Error(`Unknown tracking backend: ${backend}`);
+        }
+        this.backend = typeof backend === 'string' ? TRACKING_BACKENDS[backend]() : backend;
+        this.backendReady = false;
+        
+        // Worker-backed detection; falls back to the main thread if the worker can't start
+        this.useWorker = useWorker && backend === 'tfjs';
+        this.workerOptions = workerOptions;
+        this.detectionClient = null;
         this.model = null;
         this.isRunning = false;
         this.hands = { left: null, right: null };
         this.lastFrameHands = { left: null, right: null };
-        this.calibrated = false;
+        this.lastFrameTimestamp = 0; // Capture time of the current frame
+        this.lastDetectionTimestamp = 0; // When the current frame's detection was available
         
         // Track last detected chord and strum for visual feedback
         this.lastDetectedChord = null;
         this.lastStrumDirection = null;
         this.strumDisplayTimeout = null; // For temporarily showing strum direction
         
-        // Configuration options
-        this.modelConfig = {
-            runtime: 'mediapipe', // Use mediapipe runtime which works better in browser
-            modelType: 'full', // 'lite' for better performance but less accuracy
-            maxHands: 2,
-            solutionPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915', // Specify exact version
-            scoreThreshold: 0.5
-        };
+        // Classifies the fretting hand's landmarks into canonical chord symbols
+        this.chordClassifier = new ChordClassifier();
+        
+        // Poses taught by the player; once any exist they replace the built-in chord shapes
+        this.gestureLibrary = new GestureLibrary({ classifier: this.chordClassifier });
         
         // Frame processing options - Always mirror for natural interaction
         this.processingOptions = {
@@ -50,10 +85,6 @@ export class HandTracking {
         
         // Guitar plane angle adjustment (in degrees)
         this.guitarPlaneAngle = 45; // Default to a natural guitar inclination
-        
-        // Initialize TensorFlow.js when constructed
-        this.tfReady = false;
-        this._initTensorFlow();
     }
     
     /**
@@ -127,217 +158,63 @@ export class HandTracking {
     }
     
     /**
-     * Initialize TensorFlow.js
+     * Initialize the hand tracking model
      */
-    async _initTensorFlow() {
-        try {
-            console.debug('Initializing TensorFlow.js...');
-            // Wait for TensorFlow to be ready
-            if (window.tf) {
-                await window.tf.ready();
-                this.tfReady = true;
-                console.debug('TensorFlow.js initialized successfully');
-            } else {
-                console.error('TensorFlow.js not found in global scope');
+    async setup() {
+        if (this.useWorker && await this.setupWorker()) {
+            return true;
+        }
+        
+        if (!this.backendReady) {
+            console.log('Setting up hand tracking...');
+            try {
+                await this.backend.init();
+            } catch (error) {
+                console.error('Error setting up hand tracking:', error);
+                throw new Error(`Hand tracking setup failed: ${error.message}`);
             }
-        } catch (error) {
-            console.error('Error initializing TensorFlow:', error);
+            this.backendReady = true;
+            console.log('Hand tracking model loaded successfully');
         }
+        
+        // Resize canvas to match video dimensions
+        this.resizeCanvas();
+        
+        // Start automatically
+        this.isRunning = true;
+        return true;
     }
     
     /**
-     * Initialize the hand tracking model
+     * Start detection in a Web Worker
+     * @returns {Promise<boolean>} True if the worker is detecting; false if it couldn't
+     *                             start, in which case detection stays on the main thread
      */
-    async setup() {
-        try {
-            console.log('Setting up hand tracking with MediaPipe Hands...');
-            
-            // Make sure TensorFlow is ready
-            if (!this.tfReady && window.tf) {
-                console.debug('Waiting for TensorFlow.js to be ready...');
-                await window.tf.ready();
-                this.tfReady = true;
-                console.debug('TensorFlow.js now ready');
-            }
-
-            // Check if we already have a detector - if so, don't recreate it
-            if (this.detector) {
-                console.debug('Detector already exists, reusing existing detector');
-                this.isRunning = true;
-                return true;
-            }
-
-            // Force backend to WebGL for better performance
-            if (window.tf && window.tf.setBackend) {
-                try {
-                    await window.tf.setBackend('webgl');
-                    console.debug('Set TensorFlow backend to WebGL');
-                } catch (backendError) {
-                    console.warn('Could not set backend to WebGL:', backendError.message);
-                }
-            }
-            
-            // Detailed diagnostics for libraries
-            console.debug('Library availability check:');
-            console.debug('- TensorFlow:', typeof window.tf !== 'undefined');
-            console.debug('- tf.ready function:', typeof window.tf?.ready === 'function');
-            console.debug('- tf.getBackend:', typeof window.tf?.getBackend === 'function');
-            if (typeof window.tf?.getBackend === 'function') {
-                console.debug('- Current backend:', window.tf.getBackend());
-            }
-            console.debug('- handPoseDetection:', typeof window.handPoseDetection !== 'undefined');
-            
-            // Wait for the handPoseDetection library to be loaded in the global scope
-            if (!window.handPoseDetection) {
-                console.error('Hand pose detection library not found');
-                throw new Error('Hand pose detection library not loaded');
-            }
-            
-            console.debug('Hand pose detection library is available');
-            console.debug('- MediaPipe Hands model:', typeof window.handPoseDetection.SupportedModels?.MediaPipeHands);
-            console.debug('- createDetector function:', typeof window.handPoseDetection.createDetector);
-            
-            // Use a more compatible configuration
-            const updatedConfig = {
-                runtime: 'mediapipe',
-                modelType: 'lite', // Change to lite for better compatibility
-                maxHands: 2,
-                solutionPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1646424915',
-                scoreThreshold: 0.5
-            };
-
-            console.debug('Using updated model configuration:', updatedConfig);
-            this.modelConfig = updatedConfig;
-
-            // Attempt to create detector with timeout and retry
-            console.debug('Creating hand pose detector...');
-
-            // Create a promise with timeout
-            const createDetectorWithTimeout = async (timeout = 10000) => {
-                return Promise.race([
-                    window.handPoseDetection.createDetector(
-                        window.handPoseDetection.SupportedModels.MediaPipeHands,
-                        this.modelConfig
-                    ),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Detector creation timed out')), timeout)
-                    )
-                ]);
-            };
-
-            // Try up to 3 times to create the detector
-            let attempts = 0;
-            let detectorCreated = false;
-
-            while (attempts < 3 && !detectorCreated) {
-                attempts++;
-                try {
-                    console.debug(`Detector creation attempt ${attempts}...`);
-                    this.detector = await createDetectorWithTimeout();
-                    if (this.detector) {
-                        detectorCreated = true;
-                        console.debug('Detector created successfully:', !!this.detector);
-                    } else {
-                        console.warn('Detector creation returned null or undefined');
-                        // Add a slight delay before next attempt
-                        await new Promise(resolve => setTimeout(resolve, 500));
-                    }
-                } catch (detectorError) {
-                    console.error(`Error creating detector (attempt ${attempts}/3):`, detectorError);
-                    
-                    if (attempts >= 3) {
-                        throw new Error(`Failed to create hand pose detector after 3 attempts: ${detectorError.message}`);
-                    }
-                    
-                    // Wait before retrying
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
-            }
-
-            if (!this.detector) {
-                console.error('Detector creation failed after multiple attempts');
-                
-                // Try one more time with an even simpler configuration
-                console.debug('Trying with absolute minimum configuration...');
-                this.detector = await window.handPoseDetection.createDetector(
-                    window.handPoseDetection.SupportedModels.MediaPipeHands,
-                    { runtime: 'mediapipe', maxHands: 2 }
-                );
-                
-                if (!this.detector) {
-                    throw new Error('Hand pose detector was not created properly');
-                } else {
-                    console.debug('Last-ditch attempt created a detector successfully');
-                }
-            }
-
-            // Initialize with a test detection to ensure everything works
-            console.debug('Testing detector with a dummy detection...');
-
-            if (this.videoElement.readyState >= 2) { // Have current data or enough data to play
-                try {
-                    const testDetection = await this.detector.estimateHands(
-                        this.videoElement,
-                        this.processingOptions
-                    );
-                    console.debug('Test detection succeeded:', testDetection);
-                } catch (testError) {
-                    console.warn('Test detection failed, but continuing:', testError);
-                    // Continue anyway, as the video might not be ready yet
-                }
-            } else {
-                console.debug('Video not ready for test detection, will try during regular processing');
-            }
-            
-            console.log('Hand tracking model loaded successfully');
-            
-            // Resize canvas to match video dimensions
-            this.resizeCanvas();
-            console.debug('Canvas resized to:', {
-                width: this.canvasElement.width,
-                height: this.canvasElement.height
-            });
-            
-            // Start automatically
-            this.isRunning = true;
-            console.debug('Setting isRunning to true automatically');
-            
-            return true;
-        } catch (error) {
-            console.error('Error setting up hand tracking:', error);
-            console.error('Stack trace:', error.stack);
-            
-            // Try to recover with a fallback configuration if possible
+    async setupWorker() {
+        if (!this.detectionClient) {
+            const client = new HandDetectionClient(this.workerOptions);
             try {
-                console.debug('Trying fallback configuration...');
-                const fallbackConfig = {
-                    runtime: 'tfjs',
-                    modelType: 'lite',
-                    maxHands: 2
-                };
-                console.debug('Using fallback configuration:', fallbackConfig);
-                this.detector = await window.handPoseDetection.createDetector(
-                    window.handPoseDetection.SupportedModels.MediaPipeHands,
-                    fallbackConfig
-                );
-                
-                if (this.detector) {
-                    console.debug('Fallback detector created successfully');
-                    this.isRunning = true;
-                    return true;
-                }
-            } catch (fallbackError) {
-                console.error('Fallback configuration also failed:', fallbackError);
+                // The worker runs the tfjs runtime, with the weights the backend falls back to
+                await client.init({ ...this.backend.fallbackConfig, scoreThreshold: 0.5 });
+            } catch (error) {
+                console.warn('Hand detection worker unavailable, detecting on the main thread:', error.message);
+                this.useWorker = false;
+                return false;
             }
-            
-            throw new Error(`Hand tracking setup failed: ${error.message}`);
+            this.detectionClient = client;
+            console.log('Hand tracking model loaded in a worker');
         }
+        
+        this.resizeCanvas();
+        this.isRunning = true;
+        return true;
     }
     
     /**
      * Resize canvas to match video dimensions
      */
     resizeCanvas() {
+        if (!this.canvasElement) return;
         if (this.videoElement.videoWidth) {
             this.canvasElement.width = this.videoElement.videoWidth;
             this.canvasElement.height = this.videoElement.videoHeight;
@@ -366,6 +243,21 @@ export class HandTracking {
         console.log('Hand tracking stopped');
     }
     
+    /**
+     * Stop tracking and release the model and any detection worker
+     */
+    dispose() {
+        this.stop();
+        if (this.detectionClient) {
+            this.detectionClient.terminate();
+            this.detectionClient = null;
+        }
+        if (this.backendReady) {
+            this.backend.dispose();
+            this.backendReady = false;
+        }
+    }
+    
     /**
      * Set the mirrored state for drawing and calculations
      * Note: This method is kept for compatibility but will always force mirrored mode
@@ -379,24 +271,31 @@ export class HandTracking {
     
     /**
      * Process a single video frame to detect and track hands
+     * Without a canvas the hands are tracked but nothing is drawn.
      * @returns {Object} Detected hand data
      */
     async processFrame() {
         // More detailed check for why processing might be skipped
-        if (!this.ctx || !this.detector || !this.videoElement || !this.isRunning) {
+        const hasDetector = this.backendReady || !!this.detectionClient;
+        if (!hasDetector || !this.videoElement || !this.isRunning) {
             console.debug('Skipping frame processing:', { 
-                hasContext: !!this.ctx,
-                hasDetector: !!this.detector,
+                hasDetector,
                 hasVideo: !!this.videoElement,
                 isRunning: this.isRunning
             });
             return null;
         }
         
+        if (this.detectionClient) {
+            return this.processWorkerFrame();
+        }
+        
         try {
             // Debug info for tracking the process
             console.debug('Processing frame - detailed debug:');
-            console.debug('- Canvas dimensions:', this.canvasElement.width, 'x', this.canvasElement.height);
+            if (this.canvasElement) {
+                console.debug('- Canvas dimensions:', this.canvasElement.width, 'x', this.canvasElement.height);
+            }
             console.debug('- Video dimensions:', this.videoElement.videoWidth, 'x', this.videoElement.videoHeight);
             console.debug('- Mirror setting:', this.processingOptions.flipHorizontal);
             console.debug('- Processing options:', JSON.stringify(this.processingOptions));
@@ -418,41 +317,23 @@ export class HandTracking {
             }
             
             // Detect hands in the current frame
-            console.debug('Calling hand pose detector...');
-            const detectedHands = await this.detector.estimateHands(
-                this.videoElement, 
-                this.processingOptions
-            );
+            console.debug('Calling hand tracking backend...');
+            const captureTimestamp = performance.now();
+            const detectedHands = await this.backend.estimate(this.videoElement, {
+                ...this.processingOptions,
+                timestamp: captureTimestamp
+            });
             
             console.debug(`Detected ${detectedHands.length} hands:`, detectedHands);
             
-            // Reset current hands
-            this.hands = { left: null, right: null };
-            
-            // Process detected hands
-            for (const hand of detectedHands) {
-                // Swap hands based on mirroring setting
-                const modelHandedness = hand.handedness.toLowerCase();
-                let correctedHandedness;
-                
-                // Always using mirrored view, so we always swap the handedness
-                correctedHandedness = modelHandedness === 'left' ? 'right' : 'left';
-                
-                // Store the hand with the corrected handedness
-                this.hands[correctedHandedness] = hand;
-                
-                console.debug(`Detected ${modelHandedness} hand (displayed as ${correctedHandedness}) with score: ${hand.score}`);
-                console.debug(`Hand has ${hand.keypoints.length} keypoints`);
-                
-                // Log a few keypoints for verification
-                if (hand.keypoints.length > 0) {
-                    console.debug('Wrist position:', hand.keypoints[0]);
-                    console.debug('Index fingertip:', hand.keypoints[8]);
-                }
-            }
+            this.lastFrameTimestamp = captureTimestamp;
+            this.lastDetectionTimestamp = performance.now();
+            this.assignHands(detectedHands);
             
             // Draw landmarks on canvas
-            if (detectedHands.length > 0) {
+            if (!this.ctx) {
+                console.debug('No canvas to draw on');
+            } else if (detectedHands.length > 0) {
                 console.debug('Drawing hand landmarks on canvas');
                 this.drawHandLandmarks();
             } else {
@@ -468,10 +349,97 @@ export class HandTracking {
         }
     }
     
+    /**
+     * Process the current video frame with the detection worker
+     * The frame is offered to the worker (and dropped if it is busy); the newest result
+     * it has sent back becomes the current hands, stamped with its frame's capture time.
+     * The overlay is only redrawn when a new result arrives, so it keeps showing the
+     * last detection in between.
+     * @returns {Object|null} Hands from a result new since the last call, or null if no
+     *                        new result has arrived yet
+     */
+    processWorkerFrame() {
+        if (this.videoElement.readyState < 2) { // HAVE_CURRENT_DATA
+            return null;
+        }
+        
+        this.detectionClient.submit(
+            this.videoElement,
+            performance.now(),
+            this.processingOptions.flipHorizontal
+        );
+        
+        const result = this.detectionClient.takeResult();
+        if (!result) {
+            return null;
+        }
+        
+        this.drawDebugInfo();
+        this.lastFrameHands = { ...this.hands };
+        this.lastFrameTimestamp = result.timestamp;
+        this.lastDetectionTimestamp = result.receivedAt;
+        this.assignHands(result.hands);
+        
+        if (this.ctx && (this.hands.left || this.hands.right)) {
+            this.drawHandLandmarks();
+        }
+        
+        return this.hands;
+    }
+    
+    /**
+     * Make detected hands the current hands
+     * The view is always mirrored, so the model's handedness is swapped for display.
+     * @param {Array} detectedHands - Hands as returned by the detector
+     */
+    assignHands(detectedHands) {
+        this.hands = { left: null, right: null };
+        
+        for (const hand of detectedHands) {
+            const modelHandedness = hand.handedness.toLowerCase();
+            const correctedHandedness = modelHandedness === 'left' ? 'right' : 'left';
+            
+            // Store the hand with the corrected handedness
+            this.hands[correctedHandedness] = hand;
+            
+            console.debug(`Detected ${modelHandedness} hand (displayed as ${correctedHandedness}) with score: ${hand.score}`);
+            console.debug(`Hand has ${hand.keypoints.length} keypoints`);
+        }
+    }
+    
+    /**
+     * Load externally supplied hand data as the current frame (e.g. from a recorded session)
+     * The previous frame is kept so motion detection works exactly as with live frames
+     * @param {Object} hands - Hand data keyed by display handedness ({ left, right })
+     * @param {number} timestamp - Capture time of the frame in milliseconds
+     * @returns {Object} The hands now considered current
+     */
+    setHands(hands, timestamp = performance.now()) {
+        this.lastFrameHands = { ...this.hands };
+        this.hands = {
+            left: hands && hands.left ? hands.left : null,
+            right: hands && hands.right ? hands.right : null
+        };
+        this.lastFrameTimestamp = timestamp;
+        this.lastDetectionTimestamp = timestamp;
+        
+        return this.hands;
+    }
+    
+    /**
+     * Forget the current and previous frame hands
+     */
+    clearHands() {
+        this.hands = { left: null, right: null };
+        this.lastFrameHands = { left: null, right: null };
+    }
+    
     /**
      * Draw debug information on the canvas
      */
     drawDebugInfo() {
+        if (!this.ctx) return;
+        
         // Clear the canvas
         this.ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
         
@@ -1006,57 +974,28 @@ export class HandTracking {
     }
     
     /**
-     * Detect if a strumming motion is being performed
-     * @returns {Object|null} Information about the strumming motion if detected
+     * Show a strum's direction on the overlay for a second
+     * @param {string} direction - 'down' or 'up'
      */
-    detectStrummingMotion() {
-        // Right hand is always used for strumming (appears on left side of mirrored view)
-        const strummingHandType = 'left'; // In mirrored view, left hand is user's right hand
-        const strummingHand = this.hands[strummingHandType];
-        const prevStrummingHand = this.lastFrameHands[strummingHandType];
-        
-        if (!strummingHand || !prevStrummingHand) return null;
-        
-        // Get the wrist position
-        const wrist = strummingHand.keypoints[FINGER_LANDMARKS.WRIST];
-        const prevWrist = prevStrummingHand.keypoints[FINGER_LANDMARKS.WRIST];
-        
-        // Calculate vertical movement (Y-axis)
-        const yMovement = wrist.y - prevWrist.y;
-        
-        // Detect strumming motion (significant vertical movement)
-        const STRUM_THRESHOLD = 12; // Reduced from 25 to make strumming more sensitive
-        
-        if (Math.abs(yMovement) > STRUM_THRESHOLD) {
-            const direction = yMovement > 0 ? 'down' : 'up';
-            const strumInfo = {
-                direction: direction,
-                intensity: Math.abs(yMovement) / 50, // Normalize between 0-1 (approximate)
-                position: wrist
-            };
-            
-            // Save the strum direction for visual feedback
-            this.lastStrumDirection = direction;
-            
-            // Clear any existing timeout
-            if (this.strumDisplayTimeout) {
-                clearTimeout(this.strumDisplayTimeout);
-            }
-            
-            // Set a timeout to clear the strum direction after 1 second
-            this.strumDisplayTimeout = setTimeout(() => {
-                this.lastStrumDirection = null;
-            }, 1000);
-            
-            return strumInfo;
+    showStrumDirection(direction) {
+        this.lastStrumDirection = direction;
+        
+        // Clear any existing timeout
+        if (this.strumDisplayTimeout) {
+            clearTimeout(this.strumDisplayTimeout);
         }
         
-        return null;
+        // Set a timeout to clear the strum direction after 1 second
+        this.strumDisplayTimeout = setTimeout(() => {
+            this.lastStrumDirection = null;
+        }, 1000);
     }
     
     /**
      * Detect chord formation based on left hand finger positions
-     * @returns {Object|null} Information about the detected chord
+     * @returns {Object|null} Information about the detected chord: the canonical chord
+     *                        symbol (or 'Unknown') and its confidence, plus per-chord
+     *                        scores or, for taught gestures, the gesture and any custom notes
      */
     detectChordFormation() {
         // Left hand is always used for chord formation (appears on right side of mirrored view)
@@ -1065,35 +1004,10 @@ export class HandTracking {
         
         if (!chordHand) return null;
         
-        const landmarks = chordHand.keypoints;
-        
-        // Basic chord detection logic - this is a simplification
-        // Real chord detection would be more complex based on relative finger positions
-        
-        // Get fingertip positions
-        const thumbTip = landmarks[FINGER_LANDMARKS.THUMB.TIP];
-        const indexTip = landmarks[FINGER_LANDMARKS.INDEX.TIP];
-        const middleTip = landmarks[FINGER_LANDMARKS.MIDDLE.TIP];
-        const ringTip = landmarks[FINGER_LANDMARKS.RING.TIP];
-        const pinkyTip = landmarks[FINGER_LANDMARKS.PINKY.TIP];
-        
-        // Calculate distances between fingertips
-        const indexToThumb = this.calculateDistance(indexTip, thumbTip);
-        const middleToThumb = this.calculateDistance(middleTip, thumbTip);
-        const ringToThumb = this.calculateDistance(ringTip, thumbTip);
-        const pinkyToThumb = this.calculateDistance(pinkyTip, thumbTip);
-        
-        // Simple chord detection based on finger patterns
-        let chord = { name: 'Unknown', confidence: 0.3 };
-        
-        // This is just a placeholder - real implementation would be more sophisticated
-        if (indexToThumb < 50 && middleToThumb > 80 && ringToThumb > 80) {
-            chord = { name: 'C Major', confidence: 0.7 };
-        } else if (indexToThumb > 80 && middleToThumb < 50 && ringToThumb > 80) {
-            chord = { name: 'G Major', confidence: 0.6 };
-        } else if (indexToThumb > 80 && middleToThumb > 80 && ringToThumb < 50) {
-            chord = { name: 'E Minor', confidence: 0.65 };
-        }
+        // Landmarks are normalized for hand size and rotated into the guitar plane
+        const chord = this.gestureLibrary.hasGestures()
+            ? this.gestureLibrary.classify(chordHand, this.guitarPlaneAngle)
+            : this.chordClassifier.classify(chordHand, this.guitarPlaneAngle);
         
         // Save the detected chord for visual feedback
         this.lastDetectedChord = chord;
@@ -1138,17 +1052,60 @@ export class HandTracking {
         
         // Process left hand (which is user's right hand in the mirror)
         if (this.hands.left) {
-            orientations.left = this.calculateHandOrientation(this.hands.left);
+            orientations.left = {
+                ...this.calculateHandOrientation(this.hands.left),
+                ...this.calculateHandShape(this.hands.left, 'left')
+            };
         }
         
         // Process right hand (which is user's left hand in the mirror)
         if (this.hands.right) {
-            orientations.right = this.calculateHandOrientation(this.hands.right);
+            orientations.right = {
+                ...this.calculateHandOrientation(this.hands.right),
+                ...this.calculateHandShape(this.hands.right, 'right')
+            };
         }
         
         return orientations;
     }
     
+    /**
+     * Describe the hand's shape for technique detection
+     * @param {Object} hand - Detected hand
+     * @param {string} side - Side of the mirrored view the hand is on ('left' or 'right')
+     * @returns {Object} { isPalmFacingCamera, angle, fingerCurl } where angle is the in-plane
+     *                   direction of the fingers in degrees (0 = up, 90 = towards screen right)
+     *                   and fingerCurl the mean curl of index to pinky (0 open - 1 fist)
+     */
+    calculateHandShape(hand, side) {
+        const points = hand.keypoints;
+        const wrist = points[FINGER_LANDMARKS.WRIST];
+        const indexBase = points[FINGER_LANDMARKS.INDEX.BASE];
+        const middleBase = points[FINGER_LANDMARKS.MIDDLE.BASE];
+        const pinkyBase = points[FINGER_LANDMARKS.PINKY.BASE];
+        
+        // The sign of wrist->index x wrist->pinky flips when the palm turns away. In the mirrored
+        // view the user's right hand (left side) shows its palm when it is positive, and the
+        // left hand is the mirror image
+        const cross = (indexBase.x - wrist.x) * (pinkyBase.y - wrist.y)
+            - (indexBase.y - wrist.y) * (pinkyBase.x - wrist.x);
+        const isPalmFacingCamera = side === 'left' ? cross > 0 : cross < 0;
+        
+        const angle = Math.atan2(middleBase.x - wrist.x, wrist.y - middleBase.y) * (180 / Math.PI);
+        
+        const curlSource = hand.keypoints3D && hand.keypoints3D.length >= 21
+            ? hand.keypoints3D
+            : points;
+        const fingers = ['INDEX', 'MIDDLE', 'RING', 'PINKY'];
+        const fingerCurl = fingers.reduce((sum, finger) => {
+            const base = FINGER_LANDMARKS[finger].BASE;
+            const joints = [base, base + 1, base + 2, base + 3].map((index) => curlSource[index]);
+            return sum + ChordClassifier.calculateCurl(joints);
+        }, 0) / fingers.length;
+        
+        return { isPalmFacingCamera, angle, fingerCurl };
+    }
+    
     /**
      * Calculate hand orientation with angle adjustment
      */
@@ -1222,358 +1179,12 @@ export class HandTracking {
     }
 
     /**
-     * Perform a calibration process to help users verify hand tracking
+     * Check whether this browser can run hand detection in a worker
+     * @returns {boolean} True if workers, OffscreenCanvas and frame capture are available
      */
-    async calibrate() {
-        // Display calibration instructions on the canvas
-        this.drawCalibrationInstructions();
-        
-        // Mark as not calibrated initially
-        this.calibrated = false;
-        
-        // Start a calibration timer
-        console.debug('Starting hand tracking calibration...');
-        
-        // Set a 5-second timer to check for hands
-        const calibrationStart = Date.now();
-        const calibrationDuration = 5000; // 5 seconds
-        
-        // Store hand detection count during calibration
-        let leftHandDetections = 0;
-        let rightHandDetections = 0;
-        
-        // Define the calibration check function
-        const checkCalibration = async () => {
-            if (!this.isRunning) return;
-            
-            try {
-                // Process a frame to detect hands
-                const detectedHands = await this.detector.estimateHands(
-                    this.videoElement, 
-                    this.processingOptions
-                );
-                
-                // Process detected hands
-                for (const hand of detectedHands) {
-                    // Need to swap hands for detection since we're mirroring
-                    const modelHandedness = hand.handedness.toLowerCase();
-                    const correctedHandedness = modelHandedness === 'left' ? 'right' : 'left';
-                    
-                    // Count detections with corrected handedness
-                    if (correctedHandedness === 'left') leftHandDetections++;
-                    if (correctedHandedness === 'right') rightHandDetections++;
-                }
-                
-                // Calculate calibration progress
-                const elapsed = Date.now() - calibrationStart;
-                const progress = Math.min(1, elapsed / calibrationDuration);
-                
-                // Update calibration UI
-                this.drawCalibrationProgress(progress, leftHandDetections, rightHandDetections);
-                
-                // Continue calibration if not complete
-                if (elapsed < calibrationDuration) {
-                    requestAnimationFrame(checkCalibration);
-                } else {
-                    // Calibration complete
-                    const success = leftHandDetections > 0 && rightHandDetections > 0;
-                    this.calibrated = success;
-                    
-                    // Draw final calibration result
-                    this.drawCalibrationResult(success, leftHandDetections, rightHandDetections);
-                    
-                    console.debug(`Calibration complete: ${success ? 'SUCCESS' : 'FAILED'}`);
-                    console.debug(`Left hand detections: ${leftHandDetections}`);
-                    console.debug(`Right hand detections: ${rightHandDetections}`);
-                    
-                    // Return the result
-                    return {
-                        success,
-                        leftHandDetections,
-                        rightHandDetections
-                    };
-                }
-            } catch (error) {
-                console.error('Error during calibration:', error);
-                this.drawCalibrationError(error.message);
-                return {
-                    success: false,
-                    error: error.message
-                };
-            }
-        };
-        
-        // Start the calibration check
-        return checkCalibration();
-    }
-
-    /**
-     * Draw calibration instructions on the canvas
-     */
-    drawCalibrationInstructions() {
-        const centerX = this.canvasElement.width / 2;
-        const centerY = this.canvasElement.height / 2;
-        const width = this.canvasElement.width;
-        const height = this.canvasElement.height;
-        
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
-        
-        // Background for instructions
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(0, 0, this.canvasElement.width, this.canvasElement.height);
-        
-        // Draw basic guitar layout
-        // Neck area (right side)
-        this.ctx.fillStyle = 'rgba(139, 69, 19, 0.3)'; // Brown
-        this.ctx.fillRect(centerX, 150, width - centerX, height - 300);
-        this.ctx.strokeStyle = 'rgba(139, 69, 19, 0.7)';
-        this.ctx.lineWidth = 4;
-        this.ctx.strokeRect(centerX, 150, width - centerX, height - 300);
-        
-        // Body area (left side)
-        this.ctx.fillStyle = 'rgba(160, 82, 45, 0.3)'; // Sienna
-        this.ctx.fillRect(0, 150, centerX, height - 300);
-        this.ctx.strokeStyle = 'rgba(160, 82, 45, 0.7)';
-        this.ctx.lineWidth = 4;
-        this.ctx.strokeRect(0, 150, centerX, height - 300);
-        
-        // Draw a few frets
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        this.ctx.lineWidth = 2;
-        for (let i = 1; i < 4; i++) {
-            const x = centerX + i * ((width - centerX) / 4);
-            this.ctx.beginPath();
-            this.ctx.moveTo(x, 150);
-            this.ctx.lineTo(x, height - 150);
-            this.ctx.stroke();
-        }
-        
-        // Draw a few strings
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        for (let i = 0; i < 6; i++) {
-            const y = 150 + i * ((height - 300) / 5);
-            this.ctx.beginPath();
-            this.ctx.moveTo(centerX, y);
-            this.ctx.lineTo(width, y);
-            this.ctx.stroke();
-        }
-        
-        // Draw sound hole
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        this.ctx.beginPath();
-        this.ctx.arc(centerX * 0.5, centerY, 70, 0, Math.PI * 2);
-        this.ctx.stroke();
-        
-        // Title
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = 'bold 24px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Air Guitar - Hand Positioning Guide', centerX, 60);
-        
-        // Draw instructions with better visual distinction
-        this.ctx.font = '18px Arial';
-        this.ctx.fillText('Your view is mirrored like a mirror', centerX, 110);
-        
-        // Left hand instructions (right side of screen)
-        this.ctx.font = 'bold 20px Arial';
-        this.ctx.fillStyle = 'rgba(255, 220, 120, 0.9)';
-        this.ctx.fillText('GUITAR NECK', centerX + (width - centerX) / 2, 130);
-        this.ctx.font = '18px Arial';
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillText('Left hand forms chord shapes here', centerX + (width - centerX) / 2, height - 130);
-        
-        // Right hand instructions (left side of screen)
-        this.ctx.font = 'bold 20px Arial';
-        this.ctx.fillStyle = 'rgba(255, 220, 120, 0.9)';
-        this.ctx.fillText('GUITAR BODY', centerX / 2, 130);
-        this.ctx.font = '18px Arial';
-        this.ctx.fillStyle = 'white';
-        this.ctx.fillText('Right hand strums here', centerX / 2, height - 130);
-        
-        // Draw hand position guides with clear labels
-        // Left hand guide (on right side in mirrored view)
-        this.ctx.strokeStyle = 'rgba(0, 255, 0, 0.7)';
-        this.ctx.lineWidth = 3;
-        this.ctx.beginPath();
-        this.ctx.ellipse(
-            this.canvasElement.width * 0.75, 
-            centerY, 
-            80, 100, 0, 0, Math.PI * 2
-        );
-        this.ctx.stroke();
-        
-        // Add a hand icon or clear indicator
-        this.ctx.fillStyle = 'rgba(0, 255, 0, 0.3)';
-        this.ctx.fill();
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = 'bold 16px Arial';
-        this.ctx.fillText('LEFT HAND', this.canvasElement.width * 0.75, centerY);
-        
-        // Right hand guide (on left side in mirrored view)
-        this.ctx.strokeStyle = 'rgba(0, 150, 255, 0.7)';
-        this.ctx.lineWidth = 3;
-        this.ctx.beginPath();
-        this.ctx.ellipse(
-            this.canvasElement.width * 0.25, 
-            centerY, 
-            80, 100, 0, 0, Math.PI * 2
-        );
-        this.ctx.stroke();
-        
-        // Add a hand icon or clear indicator
-        this.ctx.fillStyle = 'rgba(0, 150, 255, 0.3)';
-        this.ctx.fill();
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = 'bold 16px Arial';
-        this.ctx.fillText('RIGHT HAND', this.canvasElement.width * 0.25, centerY);
-        
-        // Draw distance indicator between hands
-        this.ctx.strokeStyle = 'rgba(255, 255, 0, 0.6)';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]); // Create dashed line
-        this.ctx.beginPath();
-        this.ctx.moveTo(this.canvasElement.width * 0.25, centerY);
-        this.ctx.lineTo(this.canvasElement.width * 0.75, centerY);
-        this.ctx.stroke();
-        this.ctx.setLineDash([]); // Reset to solid line
-        
-        // Add distance explanation for pitch control
-        this.ctx.fillStyle = 'rgba(255, 255, 0, 0.9)';
-        this.ctx.font = 'bold 18px Arial';
-        this.ctx.fillText('Hand Distance = Pitch Control', centerX, centerY - 80);
-        
-        // Add explanatory text
-        this.ctx.font = '16px Arial';
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        this.ctx.fillText('Hands far apart = low pitch (open strings)', centerX, centerY - 50);
-        this.ctx.fillText('Hands close together = high pitch (high frets)', centerX, centerY - 25);
-        
-        // Add example arrows for hand distance
-        this.ctx.fillStyle = 'rgba(255, 255, 0, 0.6)';
-        // Low pitch arrow
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX * 0.85, centerY + 30);
-        this.ctx.lineTo(centerX * 0.95, centerY + 50);
-        this.ctx.lineTo(centerX * 0.75, centerY + 50);
-        this.ctx.fill();
-        // High pitch arrow
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX * 1.15, centerY + 30);
-        this.ctx.lineTo(centerX * 1.05, centerY + 50);
-        this.ctx.lineTo(centerX * 1.25, centerY + 50);
-        this.ctx.fill();
-        
-        // Arrow labels
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        this.ctx.font = '14px Arial';
-        this.ctx.fillText('Move away for', centerX * 0.85, centerY + 70);
-        this.ctx.fillText('lower notes', centerX * 0.85, centerY + 90);
-        
-        this.ctx.fillText('Move closer for', centerX * 1.15, centerY + 70);
-        this.ctx.fillText('higher notes', centerX * 1.15, centerY + 90);
-    }
-
-    /**
-     * Draw calibration progress on the canvas
-     */
-    drawCalibrationProgress(progress, leftDetections, rightDetections) {
-        const centerX = this.canvasElement.width / 2;
-        const bottom = this.canvasElement.height - 40;
-        
-        // Draw progress bar background
-        this.ctx.fillStyle = 'rgba(100, 100, 100, 0.7)';
-        this.ctx.fillRect(centerX - 150, bottom, 300, 20);
-        
-        // Draw progress bar
-        this.ctx.fillStyle = 'rgba(0, 255, 0, 0.7)';
-        this.ctx.fillRect(centerX - 150, bottom, 300 * progress, 20);
-        
-        // Draw progress text
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = '16px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText(`Calibrating... ${Math.round(progress * 100)}%`, centerX, bottom - 10);
-        
-        // Draw detection counts
-        this.ctx.fillText(`Left hand detections: ${leftDetections}`, centerX - 150, bottom - 40);
-        this.ctx.fillText(`Right hand detections: ${rightDetections}`, centerX + 150, bottom - 40);
-    }
-
-    /**
-     * Draw calibration result on the canvas
-     */
-    drawCalibrationResult(success, leftDetections, rightDetections) {
-        const centerX = this.canvasElement.width / 2;
-        const centerY = this.canvasElement.height / 2;
-        
-        // Draw result background
-        this.ctx.fillStyle = success ? 'rgba(0, 100, 0, 0.7)' : 'rgba(100, 0, 0, 0.7)';
-        this.ctx.fillRect(centerX - 200, centerY - 100, 400, 200);
-        
-        // Draw result text
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = '24px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText(
-            success ? 'Calibration Successful!' : 'Calibration Failed',
-            centerX, 
-            centerY - 60
-        );
-        
-        // Draw detection counts
-        this.ctx.font = '18px Arial';
-        this.ctx.fillText(`Left hand detections: ${leftDetections}`, centerX, centerY);
-        this.ctx.fillText(`Right hand detections: ${rightDetections}`, centerX, centerY + 40);
-        
-        // Draw suggestions if calibration failed
-        if (!success) {
-            this.ctx.font = '16px Arial';
-            this.ctx.fillText('Please ensure both hands are visible to the camera', centerX, centerY + 80);
-            this.ctx.fillText('and try calibrating again.', centerX, centerY + 110);
-        }
-    }
-
-    /**
-     * Draw calibration error on the canvas
-     */
-    drawCalibrationError(errorMessage) {
-        const centerX = this.canvasElement.width / 2;
-        const centerY = this.canvasElement.height / 2;
-        
-        // Draw error background
-        this.ctx.fillStyle = 'rgba(100, 0, 0, 0.7)';
-        this.ctx.fillRect(centerX - 200, centerY - 100, 400, 200);
-        
-        // Draw error text
-        this.ctx.fillStyle = 'white';
-        this.ctx.font = '24px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.fillText('Calibration Error', centerX, centerY - 60);
-        
-        // Draw error message
-        this.ctx.font = '16px Arial';
-        
-        // Split error message into multiple lines if needed
-        const words = errorMessage.split(' ');
-        let line = '';
-        let y = centerY - 20;
-        
-        for (const word of words) {
-            const testLine = line + word + ' ';
-            if (testLine.length > 40) {
-                this.ctx.fillText(line, centerX, y);
-                line = word + ' ';
-                y += 25;
-            } else {
-                line = testLine;
-            }
-        }
-        
-        this.ctx.fillText(line, centerX, y);
-        
-        // Draw suggestions
-        this.ctx.fillText('Please check your camera and browser permissions', centerX, centerY + 80);
-        this.ctx.fillText('and try again.', centerX, centerY + 110);
+    static supportsWorkerDetection() {
+        return typeof Worker !== 'undefined'
+            && typeof OffscreenCanvas !== 'undefined'
+            && (typeof VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined');
     }
 } 
\ No newline at end of file
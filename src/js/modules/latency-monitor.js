@@ -0,0 +1,250 @@
+/**
+ * Latency Monitor Module
+ *
+ * Measures how long the pipeline takes from a hand moving to the guitar sounding.
+ * Every frame is stamped when it was captured and when its detection came back;
+ * every strum also when motion analysis decided on it, when its first note was
+ * scheduled and how much output latency the audio device adds. All times are in
+ * milliseconds on the performance.now() clock.
+ */
+
+// Stage name -> label, in pipeline order
+const STAGES = {
+    detection: 'Capture → detection',
+    analysis: 'Detection → strum decision',
+    scheduling: 'Decision → note start',
+    output: 'Audio output'
+};
+
+export class LatencyMonitor {
+    /**
+     * @param {Object} options - Monitor options
+     * @param {number} options.windowSize - Samples of each stage kept for the statistics
+     * @param {number} options.target - Motion-to-sound budget in milliseconds
+     */
+    constructor({ windowSize = 120, target = 50 } = {}) {
+        this.windowSize = windowSize;
+        this.target = target;
+        this.reset();
+    }
+
+    /**
+     * Forget every measurement
+     */
+    reset() {
+        this.samples = { total: [] };
+        Object.keys(STAGES).forEach((stage) => {
+            this.samples[stage] = [];
+        });
+        this.frameIntervals = [];
+        this.lastCaptureTime = null;
+        this.frameCount = 0;
+        this.strums = [];
+        this.strumCount = 0;
+        this.predictedCount = 0;
+    }
+
+    /**
+     * Record a processed video frame
+     * @param {Object} frame - Frame timestamps
+     * @param {number} frame.captureTime - When the frame was captured
+     * @param {number} frame.detectedTime - When its hand detection was available
+     */
+    recordFrame({ captureTime, detectedTime }) {
+        if (this.lastCaptureTime !== null && captureTime > this.lastCaptureTime) {
+            this.addSample(this.frameIntervals, captureTime - this.lastCaptureTime);
+        }
+        this.lastCaptureTime = captureTime;
+        this.frameCount += 1;
+        this.addSample(this.samples.detection, detectedTime - captureTime);
+    }
+
+    /**
+     * Record a played strum
+     * Motion-to-sound is measured from when the hand crossed (or was projected to cross)
+     * the strings, or from the frame's capture when no crossing time is known.
+     * @param {Object} strum - Strum timestamps
+     * @param {number} strum.captureTime - Capture time of the frame the strum was found in
+     * @param {number} strum.detectedTime - When that frame's hand detection was available
+     * @param {number} strum.decisionTime - When motion analysis decided to strum
+     * @param {number} strum.scheduledTime - When the strum's first note starts playing
+     * @param {number} strum.outputLatency - Audio output latency in milliseconds
+     * @param {number} strum.motionTime - When the hand crossed the strings (optional)
+     * @param {boolean} strum.predicted - Whether the strum was fired ahead of the crossing
+     * @returns {Object} The recorded strum, with its stage durations
+     */
+    recordStrum({
+        captureTime,
+        detectedTime,
+        decisionTime,
+        scheduledTime,
+        outputLatency = 0,
+        motionTime = null,
+        predicted = false
+    }) {
+        const soundTime = scheduledTime + outputLatency;
+        const strum = {
+            time: decisionTime,
+            predicted,
+            detection: detectedTime - captureTime,
+            analysis: decisionTime - detectedTime,
+            scheduling: scheduledTime - decisionTime,
+            output: outputLatency,
+            total: soundTime - (motionTime === null ? captureTime : motionTime)
+        };
+
+        ['analysis', 'scheduling', 'output', 'total'].forEach((stage) => {
+            this.addSample(this.samples[stage], strum[stage]);
+        });
+        this.strums.push(strum);
+        if (this.strums.length > this.windowSize) {
+            this.strums.shift();
+        }
+        this.strumCount += 1;
+        if (predicted) {
+            this.predictedCount += 1;
+        }
+
+        return strum;
+    }
+
+    /**
+     * Keep a sample in a rolling window
+     * @param {number[]} samples - Window to add to
+     * @param {number} value - Sample in milliseconds
+     */
+    addSample(samples, value) {
+        if (!Number.isFinite(value)) return;
+        samples.push(value);
+        if (samples.length > this.windowSize) {
+            samples.shift();
+        }
+    }
+
+    /**
+     * Get the current statistics
+     * @returns {Object} { frames, strums, predictedStrums, fps, target, withinTarget,
+     *                   stages, total }, where stages maps each stage to { label, mean,
+     *                   p95, max, count } and total is motion-to-sound in the same form
+     */
+    getStats() {
+        const stages = {};
+        Object.entries(STAGES).forEach(([stage, label]) => {
+            stages[stage] = { label, ...LatencyMonitor.summarize(this.samples[stage]) };
+        });
+        const total = LatencyMonitor.summarize(this.samples.total);
+        const interval = LatencyMonitor.summarize(this.frameIntervals).mean;
+
+        return {
+            frames: this.frameCount,
+            strums: this.strumCount,
+            predictedStrums: this.predictedCount,
+            fps: interval > 0 ? 1000 / interval : 0,
+            target: this.target,
+            withinTarget: total.count > 0 ? total.p95 <= this.target : null,
+            stages,
+            total
+        };
+    }
+
+    /**
+     * Get the lines of the live latency display
+     * @returns {string[]} Motion-to-sound first, then each stage and the frame rate
+     */
+    getHudLines() {
+        const stats = this.getStats();
+        const ms = (value) => `${Math.round(value)} ms`;
+        const lines = [];
+
+        if (stats.total.count > 0) {
+            const verdict = stats.withinTarget ? 'within' : 'over';
+            lines.push(`Motion → sound ${ms(stats.total.mean)} (p95 ${ms(stats.total.p95)}, `
+                + `${verdict} ${ms(stats.target)})`);
+        } else {
+            lines.push('Motion → sound: strum to measure');
+        }
+        Object.values(stats.stages).forEach(({ label, mean, count }) => {
+            if (count > 0) {
+                lines.push(`${label} ${ms(mean)}`);
+            }
+        });
+        lines.push(`${Math.round(stats.fps)} fps, ${stats.strums} strums `
+            + `(${stats.predictedStrums} predicted)`);
+
+        return lines;
+    }
+
+    /**
+     * Build a report of the measurements for saving or sharing
+     * @param {Object} metadata - Extra fields for the report (e.g. user agent, settings)
+     * @returns {Object} Report with the statistics and the recent strums
+     */
+    getReport(metadata = {}) {
+        return {
+            type: 'latency-report',
+            ...metadata,
+            stats: this.getStats(),
+            strums: this.strums.map((strum) => LatencyMonitor.roundTimes(strum))
+        };
+    }
+
+    /**
+     * Offer the report to the user as a file download
+     * @param {Object} metadata - Extra fields for the report
+     * @param {string} filename - Name of the downloaded file
+     */
+    download(metadata = {}, filename = `air-guitar-latency-${Date.now()}.json`) {
+        const report = this.getReport({ generatedAt: new Date().toISOString(), ...metadata });
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Summarize a window of samples
+     * @param {number[]} samples - Samples in milliseconds
+     * @returns {Object} { mean, p95, max, count }, all 0 when there are no samples
+     */
+    static summarize(samples) {
+        if (samples.length === 0) {
+            return {
+                mean: 0,
+                p95: 0,
+                max: 0,
+                count: 0
+            };
+        }
+
+        const sorted = [...samples].sort((a, b) => a - b);
+        const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+        const p95 = sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)];
+
+        return {
+            mean,
+            p95,
+            max: sorted[sorted.length - 1],
+            count: sorted.length
+        };
+    }
+
+    /**
+     * Round the times of a strum to a tenth of a millisecond
+     * @param {Object} strum - Recorded strum
+     * @returns {Object} Copy with rounded times
+     */
+    static roundTimes(strum) {
+        const rounded = { ...strum };
+        Object.keys(rounded).forEach((key) => {
+            if (typeof rounded[key] === 'number') {
+                rounded[key] = Math.round(rounded[key] * 10) / 10;
+            }
+        });
+        return rounded;
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * MediaPipe Pose Backend Module
+ *
+ * Body pose backend built on the MediaPipe Tasks PoseLandmarker, from the same
+ * tasks-vision bundle and WebAssembly files as the HandLandmarker backend. It has the
+ * same init/estimate/dispose interface as the hand tracking backends, and results are
+ * converted to pose-detection's BlazePose format (named pixel keypoints with a score).
+ */
+
+import { OfflineAssets } from './offline-assets.js';
+
+// Landmark names in pose-detection's BlazePose order (the same 33 points as MediaPipe)
+const KEYPOINT_NAMES = [
+    'nose',
+    'left_eye_inner', 'left_eye', 'left_eye_outer',
+    'right_eye_inner', 'right_eye', 'right_eye_outer',
+    'left_ear', 'right_ear',
+    'mouth_left', 'mouth_right',
+    'left_shoulder', 'right_shoulder',
+    'left_elbow', 'right_elbow',
+    'left_wrist', 'right_wrist',
+    'left_pinky', 'right_pinky',
+    'left_index', 'right_index',
+    'left_thumb', 'right_thumb',
+    'left_hip', 'right_hip',
+    'left_knee', 'right_knee',
+    'left_ankle', 'right_ankle',
+    'left_heel', 'right_heel',
+    'left_foot_index', 'right_foot_index'
+];
+
+// Pixel size of a video, canvas or image
+function getFrameSize(frame) {
+    return {
+        width: frame.videoWidth || frame.width,
+        height: frame.videoHeight || frame.height
+    };
+}
+
+export class MediaPipePoseBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {Function} options.loadVision - Resolves to the tasks-vision module
+     * @param {string} options.wasmPath - URL of the tasks-vision WebAssembly files
+     * @param {string} options.modelAssetPath - URL of the pose landmarker model
+     * @param {number} options.minScore - Confidence needed to detect and keep tracking a body
+     * @param {OfflineAssets} options.assets - Checks the model assets are served
+     */
+    constructor({
+        loadVision = () => import(OfflineAssets.url('mediapipe/tasks-vision/vision_bundle.mjs')),
+        wasmPath = OfflineAssets.url('mediapipe/tasks-vision/wasm'),
+        modelAssetPath = OfflineAssets.url('models/pose_landmarker_lite.task'),
+        minScore = 0.5,
+        assets = new OfflineAssets()
+    } = {}) {
+        this.loadVision = loadVision;
+        this.wasmPath = wasmPath;
+        this.modelAssetPath = modelAssetPath;
+        this.minScore = minScore;
+        this.assets = assets;
+
+        this.landmarker = null;
+        this.delegate = null; // 'GPU' or 'CPU', once loaded
+        this.lastTimestamp = -Infinity;
+    }
+
+    /**
+     * Load the pose landmarker, on the GPU if possible
+     * @returns {Promise<void>} Resolves once the landmarker is ready
+     */
+    async init() {
+        if (this.landmarker) return;
+
+        // The WebAssembly files are in the hand landmarker's group
+        await this.assets.verify(['mediapipe-tasks', 'mediapipe-pose']);
+        const { FilesetResolver, PoseLandmarker } = await this.loadVision();
+        const fileset = await FilesetResolver.forVisionTasks(this.wasmPath);
+        const create = (delegate) => PoseLandmarker.createFromOptions(fileset, {
+            baseOptions: { modelAssetPath: this.modelAssetPath, delegate },
+            runningMode: 'VIDEO',
+            numPoses: 1,
+            minPoseDetectionConfidence: this.minScore,
+            minPosePresenceConfidence: this.minScore,
+            minTrackingConfidence: this.minScore
+        });
+
+        try {
+            this.landmarker = await create('GPU');
+            this.delegate = 'GPU';
+        } catch (error) {
+            console.warn('PoseLandmarker GPU delegate unavailable, using the CPU:', error.message);
+            this.landmarker = await create('CPU');
+            this.delegate = 'CPU';
+        }
+        console.debug(`PoseLandmarker loaded on the ${this.delegate}`);
+    }
+
+    /**
+     * Detect the body pose in a video frame
+     * @param {HTMLVideoElement|HTMLCanvasElement} frame - Frame to detect the pose in
+     * @param {Object} options - Estimation options
+     * @param {boolean} options.flipHorizontal - Report the pose as if the frame had been
+     *                                           mirrored
+     * @param {number} options.timestamp - Frame time in milliseconds
+     * @returns {Promise<Array>} Poses in pose-detection format
+     */
+    estimate(frame, { flipHorizontal = false, timestamp = performance.now() } = {}) {
+        if (!this.landmarker) {
+            return Promise.reject(new Error('Pose backend is not initialized'));
+        }
+
+        // Video mode needs strictly increasing timestamps
+        const time = Math.max(timestamp, this.lastTimestamp + 1);
+        this.lastTimestamp = time;
+
+        const result = this.landmarker.detectForVideo(frame, time);
+        const { width, height } = getFrameSize(frame);
+        return Promise.resolve(MediaPipePoseBackend.toPoses(result, width, height, flipHorizontal));
+    }
+
+    /**
+     * Release the landmarker
+     */
+    dispose() {
+        if (this.landmarker) {
+            this.landmarker.close();
+            this.landmarker = null;
+        }
+        this.lastTimestamp = -Infinity;
+    }
+
+    /**
+     * Convert a PoseLandmarker result to pose-detection poses
+     * Landmarks are normalized to the frame, so they are scaled to pixels, and each
+     * landmark's visibility becomes its score. Flipping mirrors x and swaps the left and
+     * right names, as the hand backends swap handedness.
+     * @param {Object} result - { landmarks } from detectForVideo
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {boolean} flipHorizontal - Mirror the poses
+     * @returns {Array} [{ score, keypoints }]
+     */
+    static toPoses(result, width, height, flipHorizontal) {
+        return result.landmarks.map((landmarks) => {
+            const keypoints = landmarks.map((point, i) => {
+                const name = KEYPOINT_NAMES[i];
+                return {
+                    x: (flipHorizontal ? 1 - point.x : point.x) * width,
+                    y: point.y * height,
+                    z: point.z,
+                    score: point.visibility === undefined ? 1 : point.visibility,
+                    name: flipHorizontal ? MediaPipePoseBackend.swapSide(name) : name
+                };
+            });
+            const score = keypoints.reduce((sum, point) => sum + point.score, 0)
+                / keypoints.length;
+            return { score, keypoints };
+        });
+    }
+
+    /**
+     * Swap the side of a landmark name
+     * @param {string} name - Landmark name (e.g. 'left_wrist' or 'mouth_left')
+     * @returns {string} The same landmark on the other side of the body
+     */
+    static swapSide(name) {
+        return name.replace(/left|right/, (side) => (side === 'left' ? 'right' : 'left'));
+    }
+}
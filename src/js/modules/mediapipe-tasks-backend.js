@@ -0,0 +1,166 @@
+/**
+ * MediaPipe Tasks Backend Module
+ *
+ * Hand tracking backend built on the MediaPipe Tasks HandLandmarker, which runs the
+ * hand model in WebAssembly (on the GPU where it can) without TensorFlow.js. The
+ * tasks-vision bundle is an ES module, so it is imported from the offline bundle when
+ * the backend starts rather than loaded by a script tag. Results are converted to
+ * hand-pose-detection's format so the rest of the app can't tell the backends apart.
+ */
+
+import { OfflineAssets } from './offline-assets.js';
+
+// Landmark names in hand-pose-detection's order (the same 21 points as MediaPipe)
+const KEYPOINT_NAMES = [
+    'wrist',
+    'thumb_cmc', 'thumb_mcp', 'thumb_ip', 'thumb_tip',
+    'index_finger_mcp', 'index_finger_pip', 'index_finger_dip', 'index_finger_tip',
+    'middle_finger_mcp', 'middle_finger_pip', 'middle_finger_dip', 'middle_finger_tip',
+    'ring_finger_mcp', 'ring_finger_pip', 'ring_finger_dip', 'ring_finger_tip',
+    'pinky_finger_mcp', 'pinky_finger_pip', 'pinky_finger_dip', 'pinky_finger_tip'
+];
+
+// Pixel size of a video, canvas or image
+function getFrameSize(frame) {
+    return {
+        width: frame.videoWidth || frame.width,
+        height: frame.videoHeight || frame.height
+    };
+}
+
+export class MediaPipeTasksBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {Function} options.loadVision - Resolves to the tasks-vision module
+     * @param {string} options.wasmPath - URL of the tasks-vision WebAssembly files
+     * @param {string} options.modelAssetPath - URL of the hand landmarker model
+     * @param {number} options.numHands - Most hands to track
+     * @param {number} options.minScore - Confidence needed to detect and keep tracking a hand
+     * @param {OfflineAssets} options.assets - Checks the model assets are served
+     */
+    constructor({
+        loadVision = () => import(OfflineAssets.url('mediapipe/tasks-vision/vision_bundle.mjs')),
+        wasmPath = OfflineAssets.url('mediapipe/tasks-vision/wasm'),
+        modelAssetPath = OfflineAssets.url('models/hand_landmarker.task'),
+        numHands = 2,
+        minScore = 0.5,
+        assets = new OfflineAssets()
+    } = {}) {
+        this.loadVision = loadVision;
+        this.wasmPath = wasmPath;
+        this.modelAssetPath = modelAssetPath;
+        this.numHands = numHands;
+        this.minScore = minScore;
+        this.assets = assets;
+
+        this.landmarker = null;
+        this.delegate = null; // 'GPU' or 'CPU', once loaded
+        this.lastTimestamp = -Infinity;
+    }
+
+    /**
+     * Load the hand landmarker, on the GPU if possible
+     * @returns {Promise<void>} Resolves once the landmarker is ready
+     */
+    async init() {
+        if (this.landmarker) return;
+
+        await this.assets.verify(['mediapipe-tasks']);
+        const { FilesetResolver, HandLandmarker } = await this.loadVision();
+        const fileset = await FilesetResolver.forVisionTasks(this.wasmPath);
+        const create = (delegate) => HandLandmarker.createFromOptions(fileset, {
+            baseOptions: { modelAssetPath: this.modelAssetPath, delegate },
+            runningMode: 'VIDEO',
+            numHands: this.numHands,
+            minHandDetectionConfidence: this.minScore,
+            minHandPresenceConfidence: this.minScore,
+            minTrackingConfidence: this.minScore
+        });
+
+        try {
+            this.landmarker = await create('GPU');
+            this.delegate = 'GPU';
+        } catch (error) {
+            console.warn('HandLandmarker GPU delegate unavailable, using the CPU:', error.message);
+            this.landmarker = await create('CPU');
+            this.delegate = 'CPU';
+        }
+        console.debug(`HandLandmarker loaded on the ${this.delegate}`);
+    }
+
+    /**
+     * Detect the hands in a video frame
+     * @param {HTMLVideoElement|HTMLCanvasElement} frame - Frame to detect hands in
+     * @param {Object} options - Estimation options
+     * @param {boolean} options.flipHorizontal - Report the hands as if the frame had been
+     *                                           mirrored, as hand-pose-detection does
+     * @param {number} options.timestamp - Frame time in milliseconds
+     * @returns {Promise<Array>} Hands in hand-pose-detection format
+     */
+    estimate(frame, { flipHorizontal = false, timestamp = performance.now() } = {}) {
+        // Video mode needs strictly increasing timestamps
+        const time = Math.max(timestamp, this.lastTimestamp + 1);
+        this.lastTimestamp = time;
+
+        const result = this.landmarker.detectForVideo(frame, time);
+        const { width, height } = getFrameSize(frame);
+        const hands = MediaPipeTasksBackend.toHands(result, width, height, flipHorizontal);
+        return Promise.resolve(hands);
+    }
+
+    /**
+     * Release the landmarker
+     */
+    dispose() {
+        if (this.landmarker) {
+            this.landmarker.close();
+            this.landmarker = null;
+        }
+        this.lastTimestamp = -Infinity;
+    }
+
+    /**
+     * Convert a HandLandmarker result to hand-pose-detection hands
+     * Landmarks are normalized to the frame, so they are scaled to pixels. Flipping
+     * mirrors x and swaps the handedness label, as if the frame had been mirrored before
+     * detection like hand-pose-detection's MediaPipe runtime does for flipHorizontal.
+     * Hands without a handedness label are left out.
+     * @param {Object} result - { landmarks, worldLandmarks, handedness } from detectForVideo
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {boolean} flipHorizontal - Mirror the hands
+     * @returns {Array} [{ handedness, score, keypoints, keypoints3D }]
+     */
+    static toHands(result, width, height, flipHorizontal) {
+        // Older tasks-vision releases call the labels handednesses
+        const labels = result.handedness || result.handednesses || [];
+        const mirror = flipHorizontal ? -1 : 1;
+
+        return result.landmarks.map((landmarks, index) => {
+            const [category] = labels[index] || [];
+            if (!category) return null;
+
+            let handedness = category.categoryName;
+            if (flipHorizontal) {
+                handedness = handedness === 'Left' ? 'Right' : 'Left';
+            }
+
+            return {
+                handedness,
+                score: category.score,
+                keypoints: landmarks.map((point, i) => ({
+                    x: (flipHorizontal ? 1 - point.x : point.x) * width,
+                    y: point.y * height,
+                    z: point.z,
+                    name: KEYPOINT_NAMES[i]
+                })),
+                keypoints3D: (result.worldLandmarks[index] || []).map((point, i) => ({
+                    x: point.x * mirror,
+                    y: point.y,
+                    z: point.z,
+                    name: KEYPOINT_NAMES[i]
+                }))
+            };
+        }).filter(Boolean);
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * MIDI File Writer Module
+ *
+ * Writes played notes as a Standard MIDI File (format 1). The first track holds the
+ * tempo and time signature; each guitar string then gets a track on its own channel,
+ * so a DAW can re-voice strings separately. Notes not played on a string share a
+ * last track. A string sounds one note at a time, like the sound engine's string
+ * voices, so a new note cuts the string's previous one short.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+
+const DEFAULT_PPQ = 480;
+const DEFAULT_BPM = 120;
+const DRUM_CHANNEL = 9; // Channel 10 plays percussion in General MIDI
+const NOTES_CHANNEL = 15; // Notes without a string
+const GUITAR_PROGRAM = 25; // General MIDI Acoustic Guitar (steel), counting from 0
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const PROGRAM_CHANGE = 0xC0;
+
+export class MidiFileWriter {
+    /**
+     * Encode notes as a Standard MIDI File
+     * @param {Array} notes - { stringIndex, note, time, duration, velocity } with times in
+     *                        seconds from the start of the file and velocity 0-1
+     * @param {Object} options - File options
+     * @param {number} options.bpm - Tempo in beats per minute
+     * @param {number} options.ppq - Ticks per quarter note
+     * @param {number} options.program - General MIDI program of every track (0-127)
+     * @param {string[]} options.trackNames - Track name for each string index
+     * @returns {Uint8Array} The MIDI file
+     */
+    static encode(notes, {
+        bpm = DEFAULT_BPM,
+        ppq = DEFAULT_PPQ,
+        program = GUITAR_PROGRAM,
+        trackNames = []
+    } = {}) {
+        const ticksPerSecond = (bpm / 60) * ppq;
+        const byChannel = new Map();
+        notes.forEach((played) => {
+            const midi = ChordLibrary.noteToMidi(played.note);
+            if (midi === null) return;
+
+            const channel = MidiFileWriter.getChannel(played.stringIndex);
+            if (!byChannel.has(channel)) {
+                byChannel.set(channel, { stringIndex: played.stringIndex, notes: [] });
+            }
+            byChannel.get(channel).notes.push({
+                midi,
+                start: Math.round(played.time * ticksPerSecond),
+                end: Math.round((played.time + played.duration) * ticksPerSecond),
+                velocity: Math.max(1, Math.min(127, Math.round(played.velocity * 127)))
+            });
+        });
+
+        const channels = [...byChannel.keys()].sort((a, b) => a - b);
+        const tracks = [MidiFileWriter.createTempoTrack(bpm)].concat(channels.map((channel) => {
+            const { stringIndex, notes: channelNotes } = byChannel.get(channel);
+            const name = stringIndex === null
+                ? 'Notes'
+                : trackNames[stringIndex] || `String ${stringIndex + 1}`;
+            return MidiFileWriter.createNoteTrack(channel, name, program, channelNotes);
+        }));
+
+        const header = [
+            ...MidiFileWriter.textBytes('MThd'),
+            ...MidiFileWriter.uint32Bytes(6),
+            0, 1, // Format 1: simultaneous tracks
+            ...MidiFileWriter.uint16Bytes(tracks.length),
+            ...MidiFileWriter.uint16Bytes(ppq)
+        ];
+        return new Uint8Array([...header, ...tracks.flat()]);
+    }
+
+    /**
+     * Encode notes as a MIDI file ready to download
+     * @param {Array} notes - Notes (see encode)
+     * @param {Object} options - File options (see encode)
+     * @returns {Blob} The MIDI file
+     */
+    static toBlob(notes, options = {}) {
+        return new Blob([MidiFileWriter.encode(notes, options)], { type: 'audio/midi' });
+    }
+
+    /**
+     * Get the channel a string's notes go on, skipping the percussion channel
+     * @param {number|null} stringIndex - String index (0 = low E), or null
+     * @returns {number} MIDI channel (0-15)
+     */
+    static getChannel(stringIndex) {
+        if (stringIndex === null || stringIndex === undefined) return NOTES_CHANNEL;
+        return stringIndex < DRUM_CHANNEL ? stringIndex : stringIndex + 1;
+    }
+
+    /**
+     * Create the track carrying the tempo and a 4/4 time signature
+     * @param {number} bpm - Tempo in beats per minute
+     * @returns {number[]} Track chunk bytes
+     */
+    static createTempoTrack(bpm) {
+        const microsecondsPerBeat = Math.round(60000000 / bpm);
+        return MidiFileWriter.createTrack([
+            [0, [0xFF, 0x03, ...MidiFileWriter.textEvent('Air Guitar 4D')]],
+            [0, [0xFF, 0x51, 3, ...MidiFileWriter.uint32Bytes(microsecondsPerBeat).slice(1)]],
+            [0, [0xFF, 0x58, 4, 4, 2, 24, 8]]
+        ]);
+    }
+
+    /**
+     * Create the track for one channel's notes
+     * @param {number} channel - MIDI channel
+     * @param {string} name - Track name
+     * @param {number} program - General MIDI program
+     * @param {Array} notes - { midi, start, end, velocity } with times in ticks
+     * @returns {number[]} Track chunk bytes
+     */
+    static createNoteTrack(channel, name, program, notes) {
+        const sorted = [...notes].sort((a, b) => a.start - b.start);
+        const events = [
+            [0, [0xFF, 0x03, ...MidiFileWriter.textEvent(name)]],
+            [0, [PROGRAM_CHANGE + channel, program]]
+        ];
+
+        sorted.forEach((note, index) => {
+            // A string's next note (or a repeat of the same pitch) ends this one
+            const next = sorted.slice(index + 1).find((later) => (
+                channel !== NOTES_CHANNEL || later.midi === note.midi
+            ));
+            const end = next ? Math.min(note.end, next.start) : note.end;
+
+            events.push([note.start, [NOTE_ON + channel, note.midi, note.velocity]]);
+            events.push([Math.max(note.start, end), [NOTE_OFF + channel, note.midi, 0]]);
+        });
+
+        // Note offs go before note ons at the same tick so repeated notes retrigger
+        const ordered = events
+            .map((event, order) => ({ event, order }))
+            .sort((a, b) => (
+                a.event[0] - b.event[0]
+                || MidiFileWriter.isNoteOff(b.event) - MidiFileWriter.isNoteOff(a.event)
+                || a.order - b.order
+            ))
+            .map(({ event }) => event);
+        return MidiFileWriter.createTrack(ordered);
+    }
+
+    /**
+     * Check whether an event is a note off
+     * @param {Array} event - [tick, bytes]
+     * @returns {number} 1 for a note off, 0 otherwise
+     */
+    static isNoteOff([, bytes]) {
+        return bytes[0] >= NOTE_OFF && bytes[0] < NOTE_ON ? 1 : 0;
+    }
+
+    /**
+     * Write a track chunk from events in time order
+     * @param {Array} events - [tick, bytes] pairs
+     * @returns {number[]} Track chunk bytes
+     */
+    static createTrack(events) {
+        let tick = 0;
+        const data = [];
+        events.forEach(([time, bytes]) => {
+            data.push(...MidiFileWriter.varLengthBytes(time - tick), ...bytes);
+            tick = time;
+        });
+        data.push(0, 0xFF, 0x2F, 0); // End of track
+
+        return [
+            ...MidiFileWriter.textBytes('MTrk'),
+            ...MidiFileWriter.uint32Bytes(data.length),
+            ...data
+        ];
+    }
+
+    /**
+     * Encode a number as a MIDI variable-length quantity: 7 bits per byte, most
+     * significant first, with the top bit set on every byte but the last
+     * @param {number} value - Non-negative integer
+     * @returns {number[]} Bytes
+     */
+    static varLengthBytes(value) {
+        const bytes = [value % 128];
+        let rest = Math.floor(value / 128);
+        while (rest > 0) {
+            bytes.unshift((rest % 128) + 128);
+            rest = Math.floor(rest / 128);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode a meta event's text with its length
+     * @param {string} text - ASCII text
+     * @returns {number[]} Length and text bytes
+     */
+    static textEvent(text) {
+        const bytes = MidiFileWriter.textBytes(text);
+        return [...MidiFileWriter.varLengthBytes(bytes.length), ...bytes];
+    }
+
+    /**
+     * Get the bytes of ASCII text; other characters become '?'
+     * @param {string} text - Text
+     * @returns {number[]} Bytes
+     */
+    static textBytes(text) {
+        return Array.from(text, (char) => {
+            const code = char.charCodeAt(0);
+            return code < 128 ? code : 63;
+        });
+    }
+
+    /**
+     * Encode a big-endian 16-bit integer
+     * @param {number} value - Integer
+     * @returns {number[]} Bytes
+     */
+    static uint16Bytes(value) {
+        return [Math.floor(value / 256) % 256, value % 256];
+    }
+
+    /**
+     * Encode a big-endian 32-bit integer
+     * @param {number} value - Integer
+     * @returns {number[]} Bytes
+     */
+    static uint32Bytes(value) {
+        return [
+            Math.floor(value / 16777216) % 256,
+            Math.floor(value / 65536) % 256,
+            Math.floor(value / 256) % 256,
+            value % 256
+        ];
+    }
+}
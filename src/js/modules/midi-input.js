@@ -0,0 +1,222 @@
+/**
+ * MIDI Input Module
+ *
+ * Lets a MIDI keyboard or foot controller take over from the fret hand. Notes held
+ * together name the chord to strum, which stays latched after they are released, so
+ * the fret hand only moves the chord up the neck. Program changes pick a guitar and
+ * effects preset, controllers move the effect sliders (the same controllers MIDI output
+ * sends), and MIDI clock sets the tempo.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+import { MidiOutput } from './midi-output.js';
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const PROGRAM_CHANGE = 0xC0;
+const CLOCK = 0xF8;
+const START = 0xFA;
+const CONTINUE = 0xFB;
+const STOP = 0xFC;
+const CLOCKS_PER_BEAT = 24;
+
+// Guitar type and effect levels for each program number (repeating past the last).
+// Sampled Acoustic is left out until its samples are in the repository.
+const PROGRAM_PRESETS = [
+    { guitarType: 'acoustic', effects: { distortion: 0, reverb: 0.3, delay: 0.1 } },
+    { guitarType: 'electric', effects: { distortion: 0.4, reverb: 0.2, delay: 0.15 } },
+    { guitarType: 'electric', effects: { distortion: 0.8, reverb: 0.3, delay: 0.35 } },
+    { guitarType: 'bass', effects: { distortion: 0.1, reverb: 0.05, delay: 0 } },
+    { guitarType: 'physical', effects: { distortion: 0, reverb: 0.2, delay: 0.1 } }
+];
+
+export class MidiInput {
+    /**
+     * @param {Object} options - Input options
+     * @param {MIDIAccess} options.midiAccess - MIDI access to use instead of requesting it
+     */
+    constructor({ midiAccess = null } = {}) {
+        this.midiAccess = midiAccess;
+        this.port = null;
+        this.heldNotes = new Set();
+        this.chord = null; // Latched chord: { name, confidence, source, midiNotes }
+        this.clockTimes = []; // Timestamps (ms) of the last beat of clock ticks
+        this.tempo = null;
+
+        // Controller number -> level name, from the controllers MIDI output sends
+        this.controllers = {};
+        Object.entries(MidiOutput.getEffectControllers()).forEach(([name, controller]) => {
+            this.controllers[controller] = name;
+        });
+
+        this.chordCallback = null;
+        this.presetCallback = null;
+        this.levelCallback = null;
+        this.tempoCallback = null;
+    }
+
+    /**
+     * Get MIDI access, asking the user the first time
+     * @returns {Promise<MIDIAccess>} MIDI access
+     */
+    async init() {
+        if (!this.midiAccess) {
+            if (!MidiOutput.isSupported()) {
+                throw new Error('Web MIDI is not supported in this browser');
+            }
+            this.midiAccess = await navigator.requestMIDIAccess();
+        }
+        return this.midiAccess;
+    }
+
+    /**
+     * List the input ports
+     * @returns {Array} { id, name } for each port
+     */
+    getPorts() {
+        if (!this.midiAccess) return [];
+        return [...this.midiAccess.inputs.values()].map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Choose the port to listen to
+     * @param {string|null} id - Port id, or null to stop listening
+     * @returns {boolean} True if the port is now in use
+     */
+    selectPort(id) {
+        if (this.port) {
+            this.port.onmidimessage = null;
+        }
+        this.port = (id && this.midiAccess && this.midiAccess.inputs.get(id)) || null;
+        this.heldNotes.clear();
+        this.clockTimes = [];
+        this.tempo = null;
+
+        if (this.port) {
+            this.port.onmidimessage = (event) => this.handleMessage(event);
+            console.debug(`MIDI input: ${this.port.name}`);
+        } else {
+            this.clearChord();
+        }
+        return this.port !== null || !id;
+    }
+
+    /**
+     * Set the function told when the held notes name a new chord
+     * @param {Function|null} callback - Receives the chord (see getChord)
+     */
+    setChordCallback(callback) {
+        this.chordCallback = callback;
+    }
+
+    /**
+     * Set the function told when a program change picks a preset
+     * @param {Function|null} callback - Receives { guitarType, effects }
+     */
+    setPresetCallback(callback) {
+        this.presetCallback = callback;
+    }
+
+    /**
+     * Set the function told when a controller moves a level
+     * @param {Function|null} callback - Receives (name, level), level 0-1 and name one of
+     *                                   'volume', 'distortion', 'reverb', 'delay', 'tremolo'
+     */
+    setLevelCallback(callback) {
+        this.levelCallback = callback;
+    }
+
+    /**
+     * Set the function told when MIDI clock changes the tempo
+     * @param {Function|null} callback - Receives the tempo in beats per minute
+     */
+    setTempoCallback(callback) {
+        this.tempoCallback = callback;
+    }
+
+    /**
+     * Get the chord chosen from MIDI, used in place of the fret hand's chord shape
+     * @returns {Object|null} Chord data like HandTracking.detectChordFormation() gives
+     *                        ({ name, confidence, source: 'midi', midiNotes }), or null
+     *                        until a chord has been played
+     */
+    getChord() {
+        return this.chord;
+    }
+
+    /**
+     * Hand the chord back to the fret hand
+     */
+    clearChord() {
+        this.chord = null;
+    }
+
+    /**
+     * Handle a message from the input port
+     * @param {MIDIMessageEvent} event - Message with `data` bytes and `timeStamp` (ms)
+     */
+    handleMessage({ data, timeStamp }) {
+        const [status, data1, data2] = data;
+        const type = status < 0xF0 ? status - (status % 16) : status;
+
+        if (type === NOTE_ON && data2 > 0) {
+            this.heldNotes.add(data1);
+            this.updateChord();
+        } else if (type === NOTE_OFF || type === NOTE_ON) {
+            this.heldNotes.delete(data1);
+        } else if (type === PROGRAM_CHANGE) {
+            const preset = PROGRAM_PRESETS[data1 % PROGRAM_PRESETS.length];
+            if (this.presetCallback) {
+                this.presetCallback({ ...preset, effects: { ...preset.effects } });
+            }
+        } else if (type === CONTROL_CHANGE) {
+            const name = this.controllers[data1];
+            if (name && this.levelCallback) {
+                this.levelCallback(name, data2 / 127);
+            }
+        } else if (type === CLOCK) {
+            this.handleClock(timeStamp);
+        } else if (type === START || type === CONTINUE || type === STOP) {
+            this.clockTimes = [];
+        }
+    }
+
+    /**
+     * Name the chord of the held notes and latch it
+     */
+    updateChord() {
+        const name = ChordLibrary.identify([...this.heldNotes]);
+        if (!name) return;
+
+        const midiNotes = [...this.heldNotes].sort((a, b) => a - b);
+        this.chord = {
+            name, confidence: 1, source: 'midi', midiNotes
+        };
+        if (this.chordCallback) {
+            this.chordCallback(this.chord);
+        }
+    }
+
+    /**
+     * Follow the tempo of MIDI clock, averaged over the last beat of ticks
+     * @param {number} time - Tick timestamp (ms)
+     */
+    handleClock(time) {
+        this.clockTimes.push(time);
+        if (this.clockTimes.length <= CLOCKS_PER_BEAT) return;
+        this.clockTimes.shift();
+
+        const tickLength = (this.clockTimes[CLOCKS_PER_BEAT - 1] - this.clockTimes[0])
+            / (CLOCKS_PER_BEAT - 1);
+        const tempo = Math.round(600000 / (tickLength * CLOCKS_PER_BEAT)) / 10;
+
+        // Ticks jitter, so only a real change is passed on
+        if (this.tempo === null || Math.abs(tempo - this.tempo) >= 0.5) {
+            this.tempo = tempo;
+            if (this.tempoCallback) {
+                this.tempoCallback(tempo);
+            }
+        }
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * MIDI Output Module
+ *
+ * Sends what the sound engine plays to a Web MIDI output port, so the air guitar can
+ * drive an external synth or DAW. Each string plays on its own channel (as in MIDI
+ * file export), so pitch bends from the fret hand reach only the strings they bend.
+ * Messages carry timestamps on the performance.now() clock and are sent ahead, so
+ * they land when the matching notes sound locally. Note offs wait until just before
+ * they are due, as a sent message can't be taken back if a new note cuts the old one.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+import { MidiFileWriter } from './midi-file-writer.js';
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const PITCH_BEND = 0xE0;
+const ALL_NOTES_OFF = 123;
+const BEND_CENTER = 8192;
+const NOTE_OFF_AHEAD = 20; // ms before a note off is due that it is sent
+
+// Controllers for the effect sliders: General MIDI reverb and tremolo depths, with
+// the unassigned Effect Control 1 and Effects 4 Depth for distortion and delay
+const EFFECT_CONTROLLERS = {
+    volume: 7,
+    distortion: 12,
+    reverb: 91,
+    tremolo: 92,
+    delay: 94
+};
+
+export class MidiOutput {
+    /**
+     * @param {Object} options - Output options
+     * @param {MIDIAccess} options.midiAccess - MIDI access to use instead of requesting it
+     * @param {number} options.bendRange - Pitch bend range of the receiving synth, in cents
+     */
+    constructor({ midiAccess = null, bendRange = 200 } = {}) {
+        this.midiAccess = midiAccess;
+        this.bendRange = bendRange;
+        this.port = null;
+        this.portsCallback = null;
+        this.channels = new Set(); // Channels played on, for controllers and all notes off
+        this.levels = {}; // Controller name -> last value sent, for channels played later
+        this.sounding = new Map(); // String index or note -> { channel, midi, velocity, offTime }
+    }
+
+    /**
+     * Check whether the browser offers Web MIDI
+     * @returns {boolean} True if MIDI access can be requested
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'requestMIDIAccess' in navigator;
+    }
+
+    /**
+     * Get MIDI access, asking the user the first time
+     * @returns {Promise<MIDIAccess>} MIDI access
+     */
+    async init() {
+        if (!this.midiAccess) {
+            if (!MidiOutput.isSupported()) {
+                throw new Error('Web MIDI is not supported in this browser');
+            }
+            this.midiAccess = await navigator.requestMIDIAccess();
+        }
+
+        // Ports come and go as devices are plugged in; a vanished port is let go
+        this.midiAccess.onstatechange = () => {
+            if (this.port && !this.midiAccess.outputs.has(this.port.id)) {
+                console.warn(`MIDI output ${this.port.name} disconnected`);
+                this.port = null;
+            }
+            if (this.portsCallback) {
+                this.portsCallback(this.getPorts());
+            }
+        };
+        return this.midiAccess;
+    }
+
+    /**
+     * Set the function told when output ports are added or removed
+     * @param {Function|null} callback - Receives the ports from getPorts()
+     */
+    setPortsCallback(callback) {
+        this.portsCallback = callback;
+    }
+
+    /**
+     * List the output ports
+     * @returns {Array} { id, name } for each port
+     */
+    getPorts() {
+        if (!this.midiAccess) return [];
+        return [...this.midiAccess.outputs.values()].map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Choose the port to send to
+     * @param {string|null} id - Port id, or null for none
+     * @returns {boolean} True if the port is now in use
+     */
+    selectPort(id) {
+        this.allNotesOff();
+        this.channels.clear();
+        this.port = (id && this.midiAccess && this.midiAccess.outputs.get(id)) || null;
+        if (this.port) {
+            console.debug(`MIDI output: ${this.port.name}`);
+        }
+        return this.port !== null || !id;
+    }
+
+    /**
+     * Check whether a port is selected
+     * @returns {boolean} True if messages are being sent
+     */
+    isConnected() {
+        return this.port !== null;
+    }
+
+    /**
+     * Play a note on a string's channel
+     * @param {number|null} stringIndex - String index, or null for a note not on a string
+     * @param {string} note - Note name
+     * @param {number} velocity - Velocity (0-1)
+     * @param {number} startTime - When it starts (performance.now clock, ms)
+     * @param {number} duration - How long it lasts (ms)
+     */
+    playNote(stringIndex, note, velocity, startTime, duration) {
+        const midi = ChordLibrary.noteToMidi(note);
+        if (!this.port || midi === null) return;
+
+        const channel = MidiFileWriter.getChannel(stringIndex);
+        const midiVelocity = MidiOutput.toDataByte(velocity * 127, 1);
+        // A string plays one note at a time; other notes only cut a repeat of themselves
+        const key = stringIndex === null ? `note-${midi}` : stringIndex;
+        this.useChannel(channel);
+        this.endSounding(key, startTime);
+
+        // A new note on a string starts in tune, like the string voices
+        if (stringIndex !== null) {
+            this.send([PITCH_BEND + channel, 0, BEND_CENTER / 128], startTime);
+        }
+        this.send([NOTE_ON + channel, midi, midiVelocity], startTime);
+        this.holdNote(key, {
+            channel, midi, velocity: midiVelocity, offTime: startTime + duration
+        });
+    }
+
+    /**
+     * Move a string's sounding note to a new pitch without picking it again
+     * The new note starts before the old one ends, which mono synths play legato.
+     * @param {number} stringIndex - String index
+     * @param {string} note - New note name
+     * @param {number} time - When it changes (performance.now clock, ms)
+     */
+    slurNote(stringIndex, note, time) {
+        const sounding = this.sounding.get(stringIndex);
+        const midi = ChordLibrary.noteToMidi(note);
+        if (!this.port || !sounding || midi === null) return;
+
+        const { channel } = sounding;
+        this.send([PITCH_BEND + channel, 0, BEND_CENTER / 128], time);
+        this.send([NOTE_ON + channel, midi, sounding.velocity], time);
+        this.send([NOTE_OFF + channel, sounding.midi, 0], time);
+        this.holdNote(stringIndex, { ...sounding, midi });
+    }
+
+    /**
+     * Keep a note sounding until its note off is due or a new note cuts it
+     * @param {number|string} key - String index, or a key for a note not on a string
+     * @param {Object} sounding - { channel, midi, velocity, offTime }
+     */
+    holdNote(key, sounding) {
+        this.sounding.set(key, sounding);
+
+        const delay = sounding.offTime - performance.now() - NOTE_OFF_AHEAD;
+        setTimeout(() => {
+            if (this.sounding.get(key) !== sounding) return;
+            this.sounding.delete(key);
+            if (this.port) {
+                this.send([NOTE_OFF + sounding.channel, sounding.midi, 0], sounding.offTime);
+            }
+        }, Math.max(0, delay));
+    }
+
+    /**
+     * Stop every string still sounding, as a dead note mutes them
+     * @param {number} time - When to stop them (performance.now clock, ms)
+     */
+    muteStrings(time) {
+        if (!this.port) return;
+        [...this.sounding.keys()]
+            .filter((key) => typeof key === 'number')
+            .forEach((key) => this.endSounding(key, time));
+    }
+
+    /**
+     * Start sending on a channel, bringing it up to the current levels
+     * @param {number} channel - MIDI channel
+     */
+    useChannel(channel) {
+        if (this.channels.has(channel)) return;
+
+        this.channels.add(channel);
+        Object.entries(this.levels).forEach(([name, value]) => {
+            this.send([CONTROL_CHANGE + channel, EFFECT_CONTROLLERS[name], value]);
+        });
+    }
+
+    /**
+     * End a sounding note early, when a new note cuts it off
+     * @param {number|string} key - String index, or the key of a note not on a string
+     * @param {number} time - When the new note starts (performance.now clock, ms)
+     */
+    endSounding(key, time) {
+        const sounding = this.sounding.get(key);
+        if (sounding) {
+            const { channel, midi, offTime } = sounding;
+            this.send([NOTE_OFF + channel, midi, 0], Math.min(time, offTime));
+        }
+        this.sounding.delete(key);
+    }
+
+    /**
+     * Bend the notes of some strings
+     * @param {number[]} stringIndices - Strings to bend
+     * @param {number} cents - Bend in cents, clamped to the bend range
+     * @param {number} time - When to bend (performance.now clock, ms)
+     */
+    pitchBend(stringIndices, cents, time) {
+        if (!this.port) return;
+
+        const value = Math.round(BEND_CENTER + (cents / this.bendRange) * BEND_CENTER);
+        const clamped = Math.max(0, Math.min(16383, value));
+        stringIndices.forEach((stringIndex) => {
+            const channel = MidiFileWriter.getChannel(stringIndex);
+            this.send([PITCH_BEND + channel, clamped % 128, Math.floor(clamped / 128)], time);
+        });
+    }
+
+    /**
+     * Send an effect or volume level as a controller on every channel played
+     * @param {string} name - 'volume', 'distortion', 'reverb', 'delay' or 'tremolo'
+     * @param {number} level - Level (0-1)
+     */
+    sendLevel(name, level) {
+        const controller = EFFECT_CONTROLLERS[name];
+        if (controller === undefined) return;
+
+        const value = MidiOutput.toDataByte(level * 127);
+        this.levels[name] = value;
+        if (!this.port) return;
+        this.channels.forEach((channel) => {
+            this.send([CONTROL_CHANGE + channel, controller, value]);
+        });
+    }
+
+    /**
+     * Silence every channel played, e.g. before switching ports
+     */
+    allNotesOff() {
+        if (this.port) {
+            this.channels.forEach((channel) => {
+                this.send([CONTROL_CHANGE + channel, ALL_NOTES_OFF, 0]);
+            });
+        }
+        this.sounding.clear();
+    }
+
+    /**
+     * Send a message to the selected port
+     * @param {number[]} data - MIDI message bytes
+     * @param {number} timestamp - When to send it (performance.now clock, ms); now if omitted
+     */
+    send(data, timestamp) {
+        try {
+            this.port.send(data, timestamp);
+        } catch (error) {
+            console.error('MIDI send failed:', error.message);
+        }
+    }
+
+    /**
+     * Get the controller number each level is sent on
+     * @returns {Object} Level name -> controller number
+     */
+    static getEffectControllers() {
+        return { ...EFFECT_CONTROLLERS };
+    }
+
+    /**
+     * Round and clamp a value to a MIDI data byte
+     * @param {number} value - Value
+     * @param {number} min - Smallest byte allowed
+     * @returns {number} 0-127
+     */
+    static toDataByte(value, min = 0) {
+        return Math.max(min, Math.min(127, Math.round(value)));
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Mock Hand Backend Module
+ *
+ * Tracking backend that plays scripted hands instead of running a model, so hand
+ * tracking runs without a camera, a GPU or the model libraries (e.g. in Node tests).
+ * Each estimate() call returns the next scripted frame; the hands are given in
+ * hand-pose-detection's format and returned as they are, already mirrored.
+ */
+
+import { SessionReplay } from './session-replay.js';
+
+export class MockHandBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {Array} options.frames - Hands for each frame, in detector format
+     * @param {Function} options.script - Builds the hands of a frame from its index and
+     *                                    timestamp; used instead of frames when given
+     * @param {boolean} options.loop - Start the frames again after the last one
+     */
+    constructor({ frames = [], script = null, loop = false } = {}) {
+        this.frames = frames;
+        this.script = script;
+        this.loop = loop;
+        this.ready = false;
+        this.frameIndex = 0;
+    }
+
+    /**
+     * Start playing the script from its first frame
+     * @returns {Promise<void>} Resolves at once
+     */
+    init() {
+        this.ready = true;
+        this.frameIndex = 0;
+        return Promise.resolve();
+    }
+
+    /**
+     * Get the next scripted frame's hands
+     * The frame itself is ignored, and so is flipHorizontal.
+     * @param {*} frame - Frame that would be detected
+     * @param {Object} options - Estimation options
+     * @param {number} options.timestamp - Frame time in milliseconds, passed to the script
+     * @returns {Promise<Array>} Hands in hand-pose-detection format (none once the
+     *                           frames run out)
+     */
+    estimate(frame, { timestamp = performance.now() } = {}) {
+        if (!this.ready) {
+            return Promise.reject(new Error('Mock hand backend is not initialized'));
+        }
+
+        const index = this.frameIndex;
+        this.frameIndex += 1;
+
+        if (this.script) {
+            return Promise.resolve(this.script(index, timestamp) || []);
+        }
+        if (this.frames.length === 0 || (!this.loop && index >= this.frames.length)) {
+            return Promise.resolve([]);
+        }
+        return Promise.resolve(this.frames[index % this.frames.length]);
+    }
+
+    /**
+     * Stop playing
+     */
+    dispose() {
+        this.ready = false;
+    }
+
+    /**
+     * Create a backend that plays the hands of a recorded session
+     * The recorded hands keep the detector's handedness labels, so they come out of
+     * hand tracking displayed on the same side as when they were recorded.
+     * @param {string|Object} session - Session text or an already parsed session object
+     * @param {Object} options - Other backend options (e.g. loop)
+     * @returns {MockHandBackend} The backend
+     */
+    static fromSession(session, options = {}) {
+        const { frames } = typeof session === 'string' ? SessionReplay.parse(session) : session;
+        return new MockHandBackend({
+            ...options,
+            frames: frames.map(({ hands }) => [hands.left, hands.right].filter(Boolean))
+        });
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * Mock Pose Backend Module
+ *
+ * Pose backend that plays scripted or recorded poses instead of running a model, like
+ * MockHandBackend does for hands, so guitar plane estimation runs without a camera or
+ * the model libraries (e.g. in Node tests). Poses are given in pose-detection's format
+ * and returned as they are, already mirrored.
+ */
+
+export class MockPoseBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {Array} options.frames - Poses for each frame, in pose-detection format
+     * @param {Function} options.script - Builds the poses of a frame from its index and
+     *                                    timestamp; used instead of frames when given
+     * @param {boolean} options.loop - Start the frames again after the last one
+     */
+    constructor({ frames = [], script = null, loop = false } = {}) {
+        this.frames = frames;
+        this.script = script;
+        this.loop = loop;
+        this.ready = false;
+        this.frameIndex = 0;
+    }
+
+    /**
+     * Start playing the poses from the first frame
+     * @returns {Promise<void>} Resolves at once
+     */
+    init() {
+        this.ready = true;
+        this.frameIndex = 0;
+        return Promise.resolve();
+    }
+
+    /**
+     * Get the next frame's poses
+     * The frame itself is ignored, and so is flipHorizontal.
+     * @param {*} frame - Frame that would be detected
+     * @param {Object} options - Estimation options
+     * @param {number} options.timestamp - Frame time in milliseconds, passed to the script
+     * @returns {Promise<Array>} Poses in pose-detection format (none once the frames
+     *                           run out)
+     */
+    estimate(frame, { timestamp = performance.now() } = {}) {
+        if (!this.ready) {
+            return Promise.reject(new Error('Mock pose backend is not initialized'));
+        }
+
+        const index = this.frameIndex;
+        this.frameIndex += 1;
+
+        if (this.script) {
+            return Promise.resolve(this.script(index, timestamp) || []);
+        }
+        if (this.frames.length === 0 || (!this.loop && index >= this.frames.length)) {
+            return Promise.resolve([]);
+        }
+        return Promise.resolve(this.frames[index % this.frames.length]);
+    }
+
+    /**
+     * Stop playing
+     */
+    dispose() {
+        this.ready = false;
+    }
+
+    /**
+     * Create a backend that plays recorded poses
+     * A recording has one JSON line per frame, holding that frame's poses as the pose
+     * backend returned them.
+     * @param {string} text - Recorded poses, one frame per line
+     * @param {Object} options - Other backend options (e.g. loop)
+     * @returns {MockPoseBackend} The backend
+     */
+    static fromRecording(text, options = {}) {
+        const frames = text
+            .split('\n')
+            .filter((line) => line.trim())
+            .map((line, index) => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    const { message } = error;
+                    throw new Error(`Invalid pose recording at frame ${index + 1}: ${message}`);
+                }
+            });
+        return new MockPoseBackend({ ...options, frames });
+    }
+}
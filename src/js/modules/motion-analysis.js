@@ -5,20 +5,90 @@
  * fretboard positioning, and other guitar-playing movements
  */
 
+import { StrumPatternAnalyzer } from './strum-pattern-analyzer.js';
+
+// Thresholds before calibration, tuned for a player whose hands measure about
+// REFERENCE_HAND_SIZE frame heights from wrist to middle knuckle
+const DEFAULT_STRUM_HYSTERESIS = 0.015; // Frame heights
+const DEFAULT_MIN_STRUM_SPEED = 0.3; // Frame heights per second
+const DEFAULT_FULL_STRUM_SPEED = 3; // Frame heights per second
+const DEFAULT_FULL_PLUCK_SPEED = 3; // Frame heights per second
+const REFERENCE_HAND_SIZE = 0.19;
+
 export class MotionAnalysis {
     constructor() {
         this.isActive = false;
         this.lastHandData = null;
+        this.lastHandTime = null; // Frame time of lastHandData (ms)
+        
+        // Frame dimensions used for normalization; falls back to the overlay canvas when unset
+        this.frameSize = null;
+        
+        // Wrist to wrist distance with the fret hand at the nut, in frame heights, from
+        // calibration; until then the neck spans most of the frame
+        this.neckLength = null;
+        
+        // Neck estimated from the player's pose: { direction, length } with the unit vector
+        // from the strumming hand towards the nut in pixels and the length in frame heights
+        this.fretAxis = null;
+        
+        // 'chord' strums the whole chord; 'lead' plucks single strings with a fingertip
+        this.playMode = 'chord';
+        
+        // Lead mode: y position of each string line (index 0 = low E), from the fretboard overlay
+        this.stringLines = null;
+        this.pluckCooldown = 80; // Milliseconds before the same string can be plucked again
+        this.fullPluckSpeed = DEFAULT_FULL_PLUCK_SPEED; // Fingertip speed of a full pluck
+        this.lastPluckTimes = {};
         
-        // Calibration thresholds
-        this.strumThreshold = 25; // Minimum pixels movement to consider as strumming
-        this.strumCooldown = 120; // Milliseconds to wait between strums (reduced from 400ms)
-        this.lastStrumTime = 0;
+        // Strum detection: the strumming hand's index fingertip is followed across the
+        // strings, along the axis at right angles to them as tilted by the guitar plane, in
+        // frame heights so neither camera resolution nor frame rate changes the result.
+        // A stroke strums once, as the fingertip crosses the strum line; the fingertip must
+        // then leave a band either side of the line before the next stroke can strum, so
+        // tracking jitter around the line doesn't retrigger.
+        this.guitarPlaneAngle = 45; // Degrees, as set on hand tracking
+        this.strumHysteresis = DEFAULT_STRUM_HYSTERESIS; // Band either side of the strum line
+        this.minStrumSpeed = DEFAULT_MIN_STRUM_SPEED; // Slower crossings don't strum
+        this.fullStrumSpeed = DEFAULT_FULL_STRUM_SPEED; // Speed that strums at full intensity
+        this.strumTrack = null; // { position, time, side } of the fingertip in the previous frame
+        
+        // Predictive strumming: fire as soon as the crossing is projected to happen before
+        // the next frame rather than once a frame has shown it
+        this.predictiveStrumming = false;
+        this.maxPredictionTime = 100; // Milliseconds ahead a crossing may be predicted
+        this.firedCrossing = null; // { side } the fingertip is heading for after an early strum
         
         // Track detected patterns
         this.lastDetectedChord = null;
         this.lastFretPosition = 0;
         
+        // Expression: how the fret hand moves sustaining notes after their attack
+        this.expressionHoldTime = 1500; // Milliseconds a note keeps responding after its attack
+        this.neckSmoothing = 0.3; // Weight of each new frame in the slow neck position
+        this.vibratoGain = 3; // Fast fret-wrist wobble is exaggerated into audible vibrato
+        this.vibratoDeadZone = 0.05; // Frets of wobble treated as tracking noise
+        this.maxVibrato = 0.5; // Semitones
+        this.bendDeadZone = 5; // Degrees of roll ignored
+        this.bendRange = 30; // Degrees of roll for a full bend
+        this.maxBend = 2; // Semitones (a whole tone)
+        this.neckPosition = null; // Slowly smoothed continuous fret
+        this.attack = null; // { time, neckPosition, roll } of the sustaining note
+        
+        // Technique (articulation) detection
+        this.technique = 'normal';
+        this.pendingTechnique = 'normal';
+        this.pendingTechniqueFrames = 0;
+        this.techniqueHoldFrames = 3; // Frames a new technique must persist before it applies
+        this.deadNoteCurl = 0.7; // Mean fret-hand finger curl that counts as a closed hand
+        this.fingerPickAngle = 45; // Degrees the strumming hand turns sideways to finger pick
+        
+        // Hammer-ons and pull-offs in lead mode
+        this.legatoSpeed = 0.3; // Frets per frame; faster fret changes re-pitch without a pluck
+        this.lastFretContinuous = null; // Unsmoothed fret of the previous frame
+        this.fretChange = 0; // Change in unsmoothed fret since the previous frame
+        this.lastNote = null; // { stringIndex, fretPosition, time } of the sounding lead note
+        
         // For note positioning on virtual fretboard
         this.fretboardPositions = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
         
@@ -29,6 +99,9 @@ export class MotionAnalysis {
         };
         this.smoothingWindow = 3; // Number of frames to average for smoothing
         
+        // Rolling strum history, read for rhythm patterns and coaching
+        this.strumPatterns = new StrumPatternAnalyzer();
+        
         // Callbacks
         this.onStrumDetected = null;
         this.onChordChanged = null;
@@ -57,15 +130,186 @@ export class MotionAnalysis {
         this.onChordChanged = callback;
     }
     
+    /**
+     * Switch between chord strumming and single-note lead playing
+     * @param {string} mode - 'chord' or 'lead'
+     */
+    setPlayMode(mode) {
+        if (mode !== 'chord' && mode !== 'lead') {
+            console.error(`Unknown play mode: ${mode}`);
+            return;
+        }
+        
+        this.playMode = mode;
+        this.lastPluckTimes = {};
+        this.strumTrack = null;
+        this.firedCrossing = null;
+    }
+    
+    /**
+     * Set the guitar plane angle, which tilts the strings the fingertip strums across
+     * @param {number} angle - Angle in degrees, as set on hand tracking (90 = level strings)
+     */
+    setGuitarPlaneAngle(angle) {
+        this.guitarPlaneAngle = angle;
+    }
+    
+    /**
+     * Set how fast a strum has to be, calibrating its intensity to the player
+     * @param {number} minSpeed - Frame heights per second below which crossings don't strum
+     * @param {number} fullSpeed - Frame heights per second that strum at full intensity
+     */
+    setStrumSpeedRange(minSpeed, fullSpeed) {
+        if (!(minSpeed >= 0 && fullSpeed > minSpeed)) {
+            console.error(`Invalid strum speed range: ${minSpeed} to ${fullSpeed}`);
+            return;
+        }
+        
+        this.minStrumSpeed = minSpeed;
+        this.fullStrumSpeed = fullSpeed;
+    }
+    
+    /**
+     * Apply a calibration profile, or go back to the default thresholds
+     * Stroke bands and pluck speeds scale with the player's hand size, the band never
+     * takes more than a quarter of their usual stroke, and the fret positions span their
+     * neck length.
+     * @param {Object|null} profile - From CalibrationWizard: { handSize, neckLength,
+     *                                strumAmplitude, minStrumSpeed, fullStrumSpeed }
+     */
+    setCalibration(profile) {
+        if (!profile) {
+            this.strumHysteresis = DEFAULT_STRUM_HYSTERESIS;
+            this.fullPluckSpeed = DEFAULT_FULL_PLUCK_SPEED;
+            this.neckLength = null;
+            this.setStrumSpeedRange(DEFAULT_MIN_STRUM_SPEED, DEFAULT_FULL_STRUM_SPEED);
+            return;
+        }
+        
+        const handScale = profile.handSize / REFERENCE_HAND_SIZE;
+        this.strumHysteresis = Math.min(
+            DEFAULT_STRUM_HYSTERESIS * handScale,
+            profile.strumAmplitude / 4
+        );
+        this.fullPluckSpeed = DEFAULT_FULL_PLUCK_SPEED * handScale;
+        this.neckLength = profile.neckLength;
+        this.setStrumSpeedRange(profile.minStrumSpeed, profile.fullStrumSpeed);
+    }
+    
+    /**
+     * Set the neck estimated from the player's pose
+     * Frets are then measured along the neck rather than straight between the wrists, and
+     * the neck's length is used until the player calibrates their own.
+     * @param {Object|null} axis - From GuitarPlaneEstimator: { direction, length }, or null
+     *                             to measure between the wrists again
+     */
+    setFretAxis(axis) {
+        this.fretAxis = axis;
+    }
+    
+    /**
+     * Set the practice tempo strum patterns are read against
+     * @param {number} bpm - Tempo in beats per minute
+     */
+    setTempo(bpm) {
+        this.strumPatterns.setTempo(bpm);
+    }
+    
+    /**
+     * Set a strum pattern to coach towards
+     * @param {string|null} patternId - Id from StrumPatternAnalyzer.getPatterns(), or null
+     */
+    setTargetPattern(patternId) {
+        this.strumPatterns.setTargetPattern(patternId);
+    }
+    
+    /**
+     * Set where the strings are drawn, so lead mode knows which string a fingertip crosses
+     * @param {number[]} lines - Y position of each string line in pixels, low E first
+     */
+    setStringLines(lines) {
+        this.stringLines = lines;
+    }
+    
+    /**
+     * Turn predictive strumming on or off
+     * @param {boolean} enabled - Fire strums ahead of the wrist crossing the strings
+     */
+    setPredictiveStrumming(enabled) {
+        this.predictiveStrumming = !!enabled;
+        this.strumTrack = null;
+        this.firedCrossing = null;
+    }
+    
+    /**
+     * Get the line the fingertip crosses to strum: midway between the outer strings, or
+     * across the middle of the frame without string lines (e.g. headless session replay)
+     * @returns {number} Y position in pixels where the line meets the strumming area
+     */
+    getStrumLine() {
+        const lines = this.stringLines;
+        if (!lines || lines.length === 0) {
+            return this.getFrameSize().height / 2;
+        }
+        return (lines[0] + lines[lines.length - 1]) / 2;
+    }
+    
+    /**
+     * Project a point onto the axis across the strings
+     * The strings are tilted by the guitar plane angle, so at 45 degrees a fingertip moving
+     * down and to the right crosses them fastest.
+     * @param {Object} point - Point with x and y in pixels
+     * @returns {number} Distance along the strum axis in frame heights (larger is further down)
+     */
+    getStrumPosition(point) {
+        const { height } = this.getFrameSize();
+        const tilt = ((90 - this.guitarPlaneAngle) * Math.PI) / 180;
+        return (point.x * Math.sin(tilt) + point.y * Math.cos(tilt)) / height;
+    }
+    
+    /**
+     * Get the strum line's position along the strum axis
+     * The line is pivoted about the middle of the strumming area, where the overlay
+     * says to strum.
+     * @returns {number} Position in frame heights
+     */
+    getStrumLinePosition() {
+        const { width } = this.getFrameSize();
+        return this.getStrumPosition({ x: width / 4, y: this.getStrumLine() });
+    }
+    
+    /**
+     * Set the frame dimensions used to normalize hand distances
+     * Needed when running without the overlay canvas (e.g. headless session replay)
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     */
+    setFrameSize(width, height) {
+        this.frameSize = { width, height };
+    }
+    
+    /**
+     * Get the frame dimensions used to normalize hand distances
+     * @returns {Object} Width and height in pixels
+     */
+    getFrameSize() {
+        if (this.frameSize) {
+            return this.frameSize;
+        }
+        
+        const canvas = document.getElementById('overlay');
+        return { width: canvas.width, height: canvas.height };
+    }
+    
     /**
      * Process new hand tracking data to detect guitar-playing motions
      * @param {Object} handData - The detected hand landmarks from hand tracking
-     * @param {Object} strummingMotion - Strumming motion data from hand tracking
      * @param {Object} chordData - Chord formation data from hand tracking
      * @param {Object} orientations - Hand orientation data
+     * @param {number} timestamp - Frame time in milliseconds (defaults to the wall clock)
      * @returns {Object} Analysis results including strum events, fret positions, etc.
      */
-    processHandData(handData, strummingMotion, chordData, orientations) {
+    processHandData(handData, chordData, orientations, timestamp = Date.now()) {
         if (!this.isActive) {
             // console.debug('Motion analysis is not active, skipping hand data processing');
             return null;
@@ -78,15 +322,36 @@ export class MotionAnalysis {
         
         // Store current hand data for comparison
         const previousHandData = this.lastHandData;
+        const previousTime = this.lastHandTime;
         this.lastHandData = handData;
+        this.lastHandTime = timestamp;
         
         // Initialize result object
         const result = {
             strumDetected: false,
             strumDirection: null,
             strumIntensity: 0,
+            // Fingertip speed across the strings in frame heights per second, when it
+            // crosses them, and whether the strum was fired ahead of the crossing
+            strumVelocity: 0,
+            strumTime: null,
+            strumPredicted: false,
             fretPosition: this.lastFretPosition,
-            chordType: this.lastDetectedChord ? this.lastDetectedChord.name : 'none'
+            chordType: this.lastDetectedChord ? this.lastDetectedChord.name : 'none',
+            // Custom voicing of a taught gesture, played instead of the chord's voicing
+            chordNotes: this.lastDetectedChord ? this.lastDetectedChord.notes || null : null,
+            // Lead mode: the string under the fingertip and any strings plucked this frame
+            selectedString: null,
+            plucks: [],
+            // Unquantised fret, and how the fret hand is moving the sustaining note
+            fretContinuous: null,
+            expression: null,
+            // Articulation: 'normal', 'palm_mute', 'finger_pick' or 'dead_note'
+            technique: this.technique,
+            // Lead mode hammer-on or pull-off this frame
+            legato: null,
+            // Chord mode: rhythm of the recent strums (see StrumPatternAnalyzer.getAnalysis)
+            strumPattern: null
         };
         
         // Process chord formation (left hand)
@@ -95,6 +360,7 @@ export class MotionAnalysis {
                 // Chord has changed
                 this.lastDetectedChord = chordData;
                 result.chordType = chordData.name;
+                result.chordNotes = chordData.notes || null;
                 
                 // Trigger chord change callback
                 if (this.onChordChanged) {
@@ -104,6 +370,9 @@ export class MotionAnalysis {
             }
         }
         
+        // Technique is tracked every frame so it is settled by the time a strum lands
+        result.technique = this.updateTechnique(orientations);
+        
         // Determine fret position based on distance between hands
         // When hands are far apart (normal playing position), fret position is low (open strings)
         // When fret hand moves closer to strumming hand, fret position increases (higher up the neck)
@@ -117,84 +386,448 @@ export class MotionAnalysis {
             const fretWrist = this.smoothMotion('right', rawFretWrist);
             
             // Calculate distance between hands (using smoothed positions)
-            const distance = Math.sqrt(
-                Math.pow(strumWrist.x - fretWrist.x, 2) + 
-                Math.pow(strumWrist.y - fretWrist.y, 2)
-            );
-            
-            // Get canvas dimensions for normalization
-            const canvas = document.getElementById('overlay');
-            const canvasWidth = canvas.width;
-            const canvasHeight = canvas.height;
-            const maxPossibleDistance = Math.sqrt(canvasWidth * canvasWidth + canvasHeight * canvasHeight);
+            const distance = this.getHandSpan(strumWrist, fretWrist);
             
-            // Normalize distance to 0-1 range
-            const normalizedDistance = Math.min(1, distance / (maxPossibleDistance * 0.7));
+            const fretContinuous = this.distanceToFret(distance);
+            const fretPosition = Math.round(fretContinuous);
+            result.fretContinuous = fretContinuous;
             
-            // Calculate fret position (0-12) based on normalized distance
-            // When hands are close, fret position is high
-            // When hands are far apart, fret position is low
-            const fretPosition = Math.min(12, Math.max(0, Math.round((1 - normalizedDistance) * 12)));
+            // Hammer-ons land in a single frame, so they are judged on the unsmoothed wrists
+            const rawFret = this.distanceToFret(this.getHandSpan(rawStrumWrist, rawFretWrist));
+            this.fretChange = this.lastFretContinuous === null
+                ? 0
+                : rawFret - this.lastFretContinuous;
+            this.lastFretContinuous = rawFret;
             
-            console.debug(`Hand distance: ${distance.toFixed(2)}px, Normalized: ${normalizedDistance.toFixed(2)}, Fret position: ${fretPosition}`);
+            console.debug(`Hand distance: ${distance.toFixed(2)}px, Fret position: ${fretContinuous.toFixed(2)}`);
             
             this.lastFretPosition = fretPosition;
             result.fretPosition = fretPosition;
         } else if (handData.left) {
+            this.lastFretContinuous = null;
+            this.fretChange = 0;
+            
             // Only strumming hand visible - keep the last fret position
             // This allows playing while moving the strumming hand without losing fret position
             result.fretPosition = this.lastFretPosition;
         }
         
-        // Process strumming motion (right hand)
-        if (strummingMotion) {
-            const now = Date.now();
-            
-            // Check if we've passed the cooldown period to prevent multiple strums
-            if (now - this.lastStrumTime > this.strumCooldown) {
-                console.debug(`Strum detected! Direction: ${strummingMotion.direction}, Time since last strum: ${now - this.lastStrumTime}ms`);
-                
-                result.strumDetected = true;
-                result.strumDirection = strummingMotion.direction;
-                result.strumIntensity = strummingMotion.intensity;
-                
-                this.lastStrumTime = now;
-                
-                // Trigger strum callback
-                if (this.onStrumDetected) {
-                    // console.debug('Calling strum callback with result data');
-                    this.onStrumDetected(result);
-                } else {
-                    // console.warn('No strum callback registered!');
-                }
+        // In lead mode the strumming hand plucks single strings instead of strumming
+        if (this.playMode === 'lead') {
+            const previousHand = previousHandData ? previousHandData.left : null;
+            Object.assign(
+                result,
+                this.detectPluck(handData.left, previousHand, timestamp, previousTime)
+            );
+            if (result.plucks.length > 0) {
+                this.startExpression(timestamp, result.fretContinuous, orientations);
+                this.lastNote = {
+                    stringIndex: result.plucks[result.plucks.length - 1].stringIndex,
+                    fretPosition: result.fretPosition,
+                    time: timestamp
+                };
             } else {
-                console.debug(`Strum cooldown active. Time since last strum: ${now - this.lastStrumTime}ms`);
+                result.legato = this.detectLegato(result, orientations, timestamp);
+                if (result.legato) {
+                    result.fretPosition = result.legato.fretPosition;
+                    result.fretContinuous = this.lastFretContinuous;
+                }
             }
+            result.expression = this.updateExpression(
+                result.fretContinuous,
+                orientations,
+                timestamp
+            );
+            return result;
         }
         
+        const strum = this.detectStrum(handData.left, timestamp);
+        if (strum) {
+            console.debug(`Strum detected! Direction: ${strum.direction}, velocity: ${strum.velocity.toFixed(2)}`);
+            
+            result.strumDetected = true;
+            result.strumDirection = strum.direction;
+            result.strumIntensity = strum.intensity;
+            result.strumVelocity = strum.velocity;
+            result.strumTime = strum.time;
+            result.strumPredicted = strum.predicted;
+            
+            this.startExpression(timestamp, result.fretContinuous, orientations);
+            this.strumPatterns.addStrum(strum.direction, strum.time);
+            
+            // Trigger strum callback
+            if (this.onStrumDetected) {
+                this.onStrumDetected(result);
+            }
+        }
+        
+        result.expression = this.updateExpression(result.fretContinuous, orientations, timestamp);
+        result.strumPattern = this.strumPatterns.getAnalysis(timestamp);
+        
         return result;
     }
     
+    /**
+     * Detect a stroke of the strumming hand's index fingertip across the strum line
+     * The fingertip is on one side of the line once it is further from it than the
+     * hysteresis band; moving to the other side is a stroke, which strums once. The
+     * crossing time is interpolated between the frames, and with predictive strumming the
+     * last frame's velocity is extrapolated so a crossing due before the next frame (and
+     * within maxPredictionTime) strums now. A stroke already played early is not played
+     * again when the frame showing it arrives.
+     * @param {Object|null} hand - Strumming hand in the current frame
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object|null} { direction, intensity, velocity, time, predicted } where
+     *                        velocity is in frame heights per second and time is when the
+     *                        fingertip crosses, or null if this frame doesn't strum
+     */
+    detectStrum(hand, timestamp) {
+        const previous = this.strumTrack;
+        if (!hand) {
+            this.strumTrack = null;
+            this.firedCrossing = null;
+            return null;
+        }
+        
+        const position = this.getStrumPosition(hand.keypoints[8]); // Index fingertip
+        const line = this.getStrumLinePosition();
+        const outsideBand = Math.abs(position - line) > this.strumHysteresis;
+        let side = previous ? previous.side : 0; // -1 above the line, 1 below, 0 not yet known
+        if (outsideBand) {
+            side = Math.sign(position - line);
+        }
+        this.strumTrack = { position, time: timestamp, side };
+        if (!previous || timestamp <= previous.time) return null;
+        
+        const elapsed = timestamp - previous.time;
+        const velocity = ((position - previous.position) / elapsed) * 1000;
+        const speed = Math.abs(velocity);
+        
+        if (this.firedCrossing) {
+            // The stroke was played early: wait for the fingertip to reach the far side, and
+            // forget the stroke if the fingertip turns back short of it
+            const { side: target } = this.firedCrossing;
+            if (side === target) {
+                this.firedCrossing = null;
+                return null;
+            }
+            if (Math.sign(velocity) !== -target) return null;
+            this.firedCrossing = null;
+        }
+        
+        const stroke = {
+            direction: velocity > 0 ? 'down' : 'up',
+            intensity: this.getStrumIntensity(speed),
+            velocity: speed
+        };
+        
+        // Crossed since the last frame: interpolate when
+        if (previous.side !== 0 && side === -previous.side) {
+            if (speed < this.minStrumSpeed) return null;
+            const crossing = previous.time + ((line - previous.position) / velocity) * 1000;
+            return {
+                ...stroke,
+                time: Math.min(timestamp, Math.max(previous.time, crossing)),
+                predicted: false
+            };
+        }
+        
+        // Heading for the line from outside the band: fire now if it will be crossed before
+        // the next frame. Jitter within the band is never extrapolated.
+        if (!this.predictiveStrumming || !outsideBand || Math.sign(velocity) !== -side
+            || speed < this.minStrumSpeed) {
+            return null;
+        }
+        const timeToCross = ((line - position) / velocity) * 1000;
+        const horizon = Math.min(this.maxPredictionTime, elapsed);
+        if (timeToCross > 0 && timeToCross <= horizon) {
+            this.firedCrossing = { side: -side };
+            return { ...stroke, time: timestamp + timeToCross, predicted: true };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Calibrate a fingertip speed into strum intensity
+     * @param {number} speed - Frame heights per second across the strings
+     * @returns {number} Intensity (0-1), 0 at minStrumSpeed and 1 from fullStrumSpeed up
+     */
+    getStrumIntensity(speed) {
+        const range = this.fullStrumSpeed - this.minStrumSpeed;
+        return Math.max(0, Math.min(1, (speed - this.minStrumSpeed) / range));
+    }
+    
+    /**
+     * Remember where the fret hand was when a note was struck, so later motion is relative to it
+     * @param {number} timestamp - Attack time in milliseconds
+     * @param {number|null} fretContinuous - Unquantised fret at the attack
+     * @param {Object} orientations - Hand orientation data
+     */
+    startExpression(timestamp, fretContinuous, orientations) {
+        const fretOrientation = orientations && orientations.right;
+        
+        this.attack = {
+            time: timestamp,
+            neckPosition: this.neckPosition ?? fretContinuous,
+            roll: fretOrientation ? fretOrientation.roll : null
+        };
+    }
+    
+    /**
+     * Turn fret-hand motion since the attack into continuous pitch changes
+     * The fret position is split into a slow part, which slides the pitch, and the fast
+     * wobble around it, which becomes vibrato. Rolling the hand bends the note up.
+     * @param {number|null} fretContinuous - Unquantised fret this frame (null without a fret hand)
+     * @param {Object} orientations - Hand orientation data
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object} { slide, vibrato, bend } in semitones and their total `detune` in cents
+     */
+    updateExpression(fretContinuous, orientations, timestamp) {
+        const neutral = {
+            slide: 0,
+            vibrato: 0,
+            bend: 0,
+            detune: 0
+        };
+        
+        if (fretContinuous === null) return neutral;
+        
+        this.neckPosition = this.neckPosition === null
+            ? fretContinuous
+            : this.neckPosition + (fretContinuous - this.neckPosition) * this.neckSmoothing;
+        
+        if (!this.attack || timestamp - this.attack.time > this.expressionHoldTime) {
+            return neutral;
+        }
+        if (this.attack.neckPosition === null) {
+            // The note was struck before the fret hand appeared: measure from here
+            this.attack.neckPosition = this.neckPosition;
+        }
+        
+        const slide = this.neckPosition - this.attack.neckPosition;
+        
+        const wobble = fretContinuous - this.neckPosition;
+        const vibrato = Math.abs(wobble) < this.vibratoDeadZone
+            ? 0
+            : Math.max(-this.maxVibrato, Math.min(this.maxVibrato, wobble * this.vibratoGain));
+        
+        let bend = 0;
+        const fretOrientation = orientations && orientations.right;
+        if (fretOrientation && this.attack.roll !== null) {
+            const rotation = Math.abs(fretOrientation.roll - this.attack.roll) - this.bendDeadZone;
+            bend = Math.max(0, Math.min(this.maxBend, (rotation / this.bendRange) * this.maxBend));
+        }
+        
+        return {
+            slide,
+            vibrato,
+            bend,
+            detune: Math.round((slide + vibrato + bend) * 100)
+        };
+    }
+    
+    /**
+     * Detect the strumming hand's index fingertip crossing a string line
+     * Only the last string crossed is plucked, so a fast sweep still plays a single note.
+     * Intensity comes from the fingertip's speed in frame heights per second, like a
+     * strum's, so neither camera resolution nor frame rate changes it.
+     * @param {Object|null} hand - Strumming hand in the current frame
+     * @param {Object|null} previousHand - Strumming hand in the previous frame
+     * @param {number} timestamp - Frame time in milliseconds
+     * @param {number|null} previousTime - Frame time of the previous frame in milliseconds
+     * @returns {Object} { selectedString, plucks } where plucks is
+     *                   [{ stringIndex, direction, intensity }]
+     */
+    detectPluck(hand, previousHand, timestamp, previousTime) {
+        const lines = this.stringLines;
+        if (!hand || !lines || lines.length === 0) {
+            return { selectedString: null, plucks: [] };
+        }
+        
+        const tip = hand.keypoints[8]; // Index fingertip
+        
+        // The string nearest the fingertip is the one the hand is over
+        let selectedString = 0;
+        lines.forEach((y, index) => {
+            if (Math.abs(tip.y - y) < Math.abs(tip.y - lines[selectedString])) {
+                selectedString = index;
+            }
+        });
+        
+        if (!previousHand || previousTime === null || timestamp <= previousTime) {
+            return { selectedString, plucks: [] };
+        }
+        
+        const previousTip = previousHand.keypoints[8];
+        const movement = tip.y - previousTip.y;
+        const crossed = lines
+            .map((y, index) => ({ y, index }))
+            .filter(({ y }) => (
+                (previousTip.y < y && tip.y >= y) || (previousTip.y > y && tip.y <= y)
+            ));
+        
+        if (crossed.length === 0) {
+            return { selectedString, plucks: [] };
+        }
+        
+        // Moving down the strings the last line crossed is the lowest one, and vice versa
+        const { index: stringIndex } = movement > 0 ? crossed[crossed.length - 1] : crossed[0];
+        const lastPluckTime = this.lastPluckTimes[stringIndex] ?? -Infinity;
+        
+        if (timestamp - lastPluckTime <= this.pluckCooldown) {
+            return { selectedString, plucks: [] };
+        }
+        this.lastPluckTimes[stringIndex] = timestamp;
+        
+        const { height } = this.getFrameSize();
+        const speed = (Math.abs(movement) / height / (timestamp - previousTime)) * 1000;
+        const pluck = {
+            stringIndex,
+            direction: movement > 0 ? 'down' : 'up',
+            intensity: Math.min(1, speed / this.fullPluckSpeed)
+        };
+        console.debug(`Pluck detected on string ${stringIndex} (${pluck.direction})`);
+        
+        return { selectedString, plucks: [pluck] };
+    }
+    
+    /**
+     * Measure how far apart the wrists are along the neck
+     * @param {Object} strumWrist - Strumming hand wrist with x and y in pixels
+     * @param {Object} fretWrist - Fret hand wrist with x and y in pixels
+     * @returns {number} Distance in pixels, along the fret axis when one is set
+     */
+    getHandSpan(strumWrist, fretWrist) {
+        const dx = fretWrist.x - strumWrist.x;
+        const dy = fretWrist.y - strumWrist.y;
+        if (!this.fretAxis) {
+            return Math.hypot(dx, dy);
+        }
+        const { direction } = this.fretAxis;
+        return Math.max(0, dx * direction.x + dy * direction.y);
+    }
+    
+    /**
+     * Convert the distance between the wrists to a position on the neck
+     * When hands are close, fret position is high; when far apart, it is low
+     * @param {number} distance - Wrist to wrist distance in pixels
+     * @returns {number} Unquantised fret (0-12)
+     */
+    distanceToFret(distance) {
+        const { width: canvasWidth, height: canvasHeight } = this.getFrameSize();
+        const maxPossibleDistance = Math.hypot(canvasWidth, canvasHeight);
+        const neckLength = this.neckLength || (this.fretAxis && this.fretAxis.length);
+        const neckReach = neckLength
+            ? neckLength * canvasHeight
+            : maxPossibleDistance * 0.7;
+        
+        // Normalize distance to 0-1 range
+        const normalizedDistance = Math.min(1, distance / neckReach);
+        
+        return Math.min(12, Math.max(0, (1 - normalizedDistance) * 12));
+    }
+    
+    /**
+     * Detect a hammer-on or pull-off: the fret hand jumping to a new fret while a lead note
+     * still sounds. Slower movement is left to the slide expression.
+     * @param {Object} result - Motion result for this frame
+     * @param {Object} orientations - Hand orientation data
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Object|null} { type, stringIndex, fretPosition } where type is
+     *                        'hammer_on' or 'pull_off'
+     */
+    detectLegato(result, orientations, timestamp) {
+        const note = this.lastNote;
+        if (!note || timestamp - note.time > this.expressionHoldTime) return null;
+        if (result.fretContinuous === null || Math.abs(this.fretChange) < this.legatoSpeed) {
+            return null;
+        }
+        
+        const fretPosition = Math.round(this.lastFretContinuous);
+        if (fretPosition === note.fretPosition) return null;
+        
+        const legato = {
+            type: fretPosition > note.fretPosition ? 'hammer_on' : 'pull_off',
+            stringIndex: note.stringIndex,
+            fretPosition
+        };
+        console.debug(`${legato.type} to fret ${fretPosition} on string ${legato.stringIndex}`);
+        
+        // Restart wrist smoothing from where the finger landed, so the fret doesn't creep
+        // through the frets in between
+        Object.values(this.handPositions).forEach((positions) => {
+            positions.x.splice(0, positions.x.length - 1);
+            positions.y.splice(0, positions.y.length - 1);
+        });
+        this.lastFretPosition = fretPosition;
+        
+        // The new note is in tune at its fret; expression is measured from here
+        this.lastNote = { ...note, fretPosition, time: timestamp };
+        this.neckPosition = this.lastFretContinuous;
+        this.startExpression(timestamp, this.lastFretContinuous, orientations);
+        
+        return legato;
+    }
+    
     /**
      * Analyze hand orientation for technique detection
      * (e.g., palm muting, finger picking, etc.)
+     * @param {Object} orientations - Hand orientation and shape data
+     * @returns {string} 'normal', 'palm_mute', 'finger_pick' or 'dead_note'
      */
     analyzeTechnique(orientations) {
-        if (!orientations || !orientations.right) return 'normal';
+        if (!orientations) return 'normal';
         
-        // Determine technique based on hand orientation
-        // This is a simplified approach
-        const rightOrientation = orientations.right;
+        // A closed fret hand deadens the strings into a percussive chuck
+        const fretOrientation = orientations.right;
+        if (fretOrientation && fretOrientation.fingerCurl > this.deadNoteCurl) {
+            return 'dead_note';
+        }
         
-        if (rightOrientation.isPalmFacingCamera) {
+        // Palm muting and finger picking come from the strumming hand (left in the mirrored view)
+        const strumOrientation = orientations.left;
+        if (!strumOrientation) return 'normal';
+        
+        if (strumOrientation.isPalmFacingCamera) {
             return 'palm_mute';
-        } else if (Math.abs(rightOrientation.angle) > 45) {
+        } else if (Math.abs(strumOrientation.angle) > this.fingerPickAngle) {
             return 'finger_pick';
         }
         
         return 'normal';
     }
     
+    /**
+     * Run technique detection for a frame, switching only once a technique persists
+     * so single-frame tracking glitches don't flip the articulation
+     * @param {Object} orientations - Hand orientation and shape data
+     * @returns {string} The active technique
+     */
+    updateTechnique(orientations) {
+        const detected = this.analyzeTechnique(orientations);
+        
+        if (detected === this.technique) {
+            this.pendingTechniqueFrames = 0;
+            return this.technique;
+        }
+        
+        if (detected === this.pendingTechnique) {
+            this.pendingTechniqueFrames += 1;
+        } else {
+            this.pendingTechnique = detected;
+            this.pendingTechniqueFrames = 1;
+        }
+        
+        if (this.pendingTechniqueFrames >= this.techniqueHoldFrames) {
+            console.debug(`Technique changed to ${detected}`);
+            this.technique = detected;
+            this.pendingTechniqueFrames = 0;
+        }
+        
+        return this.technique;
+    }
+    
     /**
      * Apply smoothing filter to hand motion data
      * @param {string} hand - 'left' or 'right' hand
@@ -228,9 +861,21 @@ export class MotionAnalysis {
      */
     reset() {
         this.lastHandData = null;
+        this.lastHandTime = null;
         this.lastDetectedChord = null;
         this.lastFretPosition = 0;
-        this.lastStrumTime = 0;
+        this.lastPluckTimes = {};
+        this.neckPosition = null;
+        this.attack = null;
+        this.technique = 'normal';
+        this.pendingTechnique = 'normal';
+        this.pendingTechniqueFrames = 0;
+        this.lastFretContinuous = null;
+        this.fretChange = 0;
+        this.lastNote = null;
+        this.strumTrack = null;
+        this.firedCrossing = null;
+        this.strumPatterns.reset();
         
         // Clear smoothing buffers
         this.handPositions = {
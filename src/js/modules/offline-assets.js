@@ -0,0 +1,127 @@
+/**
+ * Offline Assets Module
+ *
+ * Locates the libraries and model weights served from the app's own origin. The
+ * offline build (`npm run build`) vendors them into vendor/ and writes
+ * vendor/asset-manifest.json, which lists the files the service worker precaches and
+ * the model assets of each tracking backend by group. Backends check their group
+ * before loading a model, so a missing file fails startup with its name instead of
+ * timing out in the model library.
+ */
+
+const VENDOR_PATH = 'vendor/';
+const MANIFEST_FILE = 'asset-manifest.json';
+const MANIFEST_FORMAT = 'air-guitar-4d-offline';
+const BUILD_HINT = 'Run `npm run build` to vendor the offline assets.';
+
+export class OfflineAssets {
+    /**
+     * @param {Object} options - Asset options
+     * @param {string} options.manifestUrl - URL of the asset manifest
+     */
+    constructor({ manifestUrl = OfflineAssets.url(MANIFEST_FILE) } = {}) {
+        this.manifestUrl = manifestUrl;
+        this.manifest = null;
+    }
+
+    /**
+     * Load the asset manifest written by the offline build
+     * @returns {Promise<Object>} { format, version, groups, files }
+     */
+    async loadManifest() {
+        if (this.manifest) return this.manifest;
+
+        let response;
+        try {
+            response = await fetch(this.manifestUrl);
+        } catch (error) {
+            throw new Error(`Could not load the offline asset manifest: ${error.message}`);
+        }
+        if (!response.ok) {
+            throw new Error(`Offline asset manifest missing (${response.status}). ${BUILD_HINT}`);
+        }
+
+        const manifest = await response.json();
+        if (manifest.format !== MANIFEST_FORMAT || !manifest.groups) {
+            throw new Error('Unsupported offline asset manifest');
+        }
+        this.manifest = manifest;
+        return manifest;
+    }
+
+    /**
+     * Check that every asset of some groups is being served
+     * @param {string[]} groups - Asset groups from the manifest (e.g. 'tfjs')
+     * @returns {Promise<string[]>} URLs of the checked assets
+     */
+    async verify(groups) {
+        const manifest = await this.loadManifest();
+        const unknown = groups.filter((group) => !manifest.groups[group]);
+        if (unknown.length > 0) {
+            throw new Error(`Offline bundle has no ${unknown.join(', ')} assets. ${BUILD_HINT}`);
+        }
+
+        const files = groups.flatMap((group) => manifest.groups[group]);
+        const present = await Promise.all(files.map((file) => OfflineAssets.exists(file)));
+        const missing = files
+            .filter((file, index) => !present[index])
+            .map((file) => VENDOR_PATH + file);
+        if (missing.length > 0) {
+            throw new Error(`Missing model assets: ${missing.join(', ')}. ${BUILD_HINT}`);
+        }
+
+        return files.map((file) => OfflineAssets.url(file));
+    }
+
+    /**
+     * Register the service worker that precaches the app for offline use
+     * The bundle version goes in the script URL so each build installs a fresh worker.
+     * @param {string} scriptUrl - URL of the service worker script
+     * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or null where
+     *                                                    it couldn't be registered
+     */
+    async registerServiceWorker(scriptUrl = 'sw.js') {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+            return null;
+        }
+        try {
+            const { version } = await this.loadManifest();
+            const registration = await navigator.serviceWorker.register(
+                `${scriptUrl}?v=${encodeURIComponent(version)}`
+            );
+            console.debug(`Service worker registered for offline bundle ${version}`);
+            return registration;
+        } catch (error) {
+            // The app still works online; it just won't install or run offline
+            console.warn('Offline mode unavailable:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Get the URL of a vendored file
+     * URLs are absolute so they also resolve from workers, whose relative URLs are
+     * relative to the worker script rather than the page.
+     * @param {string} file - Path within vendor/
+     * @returns {string} The file's URL
+     */
+    static url(file) {
+        const relative = VENDOR_PATH + file;
+        if (typeof document === 'undefined') return relative;
+        return new URL(relative, document.baseURI).href;
+    }
+
+    /**
+     * Check whether a vendored file is served, without downloading it
+     * @param {string} file - Path within vendor/
+     * @returns {Promise<boolean>} True if the file is there
+     */
+    static async exists(file) {
+        try {
+            const response = await fetch(OfflineAssets.url(file), { method: 'HEAD' });
+            return response.ok;
+        } catch {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Performance Recorder Processor
+ *
+ * Audio worklet processor capturing the sound engine's output on the audio thread,
+ * so a take has every sample even while the page is busy. Samples go back to the
+ * node's port in batches; a 'stop' message sends what is left and ends the capture.
+ */
+
+// Frames per message: about a tenth of a second at 44.1 kHz
+const BATCH_FRAMES = 4096;
+
+class PerformanceRecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const { channelCount = 2 } = options.processorOptions || {};
+        this.channelCount = channelCount;
+        this.batch = this.createBatch();
+        this.length = 0;
+        this.recording = true;
+
+        this.port.onmessage = ({ data }) => {
+            if (data === 'stop') {
+                this.flush();
+                this.recording = false;
+                this.port.postMessage({ done: true });
+            }
+        };
+    }
+
+    createBatch() {
+        return Array.from({ length: this.channelCount }, () => new Float32Array(BATCH_FRAMES));
+    }
+
+    process(inputs) {
+        if (!this.recording) return false;
+
+        // An input with nothing connected records silence, keeping the take in time
+        const [input] = inputs;
+        const frames = input.length > 0 ? input[0].length : 128;
+        let written = 0;
+        while (written < frames) {
+            const count = Math.min(frames - written, BATCH_FRAMES - this.length);
+            for (let channel = 0; channel < this.channelCount; channel += 1) {
+                const source = input[channel] || input[0];
+                if (source) {
+                    this.batch[channel].set(
+                        source.subarray(written, written + count),
+                        this.length
+                    );
+                } else {
+                    this.batch[channel].fill(0, this.length, this.length + count);
+                }
+            }
+            this.length += count;
+            written += count;
+            if (this.length === BATCH_FRAMES) {
+                this.flush();
+            }
+        }
+        return true;
+    }
+
+    flush() {
+        if (this.length === 0) return;
+
+        const channels = this.batch.map((samples) => samples.slice(0, this.length));
+        this.port.postMessage({ channels }, channels.map((samples) => samples.buffer));
+        this.length = 0;
+    }
+}
+
+registerProcessor('performance-recorder', PerformanceRecorderProcessor);
@@ -0,0 +1,323 @@
+/**
+ * Performance Recorder Module
+ *
+ * Records what the sound engine plays. A take holds the engine's output as captured
+ * by an audio worklet (saved as WAV), optionally a compressed copy from the browser's
+ * MediaRecorder, and the log of every event played with the settings it started from.
+ * The event log re-renders the take offline: each event is scheduled at the exact time
+ * it sounded, so the rendered file has none of the dropouts a busy page can cause in
+ * a live capture. The notes played, string by string, export as a MIDI file.
+ */
+
+import { MidiFileWriter } from './midi-file-writer.js';
+import { SoundEngine } from './sound-engine.js';
+import { WavEncoder } from './wav-encoder.js';
+
+const PROCESSOR_NAME = 'performance-recorder';
+const PROCESSOR_URL = 'src/js/modules/performance-recorder-processor.js';
+
+// Bump when the layout of a take's events or settings changes
+const TAKE_FORMAT_VERSION = 1;
+
+// Compressed formats in order of preference, with their file extensions
+const COMPRESSED_TYPES = [
+    ['audio/mpeg', 'mp3'],
+    ['audio/webm;codecs=opus', 'webm'],
+    ['audio/ogg;codecs=opus', 'ogg'],
+    ['audio/mp4', 'm4a']
+];
+
+// Events that rebuild the guitar, so a re-render continues them on a new engine
+const REBUILD_EVENTS = ['guitarType', 'tuning'];
+
+export class PerformanceRecorder {
+    /**
+     * @param {Object} options - Recorder options
+     * @param {SoundEngine} options.soundEngine - Engine whose output is recorded
+     * @param {string} options.processorUrl - URL of the worklet processor module
+     * @param {number} options.channelCount - Channels to record
+     */
+    constructor({ soundEngine, processorUrl = PROCESSOR_URL, channelCount = 2 }) {
+        this.soundEngine = soundEngine;
+        this.processorUrl = processorUrl;
+        this.channelCount = channelCount;
+        this.isRecording = false;
+        this.node = null;
+        this.compressedRecorder = null;
+        this.chunks = [];
+        this.events = [];
+        this.notes = [];
+        this.settings = null;
+        this.tempo = null;
+        this.startTime = 0;
+        this.stopped = null;
+    }
+
+    /**
+     * Start recording a take
+     * @param {Object} options - Take options
+     * @param {boolean} options.compressed - Also record a compressed copy
+     * @returns {Promise<void>} Resolves once recording has started
+     */
+    async start({ compressed = false } = {}) {
+        if (this.isRecording) return;
+        if (!this.soundEngine.initialized || !this.soundEngine.master) {
+            throw new Error('Enable audio before recording a performance');
+        }
+
+        const context = Tone.getContext();
+        await context.addAudioWorkletModule(this.processorUrl, PROCESSOR_NAME);
+
+        this.chunks = [];
+        this.events = [];
+        this.notes = [];
+        this.node = context.createAudioWorkletNode(PROCESSOR_NAME, {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: this.channelCount,
+            channelCountMode: 'explicit',
+            processorOptions: { channelCount: this.channelCount }
+        });
+        this.stopped = new Promise((resolve) => {
+            this.node.port.onmessage = ({ data }) => {
+                if (data.done) {
+                    resolve();
+                } else {
+                    this.chunks.push(data.channels);
+                }
+            };
+        });
+
+        this.compressedRecorder = compressed
+            ? PerformanceRecorder.createCompressedRecorder()
+            : null;
+
+        // Event times are kept relative to the first recorded sample
+        this.startTime = context.currentTime;
+        this.settings = this.soundEngine.getSettings();
+        this.tempo = this.soundEngine.getTempo();
+        this.soundEngine.setEventCallback((event) => this.addEvent(event));
+        this.soundEngine.setNoteCallback((note) => this.addNote(note));
+        this.soundEngine.master.connect(this.node);
+        if (this.compressedRecorder) {
+            this.soundEngine.master.connect(this.compressedRecorder.recorder);
+            await this.compressedRecorder.recorder.start();
+        }
+
+        this.isRecording = true;
+        console.debug('Performance recording started');
+    }
+
+    /**
+     * Log an event played during the take
+     * @param {Object} event - { type, time, data } from the sound engine
+     */
+    addEvent({ type, time, data }) {
+        const offset = Math.max(0, time - this.startTime);
+        this.events.push({ type, time: Math.round(offset * 1e6) / 1e6, data });
+    }
+
+    /**
+     * Log a note played during the take
+     * @param {Object} note - { stringIndex, note, time, duration, velocity } from the
+     *                        sound engine
+     */
+    addNote(note) {
+        this.notes.push({ ...note, time: Math.max(0, note.time - this.startTime) });
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Object>} The take: { version, sampleRate, duration, channels,
+     *                            events, notes, settings, tempo, strings, compressed }
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+        this.isRecording = false;
+
+        this.soundEngine.setEventCallback(null);
+        this.soundEngine.setNoteCallback(null);
+        this.node.port.postMessage('stop');
+        await this.stopped;
+        this.soundEngine.master.disconnect(this.node);
+        this.node = null;
+
+        let compressed = null;
+        if (this.compressedRecorder) {
+            const { recorder, format } = this.compressedRecorder;
+            const blob = await recorder.stop();
+            this.soundEngine.master.disconnect(recorder);
+            recorder.dispose();
+            compressed = { blob, ...format };
+            this.compressedRecorder = null;
+        }
+
+        const { sampleRate } = Tone.getContext();
+        const channels = PerformanceRecorder.joinChunks(this.chunks, this.channelCount);
+        this.chunks = [];
+        console.debug(`Performance recording stopped with ${this.events.length} events`);
+
+        return {
+            version: TAKE_FORMAT_VERSION,
+            sampleRate,
+            duration: channels[0].length / sampleRate,
+            channels,
+            events: this.events,
+            notes: this.notes,
+            settings: this.settings,
+            tempo: this.tempo,
+            strings: [...this.soundEngine.strings],
+            compressed
+        };
+    }
+
+    /**
+     * Get the compressed format this browser can record
+     * @returns {Object|null} { mimeType, extension }, or null if there is none
+     */
+    static getCompressedFormat() {
+        if (typeof MediaRecorder === 'undefined') return null;
+
+        const supported = COMPRESSED_TYPES
+            .find(([mimeType]) => MediaRecorder.isTypeSupported(mimeType));
+        return supported ? { mimeType: supported[0], extension: supported[1] } : null;
+    }
+
+    /**
+     * Create a Tone.js recorder for the compressed copy
+     * @returns {Object|null} { recorder, format }, or null if the browser can't record one
+     */
+    static createCompressedRecorder() {
+        const format = PerformanceRecorder.getCompressedFormat();
+        if (!format || !Tone.Recorder.supported) {
+            console.warn('Compressed recording is not supported in this browser');
+            return null;
+        }
+        return {
+            recorder: new Tone.Recorder({ mimeType: format.mimeType }),
+            format
+        };
+    }
+
+    /**
+     * Offer a file to the user as a download
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Name of the downloaded file
+     */
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Get a take's live capture as a WAV file
+     * @param {Object} take - Take from stop()
+     * @returns {Blob} WAV file
+     */
+    static getWav(take) {
+        return WavEncoder.toBlob(take.channels, take.sampleRate);
+    }
+
+    /**
+     * Get the notes of a take as a MIDI file, a track per string
+     * @param {Object} take - Take from stop()
+     * @returns {Blob} MIDI file
+     */
+    static getMidi(take) {
+        return MidiFileWriter.toBlob(take.notes, {
+            bpm: take.tempo,
+            trackNames: take.strings.map((note) => `${note} string`)
+        });
+    }
+
+    /**
+     * Render a take again from its event log, without an audio device
+     * @param {Object} take - Take from stop()
+     * @param {Object} options - Render options
+     * @param {number} options.tail - Seconds to render after the last event, for it to ring out
+     * @param {number} options.sampleRate - Sample rate in Hz
+     * @returns {Promise<Blob>} Rendered WAV file
+     */
+    static async renderWav(take, { tail = 2, sampleRate = take.sampleRate } = {}) {
+        const lastEvent = take.events.reduce((latest, event) => Math.max(latest, event.time), 0);
+        const duration = Math.max(take.duration, lastEvent + tail);
+        const segments = PerformanceRecorder.splitSegments(take);
+
+        const rendered = await Tone.Offline(async () => {
+            // Later segments start while earlier ones still ring; each gets its own engine
+            await segments.reduce(async (previous, { settings, events }) => {
+                await previous;
+                const engine = new SoundEngine();
+                await engine.setupOffline(settings);
+                events.forEach((event) => engine.replayEvent(event));
+            }, Promise.resolve());
+        }, duration, take.channels.length, sampleRate);
+
+        const buffer = rendered.get();
+        const channels = Array.from(
+            { length: buffer.numberOfChannels },
+            (_, channel) => buffer.getChannelData(channel)
+        );
+        return WavEncoder.toBlob(channels, sampleRate);
+    }
+
+    /**
+     * Split a take's events where the guitar was rebuilt
+     * Settings changes are folded into the settings each segment starts from.
+     * @param {Object} take - Take from stop()
+     * @returns {Array} Segments of { settings, events }
+     */
+    static splitSegments(take) {
+        let { settings } = take;
+        const segments = [{ settings, events: [] }];
+
+        take.events.forEach((event) => {
+            const { type, data } = event;
+            if (REBUILD_EVENTS.includes(type)) {
+                settings = type === 'guitarType'
+                    // A new guitar type brings its own effect levels
+                    ? { ...settings, guitarType: data.type, effects: {} }
+                    : { ...settings, tuning: data.preset };
+                segments.push({ settings, events: [] });
+                return;
+            }
+
+            // Copied, since the segment keeps the settings it started from
+            if (type === 'volume') settings = { ...settings, volume: data.level };
+            if (type === 'capo') settings = { ...settings, capo: data.fret };
+            if (type === 'effect') {
+                settings = {
+                    ...settings,
+                    effects: { ...settings.effects, [data.effectName]: data.level }
+                };
+            }
+            segments[segments.length - 1].events.push(event);
+        });
+
+        return segments;
+    }
+
+    /**
+     * Join the batches posted by the worklet into one array per channel
+     * @param {Array} chunks - Batches of per-channel samples
+     * @param {number} channelCount - Channels recorded
+     * @returns {Float32Array[]} Samples per channel
+     */
+    static joinChunks(chunks, channelCount) {
+        const frames = chunks.reduce((total, chunk) => total + chunk[0].length, 0);
+        const channels = Array.from({ length: channelCount }, () => new Float32Array(frames));
+
+        let offset = 0;
+        chunks.forEach((chunk) => {
+            channels.forEach((samples, channel) => samples.set(chunk[channel], offset));
+            offset += chunk[0].length;
+        });
+        return channels;
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * Physical Guitar Processor
+ *
+ * Audio worklet processor running a PhysicalGuitar on the audio thread. Events arrive
+ * on the node's port while playing, or up front in processorOptions when rendering
+ * in an OfflineAudioContext. A 'strings' message restrings the guitar.
+ */
+
+import { PhysicalGuitar } from './physical-guitar.js';
+
+class PhysicalGuitarProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const { strings, coupling, events = [] } = options.processorOptions || {};
+        this.guitar = new PhysicalGuitar({
+            sampleRate,
+            strings,
+            coupling,
+            startFrame: currentFrame
+        });
+        events.forEach((event) => this.guitar.schedule(event));
+
+        this.port.onmessage = ({ data }) => {
+            if (data.type === 'strings') {
+                this.guitar.setStrings(data.strings);
+            } else {
+                this.guitar.schedule(data);
+            }
+        };
+    }
+
+    process(inputs, outputs) {
+        const [output] = outputs;
+        this.guitar.process(output[0]);
+        output.slice(1).forEach((channel) => channel.set(output[0]));
+        return true;
+    }
+}
+
+registerProcessor('physical-guitar', PhysicalGuitarProcessor);
@@ -0,0 +1,173 @@
+/**
+ * Physical Guitar Module
+ *
+ * Persistent PhysicalString voices, one per string, joined at the bridge. Whatever one string
+ * plays reaches the others through the bridge, so undamped strings whose harmonics
+ * line up ring sympathetically. Events (plucks, mutes, pitch changes) are scheduled in
+ * seconds and applied on the exact sample, whether rendered by the audio worklet in a
+ * live or offline audio context, or directly in tests.
+ */
+
+import { PhysicalString } from './physical-string.js';
+
+// Per-string settings for standard tuning, low E first: lower strings ring longer and darker
+const DEFAULT_STRINGS = [
+    { midi: 40, decay: 7, brightness: 0.45 },
+    { midi: 45, decay: 6, brightness: 0.5 },
+    { midi: 50, decay: 5.5, brightness: 0.55 },
+    { midi: 55, decay: 5, brightness: 0.6 },
+    { midi: 59, decay: 4.5, brightness: 0.65 },
+    { midi: 64, decay: 4, brightness: 0.7 }
+];
+
+export class PhysicalGuitar {
+    /**
+     * @param {Object} options - Guitar options
+     * @param {number} options.sampleRate - Sample rate in Hz
+     * @param {Array} options.strings - Per-string { midi, decay, brightness, pluckPosition }
+     * @param {number} options.coupling - Share of each string's vibration passed to the
+     *                                    others through the bridge
+     * @param {number} options.startFrame - Sample frame the guitar's clock starts at
+     * @param {Function} options.random - Noise source for plucks, returning values in [0, 1)
+     */
+    constructor({
+        sampleRate,
+        strings = DEFAULT_STRINGS,
+        coupling = 0.004,
+        startFrame = 0,
+        random = Math.random
+    }) {
+        this.sampleRate = sampleRate;
+        this.coupling = coupling;
+        this.random = random;
+        this.frame = startFrame;
+        this.events = []; // Pending events, earliest first
+
+        this.setStrings(strings);
+
+        // DC blocker on the mix
+        this.dcInput = 0;
+        this.dcOutput = 0;
+    }
+
+    /**
+     * Restring the guitar, e.g. for another tuning or string count
+     * The new strings start silent.
+     * @param {Array} strings - Per-string { midi, decay, brightness, pluckPosition }
+     */
+    setStrings(strings) {
+        this.strings = strings.map((settings) => new PhysicalString({
+            sampleRate: this.sampleRate,
+            frequency: PhysicalString.midiToFrequency(settings.midi),
+            decay: settings.decay,
+            brightness: settings.brightness,
+            pluckPosition: settings.pluckPosition
+        }));
+    }
+
+    /**
+     * Schedule an event
+     * @param {Object} event - { type, string, time, ... } where type is 'pluck'
+     *                         ({ frequency, velocity, decay }), 'release' ({ decay }),
+     *                         'damp' or 'frequency' ({ frequency, glideTime })
+     */
+    schedule(event) {
+        const frame = Math.max(this.frame, Math.round((event.time || 0) * this.sampleRate));
+        const scheduled = { ...event, frame };
+
+        // Keep the queue ordered; events at the same frame stay in arrival order
+        let index = this.events.length;
+        while (index > 0 && this.events[index - 1].frame > frame) {
+            index -= 1;
+        }
+        this.events.splice(index, 0, scheduled);
+    }
+
+    /**
+     * Apply an event to its string
+     * @param {Object} event - Scheduled event
+     */
+    applyEvent(event) {
+        const string = this.strings[event.string];
+        if (!string) return;
+
+        switch (event.type) {
+            case 'pluck':
+                string.setFrequency(event.frequency);
+                string.setDecay(event.decay || string.decay);
+                string.pluck(event.velocity, this.random);
+                break;
+            case 'release':
+                string.setDecay(event.decay);
+                break;
+            case 'damp':
+                string.setDamped(true);
+                break;
+            case 'frequency':
+                string.setFrequency(event.frequency, event.glideTime || 0);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Fill a block of output samples
+     * @param {Float32Array} output - Mono output block
+     */
+    process(output) {
+        for (let i = 0; i < output.length; i += 1) {
+            while (this.events.length > 0 && this.events[0].frame <= this.frame) {
+                this.applyEvent(this.events.shift());
+            }
+
+            // The bridge carries every string's vibration from the previous sample
+            const bridge = this.strings.reduce((sum, string) => sum + string.lastOutput, 0);
+
+            let mix = 0;
+            this.strings.forEach((string) => {
+                const fromOthers = (bridge - string.lastOutput) * this.coupling;
+                mix += string.process(fromOthers);
+            });
+
+            this.dcOutput = mix - this.dcInput + 0.995 * this.dcOutput;
+            this.dcInput = mix;
+            output[i] = this.dcOutput * 0.25;
+            this.frame += 1;
+        }
+    }
+
+    /**
+     * Render a number of samples
+     * @param {number} frames - Number of samples
+     * @returns {Float32Array} Mono output
+     */
+    render(frames) {
+        const output = new Float32Array(frames);
+        this.process(output);
+        return output;
+    }
+
+    /**
+     * Get the settings of the default six strings
+     * @returns {Array} Per-string { midi, decay, brightness }
+     */
+    static getDefaultStrings() {
+        return DEFAULT_STRINGS.map((settings) => ({ ...settings }));
+    }
+
+    /**
+     * Get string settings for any open pitches
+     * Each string rings like the default string closest to it in pitch.
+     * @param {number[]} midis - Open MIDI note of each string, lowest first
+     * @returns {Array} Per-string { midi, decay, brightness }
+     */
+    static getStringsForPitches(midis) {
+        return midis.map((midi) => {
+            const closest = DEFAULT_STRINGS.reduce((best, string) => (
+                Math.abs(string.midi - midi) < Math.abs(best.midi - midi) ? string : best
+            ));
+            return { ...closest, midi };
+        });
+    }
+}
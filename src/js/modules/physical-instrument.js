@@ -0,0 +1,157 @@
+/**
+ * Physical Instrument Module
+ *
+ * A guitar synthesized by physical modelling: persistent waveguide strings
+ * (PhysicalGuitar), strung for the current tuning, running in an audio worklet, so
+ * each string keeps ringing, can be muted on its own and resonates with the others.
+ * The same worklet renders in an OfflineAudioContext for checking the output without
+ * an audio device.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+import { PhysicalGuitar } from './physical-guitar.js';
+import { PhysicalStringVoice } from './physical-string-voice.js';
+
+const PROCESSOR_NAME = 'physical-guitar';
+const PROCESSOR_URL = 'src/js/modules/physical-guitar-processor.js';
+
+export class PhysicalInstrument {
+    /**
+     * @param {Object} options - Instrument options
+     * @param {Array} options.strings - Per-string { midi, decay, brightness, pluckPosition }
+     * @param {string} options.processorUrl - URL of the worklet processor module
+     */
+    constructor({
+        strings = PhysicalGuitar.getDefaultStrings(),
+        processorUrl = PROCESSOR_URL
+    } = {}) {
+        this.strings = strings;
+        this.processorUrl = processorUrl;
+        this.baseType = 'acoustic'; // Effects that suit plucked acoustic strings
+        this.node = null;
+        this.output = null;
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the worklet and start the strings
+     * Loading happens once; later calls wait for the same load.
+     * @returns {Promise<PhysicalInstrument>} This instrument, ready to play
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.createNode().catch((error) => {
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Add the worklet module to the Tone.js context and create the guitar node
+     * @returns {Promise<PhysicalInstrument>} This instrument
+     */
+    async createNode() {
+        const context = Tone.getContext();
+        await context.addAudioWorkletModule(this.processorUrl, PROCESSOR_NAME);
+
+        this.node = context.createAudioWorkletNode(PROCESSOR_NAME, {
+            numberOfInputs: 0,
+            outputChannelCount: [1],
+            processorOptions: { strings: this.strings }
+        });
+        this.output = new Tone.Gain(1);
+        Tone.connect(this.node, this.output);
+
+        console.debug('Physical modelling strings ready');
+        return this;
+    }
+
+    /**
+     * Check whether the worklet is running
+     * @returns {boolean} True once load() has finished
+     */
+    isLoaded() {
+        return this.node !== null;
+    }
+
+    /**
+     * Get the synth guitar type whose effects suit this instrument
+     * @returns {string} 'acoustic'
+     */
+    getBaseType() {
+        return this.baseType;
+    }
+
+    /**
+     * Get the open pitch of a string
+     * @param {number} stringIndex - String index (0 = low E)
+     * @returns {number|null} MIDI note number
+     */
+    getOpenMidi(stringIndex) {
+        const string = this.strings[stringIndex];
+        return string ? string.midi : null;
+    }
+
+    /**
+     * Restring the instrument for a tuning
+     * @param {string[]} notes - Note each string plays at fret 0 (capo included), lowest
+     *                           first
+     */
+    setOpenNotes(notes) {
+        this.strings = PhysicalGuitar.getStringsForPitches(notes.map(ChordLibrary.noteToMidi));
+        if (this.node) {
+            this.node.port.postMessage({ type: 'strings', strings: this.strings });
+        }
+    }
+
+    /**
+     * Send an event to the strings
+     * @param {Object} event - PhysicalGuitar event with `time` in context seconds
+     */
+    schedule(event) {
+        if (this.node) {
+            this.node.port.postMessage(event);
+        }
+    }
+
+    /**
+     * Create one voice per string, playable like the sound engine's synth string voices
+     * @returns {PhysicalStringVoice[]} Voices, lowest string first
+     */
+    createVoices() {
+        return this.strings.map((_, stringIndex) => new PhysicalStringVoice(this, stringIndex));
+    }
+
+    /**
+     * Render events without an audio device
+     * @param {Object} options - Render options
+     * @param {Array} options.events - PhysicalGuitar events with `time` in seconds
+     * @param {number} options.duration - Seconds to render
+     * @param {number} options.sampleRate - Sample rate in Hz
+     * @param {Array} options.strings - Per-string settings
+     * @param {string} options.processorUrl - URL of the worklet processor module
+     * @returns {Promise<AudioBuffer>} Rendered mono audio
+     */
+    static async renderOffline({
+        events,
+        duration,
+        sampleRate = 44100,
+        strings = PhysicalGuitar.getDefaultStrings(),
+        processorUrl = PROCESSOR_URL
+    }) {
+        const context = new OfflineAudioContext(1, Math.ceil(duration * sampleRate), sampleRate);
+        await context.audioWorklet.addModule(processorUrl);
+
+        // Events go in with the node so they are in place before the first block renders
+        const node = new AudioWorkletNode(context, PROCESSOR_NAME, {
+            numberOfInputs: 0,
+            outputChannelCount: [1],
+            processorOptions: { strings, events }
+        });
+        node.connect(context.destination);
+
+        return context.startRendering();
+    }
+}
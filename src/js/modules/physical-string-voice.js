@@ -0,0 +1,127 @@
+/**
+ * Physical String Voice Module
+ *
+ * Plays one string of a PhysicalInstrument by scheduling events on its waveguide.
+ * Mirrors the parts of Tone.MonoSynth the sound engine uses (triggerAttackRelease,
+ * triggerRelease, setNote, detune, connect), so modelled strings bend, slide and
+ * hammer on like synth strings.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+import { PhysicalString } from './physical-string.js';
+
+// Seconds for a fretted note to die away once the finger lifts off
+const RELEASE_DECAY = 0.6;
+
+export class PhysicalStringVoice {
+    /**
+     * @param {PhysicalInstrument} instrument - Loaded instrument
+     * @param {number} stringIndex - String this voice plays
+     */
+    constructor(instrument, stringIndex) {
+        this.instrument = instrument;
+        this.stringIndex = stringIndex;
+        this.baseFrequency = null; // Frequency of the note before detune
+
+        // Detune in cents, applied as a pitch glide on the string
+        const voice = this;
+        this.detune = {
+            value: 0,
+            rampTo(cents, rampTime, startTime = Tone.now()) {
+                this.value = cents;
+                voice.scheduleFrequency(startTime, rampTime);
+            },
+            setValueAtTime(cents, time) {
+                this.value = cents;
+                voice.scheduleFrequency(time, 0);
+            },
+            cancelScheduledValues() {}
+        };
+    }
+
+    /**
+     * Connect the instrument's output (shared by all of its strings)
+     * @param {Object} destination - Tone.js node
+     * @returns {PhysicalStringVoice} This voice
+     */
+    connect(destination) {
+        this.instrument.output.connect(destination);
+        return this;
+    }
+
+    /**
+     * Disconnect the instrument's output
+     */
+    disconnect() {
+        this.instrument.output.disconnect();
+    }
+
+    /**
+     * Pluck a note and lift the finger after a duration
+     * Open strings are left ringing; fretted notes die away once released.
+     * @param {string} note - Note to play
+     * @param {string|number} duration - Time until the finger lifts
+     * @param {number} time - Tone.js start time
+     * @param {number} velocity - Pluck strength (0-1)
+     */
+    triggerAttackRelease(note, duration, time = Tone.now(), velocity = 0.8) {
+        const midi = ChordLibrary.noteToMidi(note);
+        if (midi === null) return;
+
+        this.baseFrequency = PhysicalString.midiToFrequency(midi);
+        this.instrument.schedule({
+            type: 'pluck',
+            string: this.stringIndex,
+            time,
+            frequency: this.baseFrequency * 2 ** (this.detune.value / 1200),
+            velocity
+        });
+
+        if (midi !== this.instrument.getOpenMidi(this.stringIndex)) {
+            this.instrument.schedule({
+                type: 'release',
+                string: this.stringIndex,
+                time: time + Tone.Time(duration).toSeconds(),
+                decay: RELEASE_DECAY
+            });
+        }
+    }
+
+    /**
+     * Mute the string
+     * @param {number} time - Tone.js time
+     */
+    triggerRelease(time = Tone.now()) {
+        this.instrument.schedule({ type: 'damp', string: this.stringIndex, time });
+    }
+
+    /**
+     * Move the ringing string to another note without plucking it
+     * @param {string} note - New note
+     * @param {number} time - Tone.js time
+     */
+    setNote(note, time = Tone.now()) {
+        const midi = ChordLibrary.noteToMidi(note);
+        if (midi === null) return;
+
+        this.baseFrequency = PhysicalString.midiToFrequency(midi);
+        this.scheduleFrequency(time, 0);
+    }
+
+    /**
+     * Send the string its current pitch, including detune
+     * @param {number} time - Tone.js time
+     * @param {number} glideTime - Seconds to glide there
+     */
+    scheduleFrequency(time, glideTime) {
+        if (this.baseFrequency === null) return;
+
+        this.instrument.schedule({
+            type: 'frequency',
+            string: this.stringIndex,
+            time,
+            frequency: this.baseFrequency * 2 ** (this.detune.value / 1200),
+            glideTime
+        });
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Physical String Module
+ *
+ * One Karplus-Strong / digital waveguide string. A plucked noise burst circulates in a
+ * delay line one period long; a one-pole lowpass in the loop makes high harmonics die
+ * first and a loop gain sets how long the string rings. Plucking near the bridge is
+ * modelled with a comb filter on the burst, and the string's output is coloured by a
+ * small bank of body resonances. Pure JavaScript with no Web Audio dependency, so the
+ * same code runs in the audio worklet and in unit tests.
+ */
+
+// Guitar top and air cavity modes: { frequency (Hz), q, gain }
+const DEFAULT_BODY_MODES = [
+    { frequency: 98, q: 8, gain: 0.35 },
+    { frequency: 204, q: 10, gain: 0.25 },
+    { frequency: 390, q: 6, gain: 0.15 }
+];
+
+// Decay (seconds to -60 dB) of a string muted by the fret hand
+const MUTED_DECAY = 0.04;
+
+/**
+ * Create a band-pass resonator (RBJ biquad, constant peak gain)
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} mode - { frequency, q, gain }
+ * @returns {Object} Resonator coefficients and state
+ */
+function createResonator(sampleRate, { frequency, q, gain }) {
+    const w0 = (2 * Math.PI * frequency) / sampleRate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const a0 = 1 + alpha;
+    return {
+        b0: (alpha / a0) * gain,
+        b2: (-alpha / a0) * gain,
+        a1: (-2 * Math.cos(w0)) / a0,
+        a2: (1 - alpha) / a0,
+        x1: 0,
+        x2: 0,
+        y1: 0,
+        y2: 0
+    };
+}
+
+/**
+ * Run one sample through a resonator
+ * @param {Object} resonator - Resonator from createResonator()
+ * @param {number} x - Input sample
+ * @returns {number} Output sample
+ */
+function resonate(resonator, x) {
+    const r = resonator;
+    const y = r.b0 * x + r.b2 * r.x2 - r.a1 * r.y1 - r.a2 * r.y2;
+    r.x2 = r.x1;
+    r.x1 = x;
+    r.y2 = r.y1;
+    r.y1 = y;
+    return y;
+}
+
+export class PhysicalString {
+    /**
+     * @param {Object} options - String options
+     * @param {number} options.sampleRate - Sample rate in Hz
+     * @param {number} options.frequency - Open string frequency in Hz
+     * @param {number} options.decay - Seconds for a plucked note to fall by 60 dB
+     * @param {number} options.brightness - Loop filter brightness (0 dull - 1 bright)
+     * @param {number} options.pluckPosition - Pluck point as a fraction of the string from
+     *                                         the bridge (0-0.5)
+     * @param {Array} options.bodyModes - Body resonances { frequency, q, gain }
+     * @param {number} options.lowestFrequency - Lowest pitch the delay line must hold
+     */
+    constructor({
+        sampleRate,
+        frequency,
+        decay = 4,
+        brightness = 0.6,
+        pluckPosition = 0.18,
+        bodyModes = DEFAULT_BODY_MODES,
+        lowestFrequency = 20
+    }) {
+        this.sampleRate = sampleRate;
+        this.decay = decay;
+        this.brightness = brightness;
+        this.pluckPosition = pluckPosition;
+
+        this.buffer = new Float32Array(Math.ceil(sampleRate / lowestFrequency) + 4);
+        this.writeIndex = 0;
+        this.loopFilterState = 0;
+        this.excitation = null; // Burst still being fed into the string
+        this.excitationIndex = 0;
+
+        this.frequency = frequency;
+        this.targetFrequency = frequency;
+        this.glideStep = 0; // Hz per sample while gliding to targetFrequency
+        this.damped = false;
+        this.lastOutput = 0;
+
+        this.bodyFilters = bodyModes.map((mode) => createResonator(sampleRate, mode));
+        this.updateLoop();
+    }
+
+    /**
+     * Pluck the string
+     * @param {number} velocity - How hard the string is plucked (0-1)
+     * @param {Function} random - Noise source returning values in [0, 1)
+     */
+    pluck(velocity = 0.8, random = Math.random) {
+        const length = Math.max(2, Math.round(this.sampleRate / this.frequency));
+        const burst = new Float32Array(length);
+
+        // Softer plucks are darker: smooth the noise more
+        const smoothing = 0.7 - 0.6 * Math.min(1, Math.max(0, velocity));
+        let previous = 0;
+        for (let i = 0; i < length; i += 1) {
+            previous = (1 - smoothing) * (random() * 2 - 1) + smoothing * previous;
+            burst[i] = previous * velocity;
+        }
+
+        // Plucking a fraction of the way along cancels the harmonics with a node there
+        const offset = Math.max(1, Math.round(this.pluckPosition * length));
+        for (let i = length - 1; i >= offset; i -= 1) {
+            burst[i] -= burst[i - offset];
+        }
+
+        this.excitation = burst;
+        this.excitationIndex = 0;
+        this.damped = false;
+        this.updateLoop();
+    }
+
+    /**
+     * Mute the string or let it ring again
+     * @param {boolean} damped - True to mute
+     */
+    setDamped(damped) {
+        this.damped = damped;
+        if (damped) {
+            this.excitation = null;
+        }
+        this.updateLoop();
+    }
+
+    /**
+     * Change how long the string rings, e.g. shorter once a fretted note is let go
+     * @param {number} decay - Seconds to fall by 60 dB
+     */
+    setDecay(decay) {
+        this.decay = decay;
+        this.updateLoop();
+    }
+
+    /**
+     * Change the pitch without plucking, immediately or as a glide
+     * @param {number} frequency - New frequency in Hz
+     * @param {number} glideTime - Seconds to reach it
+     */
+    setFrequency(frequency, glideTime = 0) {
+        this.targetFrequency = frequency;
+        const frames = Math.round(glideTime * this.sampleRate);
+        if (frames <= 0) {
+            this.frequency = frequency;
+            this.glideStep = 0;
+            this.updateLoop();
+        } else {
+            this.glideStep = (frequency - this.frequency) / frames;
+        }
+    }
+
+    /**
+     * Recompute the delay length and loop gain for the current pitch and decay
+     */
+    updateLoop() {
+        // One-pole lowpass y = (1 - c) x + c y' delays low frequencies by c / (1 - c) samples
+        this.loopCoefficient = 0.5 * (1 - this.brightness);
+        const filterDelay = this.loopCoefficient / (1 - this.loopCoefficient);
+        this.delay = Math.min(
+            this.buffer.length - 2,
+            Math.max(2, this.sampleRate / this.frequency - filterDelay)
+        );
+
+        // Each trip round the loop loses enough to reach -60 dB after `decay` seconds
+        const decay = this.damped ? MUTED_DECAY : this.decay;
+        this.loopGain = 10 ** (-3 / (decay * this.frequency));
+    }
+
+    /**
+     * Advance the string by one sample
+     * @param {number} input - Vibration arriving from the bridge (sympathetic coupling)
+     * @returns {number} String output through its body resonances
+     */
+    process(input = 0) {
+        if (this.glideStep !== 0) {
+            this.frequency += this.glideStep;
+            const reached = this.glideStep > 0
+                ? this.frequency >= this.targetFrequency
+                : this.frequency <= this.targetFrequency;
+            if (reached) {
+                this.frequency = this.targetFrequency;
+                this.glideStep = 0;
+            }
+            this.updateLoop();
+        }
+
+        // Fractional delay read with linear interpolation
+        const { buffer } = this;
+        const readPosition = this.writeIndex - this.delay + buffer.length;
+        const whole = Math.floor(readPosition);
+        const fraction = readPosition - whole;
+        const a = buffer[whole % buffer.length];
+        const b = buffer[(whole + 1) % buffer.length];
+        const delayed = a + (b - a) * fraction;
+
+        const c = this.loopCoefficient;
+        this.loopFilterState = (1 - c) * delayed + c * this.loopFilterState;
+        const output = this.loopFilterState * this.loopGain;
+
+        let drive = this.damped ? 0 : input;
+        if (this.excitation) {
+            drive += this.excitation[this.excitationIndex];
+            this.excitationIndex += 1;
+            if (this.excitationIndex >= this.excitation.length) {
+                this.excitation = null;
+            }
+        }
+
+        buffer[this.writeIndex] = output + drive;
+        this.writeIndex = (this.writeIndex + 1) % buffer.length;
+        this.lastOutput = output;
+
+        return this.bodyFilters.reduce(
+            (sum, resonator) => sum + resonate(resonator, output),
+            output
+        );
+    }
+
+    /**
+     * Convert a note name's MIDI number to a frequency
+     * @param {number} midi - MIDI note number
+     * @returns {number} Frequency in Hz (A4 = 440)
+     */
+    static midiToFrequency(midi) {
+        return 440 * 2 ** ((midi - 69) / 12);
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Play-Along Session Module
+ *
+ * Scores a run through a song chart. Each strum is matched to the nearest chart chord
+ * not yet played, if it lands within the timing window, and marked for the chord heard,
+ * the strum direction and how far off the beat it was. Chart chords whose window passes
+ * without a strum count as missed. At the end the results are summed per section.
+ *
+ * Times are on the performance.now() clock; the session starts at the moment the
+ * backing audio (or the metronome standing in for it) starts.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+
+// Strums this close to the beat (seconds) are perfect; up to the window they are good
+const PERFECT_WINDOW = 0.05;
+const DEFAULT_TIMING_WINDOW = 0.15;
+
+const MISSED = {
+    hit: false,
+    chordCorrect: false,
+    directionCorrect: false,
+    timingError: null,
+    rating: 'miss'
+};
+
+export class PlayAlongSession {
+    /**
+     * @param {SongChart} chart - Song to play along with
+     * @param {Object} options - Scoring options
+     * @param {number} options.timingWindow - Seconds either side of a chord's beat in which
+     *                                       a strum counts for it
+     */
+    constructor(chart, { timingWindow = DEFAULT_TIMING_WINDOW } = {}) {
+        this.chart = chart;
+        this.timingWindow = timingWindow;
+        this.startTime = null; // performance.now() time the song started, while playing
+        this.duration = chart.getDuration();
+
+        // Chart chords with their result once played or missed: { ...event, result: null
+        // or { hit, chordCorrect, directionCorrect, timingError, rating } }
+        this.events = chart.getEvents().map((event) => ({ ...event, result: null }));
+        this.extraStrums = 0; // Strums that matched no chart chord
+    }
+
+    /**
+     * Start the song
+     * @param {number} startTime - When the backing audio starts (performance.now clock, ms)
+     */
+    start(startTime = performance.now()) {
+        this.startTime = startTime;
+        this.events = this.chart.getEvents().map((event) => ({ ...event, result: null }));
+        this.extraStrums = 0;
+    }
+
+    /**
+     * Stop the song before its end; chords not reached are left unscored
+     */
+    stop() {
+        this.startTime = null;
+    }
+
+    /**
+     * Check whether the song is playing
+     * @returns {boolean} True between start() and the end or stop()
+     */
+    isActive() {
+        return this.startTime !== null;
+    }
+
+    /**
+     * Get how far into the song a time is
+     * @param {number} time - Time (performance.now clock, ms)
+     * @returns {number} Seconds from the start of the backing audio
+     */
+    getSongTime(time = performance.now()) {
+        return this.startTime === null ? 0 : (time - this.startTime) / 1000;
+    }
+
+    /**
+     * Score a strum
+     * @param {Object} strum - Strum played
+     * @param {number} strum.time - When it sounded (performance.now clock, ms)
+     * @param {string|null} strum.chord - Chord heard, or null for a muted strum
+     * @param {string} strum.direction - 'down' or 'up'
+     * @returns {Object|null} The chart chord with its result, or null if the strum was
+     *                        near no chord still to play
+     */
+    scoreStrum({ time, chord, direction }) {
+        if (!this.isActive()) return null;
+
+        const songTime = this.getSongTime(time);
+        const candidates = this.events.filter((event) => (
+            event.result === null && Math.abs(event.time - songTime) <= this.timingWindow
+        ));
+        if (candidates.length === 0) {
+            this.extraStrums += 1;
+            return null;
+        }
+
+        const event = candidates.reduce((nearest, candidate) => (
+            Math.abs(candidate.time - songTime) < Math.abs(nearest.time - songTime)
+                ? candidate
+                : nearest
+        ));
+        const timingError = songTime - event.time;
+        event.result = {
+            hit: true,
+            chordCorrect: PlayAlongSession.isSameChord(chord, event.chord),
+            directionCorrect: !event.direction || event.direction === direction,
+            timingError,
+            rating: Math.abs(timingError) <= PERFECT_WINDOW ? 'perfect' : 'good'
+        };
+        return event;
+    }
+
+    /**
+     * Mark chords whose timing window has passed unplayed as missed
+     * @param {number} time - Current time (performance.now clock, ms)
+     * @returns {boolean} True once the song has finished
+     */
+    update(time = performance.now()) {
+        if (!this.isActive()) return false;
+
+        const songTime = this.getSongTime(time);
+        this.events = this.events.map((event) => (
+            event.result === null && songTime - event.time > this.timingWindow
+                ? { ...event, result: MISSED }
+                : event
+        ));
+        return songTime >= this.duration;
+    }
+
+    /**
+     * Get the chart chords around a time, for the scrolling chord lane
+     * @param {number} time - Current time (performance.now clock, ms)
+     * @param {number} beatsAhead - How many beats ahead to include
+     * @param {number} beatsBehind - How many beats already past to include
+     * @returns {Array} Chart chords with their results, each with `beatsAway` (negative
+     *                  once past)
+     */
+    getUpcoming(time = performance.now(), beatsAhead = 8, beatsBehind = 1) {
+        const beat = this.chart.timeToBeat(this.getSongTime(time));
+        return this.events
+            .map((event) => ({ ...event, beatsAway: event.beat - beat }))
+            .filter(({ beatsAway }) => beatsAway >= -beatsBehind && beatsAway <= beatsAhead);
+    }
+
+    /**
+     * Sum the results for each section of the song, and the song as a whole
+     * A chord counts as correct when it was strummed in time, with the right chord and,
+     * if the chart gives one, in the right direction.
+     * @returns {Object} { sections, overall, extraStrums } where each section and overall
+     *                   is { name, total, hit, chordCorrect, directionCorrect, correct,
+     *                   meanTimingError (ms, early negative), accuracy (0-1) }
+     */
+    getStats() {
+        const summarise = (name, events) => {
+            const played = events.filter(({ result }) => result && result.hit);
+            const count = (key) => played.filter(({ result }) => result[key]).length;
+            const correct = played.filter(({ result }) => (
+                result.chordCorrect && result.directionCorrect
+            )).length;
+            const totalError = played.reduce((sum, { result }) => sum + result.timingError, 0);
+
+            return {
+                name,
+                total: events.length,
+                hit: played.length,
+                chordCorrect: count('chordCorrect'),
+                directionCorrect: count('directionCorrect'),
+                correct,
+                meanTimingError: played.length > 0
+                    ? Math.round((totalError / played.length) * 1000)
+                    : null,
+                accuracy: events.length > 0 ? correct / events.length : 0
+            };
+        };
+
+        return {
+            sections: this.chart.sections.map(({ name }, index) => summarise(
+                name,
+                this.events.filter((event) => event.sectionIndex === index)
+            )),
+            overall: summarise(this.chart.title, this.events),
+            extraStrums: this.extraStrums
+        };
+    }
+
+    /**
+     * Check whether a chord played is the chart's chord
+     * Spellings and a slash bass are ignored: 'A#m' matches 'Bbm' and 'C' matches 'C/E'.
+     * @param {string|null} played - Chord heard
+     * @param {string} expected - Chart chord
+     * @returns {boolean} True if they are the same chord
+     */
+    static isSameChord(played, expected) {
+        const parse = (name) => (
+            ChordLibrary.parseSymbol(ChordLibrary.normalizeSymbol(name) || name)
+        );
+        const a = parse(played);
+        const b = parse(expected);
+        return Boolean(a && b) && a.root === b.root && a.quality === b.quality;
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * Practice Transport Module
+ *
+ * Gives playing a tempo to follow, built on the Tone.js transport: a click track with
+ * an accented first beat of the bar, a backing track loaded from a local audio file that
+ * starts and stops with the click, and optional quantising that snaps strums onto the
+ * nearest 8th or 16th note of the beat grid. The click and backing track go straight to
+ * the speakers, so performance recordings hold only the guitar.
+ */
+
+const DEFAULT_BPM = 100;
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+const QUANTIZE_GRIDS = ['8n', '16n'];
+
+// Click pitches and levels: the first beat of the bar stands out
+const CLICKS = {
+    accent: { note: 'C6', velocity: 1 },
+    beat: { note: 'G5', velocity: 0.6 }
+};
+
+export class PracticeTransport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {number} options.bpm - Tempo in beats per minute
+     * @param {number} options.beatsPerBar - Beats in a bar (time signature numerator)
+     * @param {number} options.beatUnit - Note value of a beat (time signature denominator)
+     */
+    constructor({ bpm = DEFAULT_BPM, beatsPerBar = 4, beatUnit = 4 } = {}) {
+        this.initialized = false;
+        this.bpm = bpm;
+        this.beatsPerBar = beatsPerBar;
+        this.beatUnit = beatUnit;
+
+        this.clickEnabled = true;
+        this.clickSynth = null;
+        this.clickEventId = null; // Transport event playing the click
+
+        this.backingTrack = null; // Tone.Player synced to the transport
+        this.backingTrackName = null;
+
+        this.quantizeGrid = null; // '8n', '16n', or null to play strums as they come
+        this.quantizeWindow = 0.06; // Seconds from a grid line within which strums snap to it
+    }
+
+    /**
+     * Create the click and apply the tempo and time signature
+     * Call after audio has been started by a user gesture.
+     */
+    setup() {
+        if (this.initialized) return;
+
+        this.clickSynth = new Tone.Synth({
+            oscillator: { type: 'triangle' },
+            envelope: {
+                attack: 0.001, decay: 0.05, sustain: 0, release: 0.02
+            }
+        }).toDestination();
+
+        this.initialized = true;
+        this.setTempo(this.bpm);
+        this.setTimeSignature(this.beatsPerBar, this.beatUnit);
+    }
+
+    /**
+     * Start the click and backing track from the top
+     * @returns {number} Tone.js time the first beat sounds at
+     */
+    start() {
+        this.setup();
+        const startTime = Tone.now();
+        Tone.getTransport().start(startTime);
+        console.debug(`Transport started at ${this.bpm} BPM`);
+        return startTime;
+    }
+
+    /**
+     * Stop the click and backing track, rewinding to the start
+     */
+    stop() {
+        if (!this.initialized) return;
+        Tone.getTransport().stop();
+    }
+
+    /**
+     * Check whether the transport is running
+     * @returns {boolean} True while the click and backing track play
+     */
+    isPlaying() {
+        return this.initialized && Tone.getTransport().state === 'started';
+    }
+
+    /**
+     * Set the tempo of the click and beat grid
+     * A backing track keeps its own speed, so set the tempo to match it.
+     * @param {number} bpm - Tempo in beats per minute
+     */
+    setTempo(bpm) {
+        if (!(bpm > 0)) return;
+
+        this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
+        if (this.initialized) {
+            Tone.getTransport().bpm.value = this.bpm;
+        }
+    }
+
+    /**
+     * Set the time signature, e.g. (6, 8) for 6/8; the click sounds each beatUnit note
+     * @param {number} beatsPerBar - Beats in a bar
+     * @param {number} beatUnit - Note value of a beat: 2, 4, 8 or 16
+     */
+    setTimeSignature(beatsPerBar, beatUnit = 4) {
+        this.beatsPerBar = beatsPerBar;
+        this.beatUnit = beatUnit;
+        if (!this.initialized) return;
+
+        const transport = Tone.getTransport();
+        transport.timeSignature = [beatsPerBar, beatUnit];
+
+        if (this.clickEventId !== null) {
+            transport.clear(this.clickEventId);
+        }
+        this.clickEventId = transport.scheduleRepeat(
+            (time) => this.playClick(time),
+            `${beatUnit}n`,
+            0
+        );
+    }
+
+    /**
+     * Turn the click on or off; the backing track and beat grid carry on either way
+     * @param {boolean} enabled - Whether the click sounds
+     */
+    setClickEnabled(enabled) {
+        this.clickEnabled = enabled;
+    }
+
+    /**
+     * Sound the click for the beat at a time
+     * @param {number} time - Tone.js time of the beat
+     */
+    playClick(time) {
+        if (!this.clickEnabled) return;
+
+        const beatTicks = Tone.Time(`${this.beatUnit}n`).toTicks();
+        const beat = Math.round(Tone.getTransport().getTicksAtTime(time) / beatTicks);
+        const { note, velocity } = beat % this.beatsPerBar === 0 ? CLICKS.accent : CLICKS.beat;
+        this.clickSynth.triggerAttackRelease(note, '32n', time, velocity);
+    }
+
+    /**
+     * Load a backing track from a local audio file, replacing any loaded before
+     * It plays from its start whenever the transport starts.
+     * @param {File|Blob} file - Audio file the browser can decode
+     * @returns {Promise<void>} Resolves once the track is ready to play
+     */
+    async loadBackingTrack(file) {
+        this.setup();
+
+        const url = URL.createObjectURL(file);
+        try {
+            const player = new Tone.Player().toDestination();
+            await player.load(url);
+
+            this.removeBackingTrack();
+            this.backingTrack = player;
+            this.backingTrackName = file.name || 'Backing track';
+            player.sync().start(0);
+            console.debug(`Backing track loaded: ${this.backingTrackName}`);
+        } catch (error) {
+            throw new Error(`Could not load the backing track: ${error.message}`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Unload the backing track
+     */
+    removeBackingTrack() {
+        if (!this.backingTrack) return;
+
+        this.backingTrack.unsync();
+        this.backingTrack.dispose();
+        this.backingTrack = null;
+        this.backingTrackName = null;
+    }
+
+    /**
+     * Set how strums are quantised
+     * @param {string|null} grid - '8n' or '16n' to snap strums to that grid, or null for none
+     * @param {number} window - Seconds either side of a grid line within which strums snap
+     */
+    setQuantize(grid, window = this.quantizeWindow) {
+        this.quantizeGrid = QUANTIZE_GRIDS.includes(grid) ? grid : null;
+        this.quantizeWindow = Math.max(0, window);
+    }
+
+    /**
+     * Snap a strum's start onto the beat grid
+     * Strums near a grid line still to come wait for it; strums just after one can't go
+     * back in time, so they play at once. Strums far from any grid line, and every strum
+     * while the transport is stopped or quantising is off, keep their time.
+     * @param {number} time - Tone.js time the strum would start at
+     * @returns {number} Tone.js time to start the strum at
+     */
+    quantize(time) {
+        if (!this.quantizeGrid || !this.isPlaying()) return time;
+
+        const transport = Tone.getTransport();
+        const gridTicks = Tone.Time(this.quantizeGrid).toTicks();
+        const ticks = transport.getTicksAtTime(time);
+        const ticksPerSecond = (transport.bpm.value / 60) * transport.PPQ;
+        const offset = (Math.round(ticks / gridTicks) * gridTicks - ticks) / ticksPerSecond;
+
+        if (Math.abs(offset) > this.quantizeWindow) return time;
+        return Math.max(Tone.now(), time + offset);
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Sample Instrument Module
+ *
+ * A guitar built from recorded samples instead of synth approximations. An instrument
+ * manifest (JSON, bundled next to its audio files) maps each string's fret regions to
+ * samples recorded at two or more velocity layers, with several round-robin takes per
+ * layer, plus string release and fret noise samples. Notes between recorded frets are
+ * pitch-shifted from the nearest sample of the same string. Tunings that differ from
+ * the recorded one play each string from the recorded string closest in pitch.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+import { SampledStringVoice } from './sampled-string-voice.js';
+
+const MANIFEST_FORMAT = 'air-guitar-4d-instrument';
+const MANIFEST_VERSION = 1;
+
+export class SampleInstrument {
+    /**
+     * @param {Object} options - Instrument options
+     * @param {string} options.manifestUrl - URL of the instrument manifest
+     * @param {Function} options.loadBuffer - Loads an audio file URL into a buffer
+     */
+    constructor({
+        manifestUrl,
+        loadBuffer = (url) => Tone.ToneAudioBuffer.fromUrl(url)
+    }) {
+        this.manifestUrl = manifestUrl;
+        this.loadBuffer = loadBuffer;
+        this.manifest = null;
+        this.buffers = new Map(); // Sample file -> decoded buffer
+        this.roundRobin = new Map(); // Zone and layer -> index of the next take
+        this.openNotes = null; // Note of each played string at fret 0; the manifest's until set
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load the manifest and every sample it lists
+     * Loading happens once; later calls wait for the same load.
+     * @returns {Promise<SampleInstrument>} This instrument, ready to play
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.loadManifestAndSamples().catch((error) => {
+                this.loadPromise = null;
+                throw error;
+            });
+        }
+        return this.loadPromise;
+    }
+
+    /**
+     * Check whether the samples are ready
+     * @returns {boolean} True once load() has finished
+     */
+    isLoaded() {
+        return this.manifest !== null && this.buffers.size > 0;
+    }
+
+    /**
+     * Fetch, validate and load the instrument
+     * @returns {Promise<SampleInstrument>} This instrument
+     */
+    async loadManifestAndSamples() {
+        const response = await fetch(this.manifestUrl);
+        if (!response.ok) {
+            throw new Error(`Could not load instrument manifest (${response.status})`);
+        }
+
+        const manifest = SampleInstrument.validateManifest(await response.json());
+        const files = SampleInstrument.listSampleFiles(manifest);
+        const baseUrl = new URL(this.manifestUrl, document.baseURI);
+
+        const buffers = await Promise.all(files.map(async (file) => {
+            try {
+                return await this.loadBuffer(new URL(file, baseUrl).href);
+            } catch (error) {
+                throw new Error(`Missing sample "${file}" for ${manifest.name}: ${error.message}`);
+            }
+        }));
+
+        this.manifest = manifest;
+        this.buffers = new Map(files.map((file, index) => [file, buffers[index]]));
+        this.roundRobin.clear();
+
+        console.debug(`Loaded ${files.length} samples for ${manifest.name}`);
+        return this;
+    }
+
+    /**
+     * Get the synth guitar type whose effects suit this instrument
+     * @returns {string} 'acoustic', 'electric' or 'bass'
+     */
+    getBaseType() {
+        return (this.manifest && this.manifest.baseType) || 'acoustic';
+    }
+
+    /**
+     * Set the strings to play, e.g. for another tuning or string count
+     * @param {string[]} notes - Note each string plays at fret 0 (capo included), lowest
+     *                           first
+     */
+    setOpenNotes(notes) {
+        this.openNotes = [...notes];
+    }
+
+    /**
+     * Get the recorded string that plays a string of the current tuning: the one whose
+     * open note is closest to it
+     * @param {number} stringIndex - String index in the current tuning (0 = lowest)
+     * @returns {number} String index in the manifest
+     */
+    getSampleString(stringIndex) {
+        if (!this.openNotes) return stringIndex;
+
+        const midi = ChordLibrary.noteToMidi(this.openNotes[stringIndex]);
+        if (midi === null) return stringIndex;
+        const recorded = this.manifest.strings.map(ChordLibrary.noteToMidi);
+        return recorded.reduce((best, openMidi, index) => (
+            Math.abs(openMidi - midi) < Math.abs(recorded[best] - midi) ? index : best
+        ), 0);
+    }
+
+    /**
+     * Choose the sample for a note: the string's nearest fret region, the velocity
+     * layer for how hard it was played and the next round-robin take
+     * @param {number} stringIndex - String index in the current tuning (0 = lowest)
+     * @param {number} midi - MIDI note to play
+     * @param {number} velocity - Note velocity (0-1)
+     * @returns {Object|null} { buffer, file, layer, rootMidi, playbackRate, gain }
+     */
+    selectSample(stringIndex, midi, velocity) {
+        if (!this.manifest) return null;
+
+        const sampleString = this.getSampleString(stringIndex);
+        const openMidi = ChordLibrary.noteToMidi(this.manifest.strings[sampleString]);
+        if (openMidi === null) return null;
+
+        const fret = midi - openMidi;
+        const zones = this.manifest.zones.filter((zone) => zone.string === sampleString);
+        if (zones.length === 0) return null;
+
+        // Prefer the region holding the fret, otherwise the closest one
+        const regionDistance = (zone) => Math.max(zone.frets[0] - fret, fret - zone.frets[1], 0);
+        const zone = zones.reduce((best, candidate) => (
+            regionDistance(candidate) < regionDistance(best) ? candidate : best
+        ));
+
+        // Harder playing picks a louder recording rather than just turning it up
+        const { velocityLayers } = this.manifest;
+        let layerIndex = velocityLayers.findIndex((layer) => velocity <= layer.maxVelocity);
+        if (layerIndex === -1) layerIndex = velocityLayers.length - 1;
+        const layer = velocityLayers[layerIndex];
+        const layerFloor = layerIndex > 0 ? velocityLayers[layerIndex - 1].maxVelocity : 0;
+        const positionInLayer = (velocity - layerFloor) / (layer.maxVelocity - layerFloor);
+
+        const takes = zone.samples[layer.name];
+        const key = `${sampleString}:${zone.frets[0]}:${layer.name}`;
+        const take = this.roundRobin.get(key) || 0;
+        this.roundRobin.set(key, (take + 1) % takes.length);
+
+        const file = takes[take];
+        const rootMidi = openMidi + zone.rootFret;
+        return {
+            buffer: this.buffers.get(file),
+            file,
+            layer: layer.name,
+            rootMidi,
+            playbackRate: 2 ** ((midi - rootMidi) / 12),
+            gain: 0.85 + 0.15 * Math.min(1, Math.max(0, positionInLayer))
+        };
+    }
+
+    /**
+     * Get the buffer of a one-shot noise sample
+     * @param {string} kind - 'release' (per string) or 'fretNoise'
+     * @param {number} stringIndex - String index in the current tuning, for release samples
+     * @returns {Object|null} Decoded buffer, or null if the manifest has none
+     */
+    getNoiseSample(kind, stringIndex = 0) {
+        if (!this.manifest) return null;
+
+        const files = kind === 'release'
+            ? this.manifest.release[this.getSampleString(stringIndex)] || []
+            : this.manifest.fretNoise;
+        if (files.length === 0) return null;
+
+        const file = files[Math.floor(Math.random() * files.length)];
+        return this.buffers.get(file) || null;
+    }
+
+    /**
+     * Create one voice per string, playable like the sound engine's synth string voices
+     * @returns {SampledStringVoice[]} Voices, lowest string first
+     */
+    createVoices() {
+        return (this.openNotes || this.manifest.strings).map((_, stringIndex) => (
+            new SampledStringVoice(this, stringIndex)
+        ));
+    }
+
+    /**
+     * Check an instrument manifest and fill in defaults
+     * @param {Object} manifest - Parsed manifest JSON
+     * @returns {Object} Normalized manifest
+     */
+    static validateManifest(manifest) {
+        if (!manifest || manifest.format !== MANIFEST_FORMAT) {
+            throw new Error('Not an Air Guitar 4D instrument manifest');
+        }
+        if (manifest.version !== MANIFEST_VERSION) {
+            throw new Error(`Unsupported instrument manifest version: ${manifest.version}`);
+        }
+
+        const strings = Array.isArray(manifest.strings) ? manifest.strings : [];
+        const unknownNote = strings.some((note) => ChordLibrary.noteToMidi(note) === null);
+        if (strings.length === 0 || unknownNote) {
+            throw new Error('Instrument manifest needs the open note of every string');
+        }
+
+        const velocityLayers = Array.isArray(manifest.velocityLayers)
+            ? manifest.velocityLayers
+            : [];
+        const layersAscending = velocityLayers.every((layer, i) => (
+            typeof layer.name === 'string'
+            && layer.maxVelocity > (i > 0 ? velocityLayers[i - 1].maxVelocity : 0)
+        ));
+        if (velocityLayers.length < 2 || !layersAscending) {
+            throw new Error('Instrument manifest needs at least two ascending velocity layers');
+        }
+
+        const zones = Array.isArray(manifest.zones) ? manifest.zones : [];
+        zones.forEach((zone, i) => {
+            const validRegion = Number.isInteger(zone.string)
+                && zone.string >= 0 && zone.string < strings.length
+                && Array.isArray(zone.frets) && zone.frets[0] <= zone.frets[1]
+                && Number.isFinite(zone.rootFret);
+            if (!validRegion) {
+                throw new Error(`Instrument zone ${i} has an invalid string or fret region`);
+            }
+            velocityLayers.forEach((layer) => {
+                const takes = zone.samples && zone.samples[layer.name];
+                if (!Array.isArray(takes) || takes.length === 0) {
+                    throw new Error(`Instrument zone ${i} has no "${layer.name}" samples`);
+                }
+            });
+        });
+        strings.forEach((note, stringIndex) => {
+            if (!zones.some((zone) => zone.string === stringIndex)) {
+                throw new Error(`Instrument manifest has no samples for string ${note}`);
+            }
+        });
+
+        return {
+            ...manifest,
+            strings: [...strings],
+            velocityLayers: velocityLayers.map((layer) => ({ ...layer })),
+            zones,
+            release: manifest.release || [],
+            fretNoise: manifest.fretNoise || [],
+            releaseTime: manifest.releaseTime || 0.15
+        };
+    }
+
+    /**
+     * List every audio file a manifest refers to, once each
+     * @param {Object} manifest - Validated manifest
+     * @returns {string[]} Sample file paths relative to the manifest
+     */
+    static listSampleFiles(manifest) {
+        const files = new Set();
+        manifest.zones.forEach((zone) => {
+            Object.values(zone.samples).forEach((takes) => {
+                takes.forEach((file) => files.add(file));
+            });
+        });
+        manifest.release.forEach((takes) => takes.forEach((file) => files.add(file)));
+        manifest.fretNoise.forEach((file) => files.add(file));
+        return [...files];
+    }
+}
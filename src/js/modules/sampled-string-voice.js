@@ -0,0 +1,166 @@
+/**
+ * Sampled String Voice Module
+ *
+ * Plays one string of a SampleInstrument. Mirrors the parts of Tone.MonoSynth the
+ * sound engine uses (triggerAttackRelease, triggerRelease, setNote, detune, connect)
+ * so sampled strings bend, slide and hammer on exactly like synth strings.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+
+/**
+ * Convert a detune in cents to a playback rate multiplier
+ * @param {number} cents - Detune in cents
+ * @returns {number} Playback rate multiplier
+ */
+function centsToRatio(cents) {
+    return 2 ** (cents / 1200);
+}
+
+export class SampledStringVoice {
+    /**
+     * @param {SampleInstrument} instrument - Loaded instrument
+     * @param {number} stringIndex - String this voice plays
+     */
+    constructor(instrument, stringIndex) {
+        this.instrument = instrument;
+        this.stringIndex = stringIndex;
+        this.output = new Tone.Gain(1);
+        this.source = null;
+        this.rootMidi = null;
+        this.baseRate = 1; // Playback rate of the note before detune
+
+        // Detune in cents, applied to the sounding sample's playback rate
+        const voice = this;
+        this.detune = {
+            value: 0,
+            rampTo(cents, rampTime, startTime = Tone.now()) {
+                this.value = cents;
+                if (voice.source) {
+                    voice.source.playbackRate
+                        .rampTo(voice.baseRate * centsToRatio(cents), rampTime, startTime);
+                }
+            },
+            setValueAtTime(cents, time) {
+                this.value = cents;
+                if (voice.source) {
+                    voice.source.playbackRate
+                        .setValueAtTime(voice.baseRate * centsToRatio(cents), time);
+                }
+            },
+            cancelScheduledValues(time) {
+                if (voice.source) {
+                    voice.source.playbackRate.cancelScheduledValues(time);
+                }
+            }
+        };
+    }
+
+    /**
+     * Connect the voice's output
+     * @param {Object} destination - Tone.js node
+     * @returns {SampledStringVoice} This voice
+     */
+    connect(destination) {
+        this.output.connect(destination);
+        return this;
+    }
+
+    /**
+     * Disconnect the voice's output
+     */
+    disconnect() {
+        this.output.disconnect();
+    }
+
+    /**
+     * Play a note for a duration
+     * @param {string} note - Note to play
+     * @param {string|number} duration - Note duration
+     * @param {number} time - Tone.js start time
+     * @param {number} velocity - Note velocity (0-1)
+     */
+    triggerAttackRelease(note, duration, time = Tone.now(), velocity = 0.8) {
+        if (this.triggerAttack(note, time, velocity)) {
+            this.triggerRelease(time + Tone.Time(duration).toSeconds());
+        }
+    }
+
+    /**
+     * Start a note, cutting the string's previous one
+     * @param {string} note - Note to play
+     * @param {number} time - Tone.js start time
+     * @param {number} velocity - Note velocity (0-1)
+     * @returns {boolean} True if a sample was started
+     */
+    triggerAttack(note, time = Tone.now(), velocity = 0.8) {
+        const sample = this.instrument.selectSample(
+            this.stringIndex,
+            ChordLibrary.noteToMidi(note),
+            velocity
+        );
+        if (!sample || !sample.buffer) return false;
+
+        if (this.source) {
+            this.source.stop(time);
+        }
+
+        const source = new Tone.ToneBufferSource({
+            url: sample.buffer,
+            playbackRate: sample.playbackRate * centsToRatio(this.detune.value),
+            fadeIn: 0.002,
+            fadeOut: this.instrument.manifest.releaseTime,
+            curve: 'exponential'
+        }).connect(this.output);
+        source.onended = () => source.dispose();
+        source.start(time, 0, undefined, sample.gain);
+
+        this.source = source;
+        this.rootMidi = sample.rootMidi;
+        this.baseRate = sample.playbackRate;
+        return true;
+    }
+
+    /**
+     * Let the string go: fade the note and play the release noise
+     * @param {number} time - Tone.js time
+     */
+    triggerRelease(time = Tone.now()) {
+        if (!this.source) return;
+
+        this.source.stop(time);
+        this.source = null;
+        this.playNoise('release', time, 0.5);
+    }
+
+    /**
+     * Move the sounding note to another fret without a new attack, with a little fret noise
+     * @param {string} note - New note
+     * @param {number} time - Tone.js time
+     */
+    setNote(note, time = Tone.now()) {
+        if (!this.source) return;
+
+        this.baseRate = 2 ** ((ChordLibrary.noteToMidi(note) - this.rootMidi) / 12);
+        this.source.playbackRate.setValueAtTime(
+            this.baseRate * centsToRatio(this.detune.value),
+            time
+        );
+        this.playNoise('fretNoise', time, 0.3);
+    }
+
+    /**
+     * Play a one-shot noise sample through this string's output
+     * @param {string} kind - 'release' or 'fretNoise'
+     * @param {number} time - Tone.js time
+     * @param {number} gain - Playback gain
+     */
+    playNoise(kind, time, gain) {
+        const buffer = this.instrument.getNoiseSample(kind, this.stringIndex);
+        if (!buffer) return;
+
+        const noise = new Tone.ToneBufferSource(buffer).connect(this.output);
+        noise.onended = () => noise.dispose();
+        noise.start(time, 0, undefined, gain);
+    }
+}
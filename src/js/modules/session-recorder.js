@@ -0,0 +1,134 @@
+/**
+ * Session Recorder Module
+ *
+ * Captures the per-frame output of the hand tracking pipeline so a playing
+ * session can be saved and replayed later without a webcam or detector
+ */
+
+// Bump when the layout of recorded frames changes
+const SESSION_FORMAT_VERSION = 1;
+
+export class SessionRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.header = null;
+        this.frames = [];
+        this.startTime = 0;
+    }
+
+    /**
+     * Start a new recording, discarding any previously captured frames
+     * @param {Object} metadata - Session information (frame width/height, mirroring, etc.)
+     * @param {number} startTime - Clock value (ms) that frame timestamps are relative to
+     */
+    start(metadata = {}, startTime = performance.now()) {
+        this.header = {
+            type: 'session',
+            version: SESSION_FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            ...metadata
+        };
+        this.frames = [];
+        this.startTime = startTime;
+        this.isRecording = true;
+
+        console.debug('Session recording started', this.header);
+    }
+
+    /**
+     * Record the hands detected in one frame
+     * @param {Object} hands - Hand data as returned by HandTracking.processFrame()
+     * @param {number} timestamp - Capture time of the frame (same clock as start())
+     */
+    recordFrame(hands, timestamp = performance.now()) {
+        if (!this.isRecording || !hands) return;
+
+        this.frames.push({
+            type: 'frame',
+            t: Math.round((timestamp - this.startTime) * 100) / 100,
+            hands: {
+                left: SessionRecorder.serializeHand(hands.left),
+                right: SessionRecorder.serializeHand(hands.right)
+            }
+        });
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object} The recorded session ({ header, frames })
+     */
+    stop() {
+        this.isRecording = false;
+        console.debug(`Session recording stopped with ${this.frames.length} frames`);
+
+        return this.getSession();
+    }
+
+    /**
+     * Get the recorded session
+     * @returns {Object} Session header and frames
+     */
+    getSession() {
+        return { header: this.header, frames: this.frames };
+    }
+
+    /**
+     * Serialize the session as newline-delimited JSON (header line followed by one line per frame)
+     * @returns {string} NDJSON text
+     */
+    toNDJSON() {
+        return [this.header, ...this.frames].map((entry) => JSON.stringify(entry)).join('\n');
+    }
+
+    /**
+     * Serialize the session as a single JSON document
+     * @returns {string} JSON text
+     */
+    toJSON() {
+        return JSON.stringify(this.getSession());
+    }
+
+    /**
+     * Offer the recorded session to the user as a file download
+     * @param {string} filename - Name of the downloaded file
+     */
+    download(filename = `air-guitar-session-${Date.now()}.ndjson`) {
+        const blob = new Blob([this.toNDJSON()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Reduce a detected hand to the fields the pipeline consumes, rounded to keep files small
+     * @param {Object|null} hand - Hand as produced by the detector
+     * @returns {Object|null} Plain serializable hand
+     */
+    static serializeHand(hand) {
+        if (!hand) return null;
+
+        const round = (value, precision) => (
+            typeof value === 'number' ? Math.round(value * precision) / precision : value
+        );
+        const serializePoint = (point, precision) => {
+            const serialized = { x: round(point.x, precision), y: round(point.y, precision) };
+            if (point.z !== undefined) serialized.z = round(point.z, precision);
+            if (point.name) serialized.name = point.name;
+            return serialized;
+        };
+
+        return {
+            handedness: hand.handedness,
+            score: round(hand.score, 1000),
+            keypoints: (hand.keypoints || []).map((point) => serializePoint(point, 100)),
+            keypoints3D: hand.keypoints3D
+                ? hand.keypoints3D.map((point) => serializePoint(point, 10000))
+                : null
+        };
+    }
+}
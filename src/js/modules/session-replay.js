@@ -0,0 +1,256 @@
+/**
+ * Session Replay Module
+ *
+ * Feeds a recorded session back through hand tracking, motion analysis and the
+ * sound engine, so playing sessions can be reproduced deterministically without
+ * a webcam or detector (e.g. in regression tests on CI)
+ */
+
+export class SessionReplay {
+    /**
+     * @param {Object} pipeline - Modules to drive
+     * @param {HandTracking} pipeline.handTracking - Receives the recorded hands
+     * @param {MotionAnalysis} pipeline.motionAnalysis - Analyzes each frame
+     * @param {SoundEngine} [pipeline.soundEngine] - Plays detected strums and plucks and
+     *                                               applies expression (optional)
+     */
+    constructor({ handTracking, motionAnalysis, soundEngine = null }) {
+        this.handTracking = handTracking;
+        this.motionAnalysis = motionAnalysis;
+        this.soundEngine = soundEngine;
+
+        this.header = null;
+        this.frames = [];
+        this.position = 0;
+        this.playbackTimer = null;
+        this.resolvePlayback = null;
+        this.rejectPlayback = null;
+    }
+
+    /**
+     * Parse a recorded session from NDJSON or JSON text
+     * @param {string} text - Session file contents
+     * @returns {Object} Session header and frames
+     */
+    static parse(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('Session file is empty');
+        }
+
+        // A single JSON document ({ header, frames }) as written by SessionRecorder.toJSON(),
+        // possibly pretty-printed; NDJSON has several documents and doesn't parse as one
+        if (trimmed.startsWith('{')) {
+            const parsed = SessionReplay.parseDocument(trimmed);
+            if (parsed && parsed.frames) {
+                return { header: parsed.header || null, frames: parsed.frames };
+            }
+        }
+
+        // Newline-delimited JSON: optional header line followed by one line per frame
+        let header = null;
+        const frames = [];
+
+        trimmed.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid session data on line ${index + 1}: ${error.message}`);
+            }
+
+            if (entry.type === 'session') {
+                header = entry;
+            } else {
+                frames.push(entry);
+            }
+        });
+
+        return { header, frames };
+    }
+
+    /**
+     * Parse text as a single JSON document
+     * @param {string} text - Text to parse
+     * @returns {*} The parsed value, or null if the text isn't one JSON document
+     */
+    static parseDocument(text) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Load a session to replay
+     * @param {string|Object} session - Session text or an already parsed session object
+     */
+    load(session) {
+        const { header, frames } = typeof session === 'string'
+            ? SessionReplay.parse(session)
+            : session;
+
+        this.header = header;
+        this.frames = frames;
+        this.reset();
+
+        if (header && header.width && header.height) {
+            this.motionAnalysis.setFrameSize(header.width, header.height);
+        }
+        if (header && header.guitarPlaneAngle) {
+            this.motionAnalysis.setGuitarPlaneAngle(header.guitarPlaneAngle);
+        }
+
+        console.debug(`Loaded session with ${frames.length} frames`);
+    }
+
+    /**
+     * Rewind to the first frame and clear analysis state
+     */
+    reset() {
+        this.stop();
+        this.position = 0;
+        this.handTracking.clearHands();
+        this.motionAnalysis.reset();
+    }
+
+    /**
+     * Whether all frames have been replayed
+     * @returns {boolean} True when no frames remain
+     */
+    isFinished() {
+        return this.position >= this.frames.length;
+    }
+
+    /**
+     * Replay the next frame through the pipeline
+     * @returns {Object|null} What the pipeline produced for the frame, or null when finished
+     */
+    step() {
+        if (this.isFinished()) return null;
+
+        const frame = this.frames[this.position];
+        this.position += 1;
+
+        const handData = this.handTracking.setHands(frame.hands, frame.t);
+        const chordData = this.handTracking.detectChordFormation();
+        const orientations = this.handTracking.getHandOrientations();
+
+        const motionResult = this.motionAnalysis.processHandData(
+            handData,
+            chordData,
+            orientations,
+            frame.t
+        );
+
+        if (this.soundEngine && motionResult && motionResult.strumDetected) {
+            this.soundEngine.playStrum(motionResult);
+        }
+        if (this.soundEngine && motionResult && motionResult.plucks.length > 0) {
+            this.soundEngine.playPluck(motionResult);
+        }
+        if (this.soundEngine && motionResult && motionResult.legato) {
+            this.soundEngine.playLegato(motionResult);
+        }
+        if (this.soundEngine && motionResult) {
+            this.soundEngine.applyExpression(motionResult.expression);
+        }
+
+        return {
+            t: frame.t,
+            handData,
+            chordData,
+            motionResult
+        };
+    }
+
+    /**
+     * Replay all remaining frames as fast as possible
+     * @returns {Array} Per-frame results in order
+     */
+    run() {
+        const results = [];
+        while (!this.isFinished()) {
+            results.push(this.step());
+        }
+        return results;
+    }
+
+    /**
+     * Replay the remaining frames in real time, honouring the recorded frame timing
+     * @param {Object} options - Playback options
+     * @param {number} options.speed - Playback rate (1 = recorded speed)
+     * @param {Function} options.onFrame - Called with each frame result
+     * @returns {Promise} Resolves when playback finishes or is stopped, and rejects if
+     *                    replaying a frame throws
+     */
+    play({ speed = 1, onFrame = null } = {}) {
+        this.stop();
+
+        return new Promise((resolve, reject) => {
+            this.resolvePlayback = resolve;
+            this.rejectPlayback = reject;
+
+            // Frames after the first play in timer callbacks, where a throw would never
+            // reach the promise
+            const playNext = () => {
+                try {
+                    const result = this.step();
+                    if (result && onFrame) {
+                        onFrame(result);
+                    }
+
+                    if (this.isFinished()) {
+                        this.stop();
+                        return;
+                    }
+
+                    const delay = (this.frames[this.position].t - result.t) / speed;
+                    this.playbackTimer = setTimeout(playNext, Math.max(0, delay));
+                } catch (error) {
+                    this.fail(error);
+                }
+            };
+
+            playNext();
+        });
+    }
+
+    /**
+     * Stop real-time playback
+     */
+    stop() {
+        if (this.playbackTimer) {
+            clearTimeout(this.playbackTimer);
+            this.playbackTimer = null;
+        }
+
+        if (this.resolvePlayback) {
+            const resolve = this.resolvePlayback;
+            this.resolvePlayback = null;
+            this.rejectPlayback = null;
+            resolve();
+        }
+    }
+
+    /**
+     * End real-time playback with an error
+     * @param {Error} error - Why playback failed
+     */
+    fail(error) {
+        if (this.playbackTimer) {
+            clearTimeout(this.playbackTimer);
+            this.playbackTimer = null;
+        }
+
+        if (this.rejectPlayback) {
+            const reject = this.rejectPlayback;
+            this.resolvePlayback = null;
+            this.rejectPlayback = null;
+            reject(error);
+        }
+    }
+}
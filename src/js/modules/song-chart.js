@@ -0,0 +1,176 @@
+/**
+ * Song Chart Module
+ *
+ * A song to play along with: its tempo and time signature, sections of chords each
+ * placed on the beat it should be strummed, and optionally the backing audio it was
+ * charted against. Beats count from 0 at the start of the song; `offset` is how far
+ * into the backing audio that first beat falls, which also gives a count-in.
+ *
+ * Song files are JSON:
+ *   {
+ *     "format": "air-guitar-4d-song", "version": 1,
+ *     "title": "...", "bpm": 96, "beatsPerBar": 4, "offset": 2.5,
+ *     "backingTrack": "song.mp3",
+ *     "sections": [
+ *       { "name": "Verse", "chords": [{ "beat": 0, "chord": "G", "direction": "down" }] }
+ *     ]
+ *   }
+ * A chord's direction ('down' or 'up') is optional; without one either direction counts.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+
+const SONG_FORMAT = 'air-guitar-4d-song';
+const SONG_VERSION = 1;
+const DIRECTIONS = ['down', 'up'];
+
+export class SongChart {
+    /**
+     * @param {Object} song - Song data, as in a song file
+     * @param {string} song.title - Song title
+     * @param {number} song.bpm - Tempo in beats per minute
+     * @param {number} song.beatsPerBar - Beats in a bar
+     * @param {number} song.beatUnit - Note value of a beat
+     * @param {number} song.offset - Seconds into the backing audio at which beat 0 falls
+     * @param {string|null} song.backingTrack - File name of the backing audio, if any
+     * @param {Array} song.sections - { name, chords: [{ beat, chord, direction }] }
+     */
+    constructor({
+        title = 'Untitled',
+        bpm,
+        beatsPerBar = 4,
+        beatUnit = 4,
+        offset = 0,
+        backingTrack = null,
+        sections = []
+    }) {
+        this.title = title;
+        this.bpm = bpm;
+        this.beatsPerBar = beatsPerBar;
+        this.beatUnit = beatUnit;
+        this.offset = offset;
+        this.backingTrack = backingTrack;
+        this.sections = sections.map(({ name, chords }) => ({
+            name,
+            chords: chords
+                .map(({ beat, chord, direction = null }) => ({ beat, chord, direction }))
+                .sort((a, b) => a.beat - b.beat)
+        }));
+    }
+
+    /**
+     * Read a song file
+     * The whole song is checked before it is used, so a bad file reports what is wrong.
+     * @param {Object|string} song - Song data or its JSON text
+     * @returns {SongChart} The song
+     */
+    static parse(song) {
+        const data = typeof song === 'string' ? JSON.parse(song) : song;
+
+        if (!data || data.format !== SONG_FORMAT) {
+            throw new Error('Not an Air Guitar 4D song file');
+        }
+        if (data.version !== SONG_VERSION) {
+            throw new Error(`Unsupported song file version: ${data.version}`);
+        }
+        if (!(data.bpm > 0)) {
+            throw new Error('Song needs a tempo (bpm) above 0');
+        }
+        if (!Array.isArray(data.sections) || data.sections.length === 0) {
+            throw new Error('Song has no sections');
+        }
+
+        data.sections.forEach((section, index) => {
+            const name = section.name || `Section ${index + 1}`;
+            if (!Array.isArray(section.chords)) {
+                throw new Error(`${name} has no chords`);
+            }
+            section.chords.forEach(({ beat, chord, direction }) => {
+                if (!Number.isFinite(beat) || beat < 0) {
+                    throw new Error(`${name} has a chord at an invalid beat: ${beat}`);
+                }
+                if (!ChordLibrary.parseSymbol(chord)) {
+                    throw new Error(`${name} has an unknown chord "${chord}" at beat ${beat}`);
+                }
+                if (direction !== undefined && direction !== null
+                    && !DIRECTIONS.includes(direction)) {
+                    throw new Error(`${name} has an invalid strum direction "${direction}"`);
+                }
+            });
+        });
+
+        return new SongChart({
+            ...data,
+            sections: data.sections.map((section, index) => ({
+                name: section.name || `Section ${index + 1}`,
+                chords: section.chords
+            }))
+        });
+    }
+
+    /**
+     * Get the song as song file data
+     * @returns {Object} Plain song data, ready for JSON.stringify
+     */
+    toJSON() {
+        return {
+            format: SONG_FORMAT,
+            version: SONG_VERSION,
+            title: this.title,
+            bpm: this.bpm,
+            beatsPerBar: this.beatsPerBar,
+            beatUnit: this.beatUnit,
+            offset: this.offset,
+            backingTrack: this.backingTrack,
+            sections: this.sections.map(({ name, chords }) => ({
+                name,
+                chords: chords.map(({ beat, chord, direction }) => (
+                    direction ? { beat, chord, direction } : { beat, chord }
+                ))
+            }))
+        };
+    }
+
+    /**
+     * Get every chord to strum, in time order
+     * @returns {Array} { beat, time, chord, direction, section, sectionIndex } with time in
+     *                  seconds from the start of the backing audio
+     */
+    getEvents() {
+        return this.sections
+            .flatMap(({ name, chords }, sectionIndex) => chords.map((event) => ({
+                ...event,
+                time: this.beatToTime(event.beat),
+                section: name,
+                sectionIndex
+            })))
+            .sort((a, b) => a.beat - b.beat);
+    }
+
+    /**
+     * Get the length of the song, up to a bar after its last chord
+     * @returns {number} Seconds from the start of the backing audio
+     */
+    getDuration() {
+        const lastBeat = Math.max(0, ...this.getEvents().map(({ beat }) => beat));
+        return this.beatToTime(lastBeat + this.beatsPerBar);
+    }
+
+    /**
+     * Convert a beat of the song to a time
+     * @param {number} beat - Beats from the start of the song
+     * @returns {number} Seconds from the start of the backing audio
+     */
+    beatToTime(beat) {
+        return this.offset + (beat * 60) / this.bpm;
+    }
+
+    /**
+     * Convert a time to a beat of the song
+     * @param {number} time - Seconds from the start of the backing audio
+     * @returns {number} Beats from the start of the song (negative during the count-in)
+     */
+    timeToBeat(time) {
+        return ((time - this.offset) * this.bpm) / 60;
+    }
+}
@@ -5,6 +5,42 @@
  * based on motion analysis data
  */
 
+import { ChordLibrary } from './chord-library.js';
+import { ChordVoicer } from './chord-voicer.js';
+import { PhysicalInstrument } from './physical-instrument.js';
+import { Tuning } from './tuning.js';
+
+// Synthesized guitar types
+const SYNTH_TYPES = ['acoustic', 'electric', 'bass'];
+
+// Guitar types whose strings are played by a loaded instrument (samples or string models).
+// Sampled Acoustic joins these once its recordings are in the repository.
+const INSTRUMENT_TYPES = {
+    'physical': () => new PhysicalInstrument()
+};
+
+// How each playing technique shapes a strum: note length, gap between strings (seconds),
+// tone filter cutoff (Hz) and loudness relative to a normal strum
+const ARTICULATIONS = {
+    normal: { duration: '8n', stagger: 0.01, filterFrequency: 18000, velocityScale: 1 },
+    palm_mute: { duration: 0.09, stagger: 0.006, filterFrequency: 700, velocityScale: 0.8 },
+    finger_pick: { duration: '4n', stagger: 0.11, filterFrequency: 5000, velocityScale: 0.7 }
+};
+
+// Where notes go: the built-in voices, a MIDI output port, or both
+const MIDI_ROUTINGS = ['local', 'midi', 'both'];
+
+// How each logged event type is played again when a recorded take is re-rendered
+const REPLAYED_EVENTS = {
+    strum: (engine, data) => engine.playStrum(data),
+    pluck: (engine, data) => engine.playPluck(data),
+    legato: (engine, data) => engine.playLegato(data),
+    expression: (engine, data) => engine.applyExpression(data),
+    volume: (engine, data) => engine.setVolume(data.level),
+    effect: (engine, data) => engine.setEffectLevel(data.effectName, data.level),
+    capo: (engine, data) => engine.setCapo(data.fret)
+};
+
 export class SoundEngine {
     constructor() {
         this.initialized = false;
@@ -14,37 +50,56 @@ export class SoundEngine {
         // These will be initialized after user interaction
         this.synth = null;
         this.polySynth = null;
+        this.stringVoices = []; // One voice per string so each can be detuned on its own
+        this.instruments = {}; // Guitar type -> sample or physical instrument, once requested
         this.effects = {
             distortion: null,
             reverb: null,
             tremolo: null,
             delay: null
         };
+        this.articulationFilter = null; // Darkens palm-muted and finger-picked notes
+        this.chuckSynth = null; // Percussive noise for dead notes
         this.master = null;
         
-        // Guitar tuning (standard tuning: E A D G B E)
-        this.strings = ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'];
-        
-        // Common chord shapes (root position)
-        this.chordDefinitions = {
-            'E': ['E2', 'B2', 'E3', 'G#3', 'B3', 'E4'],
-            'Em': ['E2', 'B2', 'E3', 'G3', 'B3', 'E4'],
-            'A': ['A2', 'E3', 'A3', 'C#4', 'E4', 'A4'],
-            'Am': ['A2', 'E3', 'A3', 'C4', 'E4', 'A4'],
-            'D': ['D3', 'A3', 'D4', 'F#4', 'A4', 'D5'],
-            'Dm': ['D3', 'A3', 'D4', 'F4', 'A4', 'D5'],
-            'G': ['G2', 'B2', 'D3', 'G3', 'B3', 'G4'],
-            'Gm': ['G2', 'Bb2', 'D3', 'G3', 'Bb3', 'G4'],
-            'C': ['C3', 'E3', 'G3', 'C4', 'E4', 'C5'],
-            'Cm': ['C3', 'Eb3', 'G3', 'C4', 'Eb4', 'C5'],
-            // Add more chords as needed
-        };
+        // Tuning and capo; strings holds the note each string plays open (capo included)
+        this.tuning = new Tuning('standard');
+        this.strings = this.tuning.getStringNotes();
+        
+        // Chord voicings for the tuning, keyed by the canonical symbols chord detection
+        // produces: one note per string, null where the string is muted
+        this.chordVoicer = new ChordVoicer();
+        this.lastChordNotes = null; // Last strummed voicing, for smooth voice leading
+        this.chordDefinitions = this.voiceChordLibrary();
+        
+        // Expression (bend, vibrato, slide) applied to strings still sounding after their attack
+        this.sustainingStrings = new Set();
+        this.currentDetune = 0; // cents
+        this.expressionRampTime = 0.03; // seconds, smooths frame-rate steps in detune
         
         // Current state
         this.currentChord = null;
         this.isMuted = false;
-        this.lastStrumTime = 0;
-        this.strumCooldownMs = 60; // Reduced from 150ms to allow for faster strumming
+        
+        // Latency: Tone.js schedules lookAhead seconds ahead of the audio clock, and its
+        // default of 0.1 s alone would blow the 50 ms motion-to-sound budget
+        this.lookAhead = 0.02;
+        this.maxScheduleAhead = 0.1; // Seconds a predicted strum may wait for its crossing
+        
+        // Performance recording: every played event is reported to eventCallback, and a
+        // take is re-rendered by replaying them with renderTime set to when each sounded
+        this.eventCallback = null;
+        this.renderTime = null;
+        this.noteCallback = null; // Told about every note, for MIDI export
+        
+        // External synths: notes, bends and effect levels also go to midiOutput (a
+        // MidiOutput) unless routing is 'local'; 'midi' silences the built-in voices
+        this.midiOutput = null;
+        this.midiRouting = 'local';
+        
+        // Playing along: strums snap to the beat grid of practiceTransport (a
+        // PracticeTransport) while it plays with quantising on
+        this.practiceTransport = null;
     }
     
     /**
@@ -61,6 +116,7 @@ export class SoundEngine {
             
             // This will throw an error if not called from a user gesture
             await Tone.start();
+            Tone.getContext().lookAhead = this.lookAhead;
             console.debug('Tone.js audio context started successfully');
             
             // Mark as initialized BEFORE setting up the audio chain
@@ -78,6 +134,28 @@ export class SoundEngine {
         }
     }
     
+    /**
+     * Build the audio chain in the current Tone.js context without starting audio output
+     * Used inside Tone.Offline to re-render a recorded take with its settings.
+     * @param {Object} settings - Settings from getSettings()
+     * @returns {Promise<void>} Resolves once the chain, instrument and reverb are ready
+     */
+    async setupOffline(settings) {
+        this.volume = settings.volume;
+        this.setTuning(settings.tuning);
+        this.setCapo(settings.capo);
+        if (!await this.setGuitarType(settings.guitarType)) {
+            throw new Error(`Could not load the ${settings.guitarType} guitar to render`);
+        }
+        
+        this.initialized = true;
+        this.initializeAudioChain();
+        Object.entries(settings.effects).forEach(([effectName, level]) => {
+            this.effects[effectName].wet.value = level;
+        });
+        await this.effects.reverb.ready;
+    }
+    
     /**
      * Initialize the complete audio chain
      */
@@ -125,11 +203,36 @@ export class SoundEngine {
             depth: 0.5,
             wet: 0
         }).start().connect(this.master);
+        
+        // Tone filter in front of the guitar voices, closed down for palm muting
+        this.articulationFilter = new Tone.Filter({
+            type: 'lowpass',
+            frequency: ARTICULATIONS.normal.filterFrequency,
+            rolloff: -24
+        });
+        
+        // Dead-note "chuck": a short band-limited noise burst with no pitch
+        this.chuckSynth = new Tone.NoiseSynth({
+            noise: { type: 'pink' },
+            envelope: {
+                attack: 0.001,
+                decay: 0.06,
+                sustain: 0,
+                release: 0.02
+            }
+        });
+        this.chuckSynth.chain(
+            new Tone.Filter({ type: 'bandpass', frequency: 1800, Q: 0.8 }),
+            this.master
+        );
     }
     
     /**
      * Configure the synthesizer based on guitar type
-     * @param {string} type - The type of guitar ("acoustic", "electric", "bass")
+     * Instrument types play their strings from samples or string models, over the effects of
+     * their base synth type.
+     * @param {string} type - The type of guitar ("acoustic", "electric", "bass" or an
+     *                        instrument type such as "physical")
      */
     configureSynthForGuitarType(type) {
         // Clean up previous synth if exists
@@ -139,9 +242,17 @@ export class SoundEngine {
         if (this.polySynth) {
             this.polySynth.disconnect();
         }
+        this.stringVoices.forEach((voice) => voice.disconnect());
+        this.sustainingStrings.clear();
+        
+        // Voice settings and effects chain shared by the poly synth and the string voices
+        let voiceOptions;
+        let voiceChain;
+        
+        const instrument = this.getInstrument(type);
         
         // Configure different synth settings based on guitar type
-        switch (type) {
+        switch (instrument ? instrument.getBaseType() : type) {
             case 'electric':
                 // Electric guitar-like synth
                 this.synth = new Tone.PluckSynth({
@@ -150,30 +261,32 @@ export class SoundEngine {
                     resonance: 0.95
                 });
                 
+                voiceOptions = {
+                    oscillator: {
+                        type: 'square'
+                    },
+                    envelope: {
+                        attack: 0.005,
+                        decay: 0.3,
+                        sustain: 0.2,
+                        release: 1.2
+                    },
+                    filter: {
+                        Q: 1,
+                        type: 'lowpass',
+                        rolloff: -12
+                    }
+                };
+                
                 // Poly synth for chords - increase maxPolyphony to 10 (from default 4)
                 this.polySynth = new Tone.PolySynth(Tone.MonoSynth, {
                     maxPolyphony: 10,
-                    voice: {
-                        oscillator: {
-                            type: 'square'
-                        },
-                        envelope: {
-                            attack: 0.005,
-                            decay: 0.3,
-                            sustain: 0.2,
-                            release: 1.2
-                        },
-                        filter: {
-                            Q: 1,
-                            type: 'lowpass',
-                            rolloff: -12
-                        }
-                    }
+                    voice: voiceOptions
                 });
                 
                 // Connect to effects chain for electric guitar
                 this.synth.chain(this.effects.distortion, this.master);
-                this.polySynth.chain(this.effects.distortion, this.effects.delay, this.master);
+                voiceChain = [this.effects.distortion, this.effects.delay, this.master];
                 
                 // Set effect levels
                 this.effects.distortion.wet.value = 0.4;
@@ -195,31 +308,33 @@ export class SoundEngine {
                     }
                 });
                 
+                voiceOptions = {
+                    oscillator: {
+                        type: 'triangle'
+                    },
+                    envelope: {
+                        attack: 0.04,
+                        decay: 0.2,
+                        sustain: 0.5,
+                        release: 1.5
+                    },
+                    filter: {
+                        Q: 2,
+                        type: 'lowpass',
+                        rolloff: -24,
+                        frequency: 600
+                    }
+                };
+                
                 // Poly synth for bass - increase maxPolyphony to 10
                 this.polySynth = new Tone.PolySynth(Tone.MonoSynth, {
                     maxPolyphony: 10,
-                    voice: {
-                        oscillator: {
-                            type: 'triangle'
-                        },
-                        envelope: {
-                            attack: 0.04,
-                            decay: 0.2,
-                            sustain: 0.5,
-                            release: 1.5
-                        },
-                        filter: {
-                            Q: 2,
-                            type: 'lowpass',
-                            rolloff: -24,
-                            frequency: 600
-                        }
-                    }
+                    voice: voiceOptions
                 });
                 
                 // Connect to effects chain for bass
                 this.synth.chain(this.effects.distortion, this.master);
-                this.polySynth.chain(this.effects.distortion, this.master);
+                voiceChain = [this.effects.distortion, this.master];
                 
                 // Set effect levels for bass
                 this.effects.distortion.wet.value = 0.1;
@@ -236,25 +351,27 @@ export class SoundEngine {
                     resonance: 0.9
                 });
                 
+                voiceOptions = {
+                    oscillator: {
+                        type: 'triangle'
+                    },
+                    envelope: {
+                        attack: 0.01,
+                        decay: 0.3,
+                        sustain: 0.5,
+                        release: 1.8
+                    }
+                };
+                
                 // Poly synth for chords - increase maxPolyphony to 10
                 this.polySynth = new Tone.PolySynth(Tone.MonoSynth, {
                     maxPolyphony: 10,
-                    voice: {
-                        oscillator: {
-                            type: 'triangle'
-                        },
-                        envelope: {
-                            attack: 0.01,
-                            decay: 0.3,
-                            sustain: 0.5,
-                            release: 1.8
-                        }
-                    }
+                    voice: voiceOptions
                 });
                 
                 // Connect to effects chain for acoustic guitar
                 this.synth.chain(this.effects.reverb, this.master);
-                this.polySynth.chain(this.effects.reverb, this.master);
+                voiceChain = [this.effects.reverb, this.master];
                 
                 // Set effect levels for acoustic
                 this.effects.distortion.wet.value = 0;
@@ -263,142 +380,298 @@ export class SoundEngine {
                 break;
         }
         
+        // Every guitar voice passes through the articulation filter first
+        this.articulationFilter.disconnect();
+        this.articulationFilter.chain(...voiceChain);
+        this.polySynth.connect(this.articulationFilter);
+        
+        // A monophonic voice per string: a new attack cuts the string's previous note,
+        // and bends or vibrato only move the strings that are actually sounding.
+        // Instruments are strung for the tuning first, so they have a voice per string too.
+        if (instrument) {
+            instrument.setOpenNotes(this.strings);
+        }
+        this.stringVoices = instrument
+            ? instrument.createVoices()
+            : this.strings.map(() => new Tone.MonoSynth(voiceOptions));
+        this.stringVoices.forEach((voice) => voice.connect(this.articulationFilter));
+        
         console.debug(`Synth configured for ${type} guitar`);
     }
     
     /**
      * Change the guitar type
-     * @param {string} type - The type of guitar ("acoustic", "electric", "bass")
+     * Instrument types load first; the guitar type only changes once they have.
+     * @param {string} type - The type of guitar ("acoustic", "electric", "bass" or an
+     *                        instrument type such as "physical")
+     * @returns {Promise<boolean>} True if the guitar type is now in use
      */
-    setGuitarType(type) {
-        if (!['acoustic', 'electric', 'bass'].includes(type)) {
+    async setGuitarType(type) {
+        if (!SYNTH_TYPES.includes(type) && !INSTRUMENT_TYPES[type]) {
             console.error(`Invalid guitar type: ${type}`);
-            return;
+            return false;
         }
         
-        if (this.guitarType === type) return; // No change needed
+        if (this.guitarType === type) return true; // No change needed
+        
+        if (INSTRUMENT_TYPES[type]) {
+            if (!this.instruments[type]) {
+                this.instruments[type] = INSTRUMENT_TYPES[type]();
+            }
+            
+            try {
+                await this.instruments[type].load();
+            } catch (error) {
+                console.error(`Could not load ${type} instrument:`, error);
+                return false;
+            }
+        }
         
         this.guitarType = type;
         console.debug(`Guitar type changed to: ${type}`);
+        this.logEvent('guitarType', { type });
         
         // Reconfigure synth for new guitar type
         if (this.initialized) {
             this.configureSynthForGuitarType(type);
         }
+        return true;
+    }
+    
+    /**
+     * Change the tuning preset
+     * @param {string} preset - Tuning preset name (e.g. 'drop-d', 'dadgad', 'bass-4')
+     * @returns {boolean} True if the tuning changed or was already set
+     */
+    setTuning(preset) {
+        if (!Tuning.has(preset)) {
+            console.error(`Invalid tuning: ${preset}`);
+            return false;
+        }
+        if (this.tuning.preset === preset) return true;
+        
+        this.tuning = new Tuning(preset, this.tuning.capo);
+        const stringCountChanged = this.tuning.getStringCount() !== this.strings.length;
+        this.applyTuning();
+        console.debug(`Tuning changed to: ${preset}`);
+        this.logEvent('tuning', { preset });
+        
+        // Synth strings are one voice per string; instruments are strung for the tuning
+        if (this.initialized && (stringCountChanged || this.getInstrument(this.guitarType))) {
+            this.configureSynthForGuitarType(this.guitarType);
+        }
+        return true;
+    }
+    
+    /**
+     * Move the capo
+     * @param {number} fret - Fret to clamp at (0 removes the capo)
+     * @returns {number} The capo fret actually set
+     */
+    setCapo(fret) {
+        const capo = this.tuning.setCapo(fret);
+        this.applyTuning();
+        console.debug(`Capo set to fret ${capo}`);
+        this.logEvent('capo', { fret: capo });
+        
+        // Instrument strings ring open at the capo
+        if (this.initialized && this.getInstrument(this.guitarType)) {
+            this.configureSynthForGuitarType(this.guitarType);
+        }
+        return capo;
+    }
+    
+    /**
+     * Derive the open string notes and chord voicings from the current tuning and capo
+     */
+    applyTuning() {
+        this.strings = this.tuning.getStringNotes();
+        this.lastChordNotes = null;
+        this.chordDefinitions = this.voiceChordLibrary();
+        this.sustainingStrings.clear();
+    }
+    
+    /**
+     * Voice every chord in the library in open position on the current strings
+     * @returns {Object} Map of chord symbol to notes per string (null for muted)
+     */
+    voiceChordLibrary() {
+        return Object.fromEntries(
+            ChordLibrary.getSymbols().map((symbol) => [symbol, this.voiceChord(symbol)])
+        );
+    }
+    
+    /**
+     * Voice a chord shape on the current strings
+     * Symbols name the shape the fret hand makes, so a capo or a detuned standard tuning
+     * moves the chord with it, and moving the hand up the neck raises the chord like sliding
+     * a barre. The voicing is then built in the fret region the hand has reached.
+     * @param {string} symbol - Chord symbol, e.g. 'C', 'Am7', 'D/F#'
+     * @param {number} fretPosition - Fret the hand is at, above the capo
+     * @param {Array} previous - Previous chord's notes per string, to keep voice movement small
+     * @returns {Array|null} Notes per string, lowest first (null for muted strings), or null
+     *                       if the chord can't be voiced
+     */
+    voiceChord(symbol, fretPosition = 0, previous = null) {
+        const transposed = ChordLibrary.transposeSymbol(
+            symbol,
+            this.tuning.getTransposition() + Math.round(fretPosition)
+        );
+        const voicing = this.chordVoicer.voice(transposed, this.strings, {
+            fretPosition,
+            previous
+        });
+        return voicing ? voicing.notes : null;
+    }
+    
+    /**
+     * Get the chord a shape sounds as, after the tuning, capo and fret hand move it
+     * @param {string} symbol - Chord symbol of the shape, as for voiceChord
+     * @param {number} fretPosition - Fret the hand is at, above the capo
+     * @returns {string|null} Chord symbol heard, or null if the symbol can't be read
+     */
+    getSoundingChord(symbol, fretPosition = 0) {
+        return ChordLibrary.transposeSymbol(
+            ChordLibrary.normalizeSymbol(symbol) || symbol,
+            this.tuning.getTransposition() + Math.round(fretPosition)
+        );
+    }
+    
+    /**
+     * Get the loaded instrument for a guitar type
+     * @param {string} type - Guitar type
+     * @returns {SampleInstrument|PhysicalInstrument|null} The instrument, or null for synth
+     *                                                     types or before loading
+     */
+    getInstrument(type) {
+        const instrument = this.instruments[type];
+        return instrument && instrument.isLoaded() ? instrument : null;
     }
     
     /**
      * Get notes for a specific chord
-     * @param {string} chordName - Name of the chord (e.g., "Em", "C", "G")
+     * Consecutive chords are voiced to move each string as little as possible.
+     * @param {string} chordName - Chord symbol (e.g., "Em", "C", "Cmaj7", "D/F#")
      * @param {number} fretPosition - Position on fretboard (0-12)
-     * @returns {Array} Array of note names
+     * @returns {Array} Note per string, lowest first, with null for muted strings
      */
     getChordNotes(chordName, fretPosition = 0) {
+        // Accept any chord symbol, and any common spelling ('C Major', 'E Minor') of a known one
+        const symbol = ChordLibrary.normalizeSymbol(chordName)
+            || (ChordLibrary.parseSymbol(chordName) ? chordName : null);
+        
         // Default to E chord if not found
-        const baseChord = this.chordDefinitions[chordName] || this.chordDefinitions['E'];
+        if (!symbol && chordName && chordName !== 'none') {
+            console.debug(`Unknown chord "${chordName}", falling back to E`);
+        }
         
+        return this.voiceChord(symbol || 'E', fretPosition, this.lastChordNotes)
+            || this.transposeNotes(this.chordDefinitions.E, fretPosition);
+    }
+    
+    /**
+     * Transpose a voicing up by a number of frets
+     * @param {string[]} notes - Note names, lowest string first
+     * @param {number} fretPosition - Frets (semitones) above the open strings or capo
+     * @returns {string[]} Transposed note names
+     */
+    transposeNotes(notes, fretPosition = 0) {
         if (fretPosition === 0) {
-            return baseChord;
+            return notes;
         }
         
-        // Transpose the chord by fret position
-        return baseChord.map(note => {
-            // Extract note name and octave
-            const noteName = note.slice(0, -1);
-            const octave = parseInt(note.slice(-1));
-            
-            // Get semitone value for the note
-            const noteValues = {'C': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3, 
-                               'E': 4, 'F': 5, 'F#': 6, 'Gb': 6, 'G': 7, 'G#': 8, 
-                               'Ab': 8, 'A': 9, 'A#': 10, 'Bb': 10, 'B': 11};
-            
-            // Calculate new note
-            let semitonesFromC = noteValues[noteName];
-            semitonesFromC += fretPosition;
-            
-            // Calculate new octave and adjust semitone value
-            let newOctave = octave;
-            while (semitonesFromC >= 12) {
-                semitonesFromC -= 12;
-                newOctave += 1;
-            }
-            
-            // Convert back to note name
-            const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-            const newNoteName = noteNames[semitonesFromC];
-            
-            return `${newNoteName}${newOctave}`;
-        });
+        return ChordLibrary.transpose(notes, fretPosition);
     }
     
     /**
      * Play a guitar strum based on motion analysis
-     * @param {Object} motionData - Data from motion analysis
+     * @param {Object} motionData - Data from motion analysis; strumTime, when present, is
+     *                              when the hand crosses the strings
+     * @returns {number|null} When the first string starts sounding (performance.now clock),
+     *                        or null if nothing was played
      */
     playStrum(motionData) {
         try {
             if (!this.initialized) {
                 // console.warn('Skipping strum: sound engine not initialized');
-                return;
+                return null;
             }
             
             if (this.isMuted) {
                 // console.debug('Skipping strum: sound engine is muted');
-                return;
+                return null;
             }
             
             if (!this.polySynth) {
                 // console.error('Cannot play strum: polySynth not initialized');
-                return;
+                return null;
             }
             
-            const now = Date.now();
-            if (now - this.lastStrumTime < this.strumCooldownMs) {
-                // console.debug(`Strum cooldown active (${this.strumCooldownMs}ms). Time since last strum: ${now - this.lastStrumTime}ms`);
-                return; // Prevent strumming too frequently
-            }
-            this.lastStrumTime = now;
-            
             // Extract data from motion analysis
             const {
                 strumDetected,
                 strumDirection,
                 strumIntensity,
                 fretPosition,
-                chordType
+                chordType,
+                technique = 'normal'
             } = motionData;
             
             if (!strumDetected) {
                 // console.debug('No strum detected in motion data');
-                return;
+                return null;
             }
             
-            console.debug(`Playing strum: ${chordType} at fret ${fretPosition}, intensity: ${strumIntensity}`);
+            console.debug(`Playing strum: ${chordType} at fret ${fretPosition}, intensity: ${strumIntensity}, technique: ${technique}`);
+            
+            // A closed fret hand mutes every string: just the percussive chuck
+            if (technique === 'dead_note') {
+                this.playDeadNote(strumIntensity);
+                this.logEvent('strum', { strumDetected, strumIntensity, technique });
+                return this.toPerformanceTime(this.now());
+            }
             
-            // Get chord notes
-            const chordNotes = this.getChordNotes(chordType, fretPosition);
+            // Get chord notes: a taught gesture's custom voicing wins over the chord's voicing,
+            // and moves with the tuning and capo like any other shape
+            const chordNotes = motionData.chordNotes
+                ? this.transposeNotes(
+                    motionData.chordNotes,
+                    this.tuning.getTransposition() + Math.round(fretPosition)
+                )
+                : this.getChordNotes(chordType, fretPosition);
             
             if (!chordNotes || chordNotes.length === 0) {
                 // console.error(`No notes found for chord: ${chordType} at fret ${fretPosition}`);
-                return;
+                return null;
+            }
+            if (!motionData.chordNotes) {
+                this.lastChordNotes = chordNotes;
             }
             
             // console.debug(`Chord notes: ${chordNotes.join(', ')}`);
             
+            // Predicted strums land when the hand is projected to cross the strings, and
+            // the tone changes with them rather than under the previous strum's tail
+            const toneNow = this.getStrumStartTime(motionData.strumTime);
+            
             // Calculate velocity based on strum intensity (0.5-1.0 range)
-            const velocity = 0.5 + (strumIntensity * 0.5);
+            const articulation = this.applyArticulation(technique, toneNow);
+            const velocity = (0.5 + (strumIntensity * 0.5)) * articulation.velocityScale;
             
-            // Make sure we have a fresh Tone.js time object
-            const toneNow = Tone.now();
-            const staggerTime = 0.01; // 10ms between string hits
-            const noteDuration = "8n"; // eighth note duration
+            const staggerTime = articulation.stagger; // Gap between string hits
+            const noteDuration = articulation.duration;
+            
+            // The new strum's strings are the ones expression applies to from now on
+            this.sustainingStrings.clear();
             
             try {
-                // Play the chord
-                if (strumDirection === 'down') {
+                // Play the chord; finger picking always rolls up from the bass string
+                if (strumDirection === 'down' || technique === 'finger_pick') {
                     // Downstrum - play from low string to high string with slight delay
                     chordNotes.forEach((note, index) => {
-                        this.polySynth.triggerAttackRelease(
+                        if (!note) return null; // Muted string
+                        this.triggerString(
+                            index,
                             note, 
                             noteDuration, 
                             toneNow + (index * staggerTime), 
@@ -409,7 +682,9 @@ export class SoundEngine {
                 } else {
                     // Upstrum - play from high string to low string with slight delay
                     [...chordNotes].reverse().forEach((note, index) => {
-                        this.polySynth.triggerAttackRelease(
+                        if (!note) return null; // Muted string
+                        this.triggerString(
+                            chordNotes.length - 1 - index,
                             note, 
                             noteDuration, 
                             toneNow + (index * staggerTime), 
@@ -423,16 +698,90 @@ export class SoundEngine {
                 
                 // Try a fallback approach - play the chord all at once
                 try {
-                    this.polySynth.triggerAttackRelease(chordNotes, noteDuration, toneNow, velocity);
+                    this.polySynth.triggerAttackRelease(
+                        chordNotes.filter(Boolean),
+                        noteDuration,
+                        toneNow,
+                        velocity
+                    );
                 } catch (fallbackError) {
                     console.error('Fallback play also failed:', fallbackError.message);
                 }
             }
+            
+            // Logged with the voicing played, so a re-render needn't voice the chord again
+            this.logEvent('strum', {
+                strumDetected,
+                strumDirection,
+                strumIntensity,
+                technique,
+                chordType,
+                fretPosition: 0,
+                chordNotes
+            }, toneNow);
+            
+            return this.toPerformanceTime(toneNow);
         } catch (error) {
             console.error('Error playing strum:', error);
+            return null;
         }
     }
     
+    /**
+     * Get the Tone.js time a strum's first string should sound at
+     * A strum fired ahead of the hand crossing the strings waits for the crossing (up to
+     * maxScheduleAhead); any other strum plays straight away. Either may then be moved
+     * onto the practice transport's beat grid.
+     * @param {number} strumTime - When the hand crosses the strings (performance.now clock)
+     * @returns {number} Tone.js time in seconds
+     */
+    getStrumStartTime(strumTime) {
+        const now = this.now();
+        if (this.renderTime !== null) return now;
+        
+        const wait = typeof strumTime === 'number'
+            ? Math.min(this.maxScheduleAhead, (strumTime - performance.now()) / 1000)
+            : 0;
+        const startTime = Math.max(now, Tone.getContext().currentTime + wait);
+        return this.practiceTransport ? this.practiceTransport.quantize(startTime) : startTime;
+    }
+    
+    /**
+     * Convert a Tone.js time to the performance.now() clock
+     * @param {number} time - Tone.js time in seconds
+     * @returns {number} Time in milliseconds
+     */
+    toPerformanceTime(time) {
+        return performance.now() + (time - Tone.getContext().currentTime) * 1000;
+    }
+    
+    /**
+     * Get how long the audio device takes to play what has been scheduled
+     * @returns {number} Output latency in milliseconds (0 before audio is enabled)
+     */
+    getOutputLatency() {
+        if (!this.initialized) return 0;
+        
+        const { rawContext } = Tone.getContext();
+        return ((rawContext.outputLatency || 0) + (rawContext.baseLatency || 0)) * 1000;
+    }
+    
+    /**
+     * Set the practice transport whose beat grid strums are quantised to
+     * @param {PracticeTransport|null} practiceTransport - Transport, or null for none
+     */
+    setPracticeTransport(practiceTransport) {
+        this.practiceTransport = practiceTransport;
+    }
+    
+    /**
+     * Get the tempo of the transport
+     * @returns {number} Tempo in beats per minute
+     */
+    getTempo() {
+        return Tone.getTransport().bpm.value;
+    }
+    
     /**
      * Set the volume of the sound engine
      * @param {number} level - Volume level (0-1)
@@ -440,10 +789,14 @@ export class SoundEngine {
     setVolume(level) {
         this.volume = Math.max(0, Math.min(1, level));
         console.debug(`Volume set to: ${this.volume}`);
+        if (this.midiOutput && this.midiRouting !== 'local') {
+            this.midiOutput.sendLevel('volume', this.volume);
+        }
         
         if (this.master) {
             // Convert 0-1 range to dB range (-infinity to 0)
-            this.master.volume.value = this.volume * 2 - 2; // -2dB to 0dB
+            this.master.volume.setValueAtTime(this.volume * 2 - 2, this.now()); // -2dB to 0dB
+            this.logEvent('volume', { level: this.volume });
         }
     }
     
@@ -473,8 +826,220 @@ export class SoundEngine {
         }
         
         const clampedLevel = Math.max(0, Math.min(1, level));
-        this.effects[effectName].wet.value = clampedLevel;
+        this.effects[effectName].wet.setValueAtTime(clampedLevel, this.now());
         console.debug(`${effectName} effect set to: ${clampedLevel}`);
+        if (this.midiOutput && this.midiRouting !== 'local') {
+            this.midiOutput.sendLevel(effectName, clampedLevel);
+        }
+        this.logEvent('effect', { effectName, level: clampedLevel });
+    }
+    
+    /**
+     * Set the tone filter for a playing technique
+     * @param {string} technique - 'normal', 'palm_mute' or 'finger_pick'
+     * @param {number} time - Tone.js time the notes it shapes start at (defaults to now)
+     * @returns {Object} The technique's articulation settings
+     */
+    applyArticulation(technique, time = null) {
+        const articulation = ARTICULATIONS[technique] || ARTICULATIONS.normal;
+        
+        if (this.articulationFilter) {
+            this.articulationFilter.frequency.rampTo(
+                articulation.filterFrequency,
+                0.01,
+                time ?? this.now()
+            );
+        }
+        
+        return articulation;
+    }
+    
+    /**
+     * Play a dead-note chuck: strings muted by the fret hand, struck without pitch
+     * @param {number} intensity - Strum intensity (0-1)
+     */
+    playDeadNote(intensity = 0.5) {
+        if (!this.chuckSynth) return;
+        
+        const now = this.now();
+        if (this.sendsMidi()) {
+            this.midiOutput.muteStrings(this.toPerformanceTime(now));
+        }
+        if (!this.playsLocally()) {
+            this.sustainingStrings.clear();
+            return;
+        }
+        
+        // Muting also cuts whatever was still ringing
+        this.sustainingStrings.forEach((stringIndex) => {
+            this.stringVoices[stringIndex].triggerRelease();
+        });
+        this.sustainingStrings.clear();
+        
+        this.chuckSynth.triggerAttackRelease(0.05, now, 0.4 + Math.min(1, intensity) * 0.6);
+    }
+    
+    /**
+     * Move a sounding lead note to a new fret without picking it again (hammer-on / pull-off)
+     * @param {Object} motionData - Data from motion analysis with `legato`
+     */
+    playLegato(motionData) {
+        const legato = motionData && motionData.legato;
+        if (!legato || !this.initialized || this.isMuted) return;
+        
+        const voice = this.stringVoices[legato.stringIndex];
+        const note = this.getStringNote(legato.stringIndex, legato.fretPosition);
+        if (!voice || !note) return;
+        
+        const now = this.now();
+        if (this.sendsMidi()) {
+            this.midiOutput.slurNote(legato.stringIndex, note, this.toPerformanceTime(now));
+        }
+        if (this.playsLocally()) {
+            voice.detune.cancelScheduledValues(now);
+            voice.detune.setValueAtTime(0, now);
+            voice.setNote(note, now);
+        }
+        this.currentDetune = 0;
+        
+        console.debug(`${legato.type} on string ${legato.stringIndex}: ${note}`);
+        this.logEvent('legato', { legato }, now);
+    }
+    
+    /**
+     * Trigger a note on a string's own voice, starting in tune
+     * Voicings with more notes than the guitar has strings overflow into the poly synth.
+     * @param {number} stringIndex - String index (0 = low E)
+     * @param {string} note - Note to play
+     * @param {string|number} duration - Note duration
+     * @param {number} time - Tone.js start time
+     * @param {number} velocity - Note velocity (0-1)
+     */
+    triggerString(stringIndex, note, duration, time, velocity) {
+        const voice = this.stringVoices[stringIndex];
+        this.logNote(voice ? stringIndex : null, note, duration, time, velocity);
+        this.sendMidiNote(voice ? stringIndex : null, note, duration, time, velocity);
+        
+        if (!voice) {
+            if (this.playsLocally()) {
+                this.polySynth.triggerAttackRelease(note, duration, time, velocity);
+            }
+            return;
+        }
+        
+        if (this.playsLocally()) {
+            voice.detune.cancelScheduledValues(time);
+            voice.detune.setValueAtTime(0, time);
+            voice.triggerAttackRelease(note, duration, time, velocity);
+        }
+        this.sustainingStrings.add(stringIndex);
+        this.currentDetune = 0;
+    }
+    
+    /**
+     * Send a note to the MIDI output, timed to sound with the built-in voices
+     * @param {number|null} stringIndex - String played, or null
+     * @param {string} note - Note name
+     * @param {string|number} duration - Note duration
+     * @param {number} time - Tone.js start time
+     * @param {number} velocity - Note velocity (0-1)
+     */
+    sendMidiNote(stringIndex, note, duration, time, velocity) {
+        if (!this.sendsMidi()) return;
+        
+        this.midiOutput.playNote(
+            stringIndex,
+            note,
+            velocity,
+            this.toPerformanceTime(time),
+            Tone.Time(duration).toSeconds() * 1000
+        );
+    }
+    
+    /**
+     * Set the MIDI output notes can be sent to
+     * @param {MidiOutput|null} midiOutput - Output, or null for none
+     */
+    setMidiOutput(midiOutput) {
+        this.midiOutput = midiOutput;
+        this.sendMidiLevels();
+    }
+    
+    /**
+     * Choose where notes go
+     * @param {string} routing - 'local' (built-in voices), 'midi' (MIDI output only) or
+     *                           'both'
+     * @returns {boolean} True if the routing is valid
+     */
+    setMidiRouting(routing) {
+        if (!MIDI_ROUTINGS.includes(routing)) {
+            console.error(`Invalid MIDI routing: ${routing}`);
+            return false;
+        }
+        
+        if (routing === 'local' && this.midiOutput) {
+            this.midiOutput.allNotesOff();
+        }
+        this.midiRouting = routing;
+        this.sendMidiLevels();
+        console.debug(`MIDI routing: ${routing}`);
+        return true;
+    }
+    
+    /**
+     * Bring the MIDI output's volume and effect controllers up to the current levels
+     */
+    sendMidiLevels() {
+        if (!this.midiOutput || this.midiRouting === 'local') return;
+        
+        this.midiOutput.sendLevel('volume', this.volume);
+        Object.entries(this.effects).forEach(([effectName, effect]) => {
+            if (effect) {
+                this.midiOutput.sendLevel(effectName, effect.wet.value);
+            }
+        });
+    }
+    
+    /**
+     * Check whether the built-in voices play
+     * @returns {boolean} False when routing is MIDI only
+     */
+    playsLocally() {
+        return this.midiRouting !== 'midi';
+    }
+    
+    /**
+     * Check whether notes go to a MIDI output port
+     * @returns {boolean} True if routing includes MIDI and a port is selected
+     */
+    sendsMidi() {
+        return this.midiRouting !== 'local'
+            && this.midiOutput !== null
+            && this.midiOutput.isConnected();
+    }
+    
+    /**
+     * Bend the strings that are still sounding from fret-hand expression
+     * @param {Object} expression - Expression from motion analysis; `detune` is in cents
+     */
+    applyExpression(expression) {
+        if (!this.initialized || !expression) return;
+        
+        const cents = expression.detune;
+        if (cents === this.currentDetune) return;
+        this.currentDetune = cents;
+        
+        const now = this.now();
+        if (this.sendsMidi()) {
+            const strings = [...this.sustainingStrings];
+            this.midiOutput.pitchBend(strings, cents, this.toPerformanceTime(now));
+        }
+        if (this.playsLocally()) {
+            this.sustainingStrings.forEach((stringIndex) => {
+                this.stringVoices[stringIndex].detune.rampTo(cents, this.expressionRampTime, now);
+            });
+        }
+        this.logEvent('expression', { detune: cents }, now);
     }
     
     /**
@@ -490,12 +1055,167 @@ export class SoundEngine {
         }
         
         try {
-            this.synth.triggerAttackRelease(note, duration, Tone.now(), velocity);
+            const now = this.now();
+            if (this.playsLocally()) {
+                this.synth.triggerAttackRelease(note, duration, now, velocity);
+            }
+            this.logNote(null, note, duration, now, velocity);
+            this.sendMidiNote(null, note, duration, now, velocity);
         } catch (error) {
             console.error('Error playing note:', error);
         }
     }
     
+    /**
+     * Get the pitch of a single string at a fret
+     * @param {number} stringIndex - String index (0 = low E)
+     * @param {number} fretPosition - Fret being held
+     * @returns {string|null} Note name, or null for a string that doesn't exist
+     */
+    getStringNote(stringIndex, fretPosition = 0) {
+        const openNote = this.strings[stringIndex];
+        if (!openNote) return null;
+        
+        return this.transposeNotes([openNote], fretPosition)[0];
+    }
+    
+    /**
+     * Play single plucked strings in lead mode
+     * @param {Object} motionData - Data from motion analysis with `plucks` and `fretPosition`
+     */
+    playPluck(motionData) {
+        const { plucks = [], fretPosition = 0, technique = 'normal' } = motionData || {};
+        if (this.isMuted) return;
+        if (plucks.length > 0) {
+            this.logEvent('pluck', { plucks, fretPosition, technique });
+        }
+        
+        if (technique === 'dead_note' && plucks.length > 0) {
+            this.playDeadNote(plucks[0].intensity);
+            return;
+        }
+        
+        const articulation = this.applyArticulation(technique);
+        const duration = technique === 'palm_mute' ? articulation.duration : 0.6;
+        
+        plucks.forEach(({ stringIndex, intensity }) => {
+            const note = this.getStringNote(stringIndex, fretPosition);
+            if (!note) return;
+            
+            console.debug(`Plucking string ${stringIndex}: ${note}`);
+            const velocity = (0.5 + intensity * 0.5) * articulation.velocityScale;
+            
+            // Once initialized, lead notes use the string's own voice so expression can bend them
+            if (this.stringVoices[stringIndex]) {
+                this.sustainingStrings.clear();
+                this.triggerString(stringIndex, note, duration, this.now(), velocity);
+                return;
+            }
+            this.playNote(note, duration, velocity);
+        });
+    }
+    
+    /**
+     * Get the Tone.js time for something played now
+     * While a take is re-rendered, that is when the replayed event sounded.
+     * @returns {number} Tone.js time in seconds
+     */
+    now() {
+        return this.renderTime !== null ? this.renderTime : Tone.now();
+    }
+    
+    /**
+     * Set the function told about every played event and setting change
+     * @param {Function|null} callback - Receives { type, time, data }, time in Tone.js
+     *                                   seconds; null stops reporting
+     */
+    setEventCallback(callback) {
+        this.eventCallback = callback;
+    }
+    
+    /**
+     * Report a played event or setting change to the event callback
+     * @param {string} type - Event type (e.g. 'strum', 'pluck', 'volume')
+     * @param {Object} data - Arguments to replay the event with
+     * @param {number} time - When it sounds, in Tone.js seconds
+     */
+    logEvent(type, data, time = null) {
+        if (!this.eventCallback || this.renderTime !== null) return;
+        this.eventCallback({ type, time: time === null ? this.now() : time, data });
+    }
+    
+    /**
+     * Set the function told about every note played
+     * @param {Function|null} callback - Receives { stringIndex, note, time, duration,
+     *                                   velocity }, times in Tone.js seconds and
+     *                                   stringIndex null for notes not on a string;
+     *                                   null stops reporting
+     */
+    setNoteCallback(callback) {
+        this.noteCallback = callback;
+    }
+    
+    /**
+     * Report a played note to the note callback
+     * @param {number|null} stringIndex - String played, or null
+     * @param {string} note - Note name
+     * @param {string|number} duration - Note duration
+     * @param {number} time - Tone.js start time
+     * @param {number} velocity - Note velocity (0-1)
+     */
+    logNote(stringIndex, note, duration, time, velocity) {
+        if (!this.noteCallback || this.renderTime !== null) return;
+        this.noteCallback({
+            stringIndex,
+            note,
+            time,
+            duration: Tone.Time(duration).toSeconds(),
+            velocity
+        });
+    }
+    
+    /**
+     * Get the settings a take has to start from to sound the same
+     * @returns {Object} { guitarType, tuning, capo, volume, effects }
+     */
+    getSettings() {
+        const effects = {};
+        Object.entries(this.effects).forEach(([effectName, effect]) => {
+            if (effect) {
+                effects[effectName] = effect.wet.value;
+            }
+        });
+        
+        return {
+            guitarType: this.guitarType,
+            tuning: this.tuning.preset,
+            capo: this.tuning.capo,
+            volume: this.volume,
+            effects
+        };
+    }
+    
+    /**
+     * Play a logged event again at the time it sounded
+     * Guitar type and tuning changes rebuild the chain, so a re-render starts a new
+     * engine for them rather than replaying them.
+     * @param {Object} event - { type, time, data } from the event callback, with time in
+     *                         the current context's seconds
+     */
+    replayEvent({ type, time, data }) {
+        this.renderTime = time;
+        try {
+            const replay = REPLAYED_EVENTS[type];
+            if (replay) {
+                replay(this, data);
+            } else {
+                console.warn(`Cannot replay ${type} event`);
+            }
+        } finally {
+            this.renderTime = null;
+        }
+    }
+    
     /**
      * Test the sound engine - plays a simple chord
      */
@@ -515,7 +1235,7 @@ export class SoundEngine {
             console.debug('Playing test sound...');
             
             // Play a simple E chord
-            const chord = this.getChordNotes('E', 0);
+            const chord = this.getChordNotes('E', 0).filter(Boolean);
             const now = Tone.now();
             
             // First test the single synth (individual notes with delay)
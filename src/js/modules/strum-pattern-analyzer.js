@@ -0,0 +1,383 @@
+/**
+ * Strum Pattern Analyzer Module
+ *
+ * Keeps a rolling history of strums and recognises the rhythm they make. Patterns are
+ * one 4/4 bar written as a slot per 8th or 16th note: 'D' a down strum, 'U' an up strum
+ * and '-' a rest, e.g. 'D-DU-UDU'. Strum times are read against the practice tempo, and
+ * a pattern may start anywhere in the bar: each pattern is tried at every alignment and
+ * the one that explains the strums best wins.
+ *
+ * Once a pattern is found, the strums also give the tempo actually played, how far it
+ * has drifted from the practice tempo, the swing of the off-beat strums (50% is straight,
+ * 67% a triplet shuffle) and how tightly they sit on the grid. In coaching mode a target
+ * pattern is compared slot by slot with what was played, marking each slot correct, the
+ * wrong direction, missed or extra.
+ */
+
+const DEFAULT_BPM = 100;
+const SIXTEENTHS_PER_BAR = 16;
+const MIN_STRUMS = 4; // Strums needed before a pattern is named
+const MAX_HISTORY = 32;
+const HISTORY_BARS = 2; // Bars of strums the analysis looks back over
+const PHRASE_GAP_BEATS = 2; // A pause this long starts a new phrase
+const MIN_CONFIDENCE = 0.75;
+const MAX_GRID_ERROR = 0.4; // Slots a strum may fall from the grid and still match
+
+// Pattern id -> { name, notation }; simplest first, so it wins a tie
+const STRUM_PATTERNS = {
+    quarter_downs: { name: 'Quarter-note downs', notation: 'D-D-D-D-' },
+    eighth_downs: { name: 'Eighth-note downs', notation: 'DDDDDDDD' },
+    straight_eighths: { name: 'Straight 8ths', notation: 'DUDUDUDU' },
+    folk: { name: 'D-DU-UDU', notation: 'D-DU-UDU' },
+    offbeat_ups: { name: 'Off-beat ups', notation: '-U-U-U-U' },
+    funk_sixteenths: { name: '16th-note funk', notation: 'DUDUDUDUDUDUDUDU' }
+};
+
+const STROKES = { D: 'down', U: 'up' };
+
+export class StrumPatternAnalyzer {
+    /**
+     * @param {Object} options - Analysis options
+     * @param {number} options.bpm - Practice tempo the strums are read against
+     */
+    constructor({ bpm = DEFAULT_BPM } = {}) {
+        this.bpm = bpm;
+        this.strums = []; // { direction, time } of recent strums, oldest first (ms)
+        this.targetPattern = null; // Pattern id to coach towards, or null
+        this.analysis = null; // Cached result of the last analysis
+    }
+
+    /**
+     * Get the patterns that can be recognised and coached
+     * @returns {Array} { id, name, notation }
+     */
+    static getPatterns() {
+        return Object.entries(STRUM_PATTERNS).map(([id, pattern]) => ({ id, ...pattern }));
+    }
+
+    /**
+     * Set the tempo strums are read against
+     * @param {number} bpm - Tempo in beats per minute
+     */
+    setTempo(bpm) {
+        if (!(bpm > 0)) return;
+        this.bpm = bpm;
+        this.analysis = null;
+    }
+
+    /**
+     * Set the pattern to coach towards
+     * @param {string|null} id - Pattern id from getPatterns(), or null to stop coaching
+     */
+    setTargetPattern(id) {
+        this.targetPattern = STRUM_PATTERNS[id] ? id : null;
+        this.analysis = null;
+    }
+
+    /**
+     * Add a strum to the history
+     * @param {string} direction - 'down' or 'up'
+     * @param {number} time - When the strum sounded (ms)
+     */
+    addStrum(direction, time) {
+        const last = this.strums[this.strums.length - 1];
+        if (last && time - last.time > this.getPhraseGap()) {
+            this.strums = [];
+        }
+
+        this.strums.push({ direction, time });
+        if (this.strums.length > MAX_HISTORY) {
+            this.strums.shift();
+        }
+        this.analysis = null;
+    }
+
+    /**
+     * Forget the strum history
+     */
+    reset() {
+        this.strums = [];
+        this.analysis = null;
+    }
+
+    /**
+     * Analyse the recent strums
+     * @param {number} time - Current time (ms, same clock as the strums); after a pause
+     *                        the history is dropped
+     * @returns {Object} { pattern, confidence, strumCount, playedBpm, tempoDrift, swing,
+     *                   timingSpread, target, coaching } where pattern and target are
+     *                   { id, name, notation } or null, tempoDrift is BPM faster (+) or
+     *                   slower (-) than the practice tempo, swing is a percentage and
+     *                   timingSpread the RMS distance of strums from the grid in ms.
+     *                   coaching is null unless a target is set and enough strums were
+     *                   played; it is { slots, accuracy } with a slot per notation
+     *                   character: { expected, played, status, timingError }
+     */
+    getAnalysis(time) {
+        const last = this.strums[this.strums.length - 1];
+        if (last && time - last.time > this.getPhraseGap()) {
+            this.reset();
+        }
+        if (!this.analysis) {
+            this.analysis = this.analyze();
+        }
+        return this.analysis;
+    }
+
+    /**
+     * Work out the pattern, timing and coaching for the strums in the window
+     * @returns {Object} Analysis, as returned by getAnalysis()
+     */
+    analyze() {
+        const target = this.targetPattern
+            ? { id: this.targetPattern, ...STRUM_PATTERNS[this.targetPattern] }
+            : null;
+        const analysis = {
+            pattern: null,
+            confidence: 0,
+            strumCount: 0,
+            playedBpm: null,
+            tempoDrift: null,
+            swing: null,
+            timingSpread: null,
+            target,
+            coaching: null
+        };
+
+        const strums = this.getWindow();
+        analysis.strumCount = strums.length;
+        if (strums.length < MIN_STRUMS) return analysis;
+
+        const best = StrumPatternAnalyzer.getPatterns()
+            .map((pattern) => ({ pattern, ...this.matchPattern(pattern.notation, strums) }))
+            .reduce((a, b) => (b.score > a.score ? b : a));
+        if (best.score >= MIN_CONFIDENCE) {
+            analysis.pattern = best.pattern;
+            analysis.confidence = best.score;
+            Object.assign(analysis, this.measureTiming(best.pattern.notation, best.slots, strums));
+        }
+
+        if (target) {
+            analysis.coaching = this.coach(target.notation, strums);
+        }
+        return analysis;
+    }
+
+    /**
+     * Get the strums within the last few bars
+     * @returns {Array} { direction, time }, oldest first
+     */
+    getWindow() {
+        if (this.strums.length === 0) return [];
+        const last = this.strums[this.strums.length - 1].time;
+        const span = HISTORY_BARS * SIXTEENTHS_PER_BAR * this.getSixteenth();
+        return this.strums.filter(({ time }) => last - time <= span);
+    }
+
+    /**
+     * Find how well a pattern explains the strums, at its best alignment
+     * Each strum falls the nearest whole number of slots after the one before, so a
+     * player drifting off the practice tempo stays on the grid. A strum whose slot asks
+     * for its direction matches; strums on rests, in the wrong direction, between slots
+     * or sharing a slot don't, and strokes the pattern asks for between the first and
+     * last strum that weren't played count against it too.
+     * @param {string} notation - Pattern notation
+     * @param {Array} strums - { direction, time }, oldest first
+     * @returns {Object} { score (0-1), rotation, slots } where slots is each strum's
+     *                   slot count from the first strum
+     */
+    matchPattern(notation, strums) {
+        const slotLength = (SIXTEENTHS_PER_BAR / notation.length) * this.getSixteenth();
+        const slots = [0];
+        const offGrid = new Set();
+        for (let i = 1; i < strums.length; i += 1) {
+            const gap = (strums[i].time - strums[i - 1].time) / slotLength;
+            slots.push(slots[i - 1] + Math.round(gap));
+            if (Math.abs(gap - Math.round(gap)) > MAX_GRID_ERROR) {
+                offGrid.add(slots[i]);
+            }
+        }
+        const lastSlot = slots[slots.length - 1];
+
+        // Slot -> direction played there, or null if the strum was off the grid or more
+        // than one strum shares it
+        const played = new Map();
+        slots.forEach((slot, index) => {
+            const shared = played.has(slot) || offGrid.has(slot);
+            played.set(slot, shared ? null : strums[index].direction);
+        });
+
+        let best = { score: 0, rotation: 0, slots };
+        for (let rotation = 0; rotation < notation.length; rotation += 1) {
+            let matched = 0;
+            let missed = 0;
+            for (let slot = 0; slot <= lastSlot; slot += 1) {
+                const expected = STROKES[notation[(slot + rotation) % notation.length]] || null;
+                const direction = played.get(slot);
+                if (direction && direction === expected) {
+                    matched += 1;
+                } else if (expected && direction === undefined) {
+                    missed += 1;
+                }
+            }
+
+            const score = matched / (strums.length + missed);
+            if (score > best.score) {
+                best = { score, rotation, slots };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Measure the tempo, swing and steadiness of strums placed on a pattern's slots
+     * The grid is fitted through the on-beat strums (all of them if there are too few),
+     * so swung off-beats don't pull it out of place.
+     * @param {string} notation - Pattern notation
+     * @param {number[]} slots - Slot of each strum, from the first strum
+     * @param {Array} strums - { direction, time }, oldest first
+     * @returns {Object} { playedBpm, tempoDrift, swing, timingSpread }
+     */
+    measureTiming(notation, slots, strums) {
+        const slotSixteenths = SIXTEENTHS_PER_BAR / notation.length;
+        const points = strums.map(({ time }, index) => ({
+            position: slots[index] * slotSixteenths, // Sixteenths from the first strum
+            time
+        }));
+
+        // Off-beats are every other slot: 8ths for 8th patterns, 16ths for 16th patterns
+        const pairLength = slotSixteenths * 2;
+        const onBeats = points.filter(({ position }) => position % pairLength === 0);
+        const distinct = new Set(onBeats.map(({ position }) => position)).size;
+        const fit = StrumPatternAnalyzer.fitLine(distinct >= 2 ? onBeats : points);
+        if (!fit || !(fit.slope > 0)) {
+            return {
+                playedBpm: null, tempoDrift: null, swing: null, timingSpread: null
+            };
+        }
+
+        const playedBpm = 60000 / (fit.slope * 4);
+        const gridTime = (position) => fit.intercept + fit.slope * position;
+        const residuals = points.map(({ position, time }) => time - gridTime(position));
+        const timingSpread = Math.sqrt(
+            residuals.reduce((sum, residual) => sum + residual * residual, 0) / residuals.length
+        );
+
+        let swing = null;
+        const offBeats = points.filter(({ position }) => position % pairLength !== 0);
+        if (offBeats.length > 0) {
+            const ratios = offBeats.map(({ position, time }) => (
+                (time - gridTime(position - slotSixteenths)) / (fit.slope * pairLength)
+            ));
+            swing = Math.round(
+                (ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length) * 100
+            );
+        }
+
+        return {
+            playedBpm: Math.round(playedBpm * 10) / 10,
+            tempoDrift: Math.round((playedBpm - this.bpm) * 10) / 10,
+            swing,
+            timingSpread: Math.round(timingSpread)
+        };
+    }
+
+    /**
+     * Compare the strums with a target pattern, slot by slot
+     * Slots are given in the pattern's own order; each shows the latest time it was
+     * reached in the window.
+     * @param {string} notation - Target pattern notation
+     * @param {Array} strums - { direction, time }, oldest first
+     * @returns {Object} { slots, accuracy } with slots { expected, played, status,
+     *                   timingError } where status is 'correct', 'wrong', 'missed',
+     *                   'extra' or 'rest', and accuracy is the share of the pattern's
+     *                   strokes played correctly in the window
+     */
+    coach(notation, strums) {
+        const { rotation, slots } = this.matchPattern(notation, strums);
+        const lastSlot = slots[slots.length - 1];
+
+        // Timing is measured from the grid the strums themselves keep
+        const slotLength = (SIXTEENTHS_PER_BAR / notation.length) * this.getSixteenth();
+        const fit = StrumPatternAnalyzer.fitLine(
+            slots.map((slot, index) => ({ position: slot, time: strums[index].time }))
+        ) || { slope: slotLength, intercept: strums[0].time };
+
+        const result = Array.from(notation, (symbol) => ({
+            expected: STROKES[symbol] || null,
+            played: null,
+            status: STROKES[symbol] ? 'missed' : 'rest',
+            timingError: null
+        }));
+
+        let strokes = 0;
+        let correct = 0;
+        for (let slot = 0; slot <= lastSlot; slot += 1) {
+            const index = slots.indexOf(slot);
+            const played = index >= 0 ? strums[index].direction : null;
+            const slotResult = result[(slot + rotation) % notation.length];
+            let status = played ? 'extra' : 'rest';
+            if (slotResult.expected) {
+                strokes += 1;
+                if (played === slotResult.expected) {
+                    status = 'correct';
+                    correct += 1;
+                } else {
+                    status = played ? 'wrong' : 'missed';
+                }
+            }
+
+            result[(slot + rotation) % notation.length] = {
+                ...slotResult,
+                played,
+                status,
+                timingError: index >= 0
+                    ? Math.round(strums[index].time - (fit.intercept + fit.slope * slot))
+                    : null
+            };
+        }
+
+        return {
+            slots: result,
+            accuracy: strokes > 0 ? correct / strokes : 0
+        };
+    }
+
+    /**
+     * Get the length of a 16th note at the practice tempo
+     * @returns {number} Milliseconds
+     */
+    getSixteenth() {
+        return 60000 / this.bpm / 4;
+    }
+
+    /**
+     * Get the pause after which strums start a new phrase
+     * @returns {number} Milliseconds
+     */
+    getPhraseGap() {
+        return (PHRASE_GAP_BEATS * 60000) / this.bpm;
+    }
+
+    /**
+     * Fit a straight line through points by least squares
+     * @param {Array} points - { position, time }
+     * @returns {Object|null} { slope, intercept } of time against position, or null
+     *                        if the positions don't vary
+     */
+    static fitLine(points) {
+        const n = points.length;
+        const meanPosition = points.reduce((sum, { position }) => sum + position, 0) / n;
+        const meanTime = points.reduce((sum, { time }) => sum + time, 0) / n;
+        let covariance = 0;
+        let variance = 0;
+        points.forEach(({ position, time }) => {
+            covariance += (position - meanPosition) * (time - meanTime);
+            variance += (position - meanPosition) ** 2;
+        });
+        if (variance === 0) return null;
+
+        const slope = covariance / variance;
+        return { slope, intercept: meanTime - slope * meanPosition };
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * TensorFlow.js Hand Backend Module
+ *
+ * Hand tracking backend built on the tfjs hand-pose-detection models: the MediaPipe
+ * Hands solution, or the tfjs runtime of the same model if the solution can't be
+ * created. Both load their weights from the offline bundle. tf and handPoseDetection
+ * are globals loaded by script tags.
+ *
+ * Every tracking backend has the same interface: init() loads the model,
+ * estimate(frame, options) resolves to the hands in a frame in hand-pose-detection's
+ * format ({ handedness, score, keypoints, keypoints3D }) and dispose() releases it.
+ */
+
+import { OfflineAssets } from './offline-assets.js';
+
+const CREATE_ATTEMPTS = 3;
+const CREATE_TIMEOUT = 10000; // Milliseconds before a detector creation attempt is abandoned
+const RETRY_DELAY = 1000;
+
+function delay(ms) {
+    return new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+export class TfjsHandBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {Object} options.modelConfig - Detector configuration for the MediaPipe runtime
+     * @param {Object} options.fallbackConfig - Detector configuration used if that fails
+     * @param {OfflineAssets} options.assets - Checks the model assets are served
+     */
+    constructor({
+        modelConfig = {
+            runtime: 'mediapipe',
+            modelType: 'lite', // Lite for better compatibility and speed
+            maxHands: 2,
+            solutionPath: OfflineAssets.url('mediapipe/hands'),
+            scoreThreshold: 0.5
+        },
+        fallbackConfig = {
+            runtime: 'tfjs',
+            modelType: 'lite',
+            maxHands: 2,
+            detectorModelUrl: OfflineAssets.url('models/handpose_3d/detector/lite/model.json'),
+            landmarkModelUrl: OfflineAssets.url('models/handpose_3d/landmark/lite/model.json')
+        },
+        assets = new OfflineAssets()
+    } = {}) {
+        this.modelConfig = modelConfig;
+        this.fallbackConfig = fallbackConfig;
+        this.assets = assets;
+        this.detector = null;
+        this.runtime = null; // Runtime of the detector that was created
+    }
+
+    /**
+     * Load the detector, retrying the MediaPipe runtime before falling back to tfjs
+     * @returns {Promise<void>} Resolves once a detector is ready
+     */
+    async init() {
+        if (this.detector) return;
+
+        if (typeof handPoseDetection === 'undefined') {
+            throw new Error('Hand pose detection library not loaded');
+        }
+        // Both runtimes' weights, so a missing file fails here rather than in retries
+        await this.assets.verify(['mediapipe-hands', 'tfjs']);
+
+        if (typeof tf !== 'undefined') {
+            await tf.ready();
+            // WebGL is much faster than the default CPU backend
+            await tf.setBackend('webgl').catch((error) => {
+                console.warn('Could not set backend to WebGL:', error.message);
+            });
+        }
+
+        try {
+            this.detector = await this.createDetectorWithRetries(this.modelConfig);
+            this.runtime = this.modelConfig.runtime;
+        } catch (error) {
+            console.warn(`MediaPipe runtime unavailable, trying the fallback: ${error.message}`);
+            this.detector = await TfjsHandBackend.createDetector(this.fallbackConfig);
+            this.runtime = this.fallbackConfig.runtime;
+        }
+
+        if (!this.detector) {
+            throw new Error('Hand pose detector was not created properly');
+        }
+        console.debug(`Hand pose detector created with the ${this.runtime} runtime`);
+    }
+
+    /**
+     * Create the detector, retrying as the CDN solution sometimes fails to load
+     * @param {Object} config - Detector configuration
+     * @param {number} attempt - Attempt number, from 1
+     * @returns {Promise<Object>} The detector
+     */
+    async createDetectorWithRetries(config, attempt = 1) {
+        try {
+            const detector = await TfjsHandBackend.createDetector(config);
+            if (detector) return detector;
+            throw new Error('Detector creation returned nothing');
+        } catch (error) {
+            console.error(`Detector creation attempt ${attempt}/${CREATE_ATTEMPTS} failed:`, error);
+            if (attempt >= CREATE_ATTEMPTS) {
+                throw new Error(`Failed to create hand pose detector after ${CREATE_ATTEMPTS} `
+                    + `attempts: ${error.message}`);
+            }
+        }
+
+        await delay(RETRY_DELAY);
+        return this.createDetectorWithRetries(config, attempt + 1);
+    }
+
+    /**
+     * Detect the hands in a frame
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageData} frame - Frame to detect hands in
+     * @param {Object} options - Estimation options
+     * @param {boolean} options.flipHorizontal - Mirror the keypoints horizontally
+     * @returns {Promise<Array>} Hands in hand-pose-detection format
+     */
+    estimate(frame, { flipHorizontal = false } = {}) {
+        return this.detector.estimateHands(frame, { flipHorizontal });
+    }
+
+    /**
+     * Release the detector
+     */
+    dispose() {
+        if (this.detector) {
+            this.detector.dispose();
+            this.detector = null;
+        }
+    }
+
+    /**
+     * Create a MediaPipe Hands detector, giving up after CREATE_TIMEOUT
+     * @param {Object} config - Detector configuration
+     * @returns {Promise<Object>} The detector
+     */
+    static createDetector(config) {
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error('Detector creation timed out'));
+            }, CREATE_TIMEOUT);
+        });
+        const creation = handPoseDetection.createDetector(
+            handPoseDetection.SupportedModels.MediaPipeHands,
+            config
+        );
+
+        return Promise.race([creation, timeout]).finally(() => clearTimeout(timer));
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Tuning Module
+ *
+ * Named tuning presets and a capo. The open notes of the active tuning (raised by the
+ * capo) are the pitches every string plays at fret 0, so chord voicings, single-string
+ * notes and the fretboard overlay all follow the instrument being played.
+ */
+
+import { ChordLibrary } from './chord-library.js';
+
+// Open notes of each preset, lowest string first
+const TUNING_PRESETS = {
+    'standard': { label: 'Standard (EADGBE)', notes: ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+    'drop-d': { label: 'Drop D (DADGBE)', notes: ['D2', 'A2', 'D3', 'G3', 'B3', 'E4'] },
+    'dadgad': { label: 'DADGAD', notes: ['D2', 'A2', 'D3', 'G3', 'A3', 'D4'] },
+    'open-g': { label: 'Open G (DGDGBD)', notes: ['D2', 'G2', 'D3', 'G3', 'B3', 'D4'] },
+    'half-step-down': {
+        label: 'Half-Step Down (Eb)',
+        notes: ['Eb2', 'Ab2', 'Db3', 'Gb3', 'Bb3', 'Eb4']
+    },
+    'bass-4': { label: '4-String Bass (EADG)', notes: ['E1', 'A1', 'D2', 'G2'] },
+    'seven-string': {
+        label: '7-String (BEADGBE)',
+        notes: ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4']
+    }
+};
+
+const MAX_CAPO = 12;
+
+export class Tuning {
+    /**
+     * @param {string} preset - Tuning preset name (e.g. 'standard', 'drop-d')
+     * @param {number} capo - Fret the capo is clamped at (0 = no capo)
+     */
+    constructor(preset = 'standard', capo = 0) {
+        if (!Tuning.has(preset)) {
+            throw new Error(`Unknown tuning "${preset}"`);
+        }
+        this.preset = preset;
+        this.capo = 0;
+        this.setCapo(capo);
+    }
+
+    /**
+     * Move the capo
+     * @param {number} fret - Fret to clamp at (0 removes the capo)
+     * @returns {number} The capo fret actually set
+     */
+    setCapo(fret) {
+        const value = parseInt(fret, 10);
+        this.capo = Number.isNaN(value) ? 0 : Math.max(0, Math.min(MAX_CAPO, value));
+        return this.capo;
+    }
+
+    /**
+     * Get the open notes of the preset, ignoring the capo
+     * @returns {string[]} Note names, lowest string first
+     */
+    getOpenNotes() {
+        return [...TUNING_PRESETS[this.preset].notes];
+    }
+
+    /**
+     * Get the notes the strings play at fret 0 with the capo on
+     * @returns {string[]} Note names, lowest string first
+     */
+    getStringNotes() {
+        return ChordLibrary.transpose(this.getOpenNotes(), this.capo);
+    }
+
+    /**
+     * Get the number of strings
+     * @returns {number} String count
+     */
+    getStringCount() {
+        return TUNING_PRESETS[this.preset].notes.length;
+    }
+
+    /**
+     * Get how far chord shapes sound from the chords they are named after
+     * The capo raises every shape, and tunings that are standard tuning moved as a whole
+     * (half-step down) move every shape with them; other tunings play chords as named.
+     * @returns {number} Semitones
+     */
+    getTransposition() {
+        const standard = TUNING_PRESETS.standard.notes.map(ChordLibrary.noteToMidi);
+        const open = TUNING_PRESETS[this.preset].notes.map(ChordLibrary.noteToMidi);
+        const offset = open[0] - standard[0];
+        const shifted = open.length === standard.length
+            && open.every((midi, i) => midi - standard[i] === offset);
+
+        return this.capo + (shifted ? offset : 0);
+    }
+
+    /**
+     * Check whether a tuning preset exists
+     * @param {string} preset - Preset name
+     * @returns {boolean} True if the preset is known
+     */
+    static has(preset) {
+        return Object.prototype.hasOwnProperty.call(TUNING_PRESETS, preset);
+    }
+
+    /**
+     * List the tuning presets
+     * @returns {Array} { name, label, notes } for each preset, in menu order
+     */
+    static getPresets() {
+        return Object.entries(TUNING_PRESETS).map(([name, { label, notes }]) => ({
+            name,
+            label,
+            notes: [...notes]
+        }));
+    }
+
+    /**
+     * Get the highest fret the capo can be clamped at
+     * @returns {number} Fret number
+     */
+    static getMaxCapo() {
+        return MAX_CAPO;
+    }
+}
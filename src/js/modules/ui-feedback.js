@@ -15,6 +15,7 @@ export class UIFeedback {
         // Visual feedback elements
         this.fretboardHeight = 150;
         this.stringCount = 6;
+        this.stringNotes = []; // Open note of each string, labelled on the fretboard
         this.fretCount = 12;
         
         // Guitar overlay positioning (add additional gutter space)
@@ -39,6 +40,11 @@ export class UIFeedback {
         this.currentChord = 'None';
         this.currentFretPosition = 0;
         
+        // Lead mode: last plucked string, flashed briefly
+        this.pluckedString = null;
+        this.pluckTime = 0;
+        this.pluckFlashDuration = 300; // ms
+        
         // Colors
         this.colors = {
             fretboard: 'rgba(139, 69, 19, 0.7)',
@@ -46,8 +52,30 @@ export class UIFeedback {
             frets: 'rgba(150, 150, 150, 0.9)',
             positions: 'rgba(0, 255, 0, 0.6)',
             strumEffect: 'rgba(0, 255, 255, 0.5)',
+            selectedString: 'rgba(0, 200, 255, 0.9)',
+            pluckedString: 'rgba(255, 220, 120, 1)',
             chordText: 'rgba(255, 255, 0, 0.9)',
-            positionGuide: 'rgba(255, 100, 100, 0.2)'
+            positionGuide: 'rgba(255, 100, 100, 0.2)',
+            // Play-along chord lane, by how each chart chord was played
+            chartLane: 'rgba(0, 0, 0, 0.5)',
+            chartHitLine: 'rgba(255, 255, 255, 0.9)',
+            chartPending: 'rgba(255, 255, 255, 0.9)',
+            chartPerfect: 'rgba(0, 230, 118, 0.95)',
+            chartGood: 'rgba(0, 200, 255, 0.95)',
+            chartWrong: 'rgba(255, 170, 0, 0.95)',
+            chartMissed: 'rgba(255, 80, 80, 0.95)',
+            // Strum pattern panel, and coaching by how each slot of the target was played
+            patternPanel: 'rgba(0, 0, 0, 0.5)',
+            patternText: 'rgba(255, 255, 255, 0.9)',
+            coachCorrect: 'rgba(0, 230, 118, 0.95)',
+            coachWrong: 'rgba(255, 170, 0, 0.95)',
+            coachMissed: 'rgba(255, 80, 80, 0.95)',
+            coachRest: 'rgba(180, 180, 180, 0.7)',
+            // Calibration wizard
+            calibrationPanel: 'rgba(0, 0, 0, 0.7)',
+            calibrationText: 'rgba(255, 255, 255, 0.95)',
+            calibrationProgress: 'rgba(0, 230, 118, 0.9)',
+            calibrationWarning: 'rgba(255, 170, 0, 0.95)'
         };
     }
     
@@ -129,16 +157,16 @@ export class UIFeedback {
     /**
      * Update hand position display based on detected hand data
      * @param {Object} handData - The detected hand landmarks
-     * @param {Object} strummingMotion - Detected strumming motion
+     * @param {Object} motionResult - Motion analysis result for the frame
      * @param {Object} chordData - Detected chord information
      */
-    updateHandPositionDisplay(handData, strummingMotion, chordData) {
+    updateHandPositionDisplay(handData, motionResult, chordData) {
         // Update hand positions
         this.handPositions = handData;
         
         // Start strum animation if strumming detected
-        if (strummingMotion) {
-            this.startStrumAnimation(strummingMotion.direction);
+        if (motionResult && motionResult.strumDetected) {
+            this.startStrumAnimation(motionResult.strumDirection);
         }
         
         // Update chord information if available
@@ -221,35 +249,77 @@ export class UIFeedback {
         this.ctx.textAlign = 'left';
     }
     
+    /**
+     * Get the top of the virtual fretboard
+     * @returns {number} Y position in pixels
+     */
+    getFretboardY() {
+        // Position fretboard above the bottom gutter
+        const bottomGutter = this.canvas.height * this.bottomGutterPercentage;
+        return this.canvas.height - this.fretboardHeight - bottomGutter;
+    }
+    
+    /**
+     * Set the strings of the instrument being played
+     * The fretboard and lead mode strings redraw with this many strings.
+     * @param {string[]} notes - Open note of each string (capo included), lowest first
+     */
+    setStrings(notes) {
+        this.stringNotes = [...notes];
+        this.stringCount = notes.length;
+    }
+    
+    /**
+     * Get the line width of a string, thicker for the lower strings
+     * @param {number} index - String index (0 = lowest)
+     * @returns {number} Line width in pixels
+     */
+    getStringWidth(index) {
+        return 3 - ((index + 1) * (2.4 / this.stringCount));
+    }
+    
+    /**
+     * Get where each string of the virtual fretboard is drawn
+     * @returns {number[]} Y position of each string line in pixels, lowest string (top) first
+     */
+    getStringLines() {
+        const fretboardY = this.getFretboardY();
+        const stringSpacing = this.fretboardHeight / (this.stringCount + 1);
+        
+        return Array.from(
+            { length: this.stringCount },
+            (_, i) => fretboardY + ((i + 1) * stringSpacing)
+        );
+    }
+    
     /**
      * Draw the virtual fretboard
      */
     drawVirtualFretboard() {
-        const { width, height } = this.canvas;
-        
-        // Calculate bottom gutter
-        const bottomGutter = height * this.bottomGutterPercentage;
-        
-        // Position fretboard above the bottom gutter
-        const fretboardY = height - this.fretboardHeight - bottomGutter;
+        const { width } = this.canvas;
+        const fretboardY = this.getFretboardY();
         
         // Draw fretboard background
         this.ctx.fillStyle = this.colors.fretboard;
         this.ctx.fillRect(0, fretboardY, width, this.fretboardHeight);
         
-        // Draw strings
-        const stringSpacing = this.fretboardHeight / (this.stringCount + 1);
+        // Draw strings, each labelled with its open note
         this.ctx.strokeStyle = this.colors.strings;
+        this.ctx.fillStyle = this.colors.strings;
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
         
-        for (let i = 1; i <= this.stringCount; i++) {
-            const y = fretboardY + (i * stringSpacing);
-            
+        this.getStringLines().forEach((y, index) => {
             this.ctx.beginPath();
             this.ctx.moveTo(0, y);
             this.ctx.lineTo(width, y);
-            this.ctx.lineWidth = 3 - (i * 0.4); // Thicker strings at the top
+            this.ctx.lineWidth = this.getStringWidth(index); // Thicker strings at the top
             this.ctx.stroke();
-        }
+            
+            if (this.stringNotes[index]) {
+                this.ctx.fillText(this.stringNotes[index], 4, y - 3);
+            }
+        });
         
         // Draw frets
         const fretSpacing = width / (this.fretCount + 1);
@@ -276,6 +346,233 @@ export class UIFeedback {
         );
     }
     
+    /**
+     * Draw the strings over the strumming area for lead mode
+     * Drawn every frame on top of the tracking overlay, whether or not the full feedback is active.
+     * @param {Object} motionData - Motion analysis result with `selectedString` and `plucks`
+     * @param {string[]} stringNotes - Note currently sounding on each string, lowest first
+     */
+    drawLeadStrings(motionData, stringNotes = []) {
+        if (!this.ctx) return;
+        
+        // The strumming hand is on the left half of the mirrored view
+        const strumAreaWidth = this.canvas.width * 0.5;
+        const now = Date.now();
+        
+        if (motionData && motionData.plucks && motionData.plucks.length > 0) {
+            this.pluckedString = motionData.plucks[motionData.plucks.length - 1].stringIndex;
+            this.pluckTime = now;
+        }
+        const flashing = now - this.pluckTime < this.pluckFlashDuration;
+        
+        this.ctx.font = '14px Arial';
+        this.ctx.textAlign = 'left';
+        
+        this.getStringLines().forEach((y, index) => {
+            let color = this.colors.strings;
+            if (flashing && index === this.pluckedString) {
+                color = this.colors.pluckedString;
+            } else if (motionData && index === motionData.selectedString) {
+                color = this.colors.selectedString;
+            }
+            
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = this.getStringWidth(index); // Thicker strings at the top
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, y);
+            this.ctx.lineTo(strumAreaWidth, y);
+            this.ctx.stroke();
+            
+            if (stringNotes[index]) {
+                this.ctx.fillStyle = color;
+                this.ctx.fillText(stringNotes[index], strumAreaWidth + 8, y + 5);
+            }
+        });
+    }
+    
+    /**
+     * Draw the play-along chord lane across the top of the view
+     * Chart chords scroll towards the hit line and are strummed as they cross it. Like
+     * the lead strings, it is drawn every frame on top of the tracking overlay.
+     * @param {Array} chords - Chart chords from PlayAlongSession.getUpcoming(), each with
+     *                         `beatsAway`, `chord`, `direction`, `section` and `result`
+     * @param {number} beatsAhead - Beats of chords the lane shows before the hit line
+     */
+    drawChordChart(chords, beatsAhead = 8) {
+        if (!this.ctx) return;
+        
+        const { width } = this.canvas;
+        const laneHeight = 56;
+        const laneY = 10;
+        const hitX = width * 0.15;
+        const beatWidth = (width - hitX) / beatsAhead;
+        
+        this.ctx.fillStyle = this.colors.chartLane;
+        this.ctx.fillRect(0, laneY, width, laneHeight);
+        this.ctx.strokeStyle = this.colors.chartHitLine;
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(hitX, laneY);
+        this.ctx.lineTo(hitX, laneY + laneHeight);
+        this.ctx.stroke();
+        
+        this.ctx.font = 'bold 22px Arial';
+        this.ctx.textAlign = 'center';
+        chords.forEach((chartChord) => {
+            const x = hitX + chartChord.beatsAway * beatWidth;
+            const arrow = { down: '↓', up: '↑' }[chartChord.direction] || '';
+            this.ctx.fillStyle = UIFeedback.getChartColor(chartChord.result, this.colors);
+            this.ctx.fillText(`${chartChord.chord}${arrow}`, x, laneY + laneHeight / 2 + 8);
+        });
+        
+        // Name the section coming up under the lane
+        const next = chords.find(({ beatsAway }) => beatsAway >= 0);
+        if (next) {
+            this.ctx.font = '14px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillStyle = this.colors.chartPending;
+            this.ctx.fillText(next.section, 8, laneY + laneHeight + 18);
+        }
+        this.ctx.textAlign = 'left';
+    }
+    
+    /**
+     * Get the colour of a chart chord in the lane
+     * @param {Object|null} result - How the chord was played, or null if not yet
+     * @param {Object} colors - Colour palette
+     * @returns {string} CSS colour
+     */
+    static getChartColor(result, colors) {
+        if (!result) return colors.chartPending;
+        if (!result.hit) return colors.chartMissed;
+        if (!result.chordCorrect || !result.directionCorrect) return colors.chartWrong;
+        return result.rating === 'perfect' ? colors.chartPerfect : colors.chartGood;
+    }
+    
+    /**
+     * Draw the detected strum pattern and its timing in the top right corner, with the
+     * coaching target below it when one is set
+     * Each slot of the target is coloured by how it was last played: wrong-direction
+     * strokes, missed strokes and extra strums on rests stand out from correct ones.
+     * @param {Object|null} analysis - From StrumPatternAnalyzer.getAnalysis()
+     */
+    drawStrumPattern(analysis) {
+        if (!this.ctx || !analysis || (analysis.strumCount === 0 && !analysis.target)) return;
+        
+        const { width } = this.canvas;
+        const panelWidth = 260;
+        const x = width - panelWidth - 10;
+        const y = 80;
+        const panelHeight = analysis.target ? 100 : 56;
+        
+        this.ctx.fillStyle = this.colors.patternPanel;
+        this.ctx.fillRect(x, y, panelWidth, panelHeight);
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = this.colors.patternText;
+        this.ctx.font = 'bold 16px Arial';
+        const confidence = Math.round(analysis.confidence * 100);
+        const name = analysis.pattern
+            ? `${analysis.pattern.name} (${confidence}%)`
+            : 'Pattern: listening...';
+        this.ctx.fillText(name, x + 10, y + 22);
+        
+        if (analysis.playedBpm !== null) {
+            const drift = analysis.tempoDrift >= 0
+                ? `+${analysis.tempoDrift}`
+                : analysis.tempoDrift;
+            const swing = analysis.swing !== null ? ` · swing ${analysis.swing}%` : '';
+            this.ctx.font = '14px Arial';
+            this.ctx.fillText(
+                `${analysis.playedBpm} BPM (${drift})${swing} · ±${analysis.timingSpread} ms`,
+                x + 10,
+                y + 44
+            );
+        }
+        
+        if (analysis.target) {
+            const { notation } = analysis.target;
+            const slots = analysis.coaching ? analysis.coaching.slots : [];
+            const slotWidth = (panelWidth - 20) / notation.length;
+            this.ctx.font = 'bold 20px Arial';
+            this.ctx.textAlign = 'center';
+            Array.from(notation).forEach((symbol, index) => {
+                this.ctx.fillStyle = UIFeedback.getCoachColor(slots[index], this.colors);
+                this.ctx.fillText(symbol, x + 10 + slotWidth * (index + 0.5), y + 76);
+            });
+            
+            if (analysis.coaching) {
+                this.ctx.font = '12px Arial';
+                this.ctx.fillStyle = this.colors.patternText;
+                this.ctx.fillText(
+                    `${Math.round(analysis.coaching.accuracy * 100)}% of strokes right`,
+                    x + panelWidth / 2,
+                    y + 94
+                );
+            }
+            this.ctx.textAlign = 'left';
+        }
+    }
+    
+    /**
+     * Get the colour of a slot of the coaching target
+     * @param {Object|undefined} slot - How the slot was played, or undefined if not yet
+     * @param {Object} colors - Colour palette
+     * @returns {string} CSS colour
+     */
+    static getCoachColor(slot, colors) {
+        if (!slot) return colors.patternText;
+        return {
+            correct: colors.coachCorrect,
+            wrong: colors.coachWrong,
+            missed: colors.coachMissed,
+            extra: colors.coachMissed,
+            rest: colors.coachRest
+        }[slot.status];
+    }
+    
+    /**
+     * Draw the current calibration step across the middle of the view: what to do, how
+     * far along it is, and why it started again if it did
+     * @param {Object|null} status - From CalibrationWizard.getStatus()
+     */
+    drawCalibration(status) {
+        if (!this.ctx || !status) return;
+        
+        const { width, height } = this.canvas;
+        const panelWidth = Math.min(width - 40, 560);
+        const x = (width - panelWidth) / 2;
+        const y = height / 2 - 70;
+        
+        this.ctx.fillStyle = this.colors.calibrationPanel;
+        this.ctx.fillRect(x, y, panelWidth, status.message ? 150 : 124);
+        
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = this.colors.calibrationText;
+        this.ctx.font = 'bold 20px Arial';
+        this.ctx.fillText(
+            `Step ${status.number} of ${status.count}: ${status.title}`,
+            width / 2,
+            y + 32
+        );
+        this.ctx.font = '16px Arial';
+        this.ctx.fillText(status.instruction, width / 2, y + 62);
+        
+        // Progress bar
+        const barWidth = panelWidth - 40;
+        this.ctx.strokeStyle = this.colors.calibrationText;
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x + 20, y + 84, barWidth, 16);
+        this.ctx.fillStyle = this.colors.calibrationProgress;
+        this.ctx.fillRect(x + 20, y + 84, barWidth * status.progress, 16);
+        
+        if (status.message) {
+            this.ctx.font = '14px Arial';
+            this.ctx.fillStyle = this.colors.calibrationWarning;
+            this.ctx.fillText(status.message, width / 2, y + 132);
+        }
+        this.ctx.textAlign = 'left';
+    }
+    
     /**
      * Draw positioning guides for hands
      */
@@ -0,0 +1,111 @@
+/**
+ * WAV Encoder Module
+ *
+ * Writes PCM audio as a RIFF/WAVE file: 16- or 24-bit integer samples, or 32-bit
+ * float, with the channels interleaved. Samples outside -1..1 are clipped.
+ */
+
+const HEADER_SIZE = 44;
+const PCM_FORMAT = 1;
+const FLOAT_FORMAT = 3;
+
+export class WavEncoder {
+    /**
+     * Encode audio as a WAV file
+     * @param {Float32Array[]} channels - Samples per channel, all the same length
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Encoding options
+     * @param {number} options.bitDepth - 16, 24 or 32 (32 writes float samples)
+     * @returns {ArrayBuffer} The WAV file
+     */
+    static encode(channels, sampleRate, { bitDepth = 16 } = {}) {
+        if (![16, 24, 32].includes(bitDepth)) {
+            throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+        }
+        if (channels.length === 0) {
+            throw new Error('No audio channels to encode');
+        }
+
+        const frames = channels[0].length;
+        const bytesPerSample = bitDepth / 8;
+        const blockAlign = channels.length * bytesPerSample;
+        const dataSize = frames * blockAlign;
+        const buffer = new ArrayBuffer(HEADER_SIZE + dataSize);
+        const view = new DataView(buffer);
+
+        WavEncoder.writeString(view, 0, 'RIFF');
+        view.setUint32(4, HEADER_SIZE - 8 + dataSize, true);
+        WavEncoder.writeString(view, 8, 'WAVE');
+        WavEncoder.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true); // fmt chunk size
+        view.setUint16(20, bitDepth === 32 ? FLOAT_FORMAT : PCM_FORMAT, true);
+        view.setUint16(22, channels.length, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bitDepth, true);
+        WavEncoder.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = HEADER_SIZE;
+        for (let frame = 0; frame < frames; frame += 1) {
+            for (let channel = 0; channel < channels.length; channel += 1) {
+                const sample = Math.max(-1, Math.min(1, channels[channel][frame] || 0));
+                WavEncoder.writeSample(view, offset, sample, bitDepth);
+                offset += bytesPerSample;
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Encode audio as a WAV file ready to download
+     * @param {Float32Array[]} channels - Samples per channel
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - Encoding options (see encode)
+     * @returns {Blob} The WAV file
+     */
+    static toBlob(channels, sampleRate, options = {}) {
+        return new Blob([WavEncoder.encode(channels, sampleRate, options)], { type: 'audio/wav' });
+    }
+
+    /**
+     * Write one sample
+     * @param {DataView} view - File being written
+     * @param {number} offset - Byte offset
+     * @param {number} sample - Sample in -1..1
+     * @param {number} bitDepth - 16, 24 or 32
+     */
+    static writeSample(view, offset, sample, bitDepth) {
+        if (bitDepth === 32) {
+            view.setFloat32(offset, sample, true);
+            return;
+        }
+
+        // Negative samples reach one step further than positive ones
+        const max = 2 ** (bitDepth - 1);
+        const value = Math.round(sample < 0 ? sample * max : sample * (max - 1));
+        if (bitDepth === 16) {
+            view.setInt16(offset, value, true);
+        } else {
+            // Little-endian two's complement, a byte at a time
+            const unsigned = value < 0 ? value + 2 ** 24 : value;
+            view.setUint8(offset, unsigned % 256);
+            view.setUint8(offset + 1, Math.floor(unsigned / 256) % 256);
+            view.setUint8(offset + 2, Math.floor(unsigned / 65536));
+        }
+    }
+
+    /**
+     * Write an ASCII chunk id
+     * @param {DataView} view - File being written
+     * @param {number} offset - Byte offset
+     * @param {string} text - Characters to write
+     */
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i += 1) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}
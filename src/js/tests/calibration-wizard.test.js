@@ -0,0 +1,139 @@
+/**
+ * Calibration Wizard - Unit Tests
+ *
+ * Walks synthetic hands through the wizard's steps on a 640x480 frame at 30 frames a
+ * second, and checks the profile it measures and how motion analysis applies it.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { CalibrationWizard } from '../modules/calibration-wizard.js';
+import { MotionAnalysis } from '../modules/motion-analysis.js';
+import { createHand } from './fixtures/synthetic-hands.js';
+
+const FRAME = { width: 640, height: 480 };
+const FRAME_TIME = 33;
+
+// In-memory stand-in for localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, value),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+describe('CalibrationWizard', () => {
+    let wizard;
+    let time;
+
+    // Feed frames for a duration, with the hands given by a function of elapsed time
+    function play(duration, handsAt) {
+        let profile = null;
+        for (let elapsed = 0; elapsed < duration && !profile; elapsed += FRAME_TIME) {
+            time += FRAME_TIME;
+            profile = wizard.update(handsAt(elapsed), FRAME, time);
+        }
+        return profile;
+    }
+
+    // Strumming hand (displayed left) and fretting hand (displayed right) at wrist positions
+    function hands(strumming, fretting) {
+        return {
+            left: strumming ? createHand({ ...strumming, size: 90 }) : null,
+            right: fretting ? createHand({ ...fretting, size: 90 }) : null
+        };
+    }
+
+    function calibrate() {
+        wizard.start();
+        play(2500, () => hands({ x: 160, y: 300 }, { x: 480, y: 300 }));
+        play(2000, () => hands(null, { x: 520, y: 180 }));
+        play(2000, () => hands({ x: 160, y: 340 }, null));
+        return play(8000, (elapsed) => hands(
+            { x: 160, y: 300 + 60 * Math.sin((2 * Math.PI * elapsed) / 500) },
+            null
+        ));
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        wizard = new CalibrationWizard({ storage: createStorage() });
+        time = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('the steps should measure hand size, the neck and the strum', () => {
+        const profile = calibrate();
+
+        expect(wizard.isActive()).toBe(false);
+        expect(profile.handSize).toBeCloseTo(90 / 480, 2);
+        expect(profile.nut).toEqual({ x: 520 / 640, y: 180 / 480 });
+        // The neck rises 160 pixels over 360 towards the nut: about 24 degrees
+        expect(profile.guitarPlaneAngle).toBe(66);
+        expect(profile.neckLength).toBeCloseTo(Math.hypot(360, 160) / 480, 3);
+
+        // Strokes of 120 pixels across the strings, tilted by the neck
+        const tilt = (24 * Math.PI) / 180;
+        expect(profile.strumAmplitude).toBeCloseTo((120 * Math.cos(tilt)) / 480, 1);
+        expect(profile.minStrumSpeed).toBeLessThan(profile.fullStrumSpeed);
+        expect(profile.fullStrumSpeed).toBeGreaterThan(1.5);
+    });
+
+    test('steps should report progress and start over when the hand moves', () => {
+        wizard.start();
+        play(2500, () => hands({ x: 160, y: 300 }, { x: 480, y: 300 }));
+        expect(wizard.getStatus()).toMatchObject({ id: 'nut', number: 2, count: 3 });
+
+        play(1000, () => hands(null, { x: 520, y: 180 }));
+        expect(wizard.getStatus().progress).toBeGreaterThan(0.5);
+        play(100, () => hands(null, { x: 400, y: 180 }));
+        expect(wizard.getStatus().progress).toBeLessThan(0.1);
+
+        // A bridge on the fretting hand's side of the nut sends the player back to the nut
+        play(2000, () => hands(null, { x: 400, y: 180 }));
+        play(2000, () => hands({ x: 560, y: 340 }, null));
+        expect(wizard.getStatus()).toMatchObject({ id: 'nut' });
+        expect(wizard.getStatus().message).toMatch('nut should be');
+    });
+
+    test('the profile should be saved for the next launch', () => {
+        const profile = calibrate();
+        wizard.saveProfile(profile);
+
+        const relaunched = new CalibrationWizard({ storage: wizard.storage });
+        expect(relaunched.loadProfile()).toEqual(profile);
+
+        wizard.storage.setItem('air-guitar-4d.calibration', '{"version": 99}');
+        expect(relaunched.loadProfile()).toBeNull();
+        relaunched.clearProfile();
+        expect(relaunched.loadProfile()).toBeNull();
+    });
+
+    test('motion analysis should scale its thresholds to the profile', () => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        const motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setFrameSize(FRAME.width, FRAME.height);
+
+        motionAnalysis.setCalibration({
+            handSize: 0.38,
+            neckLength: 0.5,
+            strumAmplitude: 0.2,
+            minStrumSpeed: 0.5,
+            fullStrumSpeed: 2
+        });
+        expect(motionAnalysis.strumHysteresis).toBeCloseTo(0.03, 6);
+        expect(motionAnalysis.fullPluckSpeed).toBeCloseTo(6, 6);
+        expect(motionAnalysis.minStrumSpeed).toBe(0.5);
+        // Hands half the neck length apart are at the 6th fret
+        expect(motionAnalysis.distanceToFret(0.25 * FRAME.height)).toBeCloseTo(6, 6);
+
+        motionAnalysis.setCalibration(null);
+        expect(motionAnalysis.strumHysteresis).toBe(0.015);
+        expect(motionAnalysis.neckLength).toBeNull();
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Chord Chart Importer - Unit Tests
+ *
+ * Imports ChordPro and chords-over-lyrics charts into timed chord sequences.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { ChordChartImporter } from '../modules/chord-chart-importer.js';
+
+describe('ChordChartImporter', () => {
+    test('ChordPro directives and inline chords should give a song', () => {
+        const text = [
+            '{title: Demo Song}',
+            '{tempo: 90}',
+            '{time: 3/4}',
+            '# a comment',
+            '[G]Hello [D/F#]there, [H7]oops',
+            '{start_of_chorus: Big Chorus}',
+            '[E minor]Sing it [C]loud',
+            '{end_of_chorus}'
+        ].join('\n');
+
+        const {
+            chart, chords, unknownChords, format
+        } = ChordChartImporter.import(text, { strumEvery: 3 });
+
+        expect(format).toBe('chordpro');
+        expect(chart).toMatchObject({ title: 'Demo Song', bpm: 90, beatsPerBar: 3 });
+        expect(chords.map(({ beat, chord, section }) => [beat, chord, section])).toEqual([
+            [0, 'G', 'Verse'],
+            [3, 'D/F#', 'Verse'],
+            [6, 'Em', 'Big Chorus'],
+            [9, 'C', 'Big Chorus']
+        ]);
+        expect(unknownChords).toEqual([{ symbol: 'H7', line: 5 }]);
+        expect(chart.getEvents().map(({ beat }) => beat)).toEqual([0, 3, 6, 9]);
+    });
+
+    test('chords over lyrics should skip the words and follow section headers', () => {
+        const text = [
+            '[Intro]',
+            '| [ch]G[/ch] D | Em | x2',
+            '',
+            '[Verse 1]',
+            'Am      Fmaj7',
+            'A bad day to be on the road',
+            'C   Gsus4   Xyz',
+            'Words go here'
+        ].join('\n');
+
+        const { chart, chords, unknownChords } = ChordChartImporter.import(text, { bpm: 80 });
+
+        expect(chords.map(({ beat, beats, chord }) => [beat, beats, chord])).toEqual([
+            [0, 2, 'G'], [2, 2, 'D'], [4, 4, 'Em'],
+            [8, 2, 'G'], [10, 2, 'D'], [12, 4, 'Em'],
+            [16, 4, 'Am'], [20, 4, 'Fmaj7'], [24, 4, 'C'], [28, 4, 'Gsus4']
+        ]);
+        expect(unknownChords).toEqual([{ symbol: 'Xyz', line: 7 }]);
+        expect(chart.sections.map(({ name }) => name)).toEqual(['Intro', 'Verse 1']);
+        expect(chart.bpm).toBe(80);
+
+        // A chord a bar is strummed on beats 0 and 2; half-bar chords once
+        expect(chart.sections[0].chords.slice(0, 4).map(({ beat }) => beat))
+            .toEqual([0, 2, 4, 6]);
+    });
+
+    test('chord names should be converted to the sound engine symbols', () => {
+        expect(ChordChartImporter.toSymbol('A minor')).toBe('Am');
+        expect(ChordChartImporter.toSymbol('Bbmaj7')).toBe('Bbmaj7');
+        expect(ChordChartImporter.toSymbol('Verse')).toBeNull();
+        expect(ChordChartImporter.isChordLine(['A', 'bad', 'day'])).toBe(false);
+        expect(ChordChartImporter.isChordLine(['|', 'C', 'G7', '|', '(x2)'])).toBe(true);
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Chord Classifier - Unit Tests
+ *
+ * Exercises feature normalization, the shared chord vocabulary and training
+ * from landmark samples, entirely offline.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { ChordClassifier } from '../modules/chord-classifier.js';
+import { ChordLibrary } from '../modules/chord-library.js';
+import { SoundEngine } from '../modules/sound-engine.js';
+import { createHand } from './fixtures/synthetic-hands.js';
+
+// Distinct fretting-hand poses standing in for recorded chord samples
+const POSES = {
+    C: { curls: [0.6, 0.6, 0.7, 0.1], spreads: [-10, 0, 10, 0], thumbCurl: 0.2 },
+    G: { curls: [0.5, 0.7, 0.1, 0.7], spreads: [0, 15, 0, -10], thumbCurl: 0.2 },
+    Em: { curls: [0.1, 0.7, 0.7, 0.1], spreads: [0, -5, 5, 0], thumbCurl: 0.3 },
+    D7: { curls: [0.6, 0.1, 0.6, 0.1], spreads: [5, 0, -5, 10], thumbCurl: 0.1 }
+};
+
+// Small deterministic PRNG so noisy samples are reproducible
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296 - 0.5;
+    };
+}
+
+function samplePose(label, random, overrides = {}) {
+    const pose = POSES[label];
+    return {
+        label,
+        guitarPlaneAngle: 45,
+        hand: createHand({
+            x: 480 + random() * 40,
+            y: 220 + random() * 40,
+            size: 90 + random() * 20,
+            rotation: -45,
+            curls: pose.curls.map((curl) => Math.max(0, curl + random() * 0.1)),
+            spreads: pose.spreads.map((spread) => spread + random() * 6),
+            thumbCurl: pose.thumbCurl,
+            ...overrides
+        })
+    };
+}
+
+function sampleSet(count, seed) {
+    const random = createRandom(seed);
+    const samples = [];
+    Object.keys(POSES).forEach((label) => {
+        for (let i = 0; i < count; i += 1) {
+            samples.push(samplePose(label, random));
+        }
+    });
+    return samples;
+}
+
+describe('ChordLibrary', () => {
+    test('normalizeSymbol should map common spellings onto canonical symbols', () => {
+        expect(ChordLibrary.normalizeSymbol('C Major')).toBe('C');
+        expect(ChordLibrary.normalizeSymbol('E Minor')).toBe('Em');
+        expect(ChordLibrary.normalizeSymbol('Amin')).toBe('Am');
+        expect(ChordLibrary.normalizeSymbol('gdom7')).toBe('G7');
+        expect(ChordLibrary.normalizeSymbol('Asus')).toBe('Asus4');
+        expect(ChordLibrary.normalizeSymbol('F#m7b5')).toBeNull();
+    });
+
+    test('notes should convert to and from MIDI note numbers', () => {
+        expect(ChordLibrary.noteToMidi('C4')).toBe(60);
+        expect(ChordLibrary.noteToMidi('E2')).toBe(40);
+        expect(ChordLibrary.noteToMidi('Bb3')).toBe(58);
+        expect(ChordLibrary.noteToMidi('H2')).toBeNull();
+        expect(ChordLibrary.midiToNote(61)).toBe('C#4');
+        expect(ChordLibrary.midiToNote(40)).toBe('E2');
+    });
+
+    test('sound engine voicings should be keyed by the library symbols', () => {
+        const soundEngine = new SoundEngine();
+
+        expect(Object.keys(soundEngine.chordDefinitions)).toEqual(ChordLibrary.getSymbols());
+        expect(soundEngine.getChordNotes('C Major')).toEqual(soundEngine.chordDefinitions.C);
+        expect(soundEngine.getChordNotes('E Minor')).toEqual(soundEngine.chordDefinitions.Em);
+    });
+});
+
+describe('ChordClassifier', () => {
+    let classifier;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        classifier = new ChordClassifier();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('default prototypes should cover the library including 7th and sus chords', () => {
+        const symbols = classifier.getSymbols();
+
+        ChordLibrary.getSymbols().forEach((symbol) => {
+            expect(symbols).toContain(symbol);
+        });
+        expect(symbols).toEqual(expect.arrayContaining(['G7', 'B7', 'Asus2', 'Dsus4']));
+    });
+
+    test('features should not depend on hand size, position or guitar plane rotation', () => {
+        const pose = {
+            curls: [0.5, 0.2, 0.6, 0.3],
+            spreads: [5, 0, -5, 10]
+        };
+        const reference = classifier.extractFeatures(
+            createHand({ ...pose, rotation: -45, size: 90 }),
+            45
+        );
+        const moved = classifier.extractFeatures(
+            createHand({
+                ...pose,
+                rotation: -30,
+                size: 140,
+                x: 100,
+                y: 400
+            }),
+            60
+        );
+
+        moved.forEach((value, i) => {
+            expect(value).toBeCloseTo(reference[i], 6);
+        });
+    });
+
+    test('classify should return per-class confidences that sum to one', () => {
+        const result = classifier.classify(sampleSet(1, 7)[0].hand, 45);
+        const total = Object.values(result.scores).reduce((sum, score) => sum + score, 0);
+
+        expect(total).toBeCloseTo(1, 6);
+        expect(result.confidence).toBeCloseTo(Math.max(...Object.values(result.scores)), 6);
+    });
+
+    test('training on recorded samples should classify unseen samples', () => {
+        classifier.train(sampleSet(12, 1), { replace: true });
+
+        const { accuracy, confusion } = classifier.evaluate(sampleSet(8, 2));
+
+        expect(accuracy).toBe(1);
+        expect(confusion.C.C).toBe(8);
+    });
+
+    test('training should keep untouched classes unless replace is requested', () => {
+        classifier.train(sampleSet(4, 3));
+
+        expect(classifier.getSymbols()).toContain('Dsus2');
+        expect(classifier.prototypes.C.count).toBe(4);
+    });
+
+    test('a pose unlike any trained chord should be Unknown', () => {
+        classifier.train(sampleSet(12, 4), { replace: true });
+
+        const fist = createHand({
+            curls: [1, 1, 1, 1],
+            spreads: [30, -30, 30, -30],
+            rotation: -45
+        });
+        expect(classifier.classify(fist, 45).name).toBe('Unknown');
+    });
+
+    test('a trained model should survive a JSON round trip', () => {
+        classifier.train(sampleSet(10, 5), { replace: true });
+        const restored = new ChordClassifier();
+        restored.fromJSON(JSON.parse(JSON.stringify(classifier.toJSON())));
+
+        sampleSet(3, 6).forEach(({ hand, guitarPlaneAngle }) => {
+            expect(restored.classify(hand, guitarPlaneAngle))
+                .toEqual(classifier.classify(hand, guitarPlaneAngle));
+        });
+    });
+
+    test('fromJSON should reject models with a different feature layout', () => {
+        expect(() => classifier.fromJSON({ version: 99, prototypes: {} }))
+            .toThrow('Unsupported chord model version');
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Chord Voicer - Unit Tests
+ *
+ * Covers chord symbol parsing, playable shapes in open position and up the neck,
+ * voice leading between chords and strums that skip muted strings.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { ChordVoicer } from '../modules/chord-voicer.js';
+import { ChordLibrary } from '../modules/chord-library.js';
+import { SoundEngine } from '../modules/sound-engine.js';
+
+const STANDARD = ['E2', 'A2', 'D3', 'G3', 'B3', 'E4'];
+
+// Semitones moved across strings sounding in both voicings
+function movement(from, to) {
+    return from.reduce((sum, note, i) => (
+        note && to[i]
+            ? sum + Math.abs(ChordLibrary.noteToMidi(note) - ChordLibrary.noteToMidi(to[i]))
+            : sum
+    ), 0);
+}
+
+describe('ChordLibrary symbol parsing', () => {
+    test('symbols should parse to a root, tones and slash bass', () => {
+        expect(ChordLibrary.parseSymbol('Cmaj7')).toEqual({
+            symbol: 'Cmaj7',
+            root: 0,
+            quality: 'maj7',
+            intervals: [0, 4, 7, 11],
+            tones: [0, 4, 7, 11],
+            bass: null
+        });
+        expect(ChordLibrary.parseSymbol('F#m7b5').tones).toEqual([6, 9, 0, 4]);
+        expect(ChordLibrary.parseSymbol('Bbadd9').tones).toEqual([10, 2, 5, 0]);
+        expect(ChordLibrary.parseSymbol('D/F#')).toMatchObject({ root: 2, bass: 6 });
+        expect(ChordLibrary.parseSymbol('C/Bb').tones).toEqual([0, 4, 7, 10]);
+    });
+
+    test('common spellings should parse and nonsense should not', () => {
+        expect(ChordLibrary.parseSymbol('CΔ7').quality).toBe('maj7');
+        expect(ChordLibrary.parseSymbol('Bo').quality).toBe('dim');
+        expect(ChordLibrary.parseSymbol('G+').quality).toBe('aug');
+        expect(ChordLibrary.parseSymbol('A-7').quality).toBe('m7');
+        expect(ChordLibrary.parseSymbol('Dsus').quality).toBe('sus4');
+        expect(ChordLibrary.parseSymbol('H7')).toBeNull();
+        expect(ChordLibrary.parseSymbol('Cwobble')).toBeNull();
+    });
+
+    test('symbols should transpose with their slash bass', () => {
+        expect(ChordLibrary.transposeSymbol('D/F#', 2)).toBe('E/G#');
+        expect(ChordLibrary.transposeSymbol('Bbm7', -1)).toBe('Am7');
+        expect(ChordLibrary.transposeSymbol('C Major', 1)).toBeNull();
+    });
+});
+
+describe('ChordVoicer', () => {
+    let voicer;
+
+    beforeEach(() => {
+        voicer = new ChordVoicer();
+    });
+
+    test('open position should give the familiar shapes', () => {
+        const frets = (symbol) => voicer.voice(symbol, STANDARD).frets;
+
+        expect(frets('C')).toEqual([null, 3, 2, 0, 1, 0]);
+        expect(frets('G')).toEqual([3, 2, 0, 0, 0, 3]);
+        expect(frets('D')).toEqual([null, null, 0, 2, 3, 2]);
+        expect(frets('E')).toEqual([0, 2, 2, 1, 0, 0]);
+        expect(frets('Am')).toEqual([null, 0, 2, 2, 1, 0]);
+        expect(frets('F')).toEqual([1, 3, 3, 2, 1, 1]);
+        expect(frets('Cmaj7')).toEqual([null, 3, 2, 0, 0, 0]);
+    });
+
+    test('slash chords should put their bass note lowest', () => {
+        const voicing = voicer.voice('D/F#', STANDARD);
+
+        expect(voicing.notes.find(Boolean)).toBe('F#2');
+        expect(voicer.voice('G/B', STANDARD).notes.find(Boolean)).toBe('B2');
+    });
+
+    test('chords up the neck should stay in a hand-sized box at the fret region', () => {
+        ['A', 'Bbm7', 'C#dim', 'Faug', 'Gadd9'].forEach((symbol) => {
+            const { frets, notes } = voicer.voice(symbol, STANDARD, { fretPosition: 7 });
+            const fretted = frets.filter((fret) => fret !== null);
+            const chord = ChordLibrary.parseSymbol(symbol);
+
+            expect(Math.min(...fretted)).toBeGreaterThanOrEqual(7);
+            expect(Math.max(...fretted) - Math.min(...fretted)).toBeLessThanOrEqual(3);
+            expect(ChordVoicer.countFingers(frets)).toBeLessThanOrEqual(4);
+            expect(ChordLibrary.noteToMidi(notes.find(Boolean)) % 12).toBe(chord.root);
+        });
+    });
+
+    test('consecutive chords should move each string as little as possible', () => {
+        const g = voicer.voice('G', STANDARD).notes;
+        const fresh = voicer.voice('C', STANDARD).notes;
+        const led = voicer.voice('C', STANDARD, { previous: g });
+
+        // The top string holds on to G rather than dropping to E
+        expect(led.frets).toEqual([null, 3, 2, 0, 1, 3]);
+        expect(movement(g, led.notes)).toBeLessThan(movement(g, fresh));
+    });
+
+    test('barre shapes should count the barre as one finger', () => {
+        expect(ChordVoicer.countFingers([1, 3, 3, 2, 1, 1])).toBe(4);
+        expect(ChordVoicer.countFingers([0, 2, 2, 1, 0, 0])).toBe(3);
+        expect(ChordVoicer.countFingers([1, 0, 3, 2, 1, 1])).toBe(5);
+    });
+});
+
+describe('SoundEngine chord voicing', () => {
+    let soundEngine;
+
+    beforeEach(() => {
+        global.Tone = { now: () => 0, getContext: () => ({ currentTime: 0 }) };
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        soundEngine = new SoundEngine();
+        soundEngine.initialized = true;
+        soundEngine.polySynth = {};
+        soundEngine.triggerString = jest.fn();
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+        jest.restoreAllMocks();
+    });
+
+    function strum(chordType, fretPosition = 0) {
+        soundEngine.playStrum({
+            strumDetected: true,
+            strumDirection: 'down',
+            strumIntensity: 1,
+            fretPosition,
+            chordType
+        });
+    }
+
+    test('strums should skip muted strings', () => {
+        strum('D');
+
+        const strings = soundEngine.triggerString.mock.calls.map(([stringIndex]) => stringIndex);
+        expect(strings).toEqual([2, 3, 4, 5]);
+    });
+
+    test('any chord symbol should be playable and raised by the fret position', () => {
+        expect(soundEngine.getChordNotes('Cmaj7').filter(Boolean)).toHaveLength(5);
+
+        // The E shape moved up five frets is an A chord around the fifth fret
+        const notes = soundEngine.getChordNotes('E', 5);
+        expect(ChordLibrary.noteToMidi(notes.find(Boolean)) % 12).toBe(9);
+    });
+
+    test('the next chord should be voiced from the last one strummed', () => {
+        strum('C', 5);
+        const previous = soundEngine.lastChordNotes;
+
+        expect(soundEngine.getChordNotes('C', 7)).toEqual(
+            new ChordVoicer().voice('G', soundEngine.strings, { fretPosition: 7, previous }).notes
+        );
+    });
+});
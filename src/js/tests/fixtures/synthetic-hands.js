@@ -0,0 +1,122 @@
+/**
+ * Synthetic hand landmarks for tests
+ *
+ * Builds 21-point hands in the same shape the hand pose detector produces
+ * (pixel `keypoints` plus metric `keypoints3D`), from a small description of
+ * where the hand is and how each finger is bent.
+ */
+
+// Knuckle (MCP) offsets from the wrist for a hand pointing up, in units of hand size
+const FINGER_BASES = [
+    { x: -0.34, y: -0.94 }, // index
+    { x: -0.09, y: -1.0 }, // middle
+    { x: 0.15, y: -0.94 }, // ring
+    { x: 0.37, y: -0.82 } // pinky
+];
+
+// Phalanx lengths (proximal, middle, distal) in units of hand size
+const FINGER_SEGMENTS = [
+    [0.44, 0.27, 0.22],
+    [0.48, 0.3, 0.23],
+    [0.45, 0.28, 0.22],
+    [0.36, 0.22, 0.2]
+];
+
+const THUMB_POINTS = [
+    { x: -0.3, y: -0.25 },
+    { x: -0.55, y: -0.45 },
+    { x: -0.7, y: -0.68 },
+    { x: -0.8, y: -0.9 }
+];
+
+// Metres per pixel used to derive keypoints3D
+const METRES_PER_PIXEL = 0.0008;
+
+/**
+ * Create a synthetic hand
+ * @param {Object} options - Hand description
+ * @param {number} options.x - Wrist x position in pixels
+ * @param {number} options.y - Wrist y position in pixels
+ * @param {number} options.size - Wrist to middle knuckle distance in pixels
+ * @param {number} options.rotation - In-plane rotation in degrees (0 = fingers up)
+ * @param {number[]} options.curls - Curl of index..pinky (0 = straight, 1 = fully bent)
+ * @param {number[]} options.spreads - Sideways angle of index..pinky in degrees
+ * @param {number} options.thumbCurl - Curl of the thumb (0-1)
+ * @param {string} options.handedness - Detector handedness label
+ * @returns {Object} Hand in detector format
+ */
+export function createHand({
+    x = 320,
+    y = 240,
+    size = 90,
+    rotation = 0,
+    curls = [0, 0, 0, 0],
+    spreads = [0, 0, 0, 0],
+    thumbCurl = 0,
+    handedness = 'Left',
+    score = 0.95
+} = {}) {
+    const local = [{ x: 0, y: 0, z: 0 }];
+
+    // Thumb: pull the outer joints towards the palm as it curls
+    THUMB_POINTS.forEach((point, index) => {
+        const pull = thumbCurl * (index / 3) * 0.45;
+        local.push({ x: point.x + pull, y: point.y + pull * 0.3, z: -pull * 0.4 });
+    });
+
+    FINGER_BASES.forEach((base, finger) => {
+        const spread = (spreads[finger] * Math.PI) / 180;
+        const bend = curls[finger] * (Math.PI / 2.2);
+        let px = base.x;
+        let py = base.y;
+        let pz = 0;
+        local.push({ x: px, y: py, z: pz });
+
+        FINGER_SEGMENTS[finger].forEach((length, joint) => {
+            const angle = bend * (joint + 1);
+            const along = length * Math.cos(angle);
+            px += along * Math.sin(spread);
+            py -= along * Math.cos(spread);
+            pz -= length * Math.sin(angle);
+            local.push({ x: px, y: py, z: pz });
+        });
+    });
+
+    const theta = (rotation * Math.PI) / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+    const rotate = (point) => ({
+        x: point.x * cos - point.y * sin,
+        y: point.x * sin + point.y * cos,
+        z: point.z
+    });
+
+    const keypoints = local.map((point) => {
+        const rotated = rotate(point);
+        return {
+            x: x + rotated.x * size,
+            y: y + rotated.y * size,
+            z: rotated.z * size
+        };
+    });
+    const keypoints3D = local.map((point) => {
+        const rotated = rotate(point);
+        const scale = size * METRES_PER_PIXEL;
+        return { x: rotated.x * scale, y: rotated.y * scale, z: rotated.z * scale };
+    });
+
+    return { handedness, score, keypoints, keypoints3D };
+}
+
+/**
+ * Create a pair of hands in display order as HandTracking stores them
+ * @param {Object} strumming - createHand options for the strumming hand (displayed left)
+ * @param {Object} fretting - createHand options for the fretting hand (displayed right)
+ * @returns {Object} Hands keyed by display handedness
+ */
+export function createHands(strumming, fretting) {
+    return {
+        left: strumming ? createHand({ x: 200, handedness: 'Right', ...strumming }) : null,
+        right: fretting ? createHand({ x: 480, handedness: 'Left', ...fretting }) : null
+    };
+}
@@ -0,0 +1,168 @@
+/**
+ * Gesture Library - Unit Tests
+ *
+ * Covers teaching fret-hand poses, nearest-neighbour recognition, persistence
+ * and sharing gesture packs.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { GestureLibrary } from '../modules/gesture-library.js';
+import { HandTracking } from '../modules/hand-tracking.js';
+import { MotionAnalysis } from '../modules/motion-analysis.js';
+import { createHand } from './fixtures/synthetic-hands.js';
+
+// A player's own shapes, deliberately unlike the textbook fingerings
+const CLAW = { curls: [0.9, 0.9, 0.2, 0.2], spreads: [0, 0, 0, 0], rotation: -45 };
+const FLAT = { curls: [0.05, 0.05, 0.05, 0.05], spreads: [-15, -5, 5, 15], rotation: -45 };
+const POINT = { curls: [0, 1, 1, 1], spreads: [0, 0, 0, 0], rotation: -45 };
+
+// Captured frames of a held pose wobble a little
+function capture(pose, count = 5) {
+    return Array.from({ length: count }, (_, i) => ({
+        guitarPlaneAngle: 45,
+        hand: createHand({
+            ...pose,
+            x: 480 + i * 3,
+            size: 90 + i * 2,
+            curls: pose.curls.map((curl) => Math.min(1, curl + (i % 2) * 0.03))
+        })
+    }));
+}
+
+// Minimal in-memory stand-in for localStorage
+function createStorage() {
+    const items = {};
+    return {
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+        }
+    };
+}
+
+describe('GestureLibrary', () => {
+    let library;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        library = new GestureLibrary({ storage: createStorage() });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('taught poses should be recognised by their nearest template', () => {
+        library.addGesture({ name: 'Claw', chord: 'G', samples: capture(CLAW) });
+        library.addGesture({ name: 'Flat', chord: 'E Minor', samples: capture(FLAT) });
+
+        const claw = library.classify(createHand({ ...CLAW, x: 470, size: 100 }), 45);
+        const flat = library.classify(createHand({ ...FLAT, size: 85 }), 45);
+
+        expect(claw.name).toBe('G');
+        expect(claw.gesture).toBe('Claw');
+        expect(flat.name).toBe('Em');
+        expect(flat.confidence).toBeGreaterThan(0);
+    });
+
+    test('a pose far from every template should be Unknown', () => {
+        library.addGesture({ name: 'Claw', chord: 'G', samples: capture(CLAW) });
+
+        expect(library.classify(createHand(POINT), 45).name).toBe('Unknown');
+    });
+
+    test('custom voicings should be named after the gesture and carry their notes', () => {
+        library.addGesture({
+            name: 'Power E',
+            notes: GestureLibrary.parseVoicing('e2, b2 e3'),
+            samples: capture(POINT)
+        });
+
+        const result = library.classify(createHand(POINT), 45);
+
+        expect(result.name).toBe('Power E');
+        expect(result.notes).toEqual(['E2', 'B2', 'E3']);
+    });
+
+    test('invalid mappings should be rejected', () => {
+        expect(() => library.addGesture({ name: 'X', chord: 'H9', samples: capture(CLAW) }))
+            .toThrow('Unknown chord');
+        expect(() => library.addGesture({ name: 'X', notes: ['E2', 'Q1'], samples: capture(CLAW) }))
+            .toThrow('Q1');
+        expect(() => library.addGesture({ name: 'X', chord: 'C', samples: [] }))
+            .toThrow('No usable');
+    });
+
+    test('teaching an existing name should replace that gesture', () => {
+        library.addGesture({ name: 'Claw', chord: 'G', samples: capture(CLAW) });
+        library.addGesture({ name: 'claw', chord: 'C', samples: capture(CLAW, 3) });
+
+        expect(library.getGestures()).toEqual([{
+            name: 'claw',
+            chord: 'C',
+            notes: null,
+            sampleCount: 3
+        }]);
+    });
+
+    test('gestures should persist to storage and load into a new library', () => {
+        const storage = createStorage();
+        const saved = new GestureLibrary({ storage });
+        saved.addGesture({ name: 'Claw', chord: 'G', samples: capture(CLAW) });
+        saved.save();
+
+        const restored = new GestureLibrary({ storage });
+
+        expect(restored.load()).toBe(1);
+        expect(restored.classify(createHand(CLAW), 45).name).toBe('G');
+    });
+
+    test('gesture packs should round trip through JSON and merge by name', () => {
+        library.addGesture({ name: 'Claw', chord: 'G', samples: capture(CLAW) });
+        library.addGesture({ name: 'Power E', notes: ['E2', 'B2'], samples: capture(POINT) });
+        const pack = JSON.stringify(library.exportPack({ author: 'band' }));
+
+        const bandmate = new GestureLibrary({ storage: createStorage() });
+        bandmate.addGesture({ name: 'Claw', chord: 'D', samples: capture(CLAW) });
+        bandmate.addGesture({ name: 'Flat', chord: 'Em', samples: capture(FLAT) });
+
+        expect(bandmate.importPack(pack)).toBe(2);
+        expect(bandmate.getGestures().map(({ name, chord }) => [name, chord])).toEqual([
+            ['Flat', 'Em'],
+            ['Claw', 'G'],
+            ['Power E', null]
+        ]);
+    });
+
+    test('a malformed pack should be rejected without changing the library', () => {
+        library.addGesture({ name: 'Claw', chord: 'G', samples: capture(CLAW) });
+        const pack = library.exportPack();
+        pack.gestures.push({ name: 'Broken', chord: 'C', templates: [[1, 2, 3]] });
+
+        expect(() => library.importPack(pack, { replace: true })).toThrow('Broken');
+        expect(() => library.importPack({ format: 'something-else' })).toThrow('gesture pack');
+        expect(library.getGestures().length).toBe(1);
+    });
+
+    test('taught gestures should drive chord detection and the played notes', () => {
+        const handTracking = new HandTracking(null, null);
+        const motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setup();
+        handTracking.gestureLibrary.addGesture({
+            name: 'Power E',
+            notes: ['E2', 'B2', 'E3'],
+            samples: capture(POINT)
+        });
+
+        handTracking.setHands({ left: null, right: createHand(POINT) }, 0);
+        const chordData = handTracking.detectChordFormation();
+        const result = motionAnalysis.processHandData(handTracking.hands, chordData, {}, 0);
+
+        expect(chordData.gesture).toBe('Power E');
+        expect(result.chordType).toBe('Power E');
+        expect(result.chordNotes).toEqual(['E2', 'B2', 'E3']);
+    });
+});
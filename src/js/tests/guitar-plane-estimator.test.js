@@ -0,0 +1,185 @@
+/**
+ * Guitar Plane Estimator - Unit Tests
+ *
+ * Plays recorded and synthetic poses through the estimator on the mock pose backend,
+ * checks the guitar plane and fret axis it infers and how motion analysis uses the
+ * axis, and drives the MediaPipe pose backend with a fake tasks-vision module.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { GuitarPlaneEstimator } from '../modules/guitar-plane-estimator.js';
+import { MediaPipePoseBackend } from '../modules/mediapipe-pose-backend.js';
+import { MockPoseBackend } from '../modules/mock-pose-backend.js';
+import { MotionAnalysis } from '../modules/motion-analysis.js';
+
+const RECORDING_PATH = path.join(__dirname, 'fixtures', 'pose-session.ndjson');
+
+const VIDEO = { readyState: 4, videoWidth: 640, videoHeight: 480 };
+const FRAME_TIME = 100;
+
+// A mirrored pose from shoulder, elbow and wrist positions in pixels
+function createPose({
+    shoulders = [{ x: 260, y: 200 }, { x: 380, y: 200 }],
+    strumElbow = { x: 240, y: 300 },
+    strumWrist = { x: 300, y: 320 },
+    fretWrist = { x: 520, y: 220 }
+} = {}) {
+    const keypoints = [
+        { ...shoulders[0], name: 'left_shoulder' },
+        { ...shoulders[1], name: 'right_shoulder' },
+        strumElbow && { ...strumElbow, name: 'left_elbow' },
+        strumWrist && { ...strumWrist, name: 'left_wrist' },
+        fretWrist && { ...fretWrist, name: 'right_wrist' }
+    ];
+    return {
+        score: 0.9,
+        keypoints: keypoints.filter(Boolean).map((point) => ({ ...point, score: 0.9 }))
+    };
+}
+
+// Guitar plane angle of a neck from the body to the nut, as the calibration wizard measures it
+function planeAngle(body, nut) {
+    const rise = Math.atan2(body.y - nut.y, nut.x - body.x) * (180 / Math.PI);
+    return Math.round(90 - rise);
+}
+
+describe('GuitarPlaneEstimator', () => {
+    test('recorded poses should settle on the neck they hold', async () => {
+        const recording = fs.readFileSync(RECORDING_PATH, 'utf8');
+        const estimator = new GuitarPlaneEstimator({
+            backend: MockPoseBackend.fromRecording(recording)
+        });
+        expect(await estimator.update(VIDEO, 0)).toBeNull();
+
+        await estimator.setup();
+        const times = Array.from({ length: 33 }, (_, i) => i * FRAME_TIME);
+        const estimate = await times.reduce(async (previous, time) => {
+            await previous;
+            return estimator.update(VIDEO, time);
+        }, Promise.resolve(null));
+
+        // The neck runs from the middle of the strumming forearm up to the fretting wrist
+        const expected = planeAngle({ x: 270, y: 310 }, { x: 520, y: 220 });
+        expect(Math.abs(estimate.guitarPlaneAngle - expected)).toBeLessThanOrEqual(2);
+        expect(estimate.fretAxis.length).toBeCloseTo((120 * 1.6) / 480, 2);
+        expect(Math.hypot(estimate.fretAxis.direction.x, estimate.fretAxis.direction.y))
+            .toBeCloseTo(1, 6);
+
+        // Frames without a pose, at the end of the recording, keep the last estimate
+        expect(await estimator.update(VIDEO, 40 * FRAME_TIME)).toEqual(estimate);
+    });
+
+    test('the estimate should follow the pose smoothly and hold while locked', () => {
+        const estimator = new GuitarPlaneEstimator({ backend: 'mock', smoothingTime: 400 });
+        const level = createPose({ fretWrist: { x: 520, y: 310 } });
+        const raised = createPose({ fretWrist: { x: 520, y: 60 } });
+
+        expect(estimator.addPose(level, VIDEO, 0).guitarPlaneAngle).toBe(90);
+        const moving = estimator.addPose(raised, VIDEO, FRAME_TIME).guitarPlaneAngle;
+        expect(moving).toBeLessThan(90);
+        expect(moving).toBeGreaterThan(planeAngle({ x: 270, y: 310 }, { x: 520, y: 60 }));
+
+        estimator.setLocked(true);
+        const locked = estimator.addPose(raised, VIDEO, 2 * FRAME_TIME);
+        expect(locked).toMatchObject({ guitarPlaneAngle: moving, locked: true });
+
+        estimator.setLocked(false);
+        let estimate = null;
+        for (let time = 3 * FRAME_TIME; time < 40 * FRAME_TIME; time += FRAME_TIME) {
+            estimate = estimator.addPose(raised, VIDEO, time);
+        }
+        expect(estimate.guitarPlaneAngle).toBe(45);
+    });
+
+    test('poses that do not show the neck should be ignored', () => {
+        const estimator = new GuitarPlaneEstimator({ backend: 'mock' });
+
+        // Fretting wrist hidden, or held behind the body
+        expect(estimator.findNeck(createPose({ fretWrist: null }), VIDEO)).toBeNull();
+        expect(estimator.findNeck(createPose({ fretWrist: { x: 200, y: 300 } }), VIDEO))
+            .toBeNull();
+
+        // Without the strumming forearm the body is taken to be below the shoulders
+        const torso = estimator.findNeck(createPose({ strumElbow: null }), VIDEO);
+        const expected = planeAngle({ x: 320, y: 200 + 120 * 1.2 }, { x: 520, y: 220 });
+        expect(GuitarPlaneEstimator.toPlaneAngle(torso.direction)).toBe(expected);
+
+        expect(() => new GuitarPlaneEstimator({ backend: 'kinect' }))
+            .toThrow('Unknown pose backend');
+    });
+
+    test('motion analysis should measure frets along the fret axis', () => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        const motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setFrameSize(VIDEO.videoWidth, VIDEO.videoHeight);
+        const strumWrist = { x: 200, y: 300 };
+        const fretWrist = { x: 400, y: 200 };
+
+        expect(motionAnalysis.getHandSpan(strumWrist, fretWrist))
+            .toBeCloseTo(Math.hypot(200, 100), 6);
+
+        // Along a level neck only the sideways distance counts
+        motionAnalysis.setFretAxis({ direction: { x: 1, y: 0 }, length: 0.5 });
+        expect(motionAnalysis.getHandSpan(strumWrist, fretWrist)).toBeCloseTo(200, 6);
+        expect(motionAnalysis.distanceToFret(120)).toBeCloseTo(6, 6);
+
+        // A calibrated neck length takes precedence over the estimated one
+        motionAnalysis.setCalibration({
+            handSize: 0.19,
+            neckLength: 1,
+            strumAmplitude: 0.2,
+            minStrumSpeed: 0.3,
+            fullStrumSpeed: 3
+        });
+        expect(motionAnalysis.distanceToFret(240)).toBeCloseTo(6, 6);
+        jest.restoreAllMocks();
+    });
+});
+
+describe('MediaPipePoseBackend', () => {
+    // A PoseLandmarker result with landmarks normalized to the frame
+    function landmarkerResult() {
+        const landmarks = Array.from({ length: 33 }, (_, i) => ({
+            x: 0.25, y: 0.5, z: i / 100, visibility: 0.8
+        }));
+        return { landmarks: [landmarks] };
+    }
+
+    test('init should load the landmarker and estimate should return mirrored poses', async () => {
+        const landmarker = { detectForVideo: jest.fn(landmarkerResult), close: jest.fn() };
+        const createFromOptions = jest.fn(async (fileset, options) => {
+            if (options.baseOptions.delegate === 'GPU') throw new Error('no WebGL');
+            return landmarker;
+        });
+        const backend = new MediaPipePoseBackend({
+            loadVision: async () => ({
+                FilesetResolver: { forVisionTasks: async (wasmPath) => ({ wasmPath }) },
+                PoseLandmarker: { createFromOptions }
+            }),
+            assets: { verify: async () => [] }
+        });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+
+        await expect(backend.estimate(VIDEO)).rejects.toThrow('not initialized');
+        await backend.init();
+        expect(backend.delegate).toBe('CPU');
+        expect(createFromOptions.mock.calls[1][1]).toMatchObject({ numPoses: 1 });
+
+        const [pose] = await backend.estimate(VIDEO, { flipHorizontal: true, timestamp: 5 });
+        expect(pose.score).toBeCloseTo(0.8, 6);
+        expect(pose.keypoints[11]).toMatchObject({ x: 480, y: 240, name: 'right_shoulder' });
+        expect(pose.keypoints[9].name).toBe('mouth_right');
+
+        // Timestamps keep increasing for video mode
+        await backend.estimate(VIDEO, { timestamp: 5 });
+        expect(landmarker.detectForVideo.mock.calls[1][1]).toBe(6);
+
+        backend.dispose();
+        expect(landmarker.close).toHaveBeenCalled();
+        jest.restoreAllMocks();
+    });
+});
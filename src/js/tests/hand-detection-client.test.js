@@ -0,0 +1,226 @@
+/**
+ * Hand Detection Client - Unit Tests
+ *
+ * Drives the worker client and HandTracking's worker mode with a fake worker:
+ * frames are transferred with their capture time, dropped while the worker is
+ * busy, paced to its speed, and results become the tracked hands.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { HandDetectionClient } from '../modules/hand-detection-client.js';
+import { HandTracking } from '../modules/hand-tracking.js';
+
+// Stands in for a Worker: records posted messages and lets tests reply
+class FakeWorker {
+    constructor(url) {
+        this.url = url;
+        this.messages = [];
+        this.terminated = false;
+        this.onmessage = null;
+    }
+
+    postMessage(message, transfer) {
+        this.messages.push({ message, transfer });
+    }
+
+    reply(data) {
+        this.onmessage({ data });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+
+    frames() {
+        return this.messages.filter(({ message }) => message.type === 'frame');
+    }
+}
+
+const VIDEO = { readyState: 4 };
+
+function createHand(handedness) {
+    return { handedness, score: 0.9, keypoints: [{ x: 1, y: 2 }] };
+}
+
+// Let frame capture settle and the frame reach the worker
+function flush() {
+    return new Promise((resolve) => {
+        setTimeout(resolve, 0);
+    });
+}
+
+async function createClient(options = {}) {
+    let worker = null;
+    const client = new HandDetectionClient({
+        createWorker: (url) => {
+            worker = new FakeWorker(url);
+            return worker;
+        },
+        captureFrame: (source) => ({ source, close: jest.fn() }),
+        ...options
+    });
+    const ready = client.init({ maxHands: 2 });
+    worker.reply({ type: 'ready' });
+    await ready;
+    return { client, worker };
+}
+
+describe('HandDetectionClient', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('init should load the detector in the worker and fail if it cannot', async () => {
+        const { worker } = await createClient({ workerUrl: 'detect.js' });
+        expect(worker.url).toBe('detect.js');
+        expect(worker.messages[0].message).toEqual({ type: 'init', modelConfig: { maxHands: 2 } });
+
+        let failing = null;
+        const client = new HandDetectionClient({
+            createWorker: () => {
+                failing = new FakeWorker();
+                return failing;
+            }
+        });
+        const init = client.init({});
+        failing.reply({ type: 'error', message: 'no WebGL' });
+
+        await expect(init).rejects.toThrow('no WebGL');
+        expect(failing.terminated).toBe(true);
+        expect(client.submit(VIDEO, 0)).toBe(false);
+    });
+
+    test('frames should carry their capture time and be dropped while busy', async () => {
+        const { client, worker } = await createClient();
+
+        expect(client.submit(VIDEO, 100, true)).toBe(true);
+        expect(client.submit(VIDEO, 150)).toBe(false);
+        await flush();
+
+        const [{ message, transfer }] = worker.frames();
+        expect(message).toMatchObject({ frameId: 1, timestamp: 100, flipHorizontal: true });
+        expect(transfer).toEqual([message.frame]);
+        expect(client.getStats()).toMatchObject({ submitted: 1, dropped: 1 });
+
+        worker.reply({
+            type: 'result',
+            frameId: 1,
+            timestamp: 100,
+            detectionTime: 20,
+            hands: []
+        });
+        expect(client.submit(VIDEO, 200)).toBe(true);
+    });
+
+    test('frames should be paced to how fast the worker detects', async () => {
+        const { client, worker } = await createClient({ maxFps: 60 });
+
+        client.submit(VIDEO, 0);
+        await flush();
+        worker.reply({
+            type: 'result',
+            frameId: 1,
+            timestamp: 0,
+            detectionTime: 80,
+            hands: []
+        });
+
+        expect(client.getFrameInterval()).toBe(80);
+        expect(client.submit(VIDEO, 50)).toBe(false);
+        expect(client.submit(VIDEO, 80)).toBe(true);
+    });
+
+    test('only the newest result should be taken, and only once', async () => {
+        const { client, worker } = await createClient();
+        const hands = [createHand('Left')];
+
+        worker.reply({
+            type: 'result',
+            frameId: 2,
+            timestamp: 40,
+            detectionTime: 10,
+            hands
+        });
+        worker.reply({
+            type: 'result',
+            frameId: 1,
+            timestamp: 20,
+            detectionTime: 10,
+            hands: []
+        });
+
+        expect(client.takeResult()).toMatchObject({ frameId: 2, timestamp: 40, hands });
+        expect(client.takeResult()).toBeNull();
+    });
+});
+
+describe('HandTracking worker mode', () => {
+    let handTracking;
+    let client;
+    let worker;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const canvas = { width: 640, height: 480, getContext: () => ({}) };
+        handTracking = new HandTracking({ ...VIDEO, videoWidth: 640, videoHeight: 480 }, canvas, {
+            useWorker: true
+        });
+        jest.spyOn(handTracking, 'drawDebugInfo').mockImplementation(() => {});
+        jest.spyOn(handTracking, 'drawHandLandmarks').mockImplementation(() => {});
+
+        ({ client, worker } = await createClient());
+        handTracking.detectionClient = client;
+        handTracking.isRunning = true;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('results should become the hands, stamped with the frame capture time', async () => {
+        expect(await handTracking.processFrame()).toBeNull();
+        await flush();
+
+        const [{ message }] = worker.frames();
+        worker.reply({
+            type: 'result',
+            frameId: message.frameId,
+            timestamp: message.timestamp,
+            detectionTime: 15,
+            hands: [createHand('Left'), createHand('Right')]
+        });
+
+        const hands = await handTracking.processFrame();
+        expect(hands.right.handedness).toBe('Left');
+        expect(hands.left.handedness).toBe('Right');
+        expect(handTracking.lastFrameTimestamp).toBe(message.timestamp);
+        expect(handTracking.drawHandLandmarks).toHaveBeenCalledTimes(1);
+
+        // Nothing new from the worker yet, so the hands carry over untouched
+        expect(await handTracking.processFrame()).toBeNull();
+        expect(handTracking.hands.right.handedness).toBe('Left');
+    });
+
+    test('setup should fall back to the main thread when the worker cannot start', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const fallback = new HandTracking(VIDEO, null, {
+            useWorker: true,
+            workerOptions: {
+                createWorker: () => {
+                    throw new Error('Workers unavailable');
+                }
+            }
+        });
+
+        expect(await fallback.setupWorker()).toBe(false);
+        expect(fallback.useWorker).toBe(false);
+        expect(fallback.detectionClient).toBeNull();
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * Latency Monitor - Unit Tests
+ *
+ * Covers the per-stage latency statistics and report, predictive strums fired
+ * ahead of the fingertip crossing the strings, and how the sound engine schedules them.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { LatencyMonitor } from '../modules/latency-monitor.js';
+import { MotionAnalysis } from '../modules/motion-analysis.js';
+import { SoundEngine } from '../modules/sound-engine.js';
+import { createHand } from './fixtures/synthetic-hands.js';
+
+// String lines as the fretboard overlay draws them on a 640x480 frame, low E first
+const STRING_LINES = [231, 252, 274, 295, 317, 338];
+
+describe('LatencyMonitor', () => {
+    let monitor;
+
+    function strum(offset, overrides = {}) {
+        return monitor.recordStrum({
+            captureTime: offset,
+            detectedTime: offset + 20,
+            decisionTime: offset + 22,
+            scheduledTime: offset + 40,
+            outputLatency: 10,
+            ...overrides
+        });
+    }
+
+    beforeEach(() => {
+        monitor = new LatencyMonitor({ windowSize: 20, target: 50 });
+    });
+
+    test('each stage should be timed from the previous one', () => {
+        const recorded = strum(1000, { motionTime: 990, predicted: true });
+
+        expect(recorded).toMatchObject({
+            detection: 20,
+            analysis: 2,
+            scheduling: 18,
+            output: 10,
+            total: 60,
+            predicted: true
+        });
+        // Without a crossing time, motion-to-sound runs from the frame's capture
+        expect(strum(2000).total).toBe(50);
+    });
+
+    test('statistics should cover a rolling window of samples', () => {
+        for (let i = 0; i < 30; i += 1) {
+            monitor.recordFrame({ captureTime: i * 33, detectedTime: i * 33 + i });
+        }
+        for (let i = 0; i < 19; i += 1) {
+            strum(i * 100);
+        }
+        strum(5000, { scheduledTime: 5100 });
+
+        const stats = monitor.getStats();
+        expect(stats.frames).toBe(30);
+        expect(stats.fps).toBeCloseTo(1000 / 33, 6);
+        expect(stats.stages.detection).toMatchObject({ count: 20, max: 29 });
+        expect(stats.total.count).toBe(20);
+        expect(stats.total.p95).toBe(50);
+        expect(stats.total.max).toBe(110);
+        expect(stats.withinTarget).toBe(true);
+    });
+
+    test('the report and HUD should describe what was measured', () => {
+        expect(monitor.getHudLines()[0]).toBe('Motion → sound: strum to measure');
+
+        strum(0, { motionTime: -30.04, predicted: true });
+        const report = monitor.getReport({ detection: 'worker' });
+
+        expect(report).toMatchObject({ type: 'latency-report', detection: 'worker' });
+        expect(report.strums[0].total).toBe(80);
+        expect(report.stats.withinTarget).toBe(false);
+        expect(monitor.getHudLines()).toEqual([
+            'Motion → sound 80 ms (p95 80 ms, over 50 ms)',
+            'Detection → strum decision 2 ms',
+            'Decision → note start 18 ms',
+            'Audio output 10 ms',
+            '0 fps, 1 strums (1 predicted)'
+        ]);
+    });
+});
+
+describe('MotionAnalysis predictive strumming', () => {
+    let motionAnalysis;
+    let time;
+
+    // Process one frame with the strumming hand's index fingertip at y
+    function frame(y) {
+        time += 33;
+        const probe = createHand({ x: 200, y: 0 });
+        const handData = { left: createHand({ x: 200, y: y - probe.keypoints[8].y }), right: null };
+        return motionAnalysis.processHandData(handData, null, {}, time);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setup();
+        motionAnalysis.setFrameSize(640, 480);
+        motionAnalysis.setGuitarPlaneAngle(90);
+        motionAnalysis.setStringLines(STRING_LINES);
+        motionAnalysis.setPredictiveStrumming(true);
+        time = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a crossing due before the next frame should strum a frame early', () => {
+        const line = motionAnalysis.getStrumLine();
+        expect(line).toBe(284.5);
+
+        expect(frame(200).strumDetected).toBe(false);
+        expect(frame(230).strumDetected).toBe(false);
+
+        const early = frame(260);
+        expect(early).toMatchObject({
+            strumDetected: true,
+            strumDirection: 'down',
+            strumPredicted: true
+        });
+        // 30 px a frame: the line is 24.5 px away
+        expect(early.strumTime).toBeCloseTo(99 + 24.5 * (33 / 30), 6);
+
+        // The frames showing the crossing don't strum it again
+        expect(frame(290).strumDetected).toBe(false);
+        expect(frame(320).strumDetected).toBe(false);
+        expect(frame(290).strumDirection).toBeNull();
+    });
+
+    test('a stroke that turns back short of the line should leave the next one to strum', () => {
+        frame(200);
+        frame(230);
+        expect(frame(260).strumPredicted).toBe(true);
+        frame(240);
+
+        expect(frame(300)).toMatchObject({ strumDetected: true, strumPredicted: false });
+    });
+
+    test('a crossing nobody saw coming should strum when it shows, timed back', () => {
+        frame(200);
+        frame(215);
+        const late = frame(300);
+
+        expect(late).toMatchObject({ strumDetected: true, strumPredicted: false });
+        expect(late.strumTime).toBeCloseTo(66 + (284.5 - 215) * (33 / 85), 6);
+    });
+
+    test('without prediction a crossing should strum once a frame shows it', () => {
+        motionAnalysis.setPredictiveStrumming(false);
+        frame(200);
+        frame(230);
+
+        expect(frame(260).strumDetected).toBe(false);
+        // Still within the hysteresis band past the line
+        expect(frame(290).strumDetected).toBe(false);
+        expect(frame(320)).toMatchObject({ strumDetected: true, strumPredicted: false });
+    });
+});
+
+describe('SoundEngine strum scheduling', () => {
+    let soundEngine;
+
+    function strum(strumTime) {
+        return soundEngine.playStrum({
+            strumDetected: true,
+            strumDirection: 'down',
+            strumIntensity: 1,
+            fretPosition: 0,
+            chordType: 'E',
+            strumTime
+        });
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(performance, 'now').mockReturnValue(1000);
+        global.Tone = { now: () => 1.02, getContext: () => ({ currentTime: 1 }) };
+        soundEngine = new SoundEngine();
+        soundEngine.initialized = true;
+        soundEngine.polySynth = {};
+        soundEngine.triggerString = jest.fn();
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+        jest.restoreAllMocks();
+    });
+
+    function firstStringTime() {
+        return soundEngine.triggerString.mock.calls[0][3];
+    }
+
+    test('a predicted strum should wait for the crossing', () => {
+        expect(strum(1050)).toBeCloseTo(1050, 6);
+        expect(firstStringTime()).toBeCloseTo(1.05, 6);
+    });
+
+    test('late strums should play at once and far-off ones no later than the limit', () => {
+        expect(strum(980)).toBeCloseTo(1020, 6);
+        expect(firstStringTime()).toBeCloseTo(1.02, 6);
+
+        soundEngine.triggerString.mockClear();
+        strum(5000);
+        expect(firstStringTime()).toBeCloseTo(1 + soundEngine.maxScheduleAhead, 6);
+    });
+
+    test('strums in quick succession should all play, as motion analysis decided', () => {
+        strum(1000);
+        strum(1000);
+
+        expect(soundEngine.triggerString).toHaveBeenCalledTimes(12);
+    });
+});
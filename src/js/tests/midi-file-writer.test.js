@@ -0,0 +1,130 @@
+/**
+ * MIDI File Writer - Unit Tests
+ *
+ * Checks the Standard MIDI File layout: the tempo track, a track and channel per
+ * string, note timing in ticks and strings cutting their own previous note.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { MidiFileWriter } from '../modules/midi-file-writer.js';
+
+// Split a MIDI file into its chunks: { id, data }
+function readChunks(bytes) {
+    const chunks = [];
+    let offset = 0;
+    while (offset < bytes.length) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + offset);
+        const id = String.fromCharCode(...bytes.slice(offset, offset + 4));
+        const length = view.getUint32(4);
+        chunks.push({ id, data: bytes.slice(offset + 8, offset + 8 + length) });
+        offset += 8 + length;
+    }
+    return chunks;
+}
+
+// Read a track's events as [absolute tick, status, ...data]; meta events keep their type
+function readEvents(data) {
+    const events = [];
+    let offset = 0;
+    let tick = 0;
+    while (offset < data.length) {
+        let delta = 0;
+        let byte;
+        do {
+            byte = data[offset];
+            delta = delta * 128 + (byte % 128);
+            offset += 1;
+        } while (byte >= 128);
+        tick += delta;
+
+        const status = data[offset];
+        if (status === 0xFF) {
+            const length = data[offset + 2];
+            events.push([tick, status, data[offset + 1]]);
+            offset += 3 + length;
+        } else {
+            const size = status >= 0xC0 && status < 0xE0 ? 2 : 3;
+            events.push([tick, ...data.slice(offset, offset + size)]);
+            offset += size;
+        }
+    }
+    return events;
+}
+
+// A note as the sound engine logs it
+function played(stringIndex, note, time, duration, velocity) {
+    return {
+        stringIndex, note, time, duration, velocity
+    };
+}
+
+describe('MidiFileWriter', () => {
+    test('the header and tempo track should follow the session tempo', () => {
+        const chunks = readChunks(MidiFileWriter.encode([], { bpm: 100, ppq: 96 }));
+
+        expect(chunks.map(({ id }) => id)).toEqual(['MThd', 'MTrk']);
+        expect(Array.from(chunks[0].data)).toEqual([0, 1, 0, 1, 0, 96]);
+
+        const tempo = chunks[1].data;
+        const setTempo = tempo.findIndex((byte, i) => byte === 0xFF && tempo[i + 1] === 0x51);
+        expect(Array.from(tempo.slice(setTempo + 3, setTempo + 6))).toEqual([0x09, 0x27, 0xC0]);
+        expect(Array.from(tempo.slice(-3))).toEqual([0xFF, 0x2F, 0]);
+    });
+
+    test('each string should get its own channel and track', () => {
+        const notes = [
+            played(0, 'E2', 0, 0.5, 1),
+            played(1, 'B2', 0.01, 0.5, 0.5),
+            played(10, 'C4', 0, 0.5, 0.5),
+            played(null, 'G4', 1, 0.25, 0.8)
+        ];
+        const chunks = readChunks(MidiFileWriter.encode(notes, {
+            bpm: 120,
+            ppq: 480,
+            trackNames: ['E2 string']
+        }));
+        expect(chunks).toHaveLength(6);
+
+        const [low, second, eleventh, single] = chunks.slice(2).map(({ data }) => readEvents(data));
+        // A second at 120 bpm is 960 ticks; the 10 ms stagger survives as 10 ticks
+        expect(low.slice(1, 4)).toEqual([
+            [0, 0xC0, 25],
+            [0, 0x90, 40, 127],
+            [480, 0x80, 40, 0]
+        ]);
+        expect(second[2]).toEqual([10, 0x91, 47, 64]);
+        // Channel 10 is left to drums
+        expect(eleventh[2][1]).toBe(0x9B);
+        expect(single.slice(2, 4)).toEqual([[960, 0x9F, 67, 102], [1200, 0x8F, 67, 0]]);
+
+        const name = String.fromCharCode(...chunks[2].data.slice(4, 13));
+        expect(name).toBe('E2 string');
+    });
+
+    test('a new note on a string should end the one before it', () => {
+        const notes = [
+            played(2, 'E3', 0, 1, 1),
+            played(2, 'E3', 0.25, 1, 1),
+            played(2, 'G#3', 0.5, 0.1, 1)
+        ];
+        const [, , track] = readChunks(MidiFileWriter.encode(notes));
+
+        const noteEvents = readEvents(track.data).filter(([, status]) => status < 0xC0);
+        expect(noteEvents).toEqual([
+            [0, 0x92, 52, 127],
+            [240, 0x82, 52, 0],
+            [240, 0x92, 52, 127],
+            [480, 0x82, 52, 0],
+            [480, 0x92, 56, 127],
+            [576, 0x82, 56, 0]
+        ]);
+    });
+
+    test('lengths should be written as variable-length quantities', () => {
+        expect(MidiFileWriter.varLengthBytes(0)).toEqual([0]);
+        expect(MidiFileWriter.varLengthBytes(127)).toEqual([0x7F]);
+        expect(MidiFileWriter.varLengthBytes(128)).toEqual([0x81, 0]);
+        expect(MidiFileWriter.varLengthBytes(0x0FFFFFFF)).toEqual([0xFF, 0xFF, 0xFF, 0x7F]);
+    });
+});
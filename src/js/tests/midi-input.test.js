@@ -0,0 +1,134 @@
+/**
+ * MIDI Input - Unit Tests
+ *
+ * Feeds messages through a mock MIDIAccess input port: chords named from held notes,
+ * program change presets, effect controllers and tempo from MIDI clock.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { ChordLibrary } from '../modules/chord-library.js';
+import { MidiInput } from '../modules/midi-input.js';
+
+// A MIDIAccess with the given input ports
+function createMidiAccess(names) {
+    const inputs = new Map(names.map((name, index) => [
+        `port-${index}`,
+        { id: `port-${index}`, name, onmidimessage: null }
+    ]));
+    return { inputs, onstatechange: null };
+}
+
+describe('ChordLibrary.identify', () => {
+    test('held notes should be named with the bass as root where possible', () => {
+        expect(ChordLibrary.identify([48, 52, 55])).toBe('C');
+        expect(ChordLibrary.identify([40, 47, 52, 55, 59, 64])).toBe('Em');
+        expect(ChordLibrary.identify([43, 47, 50, 53])).toBe('G7');
+        expect(ChordLibrary.identify([52, 55, 60])).toBe('C/E');
+        expect(ChordLibrary.identify([60, 67])).toBe('C5');
+        expect(ChordLibrary.identify([57])).toBe('A');
+        expect(ChordLibrary.identify([])).toBeNull();
+    });
+});
+
+describe('MidiInput', () => {
+    let midiAccess;
+    let port;
+    let input;
+
+    function message(...data) {
+        port.onmidimessage({ data, timeStamp: 0 });
+    }
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        midiAccess = createMidiAccess(['Keys', 'Pedals']);
+        port = midiAccess.inputs.get('port-1');
+        input = new MidiInput({ midiAccess });
+        await input.init();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('only the selected port should be listened to', () => {
+        expect(input.getPorts()).toEqual([
+            { id: 'port-0', name: 'Keys' },
+            { id: 'port-1', name: 'Pedals' }
+        ]);
+        expect(input.selectPort('port-1')).toBe(true);
+        expect(port.onmidimessage).toEqual(expect.any(Function));
+
+        input.selectPort('port-0');
+        expect(port.onmidimessage).toBeNull();
+        expect(input.selectPort('missing')).toBe(false);
+    });
+
+    test('a chord should be latched from the held notes until cleared', () => {
+        const chordCallback = jest.fn();
+        input.setChordCallback(chordCallback);
+        input.selectPort('port-1');
+
+        message(0x90, 45, 100);
+        message(0x90, 52, 100);
+        message(0x90, 60, 100);
+        // A note on with no velocity releases the note
+        message(0x90, 45, 0);
+        message(0x80, 52, 0);
+        message(0x80, 60, 0);
+
+        expect(input.getChord()).toEqual({
+            name: 'Am', confidence: 1, source: 'midi', midiNotes: [45, 52, 60]
+        });
+        expect(chordCallback.mock.calls.map(([chord]) => chord.name)).toEqual(['A', 'A5', 'Am']);
+
+        // A new chord starts from the notes held now
+        message(0x91, 43, 100);
+        expect(input.getChord().name).toBe('G');
+
+        input.clearChord();
+        expect(input.getChord()).toBeNull();
+    });
+
+    test('program changes should pick presets and controllers move levels', () => {
+        const presetCallback = jest.fn();
+        const levelCallback = jest.fn();
+        input.setPresetCallback(presetCallback);
+        input.setLevelCallback(levelCallback);
+        input.selectPort('port-1');
+
+        message(0xC0, 1);
+        message(0xC3, 7);
+        message(0xC0, 4);
+        expect(presetCallback.mock.calls.map(([preset]) => preset.guitarType))
+            .toEqual(['electric', 'electric', 'physical']);
+        expect(presetCallback.mock.calls[0][0].effects).toMatchObject({ distortion: 0.4 });
+
+        message(0xB0, 91, 127);
+        message(0xB2, 7, 0);
+        message(0xB0, 1, 64); // Modulation isn't mapped
+        expect(levelCallback.mock.calls).toEqual([['reverb', 1], ['volume', 0]]);
+    });
+
+    test('MIDI clock should set the tempo once a beat of ticks has arrived', () => {
+        const tempoCallback = jest.fn();
+        input.setTempoCallback(tempoCallback);
+        input.selectPort('port-1');
+
+        // 24 ticks a beat at 100 BPM are 25 ms apart
+        const tick = (time) => port.onmidimessage({ data: [0xF8], timeStamp: time });
+        for (let i = 0; i < 24; i += 1) tick(i * 25);
+        expect(tempoCallback).not.toHaveBeenCalled();
+
+        tick(24 * 25);
+        expect(tempoCallback).toHaveBeenCalledWith(100);
+
+        // Jitter is ignored; stop starts the count again
+        tick(25 * 25 + 0.1);
+        expect(tempoCallback).toHaveBeenCalledTimes(1);
+        port.onmidimessage({ data: [0xFC], timeStamp: 0 });
+        for (let i = 0; i < 25; i += 1) tick(1000 + i * 20);
+        expect(tempoCallback).toHaveBeenLastCalledWith(125);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * MIDI Output - Unit Tests
+ *
+ * Drives a mock MIDIAccess instead of hardware: ports coming and going, notes per
+ * string channel with the sound engine's timing, bends, controllers and routing.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { MidiOutput } from '../modules/midi-output.js';
+import { SoundEngine } from '../modules/sound-engine.js';
+
+// A MIDIAccess with the given output ports, each recording what is sent to it
+function createMidiAccess(names) {
+    const outputs = new Map(names.map((name, index) => [
+        `port-${index}`,
+        { id: `port-${index}`, name, send: jest.fn() }
+    ]));
+    return { outputs, onstatechange: null };
+}
+
+// Messages sent to a port as [status, data..., timestamp]
+function sent(port) {
+    return port.send.mock.calls.map(([data, timestamp]) => [...data, timestamp]);
+}
+
+describe('MidiOutput ports', () => {
+    test('ports should be listed and a vanished port let go', async () => {
+        const midiAccess = createMidiAccess(['Synth', 'DAW']);
+        const output = new MidiOutput({ midiAccess });
+        const portsCallback = jest.fn();
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await output.init();
+        output.setPortsCallback(portsCallback);
+        expect(output.getPorts()).toEqual([
+            { id: 'port-0', name: 'Synth' },
+            { id: 'port-1', name: 'DAW' }
+        ]);
+        expect(output.selectPort('port-1')).toBe(true);
+        expect(output.isConnected()).toBe(true);
+        expect(output.selectPort('missing')).toBe(false);
+
+        output.selectPort('port-1');
+        midiAccess.outputs.delete('port-1');
+        midiAccess.onstatechange();
+        expect(output.isConnected()).toBe(false);
+        expect(portsCallback).toHaveBeenCalledWith([{ id: 'port-0', name: 'Synth' }]);
+
+        jest.restoreAllMocks();
+    });
+});
+
+describe('SoundEngine MIDI routing', () => {
+    let soundEngine;
+    let port;
+
+    function strum(overrides = {}) {
+        soundEngine.playStrum({
+            strumDetected: true,
+            strumDirection: 'down',
+            strumIntensity: 1,
+            fretPosition: 0,
+            chordType: 'E',
+            ...overrides
+        });
+    }
+
+    beforeEach(async () => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(performance, 'now').mockReturnValue(1000);
+        global.Tone = {
+            now: () => 1,
+            getContext: () => ({ currentTime: 1 }),
+            Time: (duration) => ({ toSeconds: () => (duration === '8n' ? 0.25 : duration) })
+        };
+
+        const midiAccess = createMidiAccess(['Synth']);
+        port = midiAccess.outputs.get('port-0');
+        const midiOutput = new MidiOutput({ midiAccess });
+        await midiOutput.init();
+        midiOutput.selectPort('port-0');
+
+        soundEngine = new SoundEngine();
+        soundEngine.initialized = true;
+        soundEngine.polySynth = { triggerAttackRelease: jest.fn() };
+        soundEngine.stringVoices = soundEngine.strings.map(() => ({
+            detune: {
+                cancelScheduledValues: jest.fn(),
+                setValueAtTime: jest.fn(),
+                rampTo: jest.fn()
+            },
+            triggerAttackRelease: jest.fn()
+        }));
+        soundEngine.setMidiOutput(midiOutput);
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('local routing should send nothing', () => {
+        strum();
+
+        expect(port.send).not.toHaveBeenCalled();
+        expect(soundEngine.stringVoices[0].triggerAttackRelease).toHaveBeenCalled();
+    });
+
+    test('each string should sound on its own channel with the strum stagger', () => {
+        soundEngine.setMidiRouting('both');
+        strum({ strumIntensity: 0.5 });
+
+        const noteOns = sent(port).filter(([status]) => status >= 0x90 && status < 0xA0);
+        const chordNotes = soundEngine.getChordNotes('E', 0).filter(Boolean);
+        expect(noteOns).toHaveLength(chordNotes.length);
+        // Velocity follows strum intensity: (0.5 + 0.5 * 0.5) * 127
+        expect(noteOns[0]).toEqual([0x90, 40, 95, 1000]);
+        expect(noteOns[1][0]).toBe(0x91);
+        expect(noteOns[1][3]).toBeCloseTo(1010, 6);
+        expect(soundEngine.stringVoices[0].triggerAttackRelease).toHaveBeenCalled();
+    });
+
+    test('MIDI only routing should leave the built-in voices silent', () => {
+        soundEngine.setMidiRouting('midi');
+        strum();
+
+        expect(port.send).toHaveBeenCalled();
+        soundEngine.stringVoices.forEach((voice) => {
+            expect(voice.triggerAttackRelease).not.toHaveBeenCalled();
+        });
+    });
+
+    test('a note off should wait until due and be cut short by a new note', () => {
+        soundEngine.setMidiRouting('midi');
+        soundEngine.playPluck({ plucks: [{ stringIndex: 0, intensity: 1 }], fretPosition: 0 });
+        soundEngine.playPluck({ plucks: [{ stringIndex: 0, intensity: 1 }], fretPosition: 2 });
+
+        const lowString = sent(port).filter(([status]) => status % 16 === 0 && status < 0xB0);
+        expect(lowString).toEqual([
+            [0x90, 40, 127, 1000],
+            [0x80, 40, 0, 1000],
+            [0x90, 42, 127, 1000]
+        ]);
+
+        jest.runAllTimers();
+        expect(sent(port).slice(-1)).toEqual([[0x80, 42, 0, 1000 + 600]]);
+    });
+
+    test('bends and effect levels should go to the strings played', () => {
+        soundEngine.setMidiRouting('both');
+        soundEngine.effects.reverb = { wet: { setValueAtTime: jest.fn() } };
+        strum();
+        port.send.mockClear();
+
+        soundEngine.applyExpression({ detune: 100 });
+        expect(sent(port)).toContainEqual([0xE1, 0, 96, 1000]);
+
+        port.send.mockClear();
+        soundEngine.setEffectLevel('reverb', 0.5);
+        const channels = sent(port).map(([status, controller, value]) => (
+            [status - 0xB0, controller, value]
+        ));
+        expect(channels).toContainEqual([0, 91, 64]);
+        expect(channels).toContainEqual([5, 91, 64]);
+    });
+});
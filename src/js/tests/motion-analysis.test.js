@@ -0,0 +1,599 @@
+/**
+ * Motion Analysis - Unit Tests
+ *
+ * Feeds synthetic hands through motion analysis to check strum detection, lead mode
+ * plucking of individual strings, fret-hand expression and playing technique detection.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { HandTracking } from '../modules/hand-tracking.js';
+import { MotionAnalysis } from '../modules/motion-analysis.js';
+import { SoundEngine } from '../modules/sound-engine.js';
+import { createHand } from './fixtures/synthetic-hands.js';
+
+// String lines as the fretboard overlay draws them on a 640x480 frame, low E first
+const STRING_LINES = [231, 252, 274, 295, 317, 338];
+
+// Strumming hand (displayed left) with its index fingertip at the given height, and at
+// tipX if given
+function strummingHandWithTipAt(tipY, tipX = null) {
+    const probe = createHand({ x: 0, y: 0 });
+    return createHand({
+        x: tipX === null ? 200 : tipX - probe.keypoints[8].x,
+        y: tipY - probe.keypoints[8].y
+    });
+}
+
+// Mirror a hand about its wrist, turning its palm the other way round to the camera
+function mirrorHand(hand) {
+    const wristX = hand.keypoints[0].x;
+    return {
+        ...hand,
+        keypoints: hand.keypoints.map((point) => ({ ...point, x: 2 * wristX - point.x })),
+        keypoints3D: hand.keypoints3D.map((point) => ({ ...point, x: -point.x }))
+    };
+}
+
+describe('MotionAnalysis strum detection', () => {
+    let motionAnalysis;
+    let time;
+
+    // Process one frame with the strumming fingertip at tipY (and tipX), frameTime ms on
+    function frame(tipY, { tipX = null, frameTime = 33 } = {}) {
+        time += frameTime;
+        const handData = { left: strummingHandWithTipAt(tipY, tipX), right: null };
+        return motionAnalysis.processHandData(handData, null, {}, time);
+    }
+
+    // Directions of the strums in a sequence of fingertip heights
+    function strumsFor(tipYs) {
+        return tipYs
+            .map((tipY) => frame(tipY))
+            .filter((result) => result.strumDetected)
+            .map((result) => result.strumDirection);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setup();
+        motionAnalysis.setFrameSize(640, 480);
+        motionAnalysis.setGuitarPlaneAngle(90);
+        motionAnalysis.setStringLines(STRING_LINES);
+        time = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('each stroke should strum once, as the fingertip crosses the strum line', () => {
+        const down = Array.from({ length: 19 }, (_, i) => 200 + i * 10);
+        const up = [...down].reverse();
+
+        expect(strumsFor([...down, ...up])).toEqual(['down', 'up']);
+    });
+
+    test('the crossing should be timed between the frames either side of it', () => {
+        frame(270);
+        const result = frame(300);
+
+        expect(result.strumDetected).toBe(true);
+        expect(result.strumTime).toBeCloseTo(33 + 33 * (14.5 / 30), 6);
+        expect(result.strumPredicted).toBe(false);
+    });
+
+    test('jitter around the strum line should not strum again', () => {
+        expect(strumsFor([250, 300])).toEqual(['down']);
+        expect(strumsFor([280, 290, 279, 291, 280, 300, 278])).toEqual([]);
+    });
+
+    test('a slow drift across the strings should not strum', () => {
+        const drift = Array.from({ length: 20 }, (_, i) => 265 + i * 2);
+
+        expect(strumsFor(drift)).toEqual([]);
+    });
+
+    test('velocity should be in frame heights per second at any resolution or frame rate', () => {
+        // The same stroke, at 30 px per 33 ms of a 480 px frame
+        function strokeAt(scale, frameTime) {
+            motionAnalysis.reset();
+            motionAnalysis.setFrameSize(640 * scale, 480 * scale);
+            motionAnalysis.setStringLines(STRING_LINES.map((y) => y * scale));
+            let strum = null;
+            for (let t = 0; !strum; t += frameTime) {
+                const result = frame((200 + (t * 30) / 33) * scale, { frameTime });
+                strum = result.strumDetected ? result : null;
+            }
+            return strum;
+        }
+
+        const reference = strokeAt(1, 33);
+        expect(reference.strumVelocity).toBeCloseTo(30 / 0.033 / 480, 6);
+        expect(strokeAt(2, 33).strumVelocity).toBeCloseTo(reference.strumVelocity, 6);
+        expect(strokeAt(1, 16.5).strumVelocity).toBeCloseTo(reference.strumVelocity, 6);
+        expect(strokeAt(2, 16.5).strumIntensity).toBeCloseTo(reference.strumIntensity, 6);
+    });
+
+    test('intensity should be calibrated to the strum speed range', () => {
+        motionAnalysis.setStrumSpeedRange(0.5, 2.5);
+        frame(240, { frameTime: 40 });
+        frame(268.8, { frameTime: 40 });
+        const result = frame(297.6, { frameTime: 40 });
+
+        // 28.8 px per 40 ms is 1.5 frame heights a second, midway through the range
+        expect(result.strumVelocity).toBeCloseTo(1.5, 6);
+        expect(result.strumIntensity).toBeCloseTo(0.5, 6);
+    });
+
+    test('the strings should tilt with the guitar plane angle', () => {
+        const sweep = () => [100, 130, 160, 190, 220]
+            .map((tipX) => frame(284.5, { tipX }))
+            .filter((result) => result.strumDetected)
+            .map((result) => result.strumDirection);
+
+        // Level strings: sliding along them never crosses
+        expect(sweep()).toEqual([]);
+
+        // Strings rising towards the fret hand are crossed moving that way at the same height
+        motionAnalysis.reset();
+        motionAnalysis.setGuitarPlaneAngle(45);
+        expect(sweep()).toEqual(['down']);
+    });
+});
+
+describe('MotionAnalysis lead mode', () => {
+    let motionAnalysis;
+    let time;
+
+    // Process one frame with the fingertip at tipY and return the result
+    function frame(tipY, frameTime = 33) {
+        time += frameTime;
+        const handData = { left: strummingHandWithTipAt(tipY), right: null };
+        return motionAnalysis.processHandData(handData, null, {}, time);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setup();
+        motionAnalysis.setFrameSize(640, 480);
+        motionAnalysis.setPlayMode('lead');
+        motionAnalysis.setStringLines(STRING_LINES);
+        time = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('the string nearest the fingertip should be selected', () => {
+        expect(frame(250).selectedString).toBe(1);
+        expect(frame(335).selectedString).toBe(5);
+    });
+
+    test('crossing a string line should pluck only that string', () => {
+        frame(240);
+        const result = frame(260);
+
+        expect(result.plucks.length).toBe(1);
+        expect(result.plucks[0].stringIndex).toBe(1);
+        expect(result.plucks[0].direction).toBe('down');
+        // 20 px per 33 ms of a 480 px frame, against 3 frame heights a second at full
+        expect(result.plucks[0].intensity).toBeCloseTo(20 / 480 / 0.033 / 3, 6);
+        expect(result.strumDetected).toBe(false);
+    });
+
+    test('the same pluck should play as loud at any frame rate', () => {
+        frame(240);
+        const at30 = frame(260).plucks[0].intensity;
+
+        motionAnalysis.reset();
+        frame(245, 16.5);
+        frame(250, 16.5);
+        const at60 = frame(260, 16.5).plucks[0].intensity;
+
+        expect(at60).toBeCloseTo(at30, 6);
+    });
+
+    test('a fast sweep over several strings should pluck the last one crossed', () => {
+        frame(320);
+        const up = frame(240);
+        frame(225);
+        const down = frame(300);
+
+        expect(up.plucks.map((pluck) => [pluck.stringIndex, pluck.direction]))
+            .toEqual([[1, 'up']]);
+        expect(down.plucks.map((pluck) => [pluck.stringIndex, pluck.direction]))
+            .toEqual([[3, 'down']]);
+    });
+
+    test('jitter around a string line should not retrigger within the cooldown', () => {
+        frame(270);
+        const first = frame(278);
+        const jitter = frame(272);
+        frame(272);
+        const again = frame(280);
+
+        expect(first.plucks.length).toBe(1);
+        expect(jitter.plucks.length).toBe(0);
+        expect(again.plucks.length).toBe(1);
+    });
+
+    test('chord mode should not pluck', () => {
+        motionAnalysis.setPlayMode('chord');
+        frame(240);
+
+        expect(frame(260).plucks).toEqual([]);
+    });
+});
+
+describe('SoundEngine lead mode', () => {
+    test('plucks should play the open string transposed by the fret', () => {
+        const soundEngine = new SoundEngine();
+        soundEngine.playNote = jest.fn();
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+
+        soundEngine.playPluck({
+            plucks: [{ stringIndex: 1, direction: 'down', intensity: 1 }],
+            fretPosition: 3
+        });
+
+        expect(soundEngine.getStringNote(0, 0)).toBe('E2');
+        expect(soundEngine.getStringNote(5, 5)).toBe('A4');
+        expect(soundEngine.playNote).toHaveBeenCalledWith('C3', 0.6, 1);
+    });
+
+    test('a muted engine should not play plucks or dead notes', () => {
+        const soundEngine = new SoundEngine();
+        soundEngine.playNote = jest.fn();
+        soundEngine.playDeadNote = jest.fn();
+        soundEngine.setMuted(true);
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+
+        const plucks = [{ stringIndex: 1, direction: 'down', intensity: 1 }];
+        soundEngine.playPluck({ plucks, fretPosition: 3, technique: 'dead_note' });
+        soundEngine.playPluck({ plucks, fretPosition: 3 });
+
+        expect(soundEngine.playDeadNote).not.toHaveBeenCalled();
+        expect(soundEngine.playNote).not.toHaveBeenCalled();
+    });
+});
+
+describe('MotionAnalysis expression', () => {
+    let motionAnalysis;
+    let time;
+    let handY;
+
+    // Process one frame with the fret wrist at fretX and the fret hand rolled by roll degrees.
+    // A strum sweeps the strumming fingertip down across the middle of the frame; the fret
+    // hand drops with it, so the distance between the hands is unchanged.
+    function frame(fretX, { roll = 0, strum = false } = {}) {
+        time += 33;
+        if (strum) {
+            handY += 200;
+        }
+        const handData = {
+            left: createHand({ x: 100, y: handY }),
+            right: createHand({ x: fretX, y: handY })
+        };
+        return motionAnalysis.processHandData(handData, null, { right: { roll } }, time);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setup();
+        motionAnalysis.setFrameSize(640, 480);
+        motionAnalysis.setGuitarPlaneAngle(90);
+        time = 0;
+        handY = 250;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fret position should also be reported unquantised', () => {
+        const result = frame(380);
+
+        expect(result.fretContinuous).toBeCloseTo(6, 5);
+        expect(result.fretPosition).toBe(6);
+    });
+
+    test('without a sustaining note there should be no expression', () => {
+        frame(380);
+
+        expect(frame(300, { roll: 40 }).expression).toEqual({
+            slide: 0,
+            vibrato: 0,
+            bend: 0,
+            detune: 0
+        });
+    });
+
+    test('sliding the fret hand along the neck should glide the pitch', () => {
+        for (let i = 0; i < 5; i += 1) frame(380);
+        frame(380, { strum: true });
+
+        let result;
+        for (let i = 0; i < 15; i += 1) {
+            // 560px of hand distance spans 12 frets, so 280/3px is two frets closer
+            result = frame(380 - (280 / 3) * Math.min((i + 1) / 4, 1));
+        }
+
+        expect(result.expression.slide).toBeCloseTo(2, 1);
+        expect(result.expression.detune).toBeGreaterThan(180);
+    });
+
+    test('a small wobble of the fret wrist should add vibrato in both directions', () => {
+        for (let i = 0; i < 5; i += 1) frame(380);
+        frame(380, { strum: true });
+
+        // About 5 Hz at 30 frames per second
+        const vibrato = [];
+        for (let i = 0; i < 18; i += 1) {
+            vibrato.push(frame(380 + 10 * Math.sin((i * Math.PI) / 3)).expression.vibrato);
+        }
+
+        expect(Math.max(...vibrato)).toBeGreaterThan(0.1);
+        expect(Math.min(...vibrato)).toBeLessThan(-0.1);
+        expect(Math.max(...vibrato.map(Math.abs))).toBeLessThanOrEqual(motionAnalysis.maxVibrato);
+    });
+
+    test('rolling the fret hand should bend up to a whole tone', () => {
+        frame(380, { roll: 10 });
+        frame(380, { roll: 10, strum: true });
+
+        expect(frame(380, { roll: 12 }).expression.bend).toBe(0);
+        expect(frame(380, { roll: 30 }).expression.bend).toBeCloseTo(1, 5);
+        expect(frame(380, { roll: 90 }).expression.bend).toBe(2);
+    });
+
+    test('expression should stop once the note has had time to decay', () => {
+        frame(380);
+        frame(380, { strum: true });
+        time += motionAnalysis.expressionHoldTime;
+
+        expect(frame(380, { roll: 60 }).expression.detune).toBe(0);
+    });
+});
+
+describe('SoundEngine expression', () => {
+    afterEach(() => {
+        delete global.Tone;
+    });
+
+    test('detune should only move the strings that are still sounding', () => {
+        global.Tone = { now: () => 2 };
+        const soundEngine = new SoundEngine();
+        soundEngine.initialized = true;
+        soundEngine.stringVoices = soundEngine.strings.map(() => ({
+            detune: { rampTo: jest.fn() }
+        }));
+        soundEngine.sustainingStrings = new Set([1, 2]);
+
+        soundEngine.applyExpression({ detune: 150 });
+        soundEngine.applyExpression({ detune: 150 });
+
+        expect(soundEngine.stringVoices[1].detune.rampTo).toHaveBeenCalledTimes(1);
+        expect(soundEngine.stringVoices[1].detune.rampTo).toHaveBeenCalledWith(150, 0.03, 2);
+        expect(soundEngine.stringVoices[0].detune.rampTo).not.toHaveBeenCalled();
+    });
+});
+
+describe('MotionAnalysis technique', () => {
+    let motionAnalysis;
+    let handTracking;
+
+    // Technique detected for a strumming hand and fret hand over a few frames
+    function techniqueFor(strumming, fretting) {
+        handTracking.hands = { left: strumming, right: fretting };
+        const orientations = handTracking.getHandOrientations();
+        let technique;
+        for (let i = 0; i < motionAnalysis.techniqueHoldFrames; i += 1) {
+            technique = motionAnalysis.updateTechnique(orientations);
+        }
+        return technique;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setup();
+        motionAnalysis.setFrameSize(640, 480);
+        handTracking = new HandTracking(null, null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a technique should only apply once it persists for several frames', () => {
+        const palmMute = { left: { isPalmFacingCamera: true, angle: 0 }, right: null };
+        const fingerPick = { left: { isPalmFacingCamera: false, angle: 70 }, right: null };
+
+        expect(motionAnalysis.updateTechnique(palmMute)).toBe('normal');
+        expect(motionAnalysis.updateTechnique(palmMute)).toBe('normal');
+        expect(motionAnalysis.updateTechnique(palmMute)).toBe('palm_mute');
+
+        // A single glitched frame doesn't switch technique
+        expect(motionAnalysis.updateTechnique(fingerPick)).toBe('palm_mute');
+        expect(motionAnalysis.updateTechnique(palmMute)).toBe('palm_mute');
+        expect(motionAnalysis.updateTechnique(fingerPick)).toBe('palm_mute');
+    });
+
+    test('the strumming hand should select normal, palm mute and finger picking', () => {
+        const backOfHand = mirrorHand(createHand({ x: 200 }));
+        const openFretHand = createHand({ x: 480 });
+
+        expect(techniqueFor(backOfHand, openFretHand)).toBe('normal');
+        expect(techniqueFor(createHand({ x: 200 }), openFretHand)).toBe('palm_mute');
+        expect(techniqueFor(mirrorHand(createHand({ x: 200, rotation: 70 })), openFretHand))
+            .toBe('finger_pick');
+    });
+
+    test('a closed fret hand should give dead notes', () => {
+        const fist = createHand({ x: 480, curls: [1, 1, 1, 1] });
+
+        expect(techniqueFor(mirrorHand(createHand({ x: 200 })), fist)).toBe('dead_note');
+    });
+
+    test('the technique should be reported in every motion result', () => {
+        const orientations = { left: { isPalmFacingCamera: true, angle: 0 }, right: null };
+        const handData = { left: createHand({ x: 200 }), right: null };
+        let result;
+        for (let i = 0; i < 3; i += 1) {
+            result = motionAnalysis.processHandData(handData, null, orientations, i * 33);
+        }
+
+        expect(result.technique).toBe('palm_mute');
+    });
+});
+
+describe('MotionAnalysis legato', () => {
+    let motionAnalysis;
+    let time;
+
+    // Process one lead mode frame with the fingertip at tipY and the fret wrist at fretX,
+    // level with the strumming wrist
+    function frame(tipY, fretX) {
+        time += 33;
+        const strumming = strummingHandWithTipAt(tipY);
+        const handData = {
+            left: strumming,
+            right: createHand({ x: fretX, y: strumming.keypoints[0].y })
+        };
+        return motionAnalysis.processHandData(handData, null, {}, time);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setup();
+        motionAnalysis.setFrameSize(640, 480);
+        motionAnalysis.setPlayMode('lead');
+        motionAnalysis.setStringLines(STRING_LINES);
+        time = 0;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('jumping frets while a note sounds should hammer on and pull off', () => {
+        frame(220, 480);
+        expect(frame(240, 480).plucks[0].stringIndex).toBe(0);
+
+        // 560px of hand distance spans 12 frets
+        expect(frame(240, 480 - 560 / 6).legato).toEqual({
+            type: 'hammer_on',
+            stringIndex: 0,
+            fretPosition: 8
+        });
+        expect(frame(240, 480).legato).toEqual({
+            type: 'pull_off',
+            stringIndex: 0,
+            fretPosition: 6
+        });
+    });
+
+    test('sliding slowly should not re-pitch the note', () => {
+        frame(220, 480);
+        frame(240, 480);
+
+        for (let i = 1; i <= 10; i += 1) {
+            expect(frame(240, 480 - (560 / 60) * i).legato).toBeNull();
+        }
+    });
+
+    test('without a sounding note there should be no legato', () => {
+        frame(220, 480);
+
+        expect(frame(220, 480 - 560 / 6).legato).toBeNull();
+    });
+});
+
+describe('SoundEngine articulation', () => {
+    let soundEngine;
+
+    function strum(technique, strumDirection = 'down') {
+        soundEngine.playStrum({
+            strumDetected: true,
+            strumDirection,
+            strumIntensity: 1,
+            fretPosition: 0,
+            chordType: 'E',
+            technique
+        });
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        global.Tone = { now: () => 0, getContext: () => ({ currentTime: 0 }) };
+        soundEngine = new SoundEngine();
+        soundEngine.initialized = true;
+        soundEngine.polySynth = { triggerAttackRelease: jest.fn() };
+        soundEngine.chuckSynth = { triggerAttackRelease: jest.fn() };
+        soundEngine.triggerString = jest.fn();
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+        jest.restoreAllMocks();
+    });
+
+    test('palm muted strums should be short and quieter', () => {
+        strum('palm_mute');
+
+        expect(soundEngine.triggerString).toHaveBeenCalledTimes(6);
+        const [, , duration, , velocity] = soundEngine.triggerString.mock.calls[0];
+        expect(duration).toBeLessThan(0.1);
+        expect(velocity).toBeLessThan(1);
+    });
+
+    test('finger picking should roll up from the bass string even on an upstroke', () => {
+        strum('finger_pick', 'up');
+
+        const { calls } = soundEngine.triggerString.mock;
+        expect(calls.map(([stringIndex]) => stringIndex)).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(calls[1][3] - calls[0][3]).toBeGreaterThan(0.05);
+    });
+
+    test('the tone should change when a later-scheduled strum starts', () => {
+        const rampTo = jest.fn();
+        soundEngine.articulationFilter = { frequency: { rampTo } };
+        soundEngine.practiceTransport = { quantize: () => 0.25 };
+        strum('palm_mute');
+
+        expect(rampTo).toHaveBeenCalledWith(700, 0.01, 0.25);
+        expect(soundEngine.triggerString.mock.calls[0][3]).toBe(0.25);
+    });
+
+    test('dead notes should chuck instead of playing pitches', () => {
+        strum('dead_note');
+
+        expect(soundEngine.triggerString).not.toHaveBeenCalled();
+        expect(soundEngine.chuckSynth.triggerAttackRelease).toHaveBeenCalledTimes(1);
+    });
+
+    test('legato should re-pitch the sounding string without a new attack', () => {
+        const voice = {
+            setNote: jest.fn(),
+            triggerAttackRelease: jest.fn(),
+            detune: { cancelScheduledValues: jest.fn(), setValueAtTime: jest.fn() }
+        };
+        soundEngine.stringVoices = soundEngine.strings.map(() => voice);
+
+        soundEngine.playLegato({ legato: { type: 'hammer_on', stringIndex: 1, fretPosition: 2 } });
+
+        expect(voice.setNote).toHaveBeenCalledWith('B2', 0);
+        expect(voice.triggerAttackRelease).not.toHaveBeenCalled();
+    });
+});
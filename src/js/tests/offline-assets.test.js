@@ -0,0 +1,117 @@
+/**
+ * Offline Assets - Unit Tests
+ *
+ * Checks the asset manifest from the offline build and how missing libraries or
+ * model weights are reported, before any backend starts loading a model.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { OfflineAssets } from '../modules/offline-assets.js';
+import { TfjsHandBackend } from '../modules/tfjs-hand-backend.js';
+
+const MANIFEST = {
+    format: 'air-guitar-4d-offline',
+    version: 'abc123',
+    groups: {
+        tfjs: ['models/detector/model.json', 'models/detector/shard.bin'],
+        'mediapipe-hands': ['mediapipe/hands/hands.binarypb']
+    },
+    files: ['index.html', 'vendor/models/detector/model.json']
+};
+
+// Serves the manifest and every vendored file except the missing ones
+function serve({ manifest = MANIFEST, missing = [] } = {}) {
+    global.fetch = jest.fn(async (url) => {
+        const { pathname } = new URL(url);
+        if (pathname.endsWith('/asset-manifest.json')) {
+            return manifest
+                ? { ok: true, status: 200, json: async () => manifest }
+                : { ok: false, status: 404 };
+        }
+        const found = !missing.some((file) => pathname.endsWith(file));
+        return { ok: found, status: found ? 200 : 404 };
+    });
+}
+
+describe('OfflineAssets', () => {
+    afterEach(() => {
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    test('vendored files should resolve against the page', () => {
+        expect(OfflineAssets.url('tfjs/tf.min.js')).toBe(
+            new URL('vendor/tfjs/tf.min.js', document.baseURI).href
+        );
+    });
+
+    test('verify should check each asset of the groups with a HEAD request', async () => {
+        serve();
+        const assets = new OfflineAssets();
+
+        const urls = await assets.verify(['tfjs']);
+        expect(urls).toEqual([
+            OfflineAssets.url('models/detector/model.json'),
+            OfflineAssets.url('models/detector/shard.bin')
+        ]);
+        expect(global.fetch).toHaveBeenCalledWith(urls[1], { method: 'HEAD' });
+
+        // The manifest is only loaded once
+        await assets.verify(['mediapipe-hands']);
+        const manifestLoads = global.fetch.mock.calls
+            .filter(([url]) => url.endsWith('asset-manifest.json'));
+        expect(manifestLoads).toHaveLength(1);
+    });
+
+    test('missing files should be named in the error', async () => {
+        serve({ missing: ['shard.bin'] });
+
+        await expect(new OfflineAssets().verify(['tfjs', 'mediapipe-hands'])).rejects.toThrow(
+            'Missing model assets: vendor/models/detector/shard.bin. Run `npm run build`'
+        );
+    });
+
+    test('an unbuilt or incomplete bundle should say how to build it', async () => {
+        serve({ manifest: null });
+        await expect(new OfflineAssets().verify(['tfjs']))
+            .rejects.toThrow('Offline asset manifest missing (404). Run `npm run build`');
+
+        serve();
+        await expect(new OfflineAssets().verify(['mediapipe-tasks']))
+            .rejects.toThrow('Offline bundle has no mediapipe-tasks assets');
+    });
+
+    test('the service worker should be registered for the bundle version', async () => {
+        serve();
+        const register = jest.fn(async (url) => ({ scope: '/', url }));
+        Object.defineProperty(navigator, 'serviceWorker', {
+            value: { register },
+            configurable: true
+        });
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(await new OfflineAssets().registerServiceWorker()).toMatchObject({ scope: '/' });
+        expect(register).toHaveBeenCalledWith('sw.js?v=abc123');
+
+        // Without a build there is nothing to precache
+        serve({ manifest: null });
+        expect(await new OfflineAssets().registerServiceWorker()).toBeNull();
+        expect(register).toHaveBeenCalledTimes(1);
+
+        delete navigator.serviceWorker;
+    });
+
+    test('a missing model should fail backend setup before creating a detector', async () => {
+        serve({ missing: ['hands.binarypb'] });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.handPoseDetection = { createDetector: jest.fn() };
+
+        await expect(new TfjsHandBackend().init())
+            .rejects.toThrow('vendor/mediapipe/hands/hands.binarypb');
+        expect(global.handPoseDetection.createDetector).not.toHaveBeenCalled();
+
+        delete global.handPoseDetection;
+    });
+});
@@ -0,0 +1,274 @@
+/**
+ * Performance Recorder - Unit Tests
+ *
+ * Covers WAV encoding, the sound engine's event and note logs, how logged events
+ * replay at the time they sounded, and recording a take from the worklet's batches.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { PerformanceRecorder } from '../modules/performance-recorder.js';
+import { SoundEngine } from '../modules/sound-engine.js';
+import { WavEncoder } from '../modules/wav-encoder.js';
+
+const STRUM = {
+    strumDetected: true,
+    strumDirection: 'down',
+    strumIntensity: 1,
+    fretPosition: 0,
+    chordType: 'E'
+};
+
+describe('WavEncoder', () => {
+    function text(view, offset, length) {
+        return String.fromCharCode(
+            ...Array.from({ length }, (_, i) => view.getUint8(offset + i))
+        );
+    }
+
+    test('the header should describe the interleaved PCM data', () => {
+        const left = new Float32Array([0, 1, -1]);
+        const right = new Float32Array([0.5, -0.5, 2]);
+        const view = new DataView(WavEncoder.encode([left, right], 48000));
+
+        expect(view.byteLength).toBe(44 + 3 * 2 * 2);
+        expect(text(view, 0, 4)).toBe('RIFF');
+        expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+        expect(text(view, 8, 8)).toBe('WAVEfmt ');
+        expect(view.getUint16(20, true)).toBe(1);
+        expect(view.getUint16(22, true)).toBe(2);
+        expect(view.getUint32(24, true)).toBe(48000);
+        expect(view.getUint32(28, true)).toBe(48000 * 4);
+        expect(view.getUint16(32, true)).toBe(4);
+        expect(view.getUint16(34, true)).toBe(16);
+        expect(text(view, 36, 4)).toBe('data');
+        expect(view.getUint32(40, true)).toBe(12);
+
+        // Frames interleave left and right; out of range samples are clipped
+        const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+        expect(samples).toEqual([0, 16384, 32767, -16384, -32768, 32767]);
+    });
+
+    test('24-bit and float samples should be written little-endian', () => {
+        const samples = new Float32Array([-1, 0.25]);
+
+        const pcm = new DataView(WavEncoder.encode([samples], 44100, { bitDepth: 24 }));
+        expect([pcm.getUint8(44), pcm.getUint8(45), pcm.getUint8(46)]).toEqual([0, 0, 0x80]);
+        expect(pcm.getUint8(47) + pcm.getUint8(48) * 256 + pcm.getUint8(49) * 65536)
+            .toBe(Math.round(0.25 * (2 ** 23 - 1)));
+
+        const float = new DataView(WavEncoder.encode([samples], 44100, { bitDepth: 32 }));
+        expect(float.getUint16(20, true)).toBe(3);
+        expect(float.getFloat32(48, true)).toBe(0.25);
+
+        expect(() => WavEncoder.encode([samples], 44100, { bitDepth: 8 })).toThrow('8');
+    });
+});
+
+describe('SoundEngine event log', () => {
+    let soundEngine;
+    let events;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        global.Tone = { now: () => 10, getContext: () => ({ currentTime: 10 }) };
+        soundEngine = new SoundEngine();
+        soundEngine.initialized = true;
+        soundEngine.polySynth = {};
+        soundEngine.triggerString = jest.fn();
+        events = [];
+        soundEngine.setEventCallback((event) => events.push(event));
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+        jest.restoreAllMocks();
+    });
+
+    test('strums should be logged with the voicing played', () => {
+        soundEngine.playStrum(STRUM);
+
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({
+            type: 'strum',
+            time: 10,
+            data: { chordType: 'E', fretPosition: 0, strumDirection: 'down' }
+        });
+        expect(events[0].data.chordNotes).toEqual(soundEngine.getChordNotes('E', 0));
+    });
+
+    test('nothing should be logged while muted', () => {
+        soundEngine.setMuted(true);
+        soundEngine.playStrum(STRUM);
+        soundEngine.playPluck({ plucks: [{ stringIndex: 0, intensity: 1 }] });
+
+        expect(events).toEqual([]);
+    });
+
+    test('a replayed event should sound at its logged time without being logged again', () => {
+        soundEngine.playStrum(STRUM);
+        const [strum] = events;
+        soundEngine.triggerString.mockClear();
+
+        soundEngine.replayEvent({ ...strum, time: 1.5 });
+
+        const startTimes = soundEngine.triggerString.mock.calls.map((call) => call[3]);
+        expect(startTimes[0]).toBe(1.5);
+        expect(soundEngine.triggerString.mock.calls.map((call) => call[1]))
+            .toEqual(strum.data.chordNotes.filter(Boolean));
+        expect(events).toHaveLength(1);
+        expect(soundEngine.now()).toBe(10);
+    });
+});
+
+describe('PerformanceRecorder', () => {
+    let soundEngine;
+    let context;
+    let node;
+
+    // A worklet node that hands over two batches and the end of the take when stopped
+    function createNode() {
+        node = {
+            port: {
+                postMessage: jest.fn((message) => {
+                    if (message !== 'stop') return;
+                    node.port.onmessage({
+                        data: { channels: [new Float32Array(3), new Float32Array(3)] }
+                    });
+                    node.port.onmessage({
+                        data: { channels: [new Float32Array([0.5]), new Float32Array([-0.5])] }
+                    });
+                    node.port.onmessage({ data: { done: true } });
+                })
+            }
+        };
+        return node;
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        context = {
+            currentTime: 4,
+            sampleRate: 4,
+            addAudioWorkletModule: jest.fn(async () => {}),
+            createAudioWorkletNode: jest.fn(createNode)
+        };
+        global.Tone = {
+            now: () => 5,
+            getContext: () => context,
+            getTransport: () => ({ bpm: { value: 96 } }),
+            Time: (duration) => ({ toSeconds: () => (duration === '8n' ? 0.3125 : duration) })
+        };
+        soundEngine = new SoundEngine();
+        soundEngine.initialized = true;
+        soundEngine.polySynth = {};
+        soundEngine.triggerString = jest.fn();
+        soundEngine.master = { connect: jest.fn(), disconnect: jest.fn() };
+        soundEngine.effects.reverb = { wet: { value: 0.3 } };
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+        jest.restoreAllMocks();
+    });
+
+    test('recording should need audio to be enabled', async () => {
+        soundEngine.master = null;
+
+        await expect(new PerformanceRecorder({ soundEngine }).start())
+            .rejects.toThrow('Enable audio before recording');
+    });
+
+    test('a take should join the captured batches and log events from its start', async () => {
+        const recorder = new PerformanceRecorder({ soundEngine });
+
+        await recorder.start();
+        expect(soundEngine.master.connect).toHaveBeenCalledWith(node);
+        soundEngine.playStrum(STRUM);
+        const take = await recorder.stop();
+
+        expect(take.sampleRate).toBe(4);
+        expect(take.duration).toBe(1);
+        expect(Array.from(take.channels[0])).toEqual([0, 0, 0, 0.5]);
+        expect(Array.from(take.channels[1])).toEqual([0, 0, 0, -0.5]);
+        expect(take.events).toEqual([expect.objectContaining({ type: 'strum', time: 1 })]);
+        expect(take.settings).toMatchObject({
+            guitarType: 'acoustic',
+            tuning: 'standard',
+            capo: 0,
+            effects: { reverb: 0.3 }
+        });
+        expect(soundEngine.master.disconnect).toHaveBeenCalledWith(node);
+
+        // Playing after the take isn't logged
+        soundEngine.playStrum(STRUM);
+        expect(take.events).toHaveLength(1);
+
+        const wav = PerformanceRecorder.getWav(take);
+        expect(wav.type).toBe('audio/wav');
+        expect(wav.size).toBe(44 + 4 * 2 * 2);
+    });
+
+    test('each string note should be logged with its stagger for MIDI export', async () => {
+        delete soundEngine.triggerString;
+        soundEngine.stringVoices = soundEngine.strings.map(() => ({
+            detune: { cancelScheduledValues: jest.fn(), setValueAtTime: jest.fn() },
+            triggerAttackRelease: jest.fn()
+        }));
+        const recorder = new PerformanceRecorder({ soundEngine });
+
+        await recorder.start();
+        soundEngine.playStrum(STRUM);
+        const take = await recorder.stop();
+
+        const chordNotes = soundEngine.getChordNotes('E', 0);
+        expect(take.notes).toHaveLength(chordNotes.filter(Boolean).length);
+        expect(take.notes[0]).toEqual({
+            stringIndex: 0,
+            note: chordNotes[0],
+            time: 1,
+            duration: 0.3125,
+            velocity: 1
+        });
+        expect(take.notes[1].time).toBeCloseTo(1.01, 6);
+        expect(take.tempo).toBe(96);
+        expect(PerformanceRecorder.getMidi(take).type).toBe('audio/midi');
+    });
+
+    test('a re-render should start a new segment where the guitar was rebuilt', () => {
+        const settings = {
+            guitarType: 'acoustic',
+            tuning: 'standard',
+            capo: 0,
+            volume: 0.8,
+            effects: { reverb: 0.3 }
+        };
+        const take = {
+            settings,
+            events: [
+                { type: 'strum', time: 0.5, data: STRUM },
+                { type: 'volume', time: 1, data: { level: 0.5 } },
+                { type: 'guitarType', time: 2, data: { type: 'electric' } },
+                { type: 'effect', time: 3, data: { effectName: 'delay', level: 0.4 } },
+                { type: 'tuning', time: 4, data: { preset: 'drop-d' } }
+            ]
+        };
+
+        const segments = PerformanceRecorder.splitSegments(take);
+
+        expect(segments.map(({ events }) => events.map(({ type }) => type)))
+            .toEqual([['strum', 'volume'], ['effect'], []]);
+        // Each segment starts from the settings in force when it began
+        expect(segments[0].settings).toBe(settings);
+        expect(segments[1].settings).toEqual({
+            ...settings, guitarType: 'electric', volume: 0.5, effects: {}
+        });
+        expect(segments[2].settings).toEqual({
+            ...settings,
+            guitarType: 'electric',
+            tuning: 'drop-d',
+            volume: 0.5,
+            effects: { delay: 0.4 }
+        });
+    });
+});
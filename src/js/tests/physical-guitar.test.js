@@ -0,0 +1,312 @@
+/**
+ * Physical Guitar - Unit Tests
+ *
+ * Renders the waveguide strings sample by sample, exactly as the audio worklet
+ * does in a live or offline audio context, and checks the output spectrum.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { ChordLibrary } from '../modules/chord-library.js';
+import { PhysicalGuitar } from '../modules/physical-guitar.js';
+import { PhysicalInstrument } from '../modules/physical-instrument.js';
+import { PhysicalString } from '../modules/physical-string.js';
+import { PhysicalStringVoice } from '../modules/physical-string-voice.js';
+
+const SAMPLE_RATE = 16000;
+
+// Magnitude of one frequency in a signal (Goertzel algorithm)
+function magnitudeAt(signal, frequency) {
+    const coefficient = 2 * Math.cos((2 * Math.PI * frequency) / SAMPLE_RATE);
+    let s1 = 0;
+    let s2 = 0;
+    signal.forEach((sample) => {
+        const s0 = sample + coefficient * s1 - s2;
+        s2 = s1;
+        s1 = s0;
+    });
+    return Math.sqrt(s1 * s1 + s2 * s2 - coefficient * s1 * s2) / signal.length;
+}
+
+// Strongest frequency between low and high, in 0.5 Hz steps
+function peakFrequency(signal, low, high) {
+    let best = low;
+    for (let frequency = low; frequency <= high; frequency += 0.5) {
+        if (magnitudeAt(signal, frequency) > magnitudeAt(signal, best)) {
+            best = frequency;
+        }
+    }
+    return best;
+}
+
+function energy(signal) {
+    return signal.reduce((sum, sample) => sum + sample * sample, 0) / signal.length;
+}
+
+// Deterministic noise so renders are reproducible
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+describe('PhysicalGuitar', () => {
+    let guitar;
+
+    function pluck(string, midi, time = 0, velocity = 0.8) {
+        guitar.schedule({
+            type: 'pluck',
+            string,
+            time,
+            frequency: PhysicalString.midiToFrequency(midi),
+            velocity
+        });
+    }
+
+    function createGuitar(strings) {
+        return new PhysicalGuitar({
+            sampleRate: SAMPLE_RATE,
+            strings,
+            random: seededRandom(3)
+        });
+    }
+
+    beforeEach(() => {
+        guitar = createGuitar();
+    });
+
+    test('a plucked string should sound at its fundamental with harmonics', () => {
+        pluck(1, 45); // Open A, 110 Hz
+        const output = guitar.render(SAMPLE_RATE);
+
+        expect(peakFrequency(output, 95, 125)).toBeCloseTo(110, -0.5);
+        expect(magnitudeAt(output, 110)).toBeGreaterThan(magnitudeAt(output, 100) * 10);
+        expect(magnitudeAt(output, 220)).toBeGreaterThan(magnitudeAt(output, 165) * 10);
+    });
+
+    test('fretted notes should be in tune across the neck', () => {
+        [52, 57, 64].forEach((midi) => {
+            guitar = createGuitar();
+            pluck(0, midi);
+            const expected = PhysicalString.midiToFrequency(midi);
+            const output = guitar.render(SAMPLE_RATE / 2);
+            const found = peakFrequency(output, expected * 0.9, expected * 1.1);
+
+            expect(Math.abs(found / expected - 1)).toBeLessThan(0.01);
+        });
+    });
+
+    test('each string should decay at its own rate', () => {
+        const decayRatio = (decay) => {
+            guitar = createGuitar([{ midi: 45, decay, brightness: 0.5 }]);
+            pluck(0, 45);
+            const early = energy(guitar.render(SAMPLE_RATE / 4));
+            guitar.render(SAMPLE_RATE / 2);
+            return energy(guitar.render(SAMPLE_RATE / 4)) / early;
+        };
+
+        expect(decayRatio(1)).toBeLessThan(decayRatio(5) / 10);
+    });
+
+    test('a muted string should stop almost at once', () => {
+        guitar = createGuitar([{ midi: 50, decay: 5, brightness: 0.5 }]);
+        pluck(0, 50);
+        guitar.schedule({ type: 'damp', string: 0, time: 0.25 });
+        const output = guitar.render(SAMPLE_RATE / 2);
+
+        const ringing = energy(output.subarray(0, SAMPLE_RATE / 4));
+        const muted = energy(output.subarray(SAMPLE_RATE * 0.35, SAMPLE_RATE / 2));
+        expect(muted).toBeLessThan(ringing * 1e-4);
+    });
+
+    test('the pluck position should notch out the harmonics with a node there', () => {
+        const harmonicRatio = (pluckPosition) => {
+            guitar = createGuitar([{
+                midi: 45,
+                decay: 4,
+                brightness: 0.9,
+                pluckPosition
+            }]);
+            pluck(0, 45);
+            const output = guitar.render(SAMPLE_RATE / 2);
+            return magnitudeAt(output, 440) / magnitudeAt(output, 110);
+        };
+
+        // Plucked at a quarter of the length, every fourth harmonic is missing
+        expect(harmonicRatio(0.25)).toBeLessThan(harmonicRatio(0.1) / 3);
+    });
+
+    test('undamped strings should ring sympathetically with a matching note', () => {
+        const residue = (dampOpenA) => {
+            guitar = createGuitar();
+            if (dampOpenA) {
+                guitar.schedule({ type: 'damp', string: 1, time: 0 });
+            }
+            // A2 on the low E string at the fifth fret, then muted
+            pluck(0, 45);
+            guitar.schedule({ type: 'damp', string: 0, time: 0.5 });
+            const output = guitar.render(SAMPLE_RATE);
+            return output.subarray(SAMPLE_RATE * 0.6);
+        };
+
+        const free = residue(false);
+        const damped = residue(true);
+
+        expect(magnitudeAt(free, 110)).toBeGreaterThan(magnitudeAt(damped, 110) * 10);
+        expect(peakFrequency(free, 95, 125)).toBeCloseTo(110, -0.5);
+    });
+
+    test('pitch changes should glide without a new pluck', () => {
+        pluck(3, 55);
+        guitar.render(SAMPLE_RATE / 4);
+        guitar.schedule({
+            type: 'frequency',
+            string: 3,
+            time: 0.25,
+            frequency: PhysicalString.midiToFrequency(57),
+            glideTime: 0.05
+        });
+        guitar.render(SAMPLE_RATE / 8);
+
+        expect(guitar.strings[3].frequency).toBeCloseTo(PhysicalString.midiToFrequency(57), 6);
+        expect(peakFrequency(guitar.render(SAMPLE_RATE / 2), 180, 240)).toBeCloseTo(220, -0.5);
+    });
+
+    test('other tunings should restring the guitar like its closest strings', () => {
+        // Seven-string tuning: a low B below the standard six
+        const midis = ['B1', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4'].map(ChordLibrary.noteToMidi);
+        const strings = PhysicalGuitar.getStringsForPitches(midis);
+        expect(strings[0]).toEqual({ ...PhysicalGuitar.getDefaultStrings()[0], midi: 35 });
+        expect(strings[6].decay).toBe(PhysicalGuitar.getDefaultStrings()[5].decay);
+
+        guitar.setStrings(strings);
+        expect(guitar.strings.length).toBe(7);
+        pluck(0, 35);
+        expect(peakFrequency(guitar.render(SAMPLE_RATE / 2), 50, 75)).toBeCloseTo(61.7, -0.5);
+    });
+});
+
+describe('PhysicalStringVoice', () => {
+    let instrument;
+    let voice;
+
+    beforeEach(() => {
+        global.Tone = {
+            now: () => 1,
+            Time: (value) => ({ toSeconds: () => value })
+        };
+        instrument = {
+            schedule: jest.fn(),
+            getOpenMidi: (stringIndex) => PhysicalGuitar.getDefaultStrings()[stringIndex].midi
+        };
+        voice = new PhysicalStringVoice(instrument, 1);
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+    });
+
+    test('fretted notes should die away once released but open strings ring on', () => {
+        voice.triggerAttackRelease('C3', 0.5, 2, 0.9);
+        voice.triggerAttackRelease('A2', 0.5, 3, 0.9);
+
+        const types = instrument.schedule.mock.calls.map(([event]) => event.type);
+        expect(types).toEqual(['pluck', 'release', 'pluck']);
+        expect(instrument.schedule.mock.calls[1][0].time).toBe(2.5);
+        expect(instrument.schedule.mock.calls[0][0].frequency)
+            .toBeCloseTo(PhysicalString.midiToFrequency(48), 6);
+    });
+
+    test('detune and legato should re-pitch the string without plucking it', () => {
+        voice.triggerAttackRelease('A2', 0.5, 0, 0.9);
+        voice.detune.rampTo(100, 0.03);
+        voice.setNote('B2');
+
+        const [, bend, legato] = instrument.schedule.mock.calls.map(([event]) => event);
+        expect(bend.type).toBe('frequency');
+        expect(bend.frequency).toBeCloseTo(PhysicalString.midiToFrequency(46), 6);
+        expect(bend.glideTime).toBe(0.03);
+        expect(legato.frequency).toBeCloseTo(PhysicalString.midiToFrequency(48), 6);
+    });
+});
+
+describe('PhysicalInstrument', () => {
+    test('the strings and voices should follow the tuning', () => {
+        const instrument = new PhysicalInstrument();
+        instrument.node = { port: { postMessage: jest.fn() } };
+
+        instrument.setOpenNotes(['D2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+        expect(instrument.getOpenMidi(0)).toBe(ChordLibrary.noteToMidi('D2'));
+        expect(instrument.node.port.postMessage)
+            .toHaveBeenCalledWith({ type: 'strings', strings: instrument.strings });
+
+        instrument.setOpenNotes(['E1', 'A1', 'D2', 'G2']);
+        expect(instrument.createVoices().map(({ stringIndex }) => stringIndex))
+            .toEqual([0, 1, 2, 3]);
+    });
+
+    describe('renderOffline', () => {
+        let node;
+
+        // Stand in for the offline context and worklet node: the node runs a
+        // PhysicalGuitar from its processor options, as the worklet processor does
+        beforeEach(() => {
+            global.OfflineAudioContext = jest.fn(function OfflineAudioContext(
+                channels,
+                length,
+                sampleRate
+            ) {
+                this.length = length;
+                this.sampleRate = sampleRate;
+                this.destination = {};
+                this.audioWorklet = { addModule: jest.fn(() => Promise.resolve()) };
+                this.startRendering = () => Promise.resolve(node.render(this.length));
+            });
+            global.AudioWorkletNode = jest.fn(function AudioWorkletNode(context, name, options) {
+                const { strings, events } = options.processorOptions;
+                const guitar = new PhysicalGuitar({
+                    sampleRate: context.sampleRate,
+                    strings,
+                    random: seededRandom(3)
+                });
+                events.forEach((event) => guitar.schedule(event));
+                this.render = (frames) => guitar.render(frames);
+                this.connect = jest.fn();
+                node = this;
+            });
+        });
+
+        afterEach(() => {
+            delete global.OfflineAudioContext;
+            delete global.AudioWorkletNode;
+        });
+
+        test('events should render through the worklet without an audio device', async () => {
+            const rendered = await PhysicalInstrument.renderOffline({
+                events: [{
+                    type: 'pluck',
+                    string: 1,
+                    time: 0.1,
+                    frequency: PhysicalString.midiToFrequency(45),
+                    velocity: 0.8
+                }],
+                duration: 0.6,
+                sampleRate: SAMPLE_RATE,
+                processorUrl: 'processor.js'
+            });
+
+            const [context] = global.OfflineAudioContext.mock.instances;
+            expect(context.audioWorklet.addModule).toHaveBeenCalledWith('processor.js');
+            expect(global.AudioWorkletNode.mock.calls[0][1]).toBe('physical-guitar');
+            expect(node.connect).toHaveBeenCalledWith(context.destination);
+
+            // Silent until the pluck, then the open A string
+            expect(rendered.length).toBe(Math.ceil(0.6 * SAMPLE_RATE));
+            expect(energy(rendered.subarray(0, SAMPLE_RATE / 20))).toBe(0);
+            expect(peakFrequency(rendered.subarray(SAMPLE_RATE / 10), 100, 120))
+                .toBeCloseTo(110, -0.5);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Song Chart and Play-Along Session - Unit Tests
+ *
+ * Reads song files and scores strums against a short two-section chart at 120 BPM
+ * (half a second a beat) whose first beat falls one second into the backing audio.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { PlayAlongSession } from '../modules/play-along-session.js';
+import { SongChart } from '../modules/song-chart.js';
+
+const SONG = {
+    format: 'air-guitar-4d-song',
+    version: 1,
+    title: 'Test Song',
+    bpm: 120,
+    offset: 1,
+    sections: [
+        {
+            name: 'Verse',
+            chords: [
+                { beat: 2, chord: 'C', direction: 'up' },
+                { beat: 0, chord: 'G', direction: 'down' }
+            ]
+        },
+        { name: 'Chorus', chords: [{ beat: 4, chord: 'Em' }, { beat: 6, chord: 'Bb' }] }
+    ]
+};
+
+describe('SongChart', () => {
+    test('a song file should give its chords in time order', () => {
+        const chart = SongChart.parse(JSON.stringify(SONG));
+
+        expect(chart.getEvents().map(({ chord, time, section }) => [chord, time, section]))
+            .toEqual([
+                ['G', 1, 'Verse'],
+                ['C', 2, 'Verse'],
+                ['Em', 3, 'Chorus'],
+                ['Bb', 4, 'Chorus']
+            ]);
+        expect(chart.getDuration()).toBe(1 + 10 * 0.5);
+        expect(chart.timeToBeat(0)).toBe(-2);
+        expect(SongChart.parse(chart.toJSON()).getEvents()).toEqual(chart.getEvents());
+    });
+
+    test('bad song files should say what is wrong', () => {
+        expect(() => SongChart.parse({ ...SONG, format: 'other' })).toThrow('song file');
+        expect(() => SongChart.parse({ ...SONG, bpm: 0 })).toThrow('tempo');
+        expect(() => SongChart.parse({
+            ...SONG,
+            sections: [{ name: 'Bridge', chords: [{ beat: 0, chord: 'H7' }] }]
+        })).toThrow('Bridge has an unknown chord "H7"');
+        expect(() => SongChart.parse({
+            ...SONG,
+            sections: [{ chords: [{ beat: 0, chord: 'A', direction: 'sideways' }] }]
+        })).toThrow('Section 1 has an invalid strum direction');
+    });
+});
+
+describe('PlayAlongSession', () => {
+    let session;
+
+    // A strum this many seconds into the backing audio
+    function strum(time, chord, direction = 'down') {
+        return session.scoreStrum({ time: 5000 + time * 1000, chord, direction });
+    }
+
+    beforeEach(() => {
+        session = new PlayAlongSession(SongChart.parse(SONG));
+        session.start(5000);
+    });
+
+    test('strums should be scored for chord, direction and timing', () => {
+        expect(strum(1.02, 'G').result).toMatchObject({
+            hit: true, chordCorrect: true, directionCorrect: true, rating: 'perfect'
+        });
+        const early = strum(1.9, 'C').result;
+        expect(early).toMatchObject({
+            chordCorrect: true, directionCorrect: false, rating: 'good'
+        });
+        expect(early.timingError).toBeCloseTo(-0.1, 6);
+
+        // Chord spellings don't matter, and a chart chord without a direction takes either
+        expect(strum(3, 'E Minor', 'up').result).toMatchObject({
+            chordCorrect: true, directionCorrect: true
+        });
+        expect(strum(4, 'A#').result.chordCorrect).toBe(true);
+    });
+
+    test('a chord is scored once, and strums between chords are extra', () => {
+        strum(1, 'G');
+        expect(strum(1.05, 'G')).toBeNull();
+        expect(strum(1.5, 'G')).toBeNull();
+        expect(session.extraStrums).toBe(2);
+    });
+
+    test('results should be summed per section once the song ends', () => {
+        strum(1, 'G');
+        strum(2.1, 'D', 'up');
+        strum(2.96, 'Em');
+
+        expect(session.update(5000 + 3900)).toBe(false);
+        const upcoming = session.getUpcoming(5000 + 3900, 2, 2);
+        expect(upcoming.map(({ chord, result }) => [chord, result]))
+            .toEqual([['Em', expect.objectContaining({ hit: true })], ['Bb', null]]);
+        expect(session.update(5000 + 6000)).toBe(true);
+
+        const { sections, overall } = session.getStats();
+        expect(sections[0]).toMatchObject({
+            name: 'Verse',
+            total: 2,
+            hit: 2,
+            chordCorrect: 1,
+            directionCorrect: 2,
+            correct: 1,
+            meanTimingError: 50,
+            accuracy: 0.5
+        });
+        expect(sections[1]).toMatchObject({
+            name: 'Chorus', hit: 1, correct: 1, accuracy: 0.5
+        });
+        expect(overall).toMatchObject({ total: 4, correct: 2, accuracy: 0.5 });
+    });
+});
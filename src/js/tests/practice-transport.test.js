@@ -0,0 +1,116 @@
+/**
+ * Practice Transport - Unit Tests
+ *
+ * Uses a mock Tone.js transport set to 120 BPM with 192 ticks per quarter note,
+ * so an 8th note is 96 ticks (0.25 s) and a 16th note 48 ticks (0.125 s).
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { PracticeTransport } from '../modules/practice-transport.js';
+import { SoundEngine } from '../modules/sound-engine.js';
+
+const PPQ = 192;
+const NOTE_TICKS = {
+    '2n': 384,
+    '4n': 192,
+    '8n': 96,
+    '16n': 48,
+    '32n': 24
+};
+
+describe('PracticeTransport', () => {
+    let transport;
+    let clickSynth;
+    let practiceTransport;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        clickSynth = { triggerAttackRelease: jest.fn() };
+        transport = {
+            PPQ,
+            state: 'stopped',
+            bpm: { value: 100 },
+            timeSignature: 4,
+            start: jest.fn(() => { transport.state = 'started'; }),
+            stop: jest.fn(() => { transport.state = 'stopped'; }),
+            clear: jest.fn(),
+            scheduleRepeat: jest.fn(() => 7),
+            // Started at time 0
+            getTicksAtTime: (time) => (time * transport.bpm.value * PPQ) / 60
+        };
+        global.Tone = {
+            now: () => 1.01,
+            getTransport: () => transport,
+            Time: (value) => ({ toTicks: () => NOTE_TICKS[value] }),
+            Synth: jest.fn(() => ({ toDestination: () => clickSynth }))
+        };
+        practiceTransport = new PracticeTransport({ bpm: 120 });
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+        jest.restoreAllMocks();
+    });
+
+    test('setup should apply the tempo and click each beat of the time signature', () => {
+        practiceTransport.setTimeSignature(6, 8);
+        expect(transport.scheduleRepeat).not.toHaveBeenCalled();
+
+        practiceTransport.start();
+        expect(transport.bpm.value).toBe(120);
+        expect(transport.timeSignature).toEqual([6, 8]);
+        expect(transport.scheduleRepeat).toHaveBeenCalledWith(expect.any(Function), '8n', 0);
+        expect(practiceTransport.isPlaying()).toBe(true);
+
+        // A new time signature replaces the click
+        practiceTransport.setTimeSignature(3, 4);
+        expect(transport.clear).toHaveBeenCalledWith(7);
+        expect(transport.scheduleRepeat).toHaveBeenLastCalledWith(expect.any(Function), '4n', 0);
+    });
+
+    test('the first beat of each bar should be accented', () => {
+        practiceTransport.setup();
+        practiceTransport.setTimeSignature(3, 4);
+        practiceTransport.setTempo(60);
+
+        [0, 1, 2, 3].forEach((time) => practiceTransport.playClick(time));
+        expect(clickSynth.triggerAttackRelease.mock.calls.map(([note]) => note))
+            .toEqual(['C6', 'G5', 'G5', 'C6']);
+
+        practiceTransport.setClickEnabled(false);
+        practiceTransport.playClick(4);
+        expect(clickSynth.triggerAttackRelease).toHaveBeenCalledTimes(4);
+    });
+
+    test('strums should snap to the nearest grid line within the window', () => {
+        practiceTransport.setQuantize('8n', 0.05);
+        expect(practiceTransport.quantize(1.21)).toBe(1.21); // Stopped
+
+        practiceTransport.start();
+        expect(practiceTransport.quantize(1.21)).toBeCloseTo(1.25, 6);
+        expect(practiceTransport.quantize(1.37)).toBe(1.37); // 0.12 s from either line
+        // A grid line already past can only be played at once
+        expect(practiceTransport.quantize(1.02)).toBe(1.01);
+        expect(practiceTransport.quantize(1.53)).toBeCloseTo(1.5, 6);
+
+        practiceTransport.setQuantize('16n');
+        expect(practiceTransport.quantize(1.37)).toBeCloseTo(1.375, 6);
+
+        practiceTransport.setQuantize(null);
+        expect(practiceTransport.quantize(1.21)).toBe(1.21);
+    });
+
+    test('the sound engine should quantise strums but not re-rendered ones', () => {
+        global.Tone.getContext = () => ({ currentTime: 1.2 });
+        jest.spyOn(performance, 'now').mockReturnValue(0);
+        const soundEngine = new SoundEngine();
+        soundEngine.setPracticeTransport(practiceTransport);
+        practiceTransport.setQuantize('8n');
+        practiceTransport.start();
+
+        expect(soundEngine.getStrumStartTime(20)).toBeCloseTo(1.25, 6);
+        soundEngine.renderTime = 1.21;
+        expect(soundEngine.getStrumStartTime(20)).toBe(1.21);
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Sample Instrument - Unit Tests
+ *
+ * Checks manifest validation and how notes map onto fret regions, velocity
+ * layers and round-robin takes, with fake buffers in place of decoded audio.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ChordLibrary } from '../modules/chord-library.js';
+import { SampleInstrument } from '../modules/sample-instrument.js';
+
+const BUNDLED_MANIFEST = path.join(
+    __dirname,
+    '../../assets/instruments/sampled-acoustic/manifest.json'
+);
+
+function createZone(string, frets, rootFret, samples) {
+    return {
+        string,
+        frets,
+        rootFret,
+        samples
+    };
+}
+
+// Two-string instrument: low E in two fret regions, A in one
+function createManifest() {
+    const takes = (name) => ({
+        soft: [`${name}-soft-1.ogg`, `${name}-soft-2.ogg`],
+        hard: [`${name}-hard-1.ogg`, `${name}-hard-2.ogg`]
+    });
+    return {
+        format: 'air-guitar-4d-instrument',
+        version: 1,
+        name: 'Test Guitar',
+        strings: ['E2', 'A2'],
+        velocityLayers: [
+            { name: 'soft', maxVelocity: 0.75 },
+            { name: 'hard', maxVelocity: 1 }
+        ],
+        zones: [
+            createZone(0, [0, 4], 2, takes('e2-low')),
+            createZone(0, [5, 12], 7, takes('e2-high')),
+            createZone(1, [0, 12], 0, takes('a2'))
+        ],
+        release: [['e2-release.ogg'], ['a2-release.ogg']],
+        fretNoise: ['fret-noise.ogg']
+    };
+}
+
+function mockFetch(body, ok = true) {
+    global.fetch = jest.fn(() => Promise.resolve({
+        ok,
+        status: ok ? 200 : 404,
+        json: () => Promise.resolve(body)
+    }));
+}
+
+describe('SampleInstrument', () => {
+    let instrument;
+    let loadBuffer;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        loadBuffer = jest.fn((url) => Promise.resolve({ url }));
+        instrument = new SampleInstrument({
+            manifestUrl: 'instruments/test/manifest.json',
+            loadBuffer
+        });
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+        jest.restoreAllMocks();
+    });
+
+    test('the bundled manifest should be valid', () => {
+        const manifest = SampleInstrument.validateManifest(
+            JSON.parse(fs.readFileSync(BUNDLED_MANIFEST, 'utf8'))
+        );
+
+        expect(manifest.strings).toEqual(['E2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+        expect(manifest.velocityLayers.length).toBeGreaterThanOrEqual(2);
+    });
+
+    test('manifests without two velocity layers should be rejected', () => {
+        const manifest = createManifest();
+        manifest.velocityLayers = [{ name: 'soft', maxVelocity: 1 }];
+
+        expect(() => SampleInstrument.validateManifest(manifest))
+            .toThrow('at least two ascending velocity layers');
+    });
+
+    test('manifests missing a string or a layer should be rejected', () => {
+        const missingString = createManifest();
+        missingString.zones = missingString.zones.filter((zone) => zone.string === 0);
+        const missingLayer = createManifest();
+        delete missingLayer.zones[1].samples.hard;
+
+        expect(() => SampleInstrument.validateManifest(missingString))
+            .toThrow('no samples for string A2');
+        expect(() => SampleInstrument.validateManifest(missingLayer))
+            .toThrow('Instrument zone 1 has no "hard" samples');
+    });
+
+    test('load should fetch every sample relative to the manifest once', async () => {
+        mockFetch(createManifest());
+
+        await instrument.load();
+
+        expect(instrument.isLoaded()).toBe(true);
+        expect(loadBuffer).toHaveBeenCalledTimes(15);
+        expect(loadBuffer).toHaveBeenCalledWith(
+            expect.stringMatching(/instruments\/test\/e2-low-soft-1\.ogg$/)
+        );
+    });
+
+    test('a missing sample should fail the load and leave the instrument unloaded', async () => {
+        mockFetch(createManifest());
+        loadBuffer.mockImplementation((url) => (
+            url.endsWith('a2-hard-2.ogg') ? Promise.reject(new Error('404')) : Promise.resolve({})
+        ));
+
+        await expect(instrument.load()).rejects.toThrow('Missing sample "a2-hard-2.ogg"');
+        expect(instrument.isLoaded()).toBe(false);
+    });
+
+    describe('selectSample', () => {
+        const E2 = ChordLibrary.noteToMidi('E2');
+
+        beforeEach(async () => {
+            mockFetch(createManifest());
+            await instrument.load();
+        });
+
+        test('notes should use their string\'s fret region, pitch-shifted from its root', () => {
+            const low = instrument.selectSample(0, E2 + 3, 0.5);
+            const high = instrument.selectSample(0, E2 + 9, 0.5);
+
+            expect(low.file).toBe('e2-low-soft-1.ogg');
+            expect(low.playbackRate).toBeCloseTo(2 ** (1 / 12), 6);
+            expect(high.file).toBe('e2-high-soft-1.ogg');
+            expect(high.playbackRate).toBeCloseTo(2 ** (2 / 12), 6);
+        });
+
+        test('frets beyond every region should use the closest one', () => {
+            expect(instrument.selectSample(0, E2 + 15, 0.5).file).toBe('e2-high-soft-1.ogg');
+        });
+
+        test('velocity should choose the layer rather than only the gain', () => {
+            const soft = instrument.selectSample(1, ChordLibrary.noteToMidi('A2'), 0.6);
+            const hard = instrument.selectSample(1, ChordLibrary.noteToMidi('A2'), 0.95);
+
+            expect(soft.layer).toBe('soft');
+            expect(hard.layer).toBe('hard');
+            expect(soft.gain).toBeGreaterThan(0.85);
+            expect(hard.gain).toBeLessThanOrEqual(1);
+        });
+
+        test('repeated notes should cycle through the round-robin takes', () => {
+            const files = [0, 1, 2].map(() => instrument.selectSample(0, E2, 0.5).file);
+
+            expect(files).toEqual(['e2-low-soft-1.ogg', 'e2-low-soft-2.ogg', 'e2-low-soft-1.ogg']);
+        });
+
+        test('release and fret noise samples should be available per string', () => {
+            expect(instrument.getNoiseSample('release', 1).url).toMatch(/a2-release\.ogg$/);
+            expect(instrument.getNoiseSample('fretNoise').url).toMatch(/fret-noise\.ogg$/);
+        });
+
+        test('other tunings should play each string from the closest recorded string', () => {
+            instrument.setOpenNotes(['D2', 'G2', 'B1']);
+
+            const drop = instrument.selectSample(0, ChordLibrary.noteToMidi('D2'), 0.5);
+            expect(drop.file).toBe('e2-low-soft-1.ogg');
+            expect(drop.playbackRate).toBeCloseTo(2 ** (-4 / 12), 6);
+            expect(instrument.selectSample(1, ChordLibrary.noteToMidi('G2'), 0.5).file)
+                .toBe('a2-soft-1.ogg');
+            expect(instrument.getNoiseSample('release', 2).url).toMatch(/e2-release\.ogg$/);
+        });
+    });
+});
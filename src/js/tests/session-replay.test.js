@@ -0,0 +1,139 @@
+/**
+ * Session Replay - Unit Tests
+ *
+ * Replays recorded hand tracking sessions through the pipeline without a
+ * webcam or detector, so missed-strum reports can be turned into regression tests.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { HandTracking } from '../modules/hand-tracking.js';
+import { MotionAnalysis } from '../modules/motion-analysis.js';
+import { SessionRecorder } from '../modules/session-recorder.js';
+import { SessionReplay } from '../modules/session-replay.js';
+import { createHands } from './fixtures/synthetic-hands.js';
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'strum-session.ndjson');
+
+// String lines the recorded strumming fingertip sweeps across
+const STRING_LINES = [130, 140, 150, 160, 170, 180];
+
+describe('SessionReplay', () => {
+    let handTracking;
+    let motionAnalysis;
+    let soundEngine;
+    let replay;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        // No video or canvas: the pipeline runs headless
+        handTracking = new HandTracking(null, null);
+        motionAnalysis = new MotionAnalysis();
+        motionAnalysis.setup();
+        motionAnalysis.setStringLines(STRING_LINES);
+        soundEngine = { playStrum: jest.fn(), applyExpression: jest.fn() };
+
+        replay = new SessionReplay({ handTracking, motionAnalysis, soundEngine });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('parse should read the header and frames of an NDJSON session', () => {
+        const { header, frames } = SessionReplay.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+
+        expect(header.version).toBe(1);
+        expect(header.width).toBe(640);
+        expect(frames.length).toBe(32);
+        expect(frames[0].hands.left.keypoints.length).toBe(21);
+        expect(frames[0].hands.right.keypoints3D.length).toBe(21);
+    });
+
+    test('parse should report the line of malformed data', () => {
+        expect(() => SessionReplay.parse('{"type":"session"}\n{oops')).toThrow('line 2');
+    });
+
+    test('replaying the recorded session should trigger one strum per stroke', () => {
+        replay.load(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+        const results = replay.run();
+
+        const strums = results
+            .filter((result) => result.motionResult && result.motionResult.strumDetected)
+            .map((result) => result.motionResult.strumDirection);
+
+        expect(results.length).toBe(32);
+        expect(strums).toEqual(['down', 'up', 'down', 'up']);
+        expect(soundEngine.playStrum).toHaveBeenCalledTimes(4);
+    });
+
+    test('replay should be deterministic across runs', () => {
+        const session = fs.readFileSync(FIXTURE_PATH, 'utf8');
+        const summarize = (results) => results.map(({ t, motionResult }) => [
+            t,
+            motionResult.strumDetected,
+            motionResult.strumDirection,
+            motionResult.fretPosition,
+            motionResult.chordType
+        ]);
+
+        replay.load(session);
+        const first = summarize(replay.run());
+        replay.load(session);
+        const second = summarize(replay.run());
+
+        expect(second).toEqual(first);
+    });
+
+    test('a recorded session should replay to the same frames it captured', () => {
+        const recorder = new SessionRecorder();
+        recorder.start({ width: 640, height: 480 }, 1000);
+        recorder.recordFrame(createHands({ y: 250 }, { y: 200 }), 1000);
+        recorder.recordFrame(createHands({ y: 330 }, { y: 200 }), 1033);
+        recorder.stop();
+
+        replay.load(recorder.toNDJSON());
+        const results = replay.run();
+
+        expect(results.map((result) => result.t)).toEqual([0, 33]);
+        expect(results[1].motionResult.strumDetected).toBe(true);
+        expect(results[1].motionResult.strumDirection).toBe('down');
+    });
+
+    test('JSON sessions should load the same as NDJSON sessions', () => {
+        const recorder = new SessionRecorder();
+        recorder.start({ width: 640, height: 480 }, 0);
+        recorder.recordFrame(createHands({ y: 250 }, null), 0);
+        recorder.stop();
+
+        expect(SessionReplay.parse(recorder.toJSON()))
+            .toEqual(SessionReplay.parse(recorder.toNDJSON()));
+
+        // Pretty-printed or hand-edited JSON spans several lines
+        const prettyPrinted = JSON.stringify(JSON.parse(recorder.toJSON()), null, 2);
+        expect(SessionReplay.parse(prettyPrinted))
+            .toEqual(SessionReplay.parse(recorder.toNDJSON()));
+    });
+
+    test('real-time playback should reject when a later frame fails', async () => {
+        replay.load(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+        const onFrame = jest.fn((result) => {
+            if (result.t > 0) throw new Error('Frame failed');
+        });
+
+        const playback = replay.play({ onFrame });
+        expect(onFrame).toHaveBeenCalledTimes(1);
+        jest.runAllTimers();
+
+        await expect(playback).rejects.toThrow('Frame failed');
+        expect(onFrame).toHaveBeenCalledTimes(2);
+        expect(replay.playbackTimer).toBeNull();
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Strum Pattern Analyzer - Unit Tests
+ *
+ * Plays strum sequences at 120 BPM (125 ms a 16th note) and checks the pattern, timing
+ * and coaching read from them.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { StrumPatternAnalyzer } from '../modules/strum-pattern-analyzer.js';
+
+const SIXTEENTH = 125;
+
+describe('StrumPatternAnalyzer', () => {
+    let analyzer;
+
+    /**
+     * Strum a notation for a number of bars, slot by slot
+     * @param {string} notation - 'D', 'U' or '-' per slot
+     * @param {Object} options - { bars, start, slot (ms per slot), swing (ms added to
+     *                           off-beat slots) }
+     * @returns {number} Time of the last strum
+     */
+    function play(notation, {
+        bars = 2, start = 1000, slot = (SIXTEENTH * 16) / notation.length, swing = 0
+    } = {}) {
+        let last = start;
+        for (let i = 0; i < notation.length * bars; i += 1) {
+            const symbol = notation[i % notation.length];
+            if (symbol !== '-') {
+                last = start + i * slot + (i % 2 === 1 ? swing : 0);
+                analyzer.addStrum(symbol === 'D' ? 'down' : 'up', last);
+            }
+        }
+        return last;
+    }
+
+    beforeEach(() => {
+        analyzer = new StrumPatternAnalyzer({ bpm: 120 });
+    });
+
+    test('common patterns should be recognised at any starting point in the bar', () => {
+        expect(analyzer.getAnalysis(play('D-DU-UDU')).pattern.id).toBe('folk');
+
+        analyzer.reset();
+        expect(analyzer.getAnalysis(play('DUDUDUDU')).pattern.id).toBe('straight_eighths');
+
+        analyzer.reset();
+        expect(analyzer.getAnalysis(play('DUDUDUDUDUDUDUDU')).pattern.id)
+            .toBe('funk_sixteenths');
+
+        // Starting on the "and" of beat two
+        analyzer.reset();
+        expect(analyzer.getAnalysis(play('U-UDUD-D')).pattern.id).toBe('folk');
+    });
+
+    test('too few strums, or a long pause, should give no pattern', () => {
+        analyzer.addStrum('down', 0);
+        analyzer.addStrum('up', 250);
+        expect(analyzer.getAnalysis(300)).toMatchObject({ pattern: null, strumCount: 2 });
+
+        const last = play('DUDUDUDU');
+        expect(analyzer.getAnalysis(last + 2000).strumCount).toBe(0);
+    });
+
+    test('tempo drift, swing and steadiness should be measured', () => {
+        // Played at 126 BPM against 120
+        const fast = analyzer.getAnalysis(play('DUDUDUDU', { slot: (60000 / 126) / 2 }));
+        expect(fast.pattern.id).toBe('straight_eighths');
+        expect(fast.playedBpm).toBeCloseTo(126, 0);
+        expect(fast.tempoDrift).toBeCloseTo(6, 0);
+        expect(fast.swing).toBe(50);
+        expect(fast.timingSpread).toBe(0);
+
+        // Off-beats pushed a third of the way into the second half of the beat
+        analyzer.reset();
+        const swung = analyzer.getAnalysis(play('DUDUDUDU', { swing: 250 / 3 }));
+        expect(swung.swing).toBe(67);
+        expect(swung.playedBpm).toBeCloseTo(120, 0);
+    });
+
+    test('coaching should mark where strokes differ from the target', () => {
+        analyzer.setTargetPattern('folk');
+        const analysis = analyzer.getAnalysis(play('D-DD-UDU', { bars: 1 }));
+
+        expect(analysis.target.notation).toBe('D-DU-UDU');
+        expect(analysis.coaching.slots.map(({ status }) => status)).toEqual([
+            'correct', 'rest', 'correct', 'wrong', 'rest', 'correct', 'correct', 'correct'
+        ]);
+        expect(analysis.coaching.accuracy).toBeCloseTo(5 / 6, 6);
+
+        analyzer.reset();
+        const missed = analyzer.getAnalysis(play('D-D--UDU', { bars: 1 }));
+        expect(missed.coaching.slots[3]).toMatchObject({ expected: 'up', status: 'missed' });
+
+        analyzer.setTargetPattern(null);
+        expect(analyzer.getAnalysis(0).coaching).toBeNull();
+    });
+});
@@ -0,0 +1,274 @@
+/**
+ * Tracking Backends - Unit Tests
+ *
+ * Drives each hand tracking backend through its init/estimate/dispose interface
+ * with fake model libraries, and runs HandTracking on the scripted mock backend
+ * without a camera or model.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { HandTracking } from '../modules/hand-tracking.js';
+import { MediaPipeTasksBackend } from '../modules/mediapipe-tasks-backend.js';
+import { MockHandBackend } from '../modules/mock-hand-backend.js';
+import { TfjsHandBackend } from '../modules/tfjs-hand-backend.js';
+import { createHand } from './fixtures/synthetic-hands.js';
+
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'strum-session.ndjson');
+
+const VIDEO = { readyState: 4, videoWidth: 640, videoHeight: 480 };
+
+// Offline bundle with every model asset in place
+const ASSETS = { verify: async () => [] };
+
+// A HandLandmarker result with one hand, landmarks normalized to the frame
+function landmarkerResult(categoryName) {
+    const landmarks = Array.from({ length: 21 }, (_, i) => ({ x: 0.25, y: 0.5, z: i / 100 }));
+    return {
+        landmarks: [landmarks],
+        worldLandmarks: [landmarks.map(({ z }) => ({ x: 0.01, y: 0.02, z }))],
+        handedness: [[{ categoryName, score: 0.8 }]]
+    };
+}
+
+// Stands in for the tasks-vision module
+function fakeVision({ gpuFails = false } = {}) {
+    const landmarker = {
+        detectForVideo: jest.fn(() => landmarkerResult('Left')),
+        close: jest.fn()
+    };
+    return {
+        landmarker,
+        FilesetResolver: { forVisionTasks: jest.fn(async (wasmPath) => ({ wasmPath })) },
+        HandLandmarker: {
+            createFromOptions: jest.fn(async (fileset, options) => {
+                if (gpuFails && options.baseOptions.delegate === 'GPU') {
+                    throw new Error('no WebGL');
+                }
+                return landmarker;
+            })
+        }
+    };
+}
+
+describe('MockHandBackend', () => {
+    test('estimate should play the frames in order, then no hands', async () => {
+        const hands = [createHand({ x: 200, y: 300, handedness: 'Right' })];
+        const backend = new MockHandBackend({ frames: [hands, []] });
+
+        await expect(backend.estimate(VIDEO)).rejects.toThrow('not initialized');
+
+        await backend.init();
+        expect(await backend.estimate(VIDEO)).toBe(hands);
+        expect(await backend.estimate(VIDEO)).toEqual([]);
+        expect(await backend.estimate(VIDEO)).toEqual([]);
+
+        // Starting again rewinds
+        await backend.init();
+        expect(await backend.estimate(VIDEO)).toBe(hands);
+    });
+
+    test('looping frames and scripts should keep producing hands', async () => {
+        const looping = new MockHandBackend({ frames: [['a'], ['b']], loop: true });
+        await looping.init();
+        expect(await looping.estimate(VIDEO)).toEqual(['a']);
+        expect(await looping.estimate(VIDEO)).toEqual(['b']);
+        expect(await looping.estimate(VIDEO)).toEqual(['a']);
+
+        const script = jest.fn((index, timestamp) => [{ index, timestamp }]);
+        const scripted = new MockHandBackend({ script });
+        await scripted.init();
+        expect(await scripted.estimate(VIDEO, { timestamp: 40 })).toEqual([
+            { index: 0, timestamp: 40 }
+        ]);
+    });
+
+    test('a recorded session should play its detected hands', async () => {
+        const text = fs.readFileSync(FIXTURE_PATH, 'utf8');
+        const backend = MockHandBackend.fromSession(text);
+        await backend.init();
+
+        const hands = await backend.estimate(VIDEO);
+        expect(backend.frames.length).toBeGreaterThan(1);
+        expect(hands.length).toBeGreaterThan(0);
+        hands.forEach((hand) => expect(hand.keypoints).toHaveLength(21));
+    });
+});
+
+describe('MediaPipeTasksBackend', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('init should fall back to the CPU when the GPU delegate fails', async () => {
+        const vision = fakeVision({ gpuFails: true });
+        const backend = new MediaPipeTasksBackend({
+            loadVision: async () => vision,
+            numHands: 1,
+            assets: ASSETS
+        });
+        await backend.init();
+
+        expect(backend.delegate).toBe('CPU');
+        const { calls } = vision.HandLandmarker.createFromOptions.mock;
+        expect(calls).toHaveLength(2);
+        expect(calls[1][1]).toMatchObject({ runningMode: 'VIDEO', numHands: 1 });
+
+        backend.dispose();
+        expect(vision.landmarker.close).toHaveBeenCalled();
+        expect(backend.landmarker).toBeNull();
+    });
+
+    test('estimate should keep video timestamps increasing', async () => {
+        const vision = fakeVision();
+        const backend = new MediaPipeTasksBackend({
+            loadVision: async () => vision,
+            assets: ASSETS
+        });
+        await backend.init();
+        expect(backend.delegate).toBe('GPU');
+
+        await backend.estimate(VIDEO, { timestamp: 100 });
+        await backend.estimate(VIDEO, { timestamp: 100 });
+        await backend.estimate(VIDEO, { timestamp: 50 });
+
+        const times = vision.landmarker.detectForVideo.mock.calls.map(([, time]) => time);
+        expect(times).toEqual([100, 101, 102]);
+    });
+
+    test('results should be scaled to pixels and mirrored like hand-pose-detection', () => {
+        const [hand] = MediaPipeTasksBackend.toHands(landmarkerResult('Left'), 640, 480, false);
+        expect(hand).toMatchObject({ handedness: 'Left', score: 0.8 });
+        expect(hand.keypoints[8]).toMatchObject({ x: 160, y: 240, name: 'index_finger_tip' });
+        expect(hand.keypoints3D[0]).toMatchObject({ x: 0.01, y: 0.02, name: 'wrist' });
+
+        const [mirrored] = MediaPipeTasksBackend.toHands(landmarkerResult('Left'), 640, 480, true);
+        expect(mirrored.handedness).toBe('Right');
+        expect(mirrored.keypoints[8]).toMatchObject({ x: 480, y: 240 });
+        expect(mirrored.keypoints3D[0].x).toBeCloseTo(-0.01, 6);
+    });
+
+    test('hands without a handedness label should be skipped', () => {
+        const result = landmarkerResult('Right');
+        result.landmarks.unshift(result.landmarks[0]);
+        result.worldLandmarks.unshift(result.worldLandmarks[0]);
+        result.handedness.unshift([]);
+
+        const hands = MediaPipeTasksBackend.toHands(result, 640, 480, false);
+        expect(hands.map(({ handedness }) => handedness)).toEqual(['Right']);
+        expect(MediaPipeTasksBackend.toHands({ ...result, handedness: [] }, 640, 480, false))
+            .toEqual([]);
+    });
+});
+
+describe('TfjsHandBackend', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        delete global.handPoseDetection;
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('init should fail without the hand pose detection library', async () => {
+        await expect(new TfjsHandBackend().init()).rejects.toThrow('not loaded');
+    });
+
+    test('init should retry the MediaPipe runtime, then fall back to tfjs', async () => {
+        const detector = { estimateHands: jest.fn(async () => []), dispose: jest.fn() };
+        global.handPoseDetection = {
+            SupportedModels: { MediaPipeHands: 'MediaPipeHands' },
+            createDetector: jest.fn(async (model, config) => {
+                if (config.runtime === 'mediapipe') throw new Error('solution failed to load');
+                return detector;
+            })
+        };
+
+        const backend = new TfjsHandBackend({ assets: ASSETS });
+        const ready = backend.init();
+        await jest.advanceTimersByTimeAsync(2000);
+        await ready;
+
+        const runtimes = global.handPoseDetection.createDetector.mock.calls
+            .map(([, config]) => config.runtime);
+        expect(runtimes).toEqual(['mediapipe', 'mediapipe', 'mediapipe', 'tfjs']);
+        expect(backend.runtime).toBe('tfjs');
+
+        await backend.estimate(VIDEO, { flipHorizontal: true });
+        expect(detector.estimateHands).toHaveBeenCalledWith(VIDEO, { flipHorizontal: true });
+
+        backend.dispose();
+        expect(detector.dispose).toHaveBeenCalled();
+    });
+});
+
+describe('HandTracking on the mock backend', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // No canvas: hands are tracked without drawing them
+    function createTracking(backend) {
+        return new HandTracking(VIDEO, null, { backend, useWorker: true });
+    }
+
+    test('unknown backend names should be refused', () => {
+        expect(() => createTracking('opencv')).toThrow('Unknown tracking backend: opencv');
+        expect(createTracking('mock').backend)
+            .toBeInstanceOf(MockHandBackend);
+    });
+
+    test('scripted hands should become the mirrored tracked hands', async () => {
+        const strumming = createHand({ x: 200, y: 300, handedness: 'Right' });
+        const fretting = createHand({ x: 480, y: 300, handedness: 'Left' });
+        const backend = new MockHandBackend({ frames: [[strumming, fretting]] });
+        const handTracking = createTracking(backend);
+
+        expect(await handTracking.setup()).toBe(true);
+        // Worker detection is only for the tfjs backend
+        expect(handTracking.detectionClient).toBeNull();
+
+        jest.spyOn(performance, 'now').mockReturnValue(1234);
+        const estimate = jest.spyOn(backend, 'estimate');
+        const hands = await handTracking.processFrame();
+
+        expect(hands).toEqual({ left: strumming, right: fretting });
+        expect(estimate).toHaveBeenCalledWith(VIDEO, { flipHorizontal: true, timestamp: 1234 });
+        expect(handTracking.lastFrameTimestamp).toBe(1234);
+        expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('a failing backend should fail setup, and dispose should release it', async () => {
+        const failing = { init: jest.fn(async () => { throw new Error('no model'); }) };
+        await expect(createTracking(failing).setup())
+            .rejects.toThrow('Hand tracking setup failed: no model');
+
+        const backend = new MockHandBackend();
+        const dispose = jest.spyOn(backend, 'dispose');
+        const handTracking = createTracking(backend);
+        await handTracking.setup();
+        handTracking.dispose();
+
+        expect(dispose).toHaveBeenCalled();
+        expect(handTracking.isRunning).toBe(false);
+        expect(await handTracking.processFrame()).toBeNull();
+    });
+});
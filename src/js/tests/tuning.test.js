@@ -0,0 +1,175 @@
+/**
+ * Tuning - Unit Tests
+ *
+ * Covers tuning presets and the capo, chord voicings on each tuning and how the
+ * sound engine and fretboard overlay follow the active strings.
+ *
+ * Run these tests using a test runner like Jest.
+ */
+
+import { Tuning } from '../modules/tuning.js';
+import { ChordLibrary } from '../modules/chord-library.js';
+import { SoundEngine } from '../modules/sound-engine.js';
+import { UIFeedback } from '../modules/ui-feedback.js';
+
+describe('Tuning', () => {
+    test('presets should give their open notes and string counts', () => {
+        expect(new Tuning('drop-d').getStringNotes()).toEqual(['D2', 'A2', 'D3', 'G3', 'B3', 'E4']);
+        expect(new Tuning('bass-4').getStringCount()).toBe(4);
+        expect(new Tuning('seven-string').getStringNotes()[0]).toBe('B1');
+        expect(Tuning.getPresets().map(({ name }) => name)).toEqual([
+            'standard', 'drop-d', 'dadgad', 'open-g', 'half-step-down', 'bass-4', 'seven-string'
+        ]);
+        expect(() => new Tuning('banjo')).toThrow('Unknown tuning "banjo"');
+    });
+
+    test('the capo should raise every string and stay on the neck', () => {
+        const tuning = new Tuning('standard', 2);
+
+        expect(tuning.getStringNotes()).toEqual(['F#2', 'B2', 'E3', 'A3', 'C#4', 'F#4']);
+        expect(tuning.getOpenNotes()[0]).toBe('E2');
+        expect(tuning.setCapo(20)).toBe(12);
+        expect(tuning.setCapo(-1)).toBe(0);
+    });
+
+    test('chord shapes should move with the capo and with detuned standard tuning', () => {
+        expect(new Tuning('standard', 2).getTransposition()).toBe(2);
+        expect(new Tuning('half-step-down', 3).getTransposition()).toBe(2);
+        expect(new Tuning('dadgad', 1).getTransposition()).toBe(1);
+    });
+});
+
+describe('SoundEngine tuning voicings', () => {
+    // Pitch classes sounding in a voicing, skipping muted strings
+    function pitchClasses(notes) {
+        return [...new Set(
+            notes.filter(Boolean).map((note) => ChordLibrary.noteToMidi(note) % 12)
+        )].sort();
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('the capo should raise every chord shape', () => {
+        const soundEngine = new SoundEngine();
+        const open = soundEngine.chordDefinitions;
+        soundEngine.setCapo(3);
+
+        Object.keys(open).forEach((symbol) => {
+            expect(soundEngine.chordDefinitions[symbol]).toEqual(
+                open[symbol].map((note) => (note ? ChordLibrary.transpose([note], 3)[0] : null))
+            );
+        });
+    });
+
+    test('every tuning should voice every chord on its own strings', () => {
+        ['drop-d', 'dadgad', 'open-g', 'half-step-down', 'bass-4', 'seven-string']
+            .forEach((preset) => {
+                const soundEngine = new SoundEngine();
+                soundEngine.setTuning(preset);
+                const shift = preset === 'half-step-down' ? -1 : 0;
+
+                ChordLibrary.getSymbols().forEach((symbol) => {
+                    const notes = soundEngine.chordDefinitions[symbol];
+                    const chord = ChordLibrary.parseSymbol(
+                        ChordLibrary.transposeSymbol(symbol, shift)
+                    );
+                    const third = chord.tones[1];
+
+                    expect(notes).toHaveLength(soundEngine.strings.length);
+                    expect(ChordLibrary.noteToMidi(notes.find(Boolean)) % 12).toBe(chord.root);
+                    expect(pitchClasses(notes)).toContain(third);
+                    pitchClasses(notes).forEach((pc) => {
+                        expect(chord.tones).toContain(pc);
+                    });
+                });
+            });
+    });
+
+    test('open tunings should ring their open strings', () => {
+        const soundEngine = new SoundEngine();
+        soundEngine.setTuning('drop-d');
+        expect(soundEngine.chordDefinitions.D).toEqual(['D2', 'A2', 'D3', 'A3', 'D4', 'F#4']);
+
+        soundEngine.setTuning('open-g');
+        expect(soundEngine.chordDefinitions.G).toEqual([null, 'G2', 'D3', 'G3', 'B3', 'D4']);
+    });
+});
+
+describe('SoundEngine tuning', () => {
+    let soundEngine;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        soundEngine = new SoundEngine();
+    });
+
+    afterEach(() => {
+        delete global.Tone;
+        jest.restoreAllMocks();
+    });
+
+    test('strings and chords should follow the tuning', () => {
+        expect(soundEngine.setTuning('dadgad')).toBe(true);
+
+        expect(soundEngine.strings).toEqual(['D2', 'A2', 'D3', 'G3', 'A3', 'D4']);
+        expect(soundEngine.getStringNote(4, 2)).toBe('B3');
+        expect(soundEngine.getChordNotes('D')[0]).toBe('D2');
+        expect(soundEngine.getChordNotes('D')).toHaveLength(6);
+        expect(soundEngine.setTuning('banjo')).toBe(false);
+    });
+
+    test('the capo should carry over between tunings and move the chords', () => {
+        soundEngine.setCapo(2);
+        expect(soundEngine.getChordNotes('C').find(Boolean)).toBe('D3');
+
+        soundEngine.setTuning('bass-4');
+        expect(soundEngine.strings).toEqual(['F#1', 'B1', 'E2', 'A2']);
+        expect(soundEngine.getStringNote(0, 1)).toBe('G1');
+    });
+
+    test('taught voicings should move with the capo and tuning like other shapes', () => {
+        global.Tone = { now: () => 0, getContext: () => ({ currentTime: 0 }) };
+        soundEngine.initialized = true;
+        soundEngine.polySynth = { triggerAttackRelease: jest.fn() };
+        soundEngine.triggerString = jest.fn();
+        const strum = (fretPosition) => {
+            soundEngine.triggerString.mockClear();
+            soundEngine.playStrum({
+                strumDetected: true,
+                strumDirection: 'down',
+                strumIntensity: 1,
+                fretPosition,
+                chordType: 'Power E',
+                chordNotes: ['E2', 'B2', 'E3']
+            });
+            return soundEngine.triggerString.mock.calls.map(([, note]) => note);
+        };
+
+        soundEngine.setCapo(2);
+        expect(strum(0)).toEqual(['F#2', 'C#3', 'F#3']);
+        soundEngine.setTuning('half-step-down');
+        expect(strum(1)).toEqual(['F#2', 'C#3', 'F#3']);
+    });
+});
+
+describe('UIFeedback strings', () => {
+    test('the fretboard should have one string per tuning string', () => {
+        const canvas = { width: 640, height: 480, getContext: () => null };
+        const uiFeedback = new UIFeedback(canvas);
+
+        uiFeedback.setStrings(new Tuning('seven-string').getStringNotes());
+        const lines = uiFeedback.getStringLines();
+
+        expect(lines).toHaveLength(7);
+        expect(uiFeedback.stringNotes[0]).toBe('B1');
+        expect(uiFeedback.getStringWidth(6)).toBeGreaterThan(0);
+        expect(uiFeedback.getStringWidth(0)).toBeGreaterThan(uiFeedback.getStringWidth(6));
+    });
+});
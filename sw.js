@@ -0,0 +1,55 @@
+/**
+ * Offline Service Worker
+ *
+ * Precaches the app and its vendored libraries and models on install, using the file
+ * list in vendor/asset-manifest.json from the offline build, then serves them from the
+ * cache so the app starts without a network. The page registers this script with the
+ * bundle version in its URL (sw.js?v=<version>), so every build installs a new worker
+ * with its own cache, and older caches are deleted once it activates. Requests outside
+ * the precache go to the network as usual.
+ */
+
+const MANIFEST_URL = 'vendor/asset-manifest.json';
+const CACHE_PREFIX = 'air-guitar-4d-';
+const VERSION = new URL(globalThis.location.href).searchParams.get('v') || 'dev';
+const CACHE_NAME = CACHE_PREFIX + VERSION;
+
+async function precache() {
+    const response = await fetch(MANIFEST_URL, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`Offline asset manifest missing (${response.status})`);
+    }
+    const { files } = await response.json();
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(files);
+}
+
+async function removeOldCaches() {
+    const names = await caches.keys();
+    const old = names.filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME);
+    await Promise.all(old.map((name) => caches.delete(name)));
+}
+
+// Cached copy first; the query is ignored so e.g. index.html?tracking=... still matches.
+// HEAD requests (the startup asset checks) are answered from the cached GET.
+async function respond(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request.url, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+oninstall = (event) => {
+    event.waitUntil(precache().then(() => skipWaiting()));
+};
+
+onactivate = (event) => {
+    event.waitUntil(removeOldCaches().then(() => clients.claim()));
+};
+
+onfetch = (event) => {
+    const { request } = event;
+    const sameOrigin = new URL(request.url).origin === globalThis.location.origin;
+    if (sameOrigin && (request.method === 'GET' || request.method === 'HEAD')) {
+        event.respondWith(respond(request));
+    }
+};